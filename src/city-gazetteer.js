@@ -0,0 +1,646 @@
+/**
+ * CityGazetteer - Bundled offline list of major world cities for place-name prayer queries
+ * Looks up names in English, Arabic, Urdu and Hindi with typo tolerance, and finds a city mentioned in a chat message
+ */
+
+// One city per line: name | country code | lat | lng | IANA timezone | Latin aliases | Arabic | Urdu | Hindi
+// Alternate names within a column are comma-separated. Within a name, earlier lines win (keep the larger city first)
+const CITY_DATA = `
+Makkah|SA|21.3891|39.8579|Asia/Riyadh|mecca,makka,makkah al mukarramah|مكة المكرمة,مكة|مکہ,مکہ مکرمہ|मक्का
+Madinah|SA|24.5247|39.5692|Asia/Riyadh|madina,medina,madinah munawwarah|المدينة المنورة,المدينة|مدینہ,مدینہ منورہ|मदीना
+Riyadh|SA|24.7136|46.6753|Asia/Riyadh|ar riyadh|الرياض|ریاض|रियाद
+Jeddah|SA|21.4858|39.1925|Asia/Riyadh|jiddah,jedda|جدة|جدہ|जेद्दा
+Dammam|SA|26.4207|50.0888|Asia/Riyadh||الدمام|دمام|दम्माम
+Taif|SA|21.2703|40.4158|Asia/Riyadh|at taif|الطائف|طائف|ताइफ़
+Tabuk|SA|28.3835|36.5662|Asia/Riyadh||تبوك|تبوک|
+Abha|SA|18.2164|42.5053|Asia/Riyadh||أبها||
+Buraidah|SA|26.3260|43.9750|Asia/Riyadh|buraydah|بريدة||
+Dubai|AE|25.2048|55.2708|Asia/Dubai|dubayy|دبي|دبئی|दुबई
+Abu Dhabi|AE|24.4539|54.3773|Asia/Dubai|abudhabi|أبوظبي,أبو ظبي|ابوظہبی|अबू धाबी
+Sharjah|AE|25.3463|55.4209|Asia/Dubai||الشارقة|شارجہ|शारजाह
+Ajman|AE|25.4052|55.5136|Asia/Dubai||عجمان|عجمان|अजमान
+Al Ain|AE|24.2075|55.7447|Asia/Dubai||العين||
+Doha|QA|25.2854|51.5310|Asia/Qatar||الدوحة|دوحہ|दोहा
+Kuwait City|KW|29.3759|47.9774|Asia/Kuwait|kuwait|مدينة الكويت,الكويت|کویت|कुवैत
+Manama|BH|26.2285|50.5860|Asia/Bahrain|bahrain|المنامة|منامہ|मनामा
+Muscat|OM|23.5880|58.3829|Asia/Muscat||مسقط|مسقط|मस्कट
+Salalah|OM|17.0151|54.0924|Asia/Muscat||صلالة|صلالہ|
+Sanaa|YE|15.3694|44.1910|Asia/Aden|sana'a,sana|صنعاء|صنعا|सना
+Aden|YE|12.7855|45.0187|Asia/Aden||عدن|عدن|अदन
+Amman|JO|31.9539|35.9106|Asia/Amman||عمّان|عمان|अम्मान
+Jerusalem|PS|31.7683|35.2137|Asia/Jerusalem|al quds,quds,bayt al maqdis|القدس|یروشلم,بیت المقدس|यरुशलम
+Gaza|PS|31.5017|34.4668|Asia/Gaza||غزة|غزہ|गाज़ा
+Hebron|PS|31.5326|35.0998|Asia/Hebron|al khalil|الخليل|الخلیل|
+Beirut|LB|33.8938|35.5018|Asia/Beirut||بيروت|بیروت|बेरूत
+Damascus|SY|33.5138|36.2765|Asia/Damascus|dimashq|دمشق|دمشق|दमिश्क
+Aleppo|SY|36.2021|37.1343|Asia/Damascus|halab|حلب|حلب|अलेप्पो
+Homs|SY|34.7324|36.7137|Asia/Damascus||حمص|حمص|
+Baghdad|IQ|33.3152|44.3661|Asia/Baghdad||بغداد|بغداد|बग़दाद
+Basra|IQ|30.5085|47.7804|Asia/Baghdad|basrah|البصرة|بصرہ|बसरा
+Mosul|IQ|36.3409|43.1300|Asia/Baghdad||الموصل|موصل|मोसुल
+Erbil|IQ|36.1911|44.0092|Asia/Baghdad|arbil,hawler|أربيل|اربیل|
+Najaf|IQ|32.0259|44.3462|Asia/Baghdad||النجف|نجف|नजफ़
+Karbala|IQ|32.6160|44.0249|Asia/Baghdad||كربلاء|کربلا|कर्बला
+Tehran|IR|35.6892|51.3890|Asia/Tehran|teheran|طهران|تہران|तेहरान
+Mashhad|IR|36.2605|59.6168|Asia/Tehran|meshed|مشهد|مشہد|मशहद
+Isfahan|IR|32.6546|51.6680|Asia/Tehran|esfahan|أصفهان|اصفہان|इस्फ़हान
+Tabriz|IR|38.0962|46.2738|Asia/Tehran||تبريز|تبریز|तबरेज़
+Shiraz|IR|29.5918|52.5837|Asia/Tehran||شيراز|شیراز|शिराज़
+Qom|IR|34.6416|50.8746|Asia/Tehran|qum|قم|قم|क़ुम
+Istanbul|TR|41.0082|28.9784|Europe/Istanbul|constantinople,stamboul|إسطنبول|استنبول|इस्तांबुल
+Ankara|TR|39.9334|32.8597|Europe/Istanbul||أنقرة|انقرہ|अंकारा
+Izmir|TR|38.4237|27.1428|Europe/Istanbul|smyrna|إزمير|ازمیر|इज़मिर
+Bursa|TR|40.1885|29.0610|Europe/Istanbul||بورصة|برسا|
+Konya|TR|37.8746|32.4932|Europe/Istanbul||قونية|قونیہ|
+Adana|TR|37.0000|35.3213|Europe/Istanbul||أضنة||
+Gaziantep|TR|37.0662|37.3833|Europe/Istanbul|antep|غازي عنتاب||
+Cairo|EG|30.0444|31.2357|Africa/Cairo|al qahirah,qahira|القاهرة|قاہرہ|काहिरा
+Alexandria|EG|31.2001|29.9187|Africa/Cairo|iskandariya|الإسكندرية|اسکندریہ|अलेक्जेंड्रिया
+Giza|EG|30.0131|31.2089|Africa/Cairo||الجيزة|جیزہ|गीज़ा
+Luxor|EG|25.6872|32.6396|Africa/Cairo||الأقصر||
+Aswan|EG|24.0889|32.8998|Africa/Cairo||أسوان||
+Tripoli|LY|32.8872|13.1913|Africa/Tripoli|tarabulus|طرابلس|طرابلس|त्रिपोली
+Benghazi|LY|32.1167|20.0667|Africa/Tripoli||بنغازي|بن غازی|
+Tripoli|LB|34.4346|35.8362|Asia/Beirut||||
+Tunis|TN|36.8065|10.1815|Africa/Tunis||تونس|تیونس|ट्यूनिस
+Sfax|TN|34.7406|10.7603|Africa/Tunis||صفاقس||
+Kairouan|TN|35.6781|10.0963|Africa/Tunis|qayrawan|القيروان|قیروان|
+Algiers|DZ|36.7372|3.0869|Africa/Algiers|alger,al jazair|الجزائر|الجزائر|अल्जीयर्स
+Oran|DZ|35.6971|-0.6308|Africa/Algiers|wahran|وهران|وہران|
+Constantine|DZ|36.3650|6.6147|Africa/Algiers|qusantina|قسنطينة||
+Casablanca|MA|33.5731|-7.5898|Africa/Casablanca|dar el beida,casa|الدار البيضاء|کاسابلانکا|कासाब्लांका
+Rabat|MA|34.0209|-6.8416|Africa/Casablanca||الرباط|رباط|रबात
+Marrakesh|MA|31.6295|-7.9811|Africa/Casablanca|marrakech|مراكش|مراکش|मराकेश
+Fez|MA|34.0181|-5.0078|Africa/Casablanca|fes|فاس|فاس|फ़ेज़
+Tangier|MA|35.7595|-5.8340|Africa/Casablanca|tanger|طنجة|طنجہ|तंजीर
+Khartoum|SD|15.5007|32.5599|Africa/Khartoum||الخرطوم|خرطوم|ख़ार्तूम
+Omdurman|SD|15.6445|32.4777|Africa/Khartoum||أم درمان||
+Nouakchott|MR|18.0735|-15.9582|Africa/Nouakchott||نواكشوط|نواکشوط|
+Mogadishu|SO|2.0469|45.3182|Africa/Mogadishu|muqdisho|مقديشو|موغادیشو|मोगादिशु
+Hargeisa|SO|9.5600|44.0650|Africa/Mogadishu||هرجيسا||
+Djibouti|DJ|11.5721|43.1456|Africa/Djibouti||جيبوتي|جبوتی|
+Addis Ababa|ET|9.0300|38.7400|Africa/Addis_Ababa||أديس أبابا|ادیس ابابا|अदीस अबाबा
+Harar|ET|9.3126|42.1227|Africa/Addis_Ababa||هرر||
+Nairobi|KE|-1.2921|36.8219|Africa/Nairobi||نيروبي|نیروبی|नैरोबी
+Mombasa|KE|-4.0435|39.6682|Africa/Nairobi||مومباسا|ممباسا|मोम्बासा
+Dar es Salaam|TZ|-6.7924|39.2083|Africa/Dar_es_Salaam|dar|دار السلام|دارالسلام|दार एस सलाम
+Zanzibar|TZ|-6.1659|39.2026|Africa/Dar_es_Salaam|stone town|زنجبار|زنجبار|ज़ांज़ीबार
+Kampala|UG|0.3476|32.5825|Africa/Kampala||كمبالا|کمپالا|कंपाला
+Lagos|NG|6.5244|3.3792|Africa/Lagos||لاغوس|لاگوس|लागोस
+Kano|NG|12.0022|8.5920|Africa/Lagos||كانو|کانو|कानो
+Abuja|NG|9.0765|7.3986|Africa/Lagos||أبوجا|ابوجا|अबुजा
+Kaduna|NG|10.5105|7.4165|Africa/Lagos||كادونا||
+Sokoto|NG|13.0059|5.2476|Africa/Lagos||سوكوتو||
+Maiduguri|NG|11.8311|13.1510|Africa/Lagos||مايدوغوري||
+Niamey|NE|13.5116|2.1254|Africa/Niamey||نيامي||
+Bamako|ML|12.6392|-8.0029|Africa/Bamako||باماكو||
+Timbuktu|ML|16.7666|-3.0026|Africa/Bamako|tombouctou|تمبكتو|ٹمبکٹو|टिम्बकटू
+Dakar|SN|14.7167|-17.4677|Africa/Dakar||داكار|ڈاکار|डकार
+Touba|SN|14.8500|-15.8833|Africa/Dakar||طوبى||
+Conakry|GN|9.6412|-13.5784|Africa/Conakry||كوناكري||
+Banjul|GM|13.4549|-16.5790|Africa/Banjul||بانجول||
+Ouagadougou|BF|12.3714|-1.5197|Africa/Ouagadougou||واغادوغو||
+N'Djamena|TD|12.1348|15.0557|Africa/Ndjamena|ndjamena|انجامينا||
+Yaounde|CM|3.8480|11.5021|Africa/Douala||ياوندي||
+Accra|GH|5.6037|-0.1870|Africa/Accra||أكرا|اکرا|अक्रा
+Abidjan|CI|5.3600|-4.0083|Africa/Abidjan||أبيدجان||
+Johannesburg|ZA|-26.2041|28.0473|Africa/Johannesburg|joburg,jozi|جوهانسبرغ|جوہانسبرگ|जोहान्सबर्ग
+Cape Town|ZA|-33.9249|18.4241|Africa/Johannesburg|capetown|كيب تاون|کیپ ٹاؤن|केप टाउन
+Durban|ZA|-29.8587|31.0218|Africa/Johannesburg||ديربان|ڈربن|डरबन
+Pretoria|ZA|-25.7479|28.2293|Africa/Johannesburg||بريتوريا||
+Maputo|MZ|-25.9692|32.5732|Africa/Maputo||مابوتو||
+Antananarivo|MG|-18.8792|47.5079|Indian/Antananarivo||أنتاناناريفو||
+Port Louis|MU|-20.1609|57.5012|Indian/Mauritius||بورت لويس||
+Moroni|KM|-11.7172|43.2473|Indian/Comoro||موروني||
+Male|MV|4.1755|73.5093|Indian/Maldives||ماليه|مالے|माले
+Karachi|PK|24.8607|67.0011|Asia/Karachi||كراتشي|کراچی|कराची
+Lahore|PK|31.5204|74.3587|Asia/Karachi||لاهور|لاہور|लाहौर
+Islamabad|PK|33.6844|73.0479|Asia/Karachi||إسلام آباد|اسلام آباد|इस्लामाबाद
+Rawalpindi|PK|33.5651|73.0169|Asia/Karachi|pindi|راولبندي|راولپنڈی|रावलपिंडी
+Faisalabad|PK|31.4504|73.1350|Asia/Karachi|lyallpur|فيصل آباد|فیصل آباد|फ़ैसलाबाद
+Multan|PK|30.1575|71.5249|Asia/Karachi||ملتان|ملتان|मुल्तान
+Peshawar|PK|34.0151|71.5249|Asia/Karachi||بيشاور|پشاور|पेशावर
+Quetta|PK|30.1798|66.9750|Asia/Karachi||كويتا|کوئٹہ|क्वेटा
+Gujranwala|PK|32.1877|74.1945|Asia/Karachi||غوجرانوالا|گوجرانوالہ|गुजरांवाला
+Sialkot|PK|32.4945|74.5229|Asia/Karachi||سيالكوت|سیالکوٹ|सियालकोट
+Sargodha|PK|32.0836|72.6711|Asia/Karachi||سرغودها|سرگودھا|सरगोधा
+Bahawalpur|PK|29.3956|71.6836|Asia/Karachi||بهاولبور|بہاولپور|बहावलपुर
+Sukkur|PK|27.7052|68.8574|Asia/Karachi||سكر|سکھر|सक्खर
+Abbottabad|PK|34.1688|73.2215|Asia/Karachi||أبوت آباد|ایبٹ آباد|एबटाबाद
+Mardan|PK|34.2012|72.0404|Asia/Karachi||مردان|مردان|
+Muzaffarabad|PK|34.3700|73.4711|Asia/Karachi||مظفر آباد|مظفرآباد|मुज़फ़्फ़राबाद
+Gilgit|PK|35.9208|74.3144|Asia/Karachi||جلجت|گلگت|गिलगित
+Delhi|IN|28.7041|77.1025|Asia/Kolkata|new delhi,dilli|دلهي,نيودلهي|دہلی,دلی,نئی دہلی|दिल्ली,नई दिल्ली
+Mumbai|IN|19.0760|72.8777|Asia/Kolkata|bombay|مومباي|ممبئی,بمبئی|मुंबई,बंबई
+Kolkata|IN|22.5726|88.3639|Asia/Kolkata|calcutta|كولكاتا|کولکتہ,کلکتہ|कोलकाता,कलकत्ता
+Chennai|IN|13.0827|80.2707|Asia/Kolkata|madras|تشيناي|چنئی,مدراس|चेन्नई,मद्रास
+Bangalore|IN|12.9716|77.5946|Asia/Kolkata|bengaluru|بنغالور|بنگلور|बेंगलुरु,बंगलौर
+Hyderabad|IN|17.3850|78.4867|Asia/Kolkata||حيدر آباد|حیدرآباد,حیدر آباد|हैदराबाद
+Ahmedabad|IN|23.0225|72.5714|Asia/Kolkata|amdavad|أحمد آباد|احمد آباد|अहमदाबाद
+Pune|IN|18.5204|73.8567|Asia/Kolkata|poona|بونه|پونے|पुणे
+Surat|IN|21.1702|72.8311|Asia/Kolkata||سورت|سورت|सूरत
+Jaipur|IN|26.9124|75.7873|Asia/Kolkata||جايبور|جے پور|जयपुर
+Lucknow|IN|26.8467|80.9462|Asia/Kolkata||لكناو|لکھنؤ|लखनऊ
+Kanpur|IN|26.4499|80.3319|Asia/Kolkata||كانبور|کانپور|कानपुर
+Nagpur|IN|21.1458|79.0882|Asia/Kolkata||ناغبور|ناگپور|नागपुर
+Indore|IN|22.7196|75.8577|Asia/Kolkata||إندور|اندور|इंदौर
+Thane|IN|19.2183|72.9781|Asia/Kolkata|||تھانے|ठाणे
+Bhopal|IN|23.2599|77.4126|Asia/Kolkata||بوبال|بھوپال|भोपाल
+Visakhapatnam|IN|17.6868|83.2185|Asia/Kolkata|vizag|||विशाखापत्तनम
+Patna|IN|25.5941|85.1376|Asia/Kolkata||باتنا|پٹنہ|पटना
+Vadodara|IN|22.3072|73.1812|Asia/Kolkata|baroda||وڈودرا|वडोदरा
+Ghaziabad|IN|28.6692|77.4538|Asia/Kolkata||غازي آباد|غازی آباد|ग़ाज़ियाबाद
+Ludhiana|IN|30.9010|75.8573|Asia/Kolkata||لوديانا|لدھیانہ|लुधियाना
+Agra|IN|27.1767|78.0081|Asia/Kolkata||أغرا|آگرہ|आगरा
+Varanasi|IN|25.3176|82.9739|Asia/Kolkata|banaras,benares|فاراناسي|بنارس,وارانسی|वाराणसी,बनारस
+Meerut|IN|28.9845|77.7064|Asia/Kolkata|||میرٹھ|मेरठ
+Bareilly|IN|28.3670|79.4304|Asia/Kolkata|||بریلی|बरेली
+Aligarh|IN|27.8974|78.0880|Asia/Kolkata||عليكرة|علی گڑھ|अलीगढ़
+Ajmer|IN|26.4499|74.6399|Asia/Kolkata||أجمير|اجمیر|अजमेर
+Srinagar|IN|34.0837|74.7973|Asia/Kolkata||سريناغار|سری نگر|श्रीनगर
+Kochi|IN|9.9312|76.2673|Asia/Kolkata|cochin|كوتشي|کوچی|कोच्चि
+Kozhikode|IN|11.2588|75.7804|Asia/Kolkata|calicut||کالی کٹ|कोझिकोड
+Malappuram|IN|11.0510|76.0711|Asia/Kolkata||||मलप्पुरम
+Mangalore|IN|12.9141|74.8560|Asia/Kolkata|mangaluru||منگلور|मंगलुरु
+Hyderabad|PK|25.3960|68.3578|Asia/Karachi||||
+Dhaka|BD|23.8103|90.4125|Asia/Dhaka|dacca|دكا|ڈھاکہ|ढाका
+Chittagong|BD|22.3569|91.7832|Asia/Dhaka|chattogram|شيتاغونغ|چٹاگانگ|चटगांव
+Sylhet|BD|24.8949|91.8687|Asia/Dhaka||سلهت|سلہٹ|सिलहट
+Khulna|BD|22.8456|89.5403|Asia/Dhaka||خولنا|کھلنا|खुलना
+Rajshahi|BD|24.3745|88.6042|Asia/Dhaka||راجشاهي|راجشاہی|राजशाही
+Kathmandu|NP|27.7172|85.3240|Asia/Kathmandu||كاتماندو|کٹھمنڈو|काठमांडू
+Colombo|LK|6.9271|79.8612|Asia/Colombo||كولومبو|کولمبو|कोलंबो
+Kabul|AF|34.5553|69.2075|Asia/Kabul||كابل|کابل|काबुल
+Kandahar|AF|31.6289|65.7372|Asia/Kabul||قندهار|قندھار|कंधार
+Herat|AF|34.3529|62.2040|Asia/Kabul||هرات|ہرات|हेरात
+Mazar-i-Sharif|AF|36.7090|67.1109|Asia/Kabul|mazar,mazar e sharif|مزار شريف|مزار شریف|मज़ार-ए-शरीफ़
+Jalalabad|AF|34.4265|70.4515|Asia/Kabul||جلال آباد|جلال آباد|जलालाबाद
+Tashkent|UZ|41.2995|69.2401|Asia/Tashkent|toshkent|طشقند|تاشقند|ताशकंद
+Samarkand|UZ|39.6270|66.9750|Asia/Samarkand|samarqand|سمرقند|سمرقند|समरकंद
+Bukhara|UZ|39.7747|64.4286|Asia/Samarkand|buxoro|بخارى|بخارا|बुख़ारा
+Almaty|KZ|43.2220|76.8512|Asia/Almaty|alma ata|ألماتي|الماتی|अल्माटी
+Astana|KZ|51.1694|71.4491|Asia/Almaty|nur sultan|أستانا|آستانہ|अस्ताना
+Bishkek|KG|42.8746|74.5698|Asia/Bishkek||بيشكك|بشکیک|
+Dushanbe|TJ|38.5598|68.7870|Asia/Dushanbe||دوشنبه|دوشنبہ|
+Ashgabat|TM|37.9601|58.3261|Asia/Ashgabat||عشق آباد|اشک آباد|
+Baku|AZ|40.4093|49.8671|Asia/Baku||باكو|باکو|बाकू
+Grozny|RU|43.3178|45.6949|Europe/Moscow||غروزني|گروزنی|
+Makhachkala|RU|42.9849|47.5047|Europe/Moscow||محج قلعة||
+Kazan|RU|55.7961|49.1064|Europe/Moscow||قازان|قازان|कज़ान
+Moscow|RU|55.7558|37.6173|Europe/Moscow|moskva|موسكو|ماسکو|मॉस्को
+Saint Petersburg|RU|59.9311|30.3609|Europe/Moscow|st petersburg,petersburg|سانت بطرسبرغ|سینٹ پیٹرزبرگ|सेंट पीटर्सबर्ग
+Jakarta|ID|-6.2088|106.8456|Asia/Jakarta||جاكرتا|جکارتہ|जकार्ता
+Surabaya|ID|-7.2575|112.7521|Asia/Jakarta||سورابايا||
+Bandung|ID|-6.9175|107.6191|Asia/Jakarta||باندونغ||
+Medan|ID|3.5952|98.6722|Asia/Jakarta||||
+Semarang|ID|-6.9667|110.4167|Asia/Jakarta||سمارانغ||
+Palembang|ID|-2.9761|104.7754|Asia/Jakarta||||
+Yogyakarta|ID|-7.7956|110.3695|Asia/Jakarta|jogja,jogjakarta|يوغياكارتا||
+Banda Aceh|ID|5.5483|95.3238|Asia/Jakarta|aceh|باندا آتشيه||
+Makassar|ID|-5.1477|119.4327|Asia/Makassar||ماكاسار||
+Kuala Lumpur|MY|3.1390|101.6869|Asia/Kuala_Lumpur|kl|كوالالمبور|کوالالمپور|कुआलालंपुर
+Johor Bahru|MY|1.4927|103.7414|Asia/Kuala_Lumpur|jb|جوهر بارو||
+Penang|MY|5.4141|100.3288|Asia/Kuala_Lumpur|george town|بينانغ|پینانگ|
+Kota Bharu|MY|6.1254|102.2381|Asia/Kuala_Lumpur||||
+Kuching|MY|1.5533|110.3592|Asia/Kuching||||
+Kota Kinabalu|MY|5.9804|116.0735|Asia/Kuching||||
+Singapore|SG|1.3521|103.8198|Asia/Singapore||سنغافورة|سنگاپور|सिंगापुर
+Bandar Seri Begawan|BN|4.9031|114.9398|Asia/Brunei|brunei|بندر سري بكاوان||
+Bangkok|TH|13.7563|100.5018|Asia/Bangkok||بانكوك|بینکاک|बैंकॉक
+Pattani|TH|6.8696|101.2501|Asia/Bangkok||فطاني||
+Manila|PH|14.5995|120.9842|Asia/Manila||مانيلا|منیلا|मनीला
+Marawi|PH|8.0034|124.2839|Asia/Manila||مراوي||
+Cotabato|PH|7.2236|124.2464|Asia/Manila|cotabato city|||
+Yangon|MM|16.8409|96.1735|Asia/Yangon|rangoon|يانغون|ینگون,رنگون|यांगून
+Hanoi|VN|21.0278|105.8342|Asia/Ho_Chi_Minh||هانوي|ہنوئی|हनोई
+Ho Chi Minh City|VN|10.8231|106.6297|Asia/Ho_Chi_Minh|saigon|هو تشي منه||हो ची मिन्ह सिटी
+Beijing|CN|39.9042|116.4074|Asia/Shanghai|peking|بكين|بیجنگ|बीजिंग
+Shanghai|CN|31.2304|121.4737|Asia/Shanghai||شنغهاي|شنگھائی|शंघाई
+Guangzhou|CN|23.1291|113.2644|Asia/Shanghai|canton|قوانغتشو|گوانگژو|ग्वांगझोउ
+Xi'an|CN|34.3416|108.9398|Asia/Shanghai|xian|شيآن||
+Lanzhou|CN|36.0611|103.8343|Asia/Shanghai||لانتشو||
+Yinchuan|CN|38.4872|106.2309|Asia/Shanghai||||
+Urumqi|CN|43.8256|87.6168|Asia/Shanghai|urumchi|أورومتشي|ارومچی|
+Kashgar|CN|39.4704|75.9898|Asia/Shanghai|kashi|كاشغر|کاشغر|
+Hong Kong|HK|22.3193|114.1694|Asia/Hong_Kong|hongkong|هونغ كونغ|ہانگ کانگ|हांगकांग
+Taipei|TW|25.0330|121.5654|Asia/Taipei||تايبيه|تائپے|ताइपे
+Seoul|KR|37.5665|126.9780|Asia/Seoul||سيول|سیول|सियोल
+Tokyo|JP|35.6762|139.6503|Asia/Tokyo||طوكيو|ٹوکیو|टोक्यो
+Osaka|JP|34.6937|135.5023|Asia/Tokyo||أوساكا|اوساکا|ओसाका
+London|GB|51.5074|-0.1278|Europe/London||لندن|لندن|लंदन
+Birmingham|GB|52.4862|-1.8904|Europe/London||برمنغهام|برمنگھم|बर्मिंघम
+Manchester|GB|53.4808|-2.2426|Europe/London||مانشستر|مانچسٹر|मैनचेस्टर
+Bradford|GB|53.7960|-1.7594|Europe/London||برادفورد|بریڈفورڈ|ब्रैडफ़ोर्ड
+Leeds|GB|53.8008|-1.5491|Europe/London||ليدز|لیڈز|लीड्स
+Leicester|GB|52.6369|-1.1398|Europe/London||ليستر|لیسٹر|लेस्टर
+Sheffield|GB|53.3811|-1.4701|Europe/London||شيفيلد|شیفیلڈ|
+Liverpool|GB|53.4084|-2.9916|Europe/London||ليفربول|لیورپول|लिवरपूल
+Blackburn|GB|53.7486|-2.4875|Europe/London||بلاكبيرن|بلیک برن|
+Dewsbury|GB|53.6910|-1.6330|Europe/London|||ڈیوزبری|
+Luton|GB|51.8787|-0.4200|Europe/London||لوتن|لوٹن|
+Cardiff|GB|51.4816|-3.1791|Europe/London||كارديف|کارڈف|कार्डिफ़
+Glasgow|GB|55.8642|-4.2518|Europe/London||غلاسكو|گلاسگو|ग्लासगो
+Edinburgh|GB|55.9533|-3.1883|Europe/London||إدنبرة|ایڈنبرا|एडिनबर्ग
+Dublin|IE|53.3498|-6.2603|Europe/Dublin||دبلن|ڈبلن|डबलिन
+Paris|FR|48.8566|2.3522|Europe/Paris||باريس|پیرس|पेरिस
+Marseille|FR|43.2965|5.3698|Europe/Paris|marseilles|مرسيليا|مارسی|मार्सिले
+Lyon|FR|45.7640|4.8357|Europe/Paris|lyons|ليون|لیون|ल्यों
+Toulouse|FR|43.6047|1.4442|Europe/Paris||تولوز|تولوز|
+Lille|FR|50.6292|3.0573|Europe/Paris||||
+Strasbourg|FR|48.5734|7.7521|Europe/Paris||ستراسبورغ|اسٹراسبرگ|
+Brussels|BE|50.8503|4.3517|Europe/Brussels|bruxelles|بروكسل|برسلز|ब्रसेल्स
+Antwerp|BE|51.2194|4.4025|Europe/Brussels|antwerpen|أنتويرب||
+Amsterdam|NL|52.3676|4.9041|Europe/Amsterdam||أمستردام|ایمسٹرڈیم|एम्स्टर्डम
+Rotterdam|NL|51.9244|4.4777|Europe/Amsterdam||روتردام|روٹرڈیم|रॉटरडैम
+The Hague|NL|52.0705|4.3007|Europe/Amsterdam|den haag,hague|لاهاي|دی ہیگ|
+Berlin|DE|52.5200|13.4050|Europe/Berlin||برلين|برلن|बर्लिन
+Hamburg|DE|53.5511|9.9937|Europe/Berlin||هامبورغ|ہیمبرگ|हैम्बर्ग
+Munich|DE|48.1351|11.5820|Europe/Berlin|munchen,muenchen|ميونخ|میونخ|म्यूनिख
+Frankfurt|DE|50.1109|8.6821|Europe/Berlin|frankfurt am main|فرانكفورت|فرینکفرٹ|फ्रैंकफर्ट
+Cologne|DE|50.9375|6.9603|Europe/Berlin|koln,koeln|كولونيا|کولون|कोलोन
+Duisburg|DE|51.4344|6.7623|Europe/Berlin||دويسبورغ||
+Vienna|AT|48.2082|16.3738|Europe/Vienna|wien|فيينا|ویانا|वियना
+Zurich|CH|47.3769|8.5417|Europe/Zurich|zuerich|زيورخ|زیورخ|ज़्यूरिख
+Geneva|CH|46.2044|6.1432|Europe/Zurich|geneve|جنيف|جنیوا|जिनेवा
+Copenhagen|DK|55.6761|12.5683|Europe/Copenhagen|kobenhavn|كوبنهاغن|کوپن ہیگن|कोपेनहेगन
+Oslo|NO|59.9139|10.7522|Europe/Oslo||أوسلو|اوسلو|ओस्लो
+Tromso|NO|69.6492|18.9553|Europe/Oslo||ترومسو||
+Stockholm|SE|59.3293|18.0686|Europe/Stockholm||ستوكهولم|اسٹاک ہوم|स्टॉकहोम
+Malmo|SE|55.6050|13.0038|Europe/Stockholm|malmoe|مالمو|مالمو|
+Helsinki|FI|60.1699|24.9384|Europe/Helsinki||هلسنكي|ہیلسنکی|हेलसिंकी
+Reykjavik|IS|64.1466|-21.9426|Atlantic/Reykjavik||ريكيافيك|ریکیاوک|रेक्जाविक
+Madrid|ES|40.4168|-3.7038|Europe/Madrid||مدريد|میڈرڈ|मैड्रिड
+Barcelona|ES|41.3874|2.1686|Europe/Madrid||برشلونة|بارسلونا|बार्सिलोना
+Granada|ES|37.1773|-3.5986|Europe/Madrid||غرناطة|غرناطہ|ग्रेनाडा
+Cordoba|ES|37.8882|-4.7794|Europe/Madrid|cordova|قرطبة|قرطبہ|कॉर्डोबा
+Seville|ES|37.3891|-5.9845|Europe/Madrid|sevilla|إشبيلية|اشبیلیہ|सेविल
+Lisbon|PT|38.7223|-9.1393|Europe/Lisbon|lisboa|لشبونة|لزبن|लिस्बन
+Rome|IT|41.9028|12.4964|Europe/Rome|roma|روما|روم|रोम
+Milan|IT|45.4642|9.1900|Europe/Rome|milano|ميلانو|میلان|मिलान
+Athens|GR|37.9838|23.7275|Europe/Athens|athina|أثينا|ایتھنز|एथेंस
+Sarajevo|BA|43.8563|18.4131|Europe/Sarajevo||سراييفو|سرائیوو|साराजेवो
+Tirana|AL|41.3275|19.8187|Europe/Tirane|tirane|تيرانا|ترانہ|
+Pristina|XK|42.6629|21.1655|Europe/Belgrade|prishtina|بريشتينا||
+Skopje|MK|41.9981|21.4254|Europe/Skopje||سكوبيه||
+Sofia|BG|42.6977|23.3219|Europe/Sofia||صوفيا|صوفیہ|सोफ़िया
+Bucharest|RO|44.4268|26.1025|Europe/Bucharest||بوخارست|بخارسٹ|बुखारेस्ट
+Warsaw|PL|52.2297|21.0122|Europe/Warsaw|warszawa|وارسو|وارسا|वारसॉ
+Prague|CZ|50.0755|14.4378|Europe/Prague|praha|براغ|پراگ|प्राग
+Budapest|HU|47.4979|19.0402|Europe/Budapest||بودابست|بوداپسٹ|बुडापेस्ट
+Kyiv|UA|50.4501|30.5234|Europe/Kiev|kiev|كييف|کیف|कीव
+New York|US|40.7128|-74.0060|America/New_York|nyc,new york city|نيويورك|نیویارک|न्यूयॉर्क
+Los Angeles|US|34.0522|-118.2437|America/Los_Angeles||لوس أنجلوس|لاس اینجلس|लॉस एंजेलिस
+Chicago|US|41.8781|-87.6298|America/Chicago||شيكاغو|شکاگو|शिकागो
+Houston|US|29.7604|-95.3698|America/Chicago||هيوستن|ہیوسٹن|ह्यूस्टन
+Dallas|US|32.7767|-96.7970|America/Chicago||دالاس|ڈیلس|डलास
+Washington|US|38.9072|-77.0369|America/New_York|washington dc,dc|واشنطن|واشنگٹن|वॉशिंगटन
+Philadelphia|US|39.9526|-75.1652|America/New_York|philly|فيلادلفيا|فلاڈیلفیا|फ़िलाडेल्फ़िया
+Boston|US|42.3601|-71.0589|America/New_York||بوسطن|بوسٹن|बोस्टन
+Atlanta|US|33.7490|-84.3880|America/New_York||أتلانتا|اٹلانٹا|अटलांटा
+Miami|US|25.7617|-80.1918|America/New_York||ميامي|میامی|मियामी
+Detroit|US|42.3314|-83.0458|America/Detroit||ديترويت|ڈیٹرائٹ|डेट्रॉइट
+Dearborn|US|42.3223|-83.1763|America/Detroit||ديربورن|ڈیئربورن|
+Minneapolis|US|44.9778|-93.2650|America/Chicago||مينيابوليس|منیاپولس|
+Denver|US|39.7392|-104.9903|America/Denver||دنفر|ڈینور|डेनवर
+Phoenix|US|33.4484|-112.0740|America/Phoenix||فينيكس|فینکس|फ़ीनिक्स
+San Francisco|US|37.7749|-122.4194|America/Los_Angeles|sf|سان فرانسيسكو|سان فرانسسکو|सैन फ़्रांसिस्को
+San Jose|US|37.3382|-121.8863|America/Los_Angeles||سان خوسيه||
+Seattle|US|47.6062|-122.3321|America/Los_Angeles||سياتل|سیئٹل|सिएटल
+Anchorage|US|61.2181|-149.9003|America/Anchorage||أنكوريج||
+Honolulu|US|21.3069|-157.8583|Pacific/Honolulu||هونولولو||
+Toronto|CA|43.6532|-79.3832|America/Toronto||تورنتو|ٹورنٹو|टोरंटो
+Mississauga|CA|43.5890|-79.6441|America/Toronto||ميسيساغا|مسی ساگا|
+Montreal|CA|45.5017|-73.5673|America/Toronto||مونتريال|مونٹریال|मॉन्ट्रियल
+Ottawa|CA|45.4215|-75.6972|America/Toronto||أوتاوا|اوٹاوا|ओटावा
+Vancouver|CA|49.2827|-123.1207|America/Vancouver||فانكوفر|وینکوور|वैंकूवर
+Calgary|CA|51.0447|-114.0719|America/Edmonton||كالغاري|کیلگری|कैलगरी
+Edmonton|CA|53.5461|-113.4938|America/Edmonton||إدمونتون|ایڈمنٹن|एडमॉन्टन
+Winnipeg|CA|49.8951|-97.1384|America/Winnipeg||وينيبيغ|ونی پیگ|
+Mexico City|MX|19.4326|-99.1332|America/Mexico_City|ciudad de mexico,cdmx|مكسيكو سيتي|میکسیکو سٹی|मेक्सिको सिटी
+Sao Paulo|BR|-23.5505|-46.6333|America/Sao_Paulo||ساو باولو|ساؤ پاولو|साओ पाउलो
+Rio de Janeiro|BR|-22.9068|-43.1729|America/Sao_Paulo|rio|ريو دي جانيرو|ریو ڈی جنیرو|रियो डी जेनेरो
+Buenos Aires|AR|-34.6037|-58.3816|America/Argentina/Buenos_Aires||بوينس آيرس|بیونس آئرس|ब्यूनस आयर्स
+Santiago|CL|-33.4489|-70.6693|America/Santiago||سانتياغو|سینٹیاگو|सैंटियागो
+Lima|PE|-12.0464|-77.0428|America/Lima||ليما|لیما|लीमा
+Bogota|CO|4.7110|-74.0721|America/Bogota||بوغوتا|بوگوٹا|बोगोटा
+Caracas|VE|10.4806|-66.9036|America/Caracas||كاراكاس|کراکس|
+Port of Spain|TT|10.6596|-61.5190|America/Port_of_Spain||||
+Georgetown|GY|6.8013|-58.1551|America/Guyana||||
+Paramaribo|SR|5.8520|-55.2038|America/Paramaribo||||
+Sydney|AU|-33.8688|151.2093|Australia/Sydney||سيدني|سڈنی|सिडनी
+Melbourne|AU|-37.8136|144.9631|Australia/Melbourne||ملبورن|میلبورن|मेलबर्न
+Brisbane|AU|-27.4698|153.0251|Australia/Brisbane||بريزبن|برسبین|ब्रिस्बेन
+Perth|AU|-31.9523|115.8613|Australia/Perth||بيرث|پرتھ|पर्थ
+Adelaide|AU|-34.9285|138.6007|Australia/Adelaide||أديلايد|ایڈیلیڈ|एडिलेड
+Auckland|NZ|-36.8485|174.7633|Pacific/Auckland||أوكلاند|آکلینڈ|ऑकलैंड
+Christchurch|NZ|-43.5321|172.6362|Pacific/Auckland||كرايستشيرش|کرائسٹ چرچ|क्राइस्टचर्च
+`;
+
+const COUNTRY_NAMES = {
+  SA: 'Saudi Arabia', AE: 'United Arab Emirates', QA: 'Qatar', KW: 'Kuwait', BH: 'Bahrain', OM: 'Oman',
+  YE: 'Yemen', JO: 'Jordan', PS: 'Palestine', LB: 'Lebanon', SY: 'Syria', IQ: 'Iraq', IR: 'Iran', TR: 'Turkey',
+  EG: 'Egypt', LY: 'Libya', TN: 'Tunisia', DZ: 'Algeria', MA: 'Morocco', SD: 'Sudan', MR: 'Mauritania',
+  SO: 'Somalia', DJ: 'Djibouti', ET: 'Ethiopia', KE: 'Kenya', TZ: 'Tanzania', UG: 'Uganda', NG: 'Nigeria',
+  NE: 'Niger', ML: 'Mali', SN: 'Senegal', GN: 'Guinea', GM: 'Gambia', BF: 'Burkina Faso', TD: 'Chad',
+  CM: 'Cameroon', GH: 'Ghana', CI: 'Ivory Coast', ZA: 'South Africa', MZ: 'Mozambique', MG: 'Madagascar',
+  MU: 'Mauritius', KM: 'Comoros', MV: 'Maldives', PK: 'Pakistan', IN: 'India', BD: 'Bangladesh', NP: 'Nepal',
+  LK: 'Sri Lanka', AF: 'Afghanistan', UZ: 'Uzbekistan', KZ: 'Kazakhstan', KG: 'Kyrgyzstan', TJ: 'Tajikistan',
+  TM: 'Turkmenistan', AZ: 'Azerbaijan', RU: 'Russia', ID: 'Indonesia', MY: 'Malaysia', SG: 'Singapore',
+  BN: 'Brunei', TH: 'Thailand', PH: 'Philippines', MM: 'Myanmar', VN: 'Vietnam', CN: 'China', HK: 'Hong Kong',
+  TW: 'Taiwan', KR: 'South Korea', JP: 'Japan', GB: 'United Kingdom', IE: 'Ireland', FR: 'France',
+  BE: 'Belgium', NL: 'Netherlands', DE: 'Germany', AT: 'Austria', CH: 'Switzerland', DK: 'Denmark',
+  NO: 'Norway', SE: 'Sweden', FI: 'Finland', IS: 'Iceland', ES: 'Spain', PT: 'Portugal', IT: 'Italy',
+  GR: 'Greece', BA: 'Bosnia and Herzegovina', AL: 'Albania', XK: 'Kosovo', MK: 'North Macedonia',
+  BG: 'Bulgaria', RO: 'Romania', PL: 'Poland', CZ: 'Czechia', HU: 'Hungary', UA: 'Ukraine', US: 'United States',
+  CA: 'Canada', MX: 'Mexico', BR: 'Brazil', AR: 'Argentina', CL: 'Chile', PE: 'Peru', CO: 'Colombia',
+  VE: 'Venezuela', TT: 'Trinidad and Tobago', GY: 'Guyana', SR: 'Suriname', AU: 'Australia', NZ: 'New Zealand'
+};
+
+// Extra country spellings for "Hyderabad, Pakistan" style qualifiers
+const COUNTRY_ALIASES = {
+  uk: 'GB', england: 'GB', scotland: 'GB', wales: 'GB', britain: 'GB', usa: 'US', america: 'US', uae: 'AE',
+  emirates: 'AE', ksa: 'SA', turkiye: 'TR', holland: 'NL', bosnia: 'BA', czech: 'CZ', korea: 'KR'
+};
+
+// Names that are also ordinary words; in chat messages they only count after a preposition ("in Surat")
+const AMBIGUOUS_NAMES = [
+  'male', 'surat', 'rio', 'dc', 'kl', 'sf', 'jb', 'dar', 'casa', 'mazar', 'lima', 'aden', 'kashi', 'canton',
+  'washington', 'phoenix', 'sofia', 'sana', 'fez', 'qum', 'جدة', 'عين', 'المدينة', 'حمص', 'قم', 'عدن', 'فاس',
+  'سورت', 'सूरत', 'मक्का', 'सना'
+];
+
+// Words that introduce a place in English, Urdu/Hindi (romanized and in script) and Arabic
+const PLACE_PREPOSITIONS = ['in', 'for', 'at', 'near', 'of', 'mein', 'me', 'mai', 'ka', 'ki', 'ke', 'में', 'का', 'की', 'के', 'میں', 'کا', 'کی', 'کے', 'في', 'فى'];
+
+// Words that make a city right next to them the subject of a prayer-time question ("Lahore prayer times", "fajr time hyderabad")
+const PRAYER_TIME_WORDS = [
+  'prayer', 'prayers', 'time', 'times', 'timing', 'timings', 'schedule', 'namaz', 'namaaz', 'salah', 'salat', 'waqt', 'auqat',
+  'fajr', 'sunrise', 'dhuhr', 'zuhr', 'asr', 'maghrib', 'isha', 'sehri', 'suhoor', 'iftar', 'jumuah',
+  'نماز', 'وقت', 'اوقات', 'مواقيت', 'الصلاة', 'नमाज़', 'समय'
+];
+
+let sharedIndex = null;
+
+export class CityGazetteer {
+  /**
+   * @param {string} data - City table in the CITY_DATA format (default: the bundled table)
+   */
+  constructor(data = null) {
+    // The bundled table is parsed once per isolate; LocationPrayerService is created per request
+    if (data === null) {
+      sharedIndex = sharedIndex || this._buildIndex(CITY_DATA);
+      Object.assign(this, sharedIndex);
+    } else {
+      Object.assign(this, this._buildIndex(data));
+    }
+    this.countryNames = COUNTRY_NAMES;
+    this.ambiguousNames = new Set(AMBIGUOUS_NAMES.map(name => this.normalize(name)));
+    this.placePrepositions = new Set(PLACE_PREPOSITIONS.map(word => this.normalize(word)));
+    this.prayerTimeWords = new Set(PRAYER_TIME_WORDS.map(word => this.normalize(word)));
+  }
+
+  /**
+   * Normalize a name for matching: case, Latin accents, Arabic/Urdu letter variants, Hindi nukta, punctuation
+   * @param {string} text - Name or message
+   * @returns {string} Normalized text with single spaces
+   */
+  normalize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .normalize('NFKD')
+      .replace(/[̀-ͯ]/g, '')
+      .replace(/ø/g, 'o').replace(/ß/g, 'ss').replace(/ı/g, 'i')
+      // Arabic harakat, superscript alef and tatweel
+      .replace(/[ً-ٰٟـ]/g, '')
+      // Hamza seats and Urdu letter forms to plain Arabic letters
+      .replace(/[أإآٱ]/g, 'ا').replace(/ة/g, 'ه').replace(/[ىیےې]/g, 'ي').replace(/ک/g, 'ك')
+      .replace(/[ہۃھ]/g, 'ه').replace(/ؤ/g, 'و').replace(/ئ/g, 'ي')
+      // Devanagari nukta
+      .replace(/़/g, '')
+      .replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ')
+      .trim();
+  }
+
+  /**
+   * Find a city by name, tolerating typos and an optional country ("Hyderabad, Pakistan", "tripoli lb")
+   * @param {string} query - City name in any supported script
+   * @returns {Object|null} City { key, name, countryCode, country, lat, lng, timezone, matchedName, distance }
+   */
+  lookup(query) {
+    const text = String(query || '');
+    let name = this.normalize(text);
+    if (!name) return null;
+
+    // Country after a comma, or as the trailing word(s)
+    let countryCode = null;
+    if (text.includes(',')) {
+      const parts = text.split(',');
+      const code = this.findCountryCode(parts.slice(1).join(' '));
+      if (code) {
+        countryCode = code;
+        name = this.normalize(parts[0]);
+      }
+    }
+    if (!countryCode && !this.index.has(name)) {
+      const words = name.split(' ');
+      for (let n = Math.min(3, words.length - 1); n >= 1; n--) {
+        const code = this.findCountryCode(words.slice(-n).join(' '));
+        if (code) {
+          countryCode = code;
+          name = words.slice(0, -n).join(' ');
+          break;
+        }
+      }
+    }
+
+    const inCountry = (city) => !countryCode || city.countryCode === countryCode;
+    const exact = (this.index.get(name) || []).filter(inCountry);
+    if (exact.length > 0) {
+      return this._result(exact[0], name, 0);
+    }
+
+    // Typos: one edit for short names, two for longer ones; short names must match exactly
+    const maxDistance = name.length <= 4 ? 0 : name.length <= 8 ? 1 : 2;
+    if (maxDistance === 0) return null;
+    let best = null;
+    for (const [candidate, cities] of this.index) {
+      if (Math.abs(candidate.length - name.length) > maxDistance) continue;
+      const distance = this.editDistance(name, candidate, maxDistance);
+      if (distance > maxDistance || (best && distance >= best.distance)) continue;
+      const city = cities.find(inCountry);
+      if (city && (!best || distance < best.distance || city.rank < best.city.rank)) {
+        best = { city, candidate, distance };
+      }
+    }
+    return best ? this._result(best.city, best.candidate, best.distance) : null;
+  }
+
+  /**
+   * Closest city names, for "did you mean" hints
+   * @param {string} query - Unknown city name
+   * @param {number} limit - Number of suggestions
+   * @returns {Array<string>} City names
+   */
+  suggest(query, limit = 3) {
+    const name = this.normalize(query);
+    if (!name) return [];
+    const scored = [];
+    for (const [candidate, cities] of this.index) {
+      const distance = this.editDistance(name, candidate, 3);
+      if (distance <= 3) scored.push({ name: cities[0].name, distance, rank: cities[0].rank });
+    }
+    const names = [];
+    for (const entry of scored.sort((a, b) => a.distance - b.distance || a.rank - b.rank)) {
+      if (!names.includes(entry.name)) names.push(entry.name);
+      if (names.length >= limit) break;
+    }
+    return names;
+  }
+
+  /**
+   * Find the city a prayer-time message asks about, e.g. "prayer times in Toronto" or "لاہور میں نماز کا وقت"
+   * Only exact names (in any script) count, and only as the place asked about: introduced by a preposition
+   * ("in", "میں", Arabic bi-) or next to a prayer-time word ("Lahore prayer times"). Other mentions, such as
+   * "travelling from Medina to Jeddah", are ignored; ambiguous names always need a preposition
+   * @param {string} message - User message
+   * @returns {Object|null} City as returned by lookup(), or null when none is mentioned
+   */
+  extractCity(message) {
+    const words = this.normalize(message).split(' ').filter(Boolean);
+    let found = null;
+    for (let i = 0; i < words.length; i++) {
+      for (let n = Math.min(this.maxWords, words.length - i); n >= 1; n--) {
+        const match = this._matchWords(words.slice(i, i + n));
+        if (!match) continue;
+        // "بالقاهرة": the prefix bi-/li- is the preposition
+        const prefixed = match.name !== words.slice(i, i + n).join(' ') && /^[بل]/u.test(words[i]);
+        const afterPreposition = prefixed || (i > 0 && this.placePrepositions.has(words[i - 1]));
+        const beforePostposition = i + n < words.length && this.placePrepositions.has(words[i + n]);
+        const introduced = afterPreposition || beforePostposition;
+        const besidePrayerTime = (i > 0 && this.prayerTimeWords.has(words[i - 1])) ||
+          (i + n < words.length && this.prayerTimeWords.has(words[i + n]));
+        if (this.ambiguousNames.has(match.name) ? !introduced : !introduced && !besidePrayerTime) continue;
+        // Longest name wins; among equals, one introduced by a preposition
+        const score = n * 2 + (introduced ? 1 : 0);
+        if (!found || score > found.score) {
+          found = { ...match, start: i, length: n, score };
+        }
+        break;
+      }
+    }
+    if (!found) return null;
+
+    // A following country picks between same-named cities ("Hyderabad Pakistan")
+    let city = found.cities[0];
+    for (let n = 3; n >= 1; n--) {
+      const code = this.findCountryCode(words.slice(found.start + found.length, found.start + found.length + n).join(' '));
+      const qualified = code && found.cities.find(candidate => candidate.countryCode === code);
+      if (qualified) {
+        city = qualified;
+        break;
+      }
+    }
+    return this._result(city, found.name, 0);
+  }
+
+  /**
+   * ISO code for a country name, alias or code
+   * @param {string} text - Country text
+   * @returns {string|null} Upper-case code
+   */
+  findCountryCode(text) {
+    const name = this.normalize(text);
+    if (!name) return null;
+    if (/^[a-z]{2}$/.test(name) && COUNTRY_NAMES[name.toUpperCase()]) return name.toUpperCase();
+    if (COUNTRY_ALIASES[name]) return COUNTRY_ALIASES[name];
+    return this.countryIndex.get(name) || null;
+  }
+
+  /**
+   * Edit distance where swapping two neighbouring letters counts once ("toronot"), giving up early past a limit
+   * @returns {number} Distance (limit + 1 when over the limit)
+   */
+  editDistance(a, b, limit = Infinity) {
+    if (a === b) return 0;
+    let beforePrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        if (beforePrevious && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+        }
+        rowMin = Math.min(rowMin, current[j]);
+      }
+      if (rowMin > limit) return limit + 1;
+      beforePrevious = previous;
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  _matchWords(words) {
+    const name = words.join(' ');
+    if (this.index.has(name)) return { name, cities: this.index.get(name) };
+    // Arabic prefixes joined to the word: bi-, li-, wa-, fa- ("بالقاهرة", "لمكة")
+    const stripped = name.replace(/^[وبلف](?=\p{Script=Arabic}{3})/u, '');
+    if (stripped !== name && this.index.has(stripped)) return { name: stripped, cities: this.index.get(stripped) };
+    const withArticle = stripped.replace(/^ل(?=ل)/u, 'ا');
+    if (withArticle !== stripped && this.index.has(withArticle)) return { name: withArticle, cities: this.index.get(withArticle) };
+    return null;
+  }
+
+  _result(city, matchedName, distance) {
+    return { ...city, matchedName, distance };
+  }
+
+  _buildIndex(data) {
+    const cities = [];
+    const index = new Map();
+    let maxWords = 1;
+    const add = (name, city) => {
+      const key = this.normalize(name);
+      if (!key) return;
+      const entries = index.get(key) || [];
+      if (!entries.includes(city)) entries.push(city);
+      index.set(key, entries);
+      maxWords = Math.max(maxWords, key.split(' ').length);
+    };
+
+    for (const line of data.split('\n')) {
+      if (!line.trim()) continue;
+      const [name, countryCode, lat, lng, timezone, latin = '', arabic = '', urdu = '', hindi = ''] = line.split('|');
+      const city = {
+        key: name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, ''),
+        name,
+        countryCode,
+        country: COUNTRY_NAMES[countryCode] || null,
+        lat: parseFloat(lat),
+        lng: parseFloat(lng),
+        timezone,
+        names: {
+          arabic: arabic ? arabic.split(',')[0] : null,
+          urdu: urdu ? urdu.split(',')[0] : null,
+          hindi: hindi ? hindi.split(',')[0] : null
+        },
+        rank: cities.length
+      };
+      cities.push(city);
+      const alternates = [latin, arabic, urdu, hindi].flatMap(list => list.split(',')).filter(Boolean);
+      for (const alternate of [name, ...alternates]) {
+        add(alternate, city);
+        // Arabic names are also written without the article ("قاهرة")
+        const normalized = this.normalize(alternate);
+        if (/^ال\p{Script=Arabic}{3}/u.test(normalized)) add(normalized.slice(2), city);
+      }
+    }
+
+    const countryIndex = new Map();
+    for (const [code, country] of Object.entries(COUNTRY_NAMES)) {
+      countryIndex.set(this.normalize(country), code);
+    }
+    return { cities, index, countryIndex, maxWords };
+  }
+}
@@ -909,9 +909,11 @@ export class ContextIntegrator {
    * @param {Array} pastContext - Array of past context items
    * @param {Object} analysisResults - Results from contextual analysis
    * @param {Object} languagePreferences - User's language preferences
+   * @param {Object} options - { historyInTurns }: the conversation is sent to the model as real turns,
+   *   so the prompt leaves out the current message and the past-context excerpts
    * @returns {Object} Integrated context with prioritization
    */
-  integrateContext(currentMessage, pastContext, analysisResults, languagePreferences = null) {
+  integrateContext(currentMessage, pastContext, analysisResults, languagePreferences = null, options = {}) {
     const integratedContext = {
       currentMessage,
       prioritizedContext: [],
@@ -984,7 +986,8 @@ export class ContextIntegrator {
       integratedContext.integrationStrategy,
       weightedContext,
       languagePreferences,
-      analysisResults
+      analysisResults,
+      options
     );
     
     return integratedContext;
@@ -1015,24 +1018,25 @@ export class ContextIntegrator {
    * @param {Object} weightedContext - Weighted context information
    * @param {Object} languagePreferences - User's language preferences
    * @param {Object} analysisResults - Contextual analysis results
+   * @param {Object} options - { historyInTurns } as for integrateContext()
    * @returns {string} Enhanced integrated prompt
    * @private
    */
-  _buildEnhancedIntegratedPrompt(prioritizedContext, strategy, weightedContext, languagePreferences = null, analysisResults) {
+  _buildEnhancedIntegratedPrompt(prioritizedContext, strategy, weightedContext, languagePreferences = null, analysisResults, options = {}) {
     // Sort by priority (highest first)
     const sortedContext = [...prioritizedContext].sort((a, b) => b.priority - a.priority);
     
     let prompt = '';
     
-    // Add current message first (highest priority)
+    // Add current message first (highest priority); with real turns it is the last user turn instead
     const currentMessageItem = sortedContext.find(item => item.type === 'current_message');
-    if (currentMessageItem) {
+    if (currentMessageItem && !options.historyInTurns) {
       prompt += `**CURRENT USER MESSAGE (PRIMARY FOCUS - ${(weightedContext.currentMessage.weight * 100).toFixed(1)}% weight):**\n${currentMessageItem.content}\n\n`;
     }
     
     // Add relevant past context if any and if strategy warrants it
     const pastContextItems = sortedContext.filter(item => item.type === 'past_context');
-    if (pastContextItems.length > 0 && strategy !== 'current_focus') {
+    if (pastContextItems.length > 0 && strategy !== 'current_focus' && !options.historyInTurns) {
       prompt += '**RELEVANT CONTEXT FROM PREVIOUS MESSAGES:**\n';
       pastContextItems.forEach(item => {
         const weightPercent = (item.weight * 100).toFixed(1);
@@ -1043,7 +1047,9 @@ export class ContextIntegrator {
     
     // Add instruction for response prioritization based on strategy
     prompt += '**RESPONSE INSTRUCTIONS:**\n';
-    prompt += '1. PRIMARY FOCUS: Respond directly and comprehensively to the CURRENT USER MESSAGE above\n';
+    prompt += options.historyInTurns
+      ? '1. PRIMARY FOCUS: Respond directly and comprehensively to the user\'s latest message\n'
+      : '1. PRIMARY FOCUS: Respond directly and comprehensively to the CURRENT USER MESSAGE above\n';
     
     // Adjust instructions based on integration strategy
     switch (strategy) {
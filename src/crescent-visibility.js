@@ -0,0 +1,498 @@
+/**
+ * CrescentVisibility - Will the new crescent be seen this evening?
+ * Computes the conjunction, moon age, lag, arc of light and crescent width at local sunset and
+ * classifies visibility with the Yallop (1997) and Odeh (2004) criteria
+ * Moon and sun positions follow Meeus, Astronomical Algorithms (truncated series, ~1' accuracy)
+ */
+
+import { LocationPrayerService } from './location-prayer-service.js';
+import { HijriCalendar } from './hijri-calendar.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const SYNODIC_MONTH = 29.530588861;
+const EARTH_RADIUS_KM = 6378.14;
+// Ratio of the moon's radius to the earth's
+const MOON_RADIUS_RATIO = 0.272481;
+
+// Periodic terms for the moon's longitude (1e-6 deg) and distance (1e-3 km): multiples of D, M, M', F
+const MOON_LONGITUDE_DISTANCE = [
+  [0, 0, 1, 0, 6288774, -20905355], [2, 0, -1, 0, 1274027, -3699111], [2, 0, 0, 0, 658314, -2955968],
+  [0, 0, 2, 0, 213618, -569925], [0, 1, 0, 0, -185116, 48888], [0, 0, 0, 2, -114332, -3149],
+  [2, 0, -2, 0, 58793, 246158], [2, -1, -1, 0, 57066, -152138], [2, 0, 1, 0, 53322, -170733],
+  [2, -1, 0, 0, 45758, -204586], [0, 1, -1, 0, -40923, -129620], [1, 0, 0, 0, -34720, 108743],
+  [0, 1, 1, 0, -30383, 104755], [2, 0, 0, -2, 15327, 10321], [0, 0, 1, 2, -12528, 0],
+  [0, 0, 1, -2, 10980, 79661], [4, 0, -1, 0, 10675, -34782], [0, 0, 3, 0, 10034, -23210],
+  [4, 0, -2, 0, 8548, -21636], [2, 1, -1, 0, -7888, 24208], [2, 1, 0, 0, -6766, 30824],
+  [1, 0, -1, 0, -5163, -8379], [1, 1, 0, 0, 4987, -16675], [2, -1, 1, 0, 4036, -12831],
+  [2, 0, 2, 0, 3994, -10445], [4, 0, 0, 0, 3861, -11650], [2, 0, -3, 0, 3665, 14403],
+  [0, 1, -2, 0, -2689, -7003], [2, 0, -1, 2, -2602, 0], [2, -1, -2, 0, 2390, 10056],
+  [1, 0, 1, 0, -2348, 6322], [2, -2, 0, 0, 2236, -9884], [0, 1, 2, 0, -2120, 5751],
+  [0, 2, 0, 0, -2069, 0], [2, -2, -1, 0, 2048, -4950], [2, 0, 1, -2, -1773, 4130],
+  [2, 0, 0, 2, -1595, 0], [4, -1, -1, 0, 1215, -3958], [0, 0, 2, 2, -1110, 0],
+  [3, 0, -1, 0, -892, 3258], [2, 1, 1, 0, -810, 2616], [4, -1, -2, 0, 759, -1897],
+  [0, 2, -1, 0, -713, -2117], [2, 2, -1, 0, -700, 2354], [2, 1, -2, 0, 691, 0],
+  [2, -1, 0, -2, 596, 0], [4, 0, 1, 0, 549, -1423], [0, 0, 4, 0, 537, -1117],
+  [4, -1, 0, 0, 520, -1571], [1, 0, -2, 0, -487, -1739], [2, 1, 0, -2, -399, 0],
+  [0, 0, 2, -2, -381, -4421], [1, 1, 1, 0, 351, 0], [3, 0, -2, 0, -340, 0],
+  [4, 0, -3, 0, 330, 0], [2, -1, 2, 0, 327, 0], [0, 2, 1, 0, -323, 1165],
+  [1, 1, -1, 0, 299, 0], [2, 0, 3, 0, 294, 0], [2, 0, -1, -2, 0, 8752]
+];
+
+// Periodic terms for the moon's latitude (1e-6 deg), largest first
+const MOON_LATITUDE = [
+  [0, 0, 0, 1, 5128122], [0, 0, 1, 1, 280602], [0, 0, 1, -1, 277693], [2, 0, 0, -1, 173237],
+  [2, 0, -1, 1, 55413], [2, 0, -1, -1, 46271], [2, 0, 0, 1, 32573], [0, 0, 2, 1, 17198],
+  [2, 0, 1, -1, 9266], [0, 0, 2, -1, 8822], [2, -1, 0, -1, 8216], [2, 0, -2, -1, 4324],
+  [2, 0, 1, 1, 4200], [2, 1, 0, -1, -3359], [2, -1, -1, 1, 2463], [2, -1, 0, 1, 2211],
+  [2, -1, -1, -1, 2065], [0, 1, -1, -1, -1870], [4, 0, -1, -1, 1828], [0, 1, 0, 1, -1794],
+  [0, 0, 0, 3, -1749], [0, 1, -1, 1, -1565], [1, 0, 0, 1, -1491], [0, 1, 1, 1, -1475],
+  [0, 1, 1, -1, -1410], [0, 1, 0, -1, -1344], [1, 0, 0, -1, -1335], [0, 0, 3, 1, 1107],
+  [4, 0, 0, -1, 1021], [4, 0, -1, 1, 833]
+];
+
+export class CrescentVisibility {
+  constructor(locationService = new LocationPrayerService(), hijriCalendar = new HijriCalendar()) {
+    this.locationService = locationService;
+    this.hijriCalendar = hijriCalendar;
+
+    // Yallop q thresholds (lower bound of each class) and Odeh V thresholds
+    this.yallopClasses = [
+      { code: 'A', min: 0.216, description: 'Easily visible to the naked eye' },
+      { code: 'B', min: -0.014, description: 'Visible under perfect conditions' },
+      { code: 'C', min: -0.160, description: 'May need optical aid to find the crescent before it is seen by eye' },
+      { code: 'D', min: -0.232, description: 'Needs optical aid to find the crescent' },
+      { code: 'E', min: -0.293, description: 'Not visible even with a telescope' },
+      { code: 'F', min: -Infinity, description: 'Not visible: below the Danjon limit' }
+    ];
+    this.odehZones = [
+      { code: 'A', min: 5.65, description: 'Visible by naked eye' },
+      { code: 'B', min: 2.00, description: 'Visible by optical aid, could be seen by naked eye' },
+      { code: 'C', min: -0.96, description: 'Visible by optical aid only' },
+      { code: 'D', min: -Infinity, description: 'Not visible even by optical aid' }
+    ];
+    // Below this elongation no crescent forms at all (Danjon limit as used by Odeh)
+    this.danjonLimit = 6.4;
+
+    this.crescentKeywords = ['crescent', 'hilal', 'hilaal', 'new moon', 'moon sighting', 'moonsighting', 'moon be seen',
+                             'moon be visible', 'moon visible', 'see the moon', 'sight the moon', 'chand', 'chaand',
+                             'ruet', 'ruyat', 'هلال', 'رؤية', 'رؤیت', 'چاند', 'चाँद', 'चांद', 'চাঁদ'];
+  }
+
+  /**
+   * Crescent visibility at sunset on one evening
+   * @param {Object} location - Location with lat/lng/timezone
+   * @param {string} date - Local date of the evening, YYYY-MM-DD
+   * @returns {Object} Conjunction, sunset/moonset, age, lag, geometry and the Yallop/Odeh classes
+   */
+  getVisibility(location, date) {
+    const service = this.locationService;
+    const timezone = location.timezone || 'UTC';
+    const sunset = this.findSunset(location, date);
+    if (sunset === null) {
+      return { date, timezone, sunset: null, verdict: 'no_sunset', reason: 'The sun does not set at this latitude on this date' };
+    }
+
+    const conjunction = this.previousConjunction(sunset + 12 * HOUR_MS);
+    const moonset = this.findMoonset(location, sunset);
+    const lagMinutes = moonset === null ? null : Math.round((moonset - sunset) / 60000);
+    const ageHours = (sunset - conjunction) / HOUR_MS;
+
+    // Yallop's best time: four ninths of the lag after sunset
+    const bestTime = lagMinutes !== null && lagMinutes > 0 ? sunset + lagMinutes * 60000 * 4 / 9 : sunset;
+    const geometry = this.getGeometry(location, bestTime);
+    const yallop = this.classify(this.yallopClasses, geometry.yallopQ);
+    const odeh = this.classify(this.odehZones, geometry.odehV);
+
+    let verdict;
+    let reason = null;
+    if (conjunction > sunset) {
+      verdict = 'impossible';
+      reason = 'Conjunction has not happened by sunset';
+    } else if (lagMinutes !== null && lagMinutes <= 0) {
+      verdict = 'impossible';
+      reason = 'The moon sets before the sun';
+    } else if (geometry.arclTopocentric < this.danjonLimit) {
+      verdict = 'not_visible';
+      reason = `Arc of light below the Danjon limit (${this.danjonLimit}°)`;
+    } else {
+      verdict = { A: 'naked_eye', B: 'optical_aid_likely_naked_eye', C: 'optical_aid', D: 'not_visible' }[odeh.code];
+    }
+    if (verdict === 'impossible' || verdict === 'not_visible') {
+      odeh.code = 'D';
+      odeh.description = this.odehZones[3].description;
+    }
+
+    return {
+      date,
+      timezone,
+      conjunction: service.formatInstantWithOffset(conjunction, timezone),
+      sunset: service.formatInstantWithOffset(sunset, timezone),
+      moonset: moonset === null ? null : service.formatInstantWithOffset(moonset, timezone),
+      bestTime: service.formatInstantWithOffset(bestTime, timezone),
+      moonAgeHours: this._round(ageHours, 1),
+      lagMinutes,
+      moonAltitude: this._round(geometry.moonAltitude, 2),
+      sunAltitude: this._round(geometry.sunAltitude, 2),
+      arcv: this._round(geometry.arcvTopocentric, 2),
+      arcl: this._round(geometry.arclTopocentric, 2),
+      daz: this._round(geometry.daz, 2),
+      widthArcmin: this._round(geometry.width, 3),
+      illumination: this._round(geometry.illumination * 100, 2),
+      yallop: { q: this._round(geometry.yallopQ, 3), ...yallop },
+      odeh: { v: this._round(geometry.odehV, 2), ...odeh },
+      verdict,
+      reason
+    };
+  }
+
+  /**
+   * Outlook for the start of the next (or just begun) lunar month: the conjunction and the two evenings after it
+   * @param {Object} location - Location with lat/lng/timezone
+   * @param {Date} now - Moment of the question (default: now)
+   * @returns {Object} { conjunction, month, evenings: [visibility, visibility] }
+   */
+  getMonthStartOutlook(location, now = new Date()) {
+    const service = this.locationService;
+    const timezone = location.timezone || 'UTC';
+    // A conjunction in the last two days still decides tonight's sighting; otherwise look ahead
+    let conjunction = this.previousConjunction(now.getTime());
+    if (now.getTime() - conjunction > 2 * DAY_MS) {
+      conjunction = this.nextConjunction(now.getTime());
+    }
+    const firstEvening = service.getLocalDateString(timezone, new Date(conjunction));
+    const secondEvening = new Date(Date.parse(`${firstEvening}T00:00:00Z`) + DAY_MS).toISOString().split('T')[0];
+    // The month that begins is the one in force half a lunation later
+    const month = this.hijriCalendar.toHijri(new Date(conjunction + 15 * DAY_MS));
+
+    return {
+      conjunction: service.formatInstantWithOffset(conjunction, timezone),
+      month: { year: month.year, month: month.month, name: month.monthName, nameArabic: month.monthNameArabic },
+      evenings: [this.getVisibility(location, firstEvening), this.getVisibility(location, secondEvening)]
+    };
+  }
+
+  /**
+   * Sun/moon geometry at an instant, with the Yallop q and Odeh V values
+   * @param {Object} location - Location with lat/lng
+   * @param {number} instant - Epoch milliseconds
+   * @returns {Object} Altitudes, ARCV, ARCL, DAZ, width (arcmin), illumination, q and V
+   */
+  getGeometry(location, instant) {
+    const jd = this.julianDay(instant);
+    const sun = this.sunPosition(jd);
+    const moon = this.moonPosition(jd);
+    const sunHorizontal = this.horizontal(sun, jd, location);
+    const moonHorizontal = this.horizontal(moon, jd, location);
+
+    // Parallax lowers the moon as seen from the surface; azimuth barely changes
+    const parallax = this._deg(Math.asin(EARTH_RADIUS_KM / moon.distance));
+    const moonAltitude = moonHorizontal.altitude - parallax * Math.cos(this._rad(moonHorizontal.altitude));
+    const arcvGeocentric = moonHorizontal.altitude - sunHorizontal.altitude;
+    const arcvTopocentric = moonAltitude - sunHorizontal.altitude;
+    const daz = sunHorizontal.azimuth - moonHorizontal.azimuth;
+
+    const separation = (h1, h2, dAz) => this._deg(Math.acos(Math.min(1, Math.max(-1,
+      Math.sin(this._rad(h1)) * Math.sin(this._rad(h2)) + Math.cos(this._rad(h1)) * Math.cos(this._rad(h2)) * Math.cos(this._rad(dAz))))));
+    const arclGeocentric = separation(sunHorizontal.altitude, moonHorizontal.altitude, daz);
+    const arclTopocentric = separation(sunHorizontal.altitude, moonAltitude, daz);
+
+    // Semi-diameter in arcminutes, enlarged slightly as the moon rises towards the observer
+    const semiDiameter = this._deg(Math.asin(MOON_RADIUS_RATIO * Math.sin(this._rad(parallax)))) * 60;
+    const topocentricSemiDiameter = semiDiameter * (1 + Math.sin(this._rad(moonAltitude)) * Math.sin(this._rad(parallax)));
+    const widthYallop = topocentricSemiDiameter * (1 - Math.cos(this._rad(arclGeocentric)));
+    const width = topocentricSemiDiameter * (1 - Math.cos(this._rad(arclTopocentric)));
+    const limit = (w) => -0.1018 * w ** 3 + 0.7319 * w ** 2 - 6.3226 * w;
+
+    return {
+      sunAltitude: sunHorizontal.altitude,
+      moonAltitude,
+      arcvGeocentric,
+      arcvTopocentric,
+      arclGeocentric,
+      arclTopocentric,
+      daz,
+      width,
+      illumination: (1 - Math.cos(this._rad(arclGeocentric))) / 2,
+      yallopQ: (arcvGeocentric - (11.8371 + limit(widthYallop))) / 10,
+      odehV: arcvTopocentric - (7.1651 + limit(width))
+    };
+  }
+
+  /**
+   * Instant of sunset (upper limb with standard refraction) on a local date
+   * @param {Object} location - Location with lat/lng/timezone
+   * @param {string} date - Local date YYYY-MM-DD
+   * @returns {number|null} Epoch milliseconds, or null when the sun does not set
+   */
+  findSunset(location, date) {
+    const noon = this.locationService.localTimeToInstant(location.timezone || 'UTC', date, '12:00');
+    const altitude = (instant) => {
+      const jd = this.julianDay(instant);
+      return this.horizontal(this.sunPosition(jd), jd, location).altitude + 0.8333;
+    };
+    return this._findSetting(altitude, noon - 2 * HOUR_MS, noon + 14 * HOUR_MS, noon);
+  }
+
+  /**
+   * Instant of moonset nearest a sunset
+   * @param {Object} location - Location with lat/lng
+   * @param {number} sunset - Sunset, epoch milliseconds
+   * @returns {number|null} Epoch milliseconds, or null if the moon does not set within hours of sunset
+   */
+  findMoonset(location, sunset) {
+    const altitude = (instant) => {
+      const jd = this.julianDay(instant);
+      const moon = this.moonPosition(jd);
+      const parallax = this._deg(Math.asin(EARTH_RADIUS_KM / moon.distance));
+      // Upper limb on the horizon, with parallax and refraction (Meeus h0 = 0.7275 parallax - 34')
+      return this.horizontal(moon, jd, location).altitude - (0.7275 * parallax - 0.5667);
+    };
+    return this._findSetting(altitude, sunset - 6 * HOUR_MS, sunset + 8 * HOUR_MS, sunset);
+  }
+
+  /**
+   * Latest geocentric conjunction (new moon) at or before an instant
+   * @param {number} instant - Epoch milliseconds
+   * @returns {number} Epoch milliseconds
+   */
+  previousConjunction(instant) {
+    let k = Math.floor((this.julianDay(instant) - 2451550.09766) / SYNODIC_MONTH);
+    let conjunction = this.conjunction(k);
+    while (conjunction > instant) conjunction = this.conjunction(--k);
+    const following = this.conjunction(k + 1);
+    return following <= instant ? following : conjunction;
+  }
+
+  /**
+   * First geocentric conjunction after an instant
+   * @param {number} instant - Epoch milliseconds
+   * @returns {number} Epoch milliseconds
+   */
+  nextConjunction(instant) {
+    let k = Math.floor((this.julianDay(instant) - 2451550.09766) / SYNODIC_MONTH);
+    let conjunction = this.conjunction(k);
+    while (conjunction <= instant) conjunction = this.conjunction(++k);
+    return conjunction;
+  }
+
+  /**
+   * Conjunction number k counted from the new moon of 6 January 2000
+   * @param {number} k - Lunation number
+   * @returns {number} Epoch milliseconds when the moon's and sun's longitudes are equal
+   */
+  conjunction(k) {
+    let jd = 2451550.09766 + SYNODIC_MONTH * k;
+    for (let i = 0; i < 10; i++) {
+      const elongation = this._normalize180(this.moonPosition(jd).longitude - this.sunPosition(jd).longitude);
+      // The moon gains about 12.19 degrees a day on the sun
+      const step = -elongation / 12.1907;
+      jd += step;
+      if (Math.abs(step) < 1 / 86400) break;
+    }
+    return (jd - 2440587.5) * DAY_MS;
+  }
+
+  /**
+   * Apparent geocentric position of the sun (Meeus ch. 25, low accuracy)
+   * @param {number} jd - Julian Day (UT)
+   * @returns {Object} { longitude, latitude, ra, dec } in degrees
+   */
+  sunPosition(jd) {
+    const T = (jd + this.deltaT(jd) / 86400 - 2451545) / 36525;
+    const L0 = 280.46646 + 36000.76983 * T + 0.0003032 * T * T;
+    const M = this._rad(357.52911 + 35999.05029 * T - 0.0001537 * T * T);
+    const C = (1.914602 - 0.004817 * T - 0.000014 * T * T) * Math.sin(M) + (0.019993 - 0.000101 * T) * Math.sin(2 * M) + 0.000289 * Math.sin(3 * M);
+    const omega = this._rad(125.04 - 1934.136 * T);
+    const longitude = this._normalize360(L0 + C - 0.00569 - 0.00478 * Math.sin(omega));
+    return this._equatorial(longitude, 0, T);
+  }
+
+  /**
+   * Apparent geocentric position of the moon (Meeus ch. 47, truncated)
+   * @param {number} jd - Julian Day (UT)
+   * @returns {Object} { longitude, latitude, ra, dec } in degrees and distance in km
+   */
+  moonPosition(jd) {
+    const T = (jd + this.deltaT(jd) / 86400 - 2451545) / 36525;
+    const Lp = 218.3164477 + 481267.88123421 * T - 0.0015786 * T * T + T ** 3 / 538841;
+    const D = 297.8501921 + 445267.1114034 * T - 0.0018819 * T * T + T ** 3 / 545868;
+    const M = 357.5291092 + 35999.0502909 * T - 0.0001536 * T * T;
+    const Mp = 134.9633964 + 477198.8675055 * T + 0.0087414 * T * T + T ** 3 / 69699;
+    const F = 93.2720950 + 483202.0175233 * T - 0.0036539 * T * T - T ** 3 / 3526000;
+    const A1 = 119.75 + 131.849 * T;
+    const A2 = 53.09 + 479264.290 * T;
+    const A3 = 313.45 + 481266.484 * T;
+    // Terms involving the sun's anomaly shrink with the earth's orbital eccentricity
+    const E = 1 - 0.002516 * T - 0.0000074 * T * T;
+    const argument = (d, m, mp, f) => this._rad(d * D + m * M + mp * Mp + f * F);
+
+    let sumL = 0;
+    let sumR = 0;
+    for (const [d, m, mp, f, l, r] of MOON_LONGITUDE_DISTANCE) {
+      const factor = E ** Math.abs(m);
+      const arg = argument(d, m, mp, f);
+      sumL += l * factor * Math.sin(arg);
+      sumR += r * factor * Math.cos(arg);
+    }
+    let sumB = 0;
+    for (const [d, m, mp, f, b] of MOON_LATITUDE) {
+      sumB += b * E ** Math.abs(m) * Math.sin(argument(d, m, mp, f));
+    }
+    sumL += 3958 * Math.sin(this._rad(A1)) + 1962 * Math.sin(this._rad(Lp - F)) + 318 * Math.sin(this._rad(A2));
+    sumB += -2235 * Math.sin(this._rad(Lp)) + 382 * Math.sin(this._rad(A3)) + 175 * Math.sin(this._rad(A1 - F))
+      + 175 * Math.sin(this._rad(A1 + F)) + 127 * Math.sin(this._rad(Lp - Mp)) - 115 * Math.sin(this._rad(Lp + Mp));
+
+    // Nutation in longitude (main term) so the moon is on the same footing as the apparent sun
+    const omega = this._rad(125.04452 - 1934.136261 * T);
+    const longitude = this._normalize360(Lp + sumL / 1e6 - 0.00478 * Math.sin(omega));
+    return {
+      ...this._equatorial(longitude, sumB / 1e6, T),
+      distance: 385000.56 + sumR / 1000
+    };
+  }
+
+  /**
+   * Altitude and azimuth (from north, clockwise) of a body, without refraction
+   * @param {Object} body - { ra, dec } in degrees
+   * @param {number} jd - Julian Day (UT)
+   * @param {Object} location - Location with lat/lng
+   * @returns {Object} { altitude, azimuth } in degrees
+   */
+  horizontal(body, jd, location) {
+    const T = (jd - 2451545) / 36525;
+    const siderealTime = 280.46061837 + 360.98564736629 * (jd - 2451545) + 0.000387933 * T * T;
+    const H = this._rad(siderealTime + location.lng - body.ra);
+    const phi = this._rad(location.lat);
+    const dec = this._rad(body.dec);
+    const altitude = Math.asin(Math.sin(phi) * Math.sin(dec) + Math.cos(phi) * Math.cos(dec) * Math.cos(H));
+    const azimuth = Math.atan2(Math.sin(H), Math.cos(H) * Math.sin(phi) - Math.tan(dec) * Math.cos(phi));
+    return { altitude: this._deg(altitude), azimuth: this._normalize360(this._deg(azimuth) + 180) };
+  }
+
+  /**
+   * TT - UT in seconds (Espenak & Meeus polynomial for 2005-2050, parabola outside)
+   * @param {number} jd - Julian Day
+   * @returns {number} Seconds
+   */
+  deltaT(jd) {
+    const year = 2000 + (jd - 2451544.5) / 365.25;
+    const t = year - 2000;
+    if (year >= 2005 && year < 2050) return 62.92 + 0.32217 * t + 0.005589 * t * t;
+    const u = (year - 1820) / 100;
+    return -20 + 32 * u * u;
+  }
+
+  /**
+   * Julian Day of an instant
+   * @param {number} instant - Epoch milliseconds
+   * @returns {number} Julian Day (UT)
+   */
+  julianDay(instant) {
+    return instant / DAY_MS + 2440587.5;
+  }
+
+  /**
+   * Yallop/Odeh class for a value
+   * @param {Array} classes - Ordered { code, min, description } entries
+   * @param {number} value - q or V
+   * @returns {Object} { code, description }
+   */
+  classify(classes, value) {
+    const entry = classes.find(c => value >= c.min) || classes[classes.length - 1];
+    return { code: entry.code, description: entry.description };
+  }
+
+  /**
+   * Whether a chat message asks about sighting the new crescent
+   * @param {string} message - User message
+   * @returns {boolean} True for questions such as "Will the moon be seen tonight?"
+   */
+  isCrescentQuery(message) {
+    const lower = (message || '').toLowerCase();
+    // Latin keywords must be whole words ("chand" but not "Chandigarh")
+    return this.crescentKeywords.some(keyword => /^[a-z ]+$/.test(keyword)
+      ? new RegExp(`\\b${keyword}\\b`).test(lower)
+      : lower.includes(keyword));
+  }
+
+  /**
+   * Prompt lines with the computed crescent outlook
+   * @param {Object} outlook - Result of getMonthStartOutlook()
+   * @param {Object} locationInfo - Location passed to the chat handlers
+   * @returns {string} Lines to append to the contextual prompt
+   */
+  buildCrescentContext(outlook, locationInfo) {
+    const clock = (iso) => iso ? iso.slice(11, 16) : 'n/a';
+    let context = `\n\n**Crescent Visibility (computed, use these values):**`;
+    context += `\nLocation: ${locationInfo.city}, ${locationInfo.country}`;
+    context += `\nConjunction (new moon): ${outlook.conjunction.replace('T', ' ').slice(0, 16)} local time, starting ${outlook.month.name} ${outlook.month.year} AH`;
+    for (const evening of outlook.evenings) {
+      if (!evening.sunset) {
+        context += `\n${evening.date}: ${evening.reason}`;
+        continue;
+      }
+      context += `\n${evening.date} at sunset ${clock(evening.sunset)}: moon age ${evening.moonAgeHours} h, lag ${evening.lagMinutes ?? 'n/a'} min,`;
+      context += ` altitude ${evening.moonAltitude}°, elongation ${evening.arcl}°, width ${evening.widthArcmin}'`;
+      context += `\n  Odeh ${evening.odeh.code}: ${evening.odeh.description}; Yallop ${evening.yallop.code}: ${evening.yallop.description}`;
+      if (evening.reason) context += ` (${evening.reason})`;
+    }
+    context += `\nThese are astronomical predictions. Whether the month has begun depends on the actual sighting or the calendar the user's community follows, so say so.`;
+    return context;
+  }
+
+  _findSetting(altitude, start, end, reference) {
+    const step = 10 * 60 * 1000;
+    const settings = [];
+    let previous = altitude(start);
+    for (let t = start + step; t <= end; t += step) {
+      const current = altitude(t);
+      if (previous > 0 && current <= 0) {
+        // Bisect to the second
+        let low = t - step;
+        let high = t;
+        while (high - low > 1000) {
+          const mid = (low + high) / 2;
+          if (altitude(mid) > 0) low = mid; else high = mid;
+        }
+        settings.push(Math.round((low + high) / 2 / 1000) * 1000);
+      }
+      previous = current;
+    }
+    if (settings.length === 0) return null;
+    return settings.reduce((best, t) => Math.abs(t - reference) < Math.abs(best - reference) ? t : best);
+  }
+
+  _equatorial(longitude, latitude, T) {
+    const omega = this._rad(125.04452 - 1934.136261 * T);
+    const epsilon = this._rad(23.4392911 - 0.0130042 * T + 0.00256 * Math.cos(omega));
+    const lambda = this._rad(longitude);
+    const beta = this._rad(latitude);
+    const ra = Math.atan2(Math.sin(lambda) * Math.cos(epsilon) - Math.tan(beta) * Math.sin(epsilon), Math.cos(lambda));
+    const dec = Math.asin(Math.sin(beta) * Math.cos(epsilon) + Math.cos(beta) * Math.sin(epsilon) * Math.sin(lambda));
+    return { longitude, latitude, ra: this._normalize360(this._deg(ra)), dec: this._deg(dec) };
+  }
+
+  _rad(deg) {
+    return deg * Math.PI / 180;
+  }
+
+  _deg(rad) {
+    return rad * 180 / Math.PI;
+  }
+
+  _normalize360(deg) {
+    return ((deg % 360) + 360) % 360;
+  }
+
+  _normalize180(deg) {
+    const normalized = this._normalize360(deg);
+    return normalized > 180 ? normalized - 360 : normalized;
+  }
+
+  _round(value, digits) {
+    if (!Number.isFinite(value)) return null;
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+  }
+}
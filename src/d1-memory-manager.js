@@ -174,6 +174,81 @@ export class D1MemoryManager {
     }
   }
 
+  // Hijri date offset in days for local moon sighting (stored unencrypted: it is a small integer)
+  async getHijriOffset(userId) {
+    if (!this._isAuthenticatedUser(userId)) return 0;
+    
+    try {
+      const row = await this.db.prepare(
+        'SELECT hijri_offset FROM user_preferences WHERE user_id = ?'
+      ).bind(userId).first();
+      return row && row.hijri_offset ? Number(row.hijri_offset) : 0;
+    } catch (error) {
+      // Column is added by the schema migration; older databases may not have it yet
+      console.log('Hijri offset lookup failed:', error.message);
+      return 0;
+    }
+  }
+
+  async setHijriOffset(userId, offset) {
+    if (!this._isAuthenticatedUser(userId)) {
+      console.log('Skipping Hijri offset save for guest user');
+      return;
+    }
+    
+    const existing = await this.db.prepare(
+      'SELECT user_id FROM user_preferences WHERE user_id = ?'
+    ).bind(userId).first();
+    
+    if (existing) {
+      await this.db.prepare(
+        'UPDATE user_preferences SET hijri_offset = ? WHERE user_id = ?'
+      ).bind(offset, userId).run();
+    } else {
+      await this.db.prepare(
+        'INSERT INTO user_preferences (user_id, hijri_offset) VALUES (?, ?)'
+      ).bind(userId, offset).run();
+    }
+  }
+
+  // Custom prayer time settings (base method, Fajr/Isha angles, minute offsets), stored as plain JSON
+  async getPrayerSettings(userId) {
+    if (!this._isAuthenticatedUser(userId)) return null;
+    
+    try {
+      const row = await this.db.prepare(
+        'SELECT prayer_settings_json FROM user_preferences WHERE user_id = ?'
+      ).bind(userId).first();
+      return row && row.prayer_settings_json ? JSON.parse(row.prayer_settings_json) : null;
+    } catch (error) {
+      // Column is added by the schema migration; older databases may not have it yet
+      console.log('Prayer settings lookup failed:', error.message);
+      return null;
+    }
+  }
+
+  async setPrayerSettings(userId, settings) {
+    if (!this._isAuthenticatedUser(userId)) {
+      console.log('Skipping prayer settings save for guest user');
+      return;
+    }
+    
+    const json = settings ? JSON.stringify(settings) : null;
+    const existing = await this.db.prepare(
+      'SELECT user_id FROM user_preferences WHERE user_id = ?'
+    ).bind(userId).first();
+    
+    if (existing) {
+      await this.db.prepare(
+        'UPDATE user_preferences SET prayer_settings_json = ? WHERE user_id = ?'
+      ).bind(json, userId).run();
+    } else {
+      await this.db.prepare(
+        'INSERT INTO user_preferences (user_id, prayer_settings_json) VALUES (?, ?)'
+      ).bind(userId, json).run();
+    }
+  }
+
   async clearPreference(userId, field) {
     // For guest users, don't clear preferences
     if (!this._isAuthenticatedUser(userId)) {
@@ -181,7 +256,7 @@ export class D1MemoryManager {
       return;
     }
     
-    const allowed = new Set(['language_pref', 'madhhab_pref', 'interests_json']);
+    const allowed = new Set(['language_pref', 'madhhab_pref', 'interests_json', 'prayer_settings_json']);
     if (!allowed.has(field)) return;
     await this.db.prepare(
       `UPDATE user_preferences SET ${field} = NULL WHERE user_id = ?`
@@ -240,6 +315,7 @@ export class D1MemoryManager {
     if (!this._isAuthenticatedUser(userId)) {
       return {
         preferences: { language: null, madhhab: null, interests: [] },
+        prayerSettings: null,
         recentSummaries: [],
         memoryCount: 0
       };
@@ -250,6 +326,7 @@ export class D1MemoryManager {
     
     return {
       preferences,
+      prayerSettings: await this.getPrayerSettings(userId),
       recentSummaries: summaries,
       memoryCount: summaries.length
     };
@@ -394,7 +471,12 @@ export class D1MemoryManager {
       
       // Clear user preferences
       await this.db.prepare(
-        'UPDATE user_preferences SET language_pref = NULL, madhhab_pref = NULL, interests_json = NULL WHERE user_id = ?'
+        'UPDATE user_preferences SET language_pref = NULL, madhhab_pref = NULL, interests_json = NULL, prayer_settings_json = NULL WHERE user_id = ?'
+      ).bind(userId).run();
+      
+      // Delete saved places
+      await this.db.prepare(
+        'DELETE FROM user_locations WHERE user_id = ?'
       ).bind(userId).run();
       
       // Clear user profile
@@ -410,6 +492,144 @@ export class D1MemoryManager {
     }
   }
   
+  // Create a personal calendar feed token; the location and feed options are stored encrypted
+  async createCalendarSubscription(userId, settings) {
+    if (!this._isAuthenticatedUser(userId)) {
+      throw new Error('Calendar subscriptions require a signed-in user');
+    }
+    
+    const bytes = crypto.getRandomValues(new Uint8Array(24));
+    const token = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    const encryptedSettings = await this._encryptData(JSON.stringify(settings || {}));
+    
+    await this.db.prepare(
+      'INSERT INTO calendar_subscriptions (token, user_id, settings_json, created_at) VALUES (?, ?, ?, ?)'
+    ).bind(token, userId, encryptedSettings, new Date().toISOString()).run();
+    return token;
+  }
+
+  // Look up a calendar feed token
+  async getCalendarSubscription(token) {
+    if (!token || !/^[0-9a-f]{48}$/.test(token)) return null;
+    
+    const row = await this.db.prepare(
+      'SELECT user_id, settings_json FROM calendar_subscriptions WHERE token = ?'
+    ).bind(token).first();
+    if (!row) return null;
+    
+    const settings = row.settings_json ? JSON.parse(await this._decryptData(row.settings_json) || '{}') : {};
+    return { userId: row.user_id, settings };
+  }
+
+  // Revoke all calendar feed tokens of a user
+  async deleteCalendarSubscriptions(userId) {
+    if (!this._isAuthenticatedUser(userId)) return;
+    
+    await this.db.prepare(
+      'DELETE FROM calendar_subscriptions WHERE user_id = ?'
+    ).bind(userId).run();
+  }
+  
+  // Saved places (home, work, travel); coordinates and timezone are stored encrypted
+  async listUserLocations(userId) {
+    if (!this._isAuthenticatedUser(userId)) return [];
+    
+    const { results } = await this.db.prepare(
+      'SELECT id, name, location_json, is_default, created_at, updated_at FROM user_locations WHERE user_id = ? ORDER BY is_default DESC, name'
+    ).bind(userId).all();
+    return Promise.all((results || []).map(row => this._userLocationFromRow(row)));
+  }
+
+  async getUserSavedLocation(userId, id) {
+    if (!this._isAuthenticatedUser(userId)) return null;
+    
+    const row = await this.db.prepare(
+      'SELECT id, name, location_json, is_default, created_at, updated_at FROM user_locations WHERE user_id = ? AND id = ?'
+    ).bind(userId, String(id)).first();
+    return row ? this._userLocationFromRow(row) : null;
+  }
+
+  async getDefaultUserLocation(userId) {
+    if (!this._isAuthenticatedUser(userId)) return null;
+    
+    try {
+      const row = await this.db.prepare(
+        'SELECT id, name, location_json, is_default, created_at, updated_at FROM user_locations WHERE user_id = ? AND is_default = 1'
+      ).bind(userId).first();
+      return row ? this._userLocationFromRow(row) : null;
+    } catch (error) {
+      // Table is created by the schema migration; older databases may not have it yet
+      console.log('Saved location lookup failed:', error.message);
+      return null;
+    }
+  }
+
+  // Insert (no id) or update a saved place; the first place saved becomes the default
+  async saveUserLocation(userId, { id = null, name, location, isDefault = false }) {
+    if (!this._isAuthenticatedUser(userId)) {
+      throw new Error('Saved locations require a signed-in user');
+    }
+    
+    const now = new Date().toISOString();
+    const encryptedLocation = await this._encryptData(JSON.stringify(location));
+    let locationId = id;
+    if (locationId) {
+      await this.db.prepare(
+        'UPDATE user_locations SET name = ?, location_json = ?, updated_at = ? WHERE user_id = ? AND id = ?'
+      ).bind(name, encryptedLocation, now, userId, String(locationId)).run();
+    } else {
+      locationId = crypto.randomUUID();
+      const count = await this.db.prepare(
+        'SELECT COUNT(*) AS count FROM user_locations WHERE user_id = ?'
+      ).bind(userId).first();
+      isDefault = isDefault || !count || Number(count.count) === 0;
+      await this.db.prepare(
+        'INSERT INTO user_locations (id, user_id, name, location_json, is_default, created_at, updated_at) VALUES (?, ?, ?, ?, 0, ?, ?)'
+      ).bind(locationId, userId, name, encryptedLocation, now, now).run();
+    }
+    
+    if (isDefault) {
+      await this.setDefaultUserLocation(userId, locationId);
+    }
+    return this.getUserSavedLocation(userId, locationId);
+  }
+
+  async setDefaultUserLocation(userId, id) {
+    if (!this._isAuthenticatedUser(userId)) return;
+    
+    await this.db.prepare(
+      'UPDATE user_locations SET is_default = CASE WHEN id = ? THEN 1 ELSE 0 END WHERE user_id = ?'
+    ).bind(String(id), userId).run();
+  }
+
+  // Delete a saved place; when it was the default, the oldest remaining place takes over
+  async deleteUserLocation(userId, id) {
+    if (!this._isAuthenticatedUser(userId)) return;
+    
+    const existing = await this.getUserSavedLocation(userId, id);
+    await this.db.prepare(
+      'DELETE FROM user_locations WHERE user_id = ? AND id = ?'
+    ).bind(userId, String(id)).run();
+    if (existing && existing.isDefault) {
+      const next = await this.db.prepare(
+        'SELECT id FROM user_locations WHERE user_id = ? ORDER BY created_at LIMIT 1'
+      ).bind(userId).first();
+      if (next) await this.setDefaultUserLocation(userId, next.id);
+    }
+  }
+
+  async _userLocationFromRow(row) {
+    const location = row.location_json ? JSON.parse(await this._decryptData(row.location_json) || '{}') : {};
+    return {
+      id: row.id,
+      name: row.name,
+      isDefault: Number(row.is_default) === 1,
+      ...location,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+  
   // Helper method to check if a user is authenticated
   _isAuthenticatedUser(userId) {
     // Authenticated users have a proper UUID format, guest users use session IDs
@@ -432,9 +652,15 @@ CREATE TABLE IF NOT EXISTS user_preferences (
   user_id TEXT PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
   language_pref TEXT,
   madhhab_pref TEXT,
-  interests_json TEXT
+  interests_json TEXT,
+  hijri_offset INTEGER DEFAULT 0,
+  prayer_settings_json TEXT
 );
 
+-- Added after the first release, fails harmlessly when the column already exists
+ALTER TABLE user_preferences ADD COLUMN hijri_offset INTEGER DEFAULT 0;
+ALTER TABLE user_preferences ADD COLUMN prayer_settings_json TEXT;
+
 CREATE TABLE IF NOT EXISTS discussion_summaries (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
   user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
@@ -451,9 +677,28 @@ CREATE TABLE IF NOT EXISTS user_profiles (
   login_count INTEGER DEFAULT 0
 );
 
+CREATE TABLE IF NOT EXISTS calendar_subscriptions (
+  token TEXT PRIMARY KEY,
+  user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+  settings_json TEXT,
+  created_at TEXT
+);
+
+CREATE TABLE IF NOT EXISTS user_locations (
+  id TEXT PRIMARY KEY,
+  user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  location_json TEXT,
+  is_default INTEGER DEFAULT 0,
+  created_at TEXT,
+  updated_at TEXT
+);
+
 -- Create indexes for better query performance
 CREATE INDEX IF NOT EXISTS idx_discussion_summaries_user_id ON discussion_summaries(user_id);
 CREATE INDEX IF NOT EXISTS idx_discussion_summaries_created_at ON discussion_summaries(created_at);
 CREATE INDEX IF NOT EXISTS idx_user_preferences_user_id ON user_preferences(user_id);
 CREATE INDEX IF NOT EXISTS idx_user_profiles_user_id ON user_profiles(user_id);
+CREATE INDEX IF NOT EXISTS idx_calendar_subscriptions_user_id ON calendar_subscriptions(user_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_locations_user_name ON user_locations(user_id, name);
 `;
\ No newline at end of file
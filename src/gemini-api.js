@@ -495,6 +495,11 @@ class GeminiAPI {
     this.models = ['gemini-2.5-flash-lite', 'gemini-flash-lite-latest'];
     this.modelIndex = 0;
     this.islamicPrompt = new IslamicPrompt();
+    // Conversation window: earlier turns are sent as real user/model turns up to this many tokens;
+    // older ones are summarised into the system instruction
+    this.historyTokenBudget = 3000;
+    this.charsPerToken = 4;
+    this.summaryTurnChars = 160;
     this.internetProcessor = new InternetDataProcessor();
     this.privacyFilter = new PrivacyFilter();
     this.responseLengthOptimizer = new ResponseLengthOptimizer();
@@ -635,7 +640,7 @@ class GeminiAPI {
     return result;
   }
 
-  async generateResponse(messages, sessionId, userInput = '', contextualPrompt = '', languageInfo = {}, streamingOptions = { enableStreaming: true }, userIP = null, locationInfo = null) {
+  async generateResponse(messages, sessionId, userInput = '', contextualPrompt = '', languageInfo = {}, streamingOptions = { enableStreaming: true }, userIP = null, locationInfo = null, hijriOffset = 0) {
     const startTime = Date.now();
     this.performanceMetrics.totalRequests++;
     
@@ -733,7 +738,8 @@ class GeminiAPI {
           sessionId,
           languageInfo,
           contextualPrompt,
-          locationInfo
+          locationInfo,
+          hijriOffset
         }, userIP);
 
         const languageSpecificPrompt = this.getLanguageSpecificSystemPrompt(languageInfo);
@@ -758,11 +764,12 @@ class GeminiAPI {
 
         // Adaptive Generation Config (Intelligent: Adjust based on complexity)
         const complexityTemp = queryType.complexity === 'high' ? 0.6 : 0.4;
+        const { contents, summary } = this._buildConversationContents(messages, userInput);
         const requestBodyBase = {
-          contents: [{
-            role: "user",
-            parts: [{ text: languageSpecificPrompt + "\n\n" + enhancedPrompt }]
-          }],
+          systemInstruction: {
+            parts: [{ text: this._buildSystemInstruction(languageSpecificPrompt, enhancedPrompt, summary) }]
+          },
+          contents,
           generationConfig: {
             temperature: responseLengthConfig.generationConfig.temperature,
             topK: responseLengthConfig.generationConfig.topK,
@@ -894,6 +901,96 @@ class GeminiAPI {
       throw new Error(safeErrorMessage);
     }
   }
+
+  /**
+   * System instruction for a request: the language-specific system prompt, then this turn's instructions
+   * and context, then the summary of turns outside the window. The user turn carries only the message.
+   * @param {string} languageSpecificPrompt - System prompt with the language instruction
+   * @param {string} enhancedPrompt - Instructions and context built for this message
+   * @param {string} summary - Summary of earlier turns ('' when every turn is sent)
+   * @returns {string} System instruction text
+   */
+  _buildSystemInstruction(languageSpecificPrompt, enhancedPrompt, summary = '') {
+    const basePrompt = this.islamicPrompt.getSystemPrompt();
+    const turnPrompt = (enhancedPrompt || '').startsWith(basePrompt) ? enhancedPrompt.slice(basePrompt.length).trim() : (enhancedPrompt || '').trim();
+    let instruction = languageSpecificPrompt;
+    if (turnPrompt) instruction += `\n\n${turnPrompt}`;
+    if (summary) instruction += `\n\n**EARLIER IN THIS CONVERSATION (summarised):**\n${summary}`;
+    return instruction;
+  }
+
+  /**
+   * Map session history to alternating user/model contents within the token budget
+   * Whole exchanges are kept newest first; the ones that do not fit are summarised instead
+   * @param {Array} history - Session messages { role: 'user' | 'assistant', content }
+   * @param {string} currentTurn - Text of the new user turn
+   * @param {number} budget - Tokens allowed for earlier turns
+   * @returns {Object} { contents, summary } where summary is '' when every turn fits
+   */
+  _buildConversationContents(history, currentTurn, budget = this.historyTokenBudget) {
+    const turns = [];
+    for (const message of history || []) {
+      const text = message && typeof message.content === 'string' ? message.content.trim() : '';
+      const role = message && message.role === 'user' ? 'user' : (message && ['assistant', 'model'].includes(message.role) ? 'model' : null);
+      if (!text || !role) continue;
+      const last = turns[turns.length - 1];
+      if (last && last.role === role) {
+        last.text += `\n\n${text}`;
+      } else {
+        turns.push({ role, text });
+      }
+    }
+    // Gemini expects user first, and the new question must follow a model turn
+    while (turns.length > 0 && turns[0].role !== 'user') turns.shift();
+    while (turns.length > 0 && turns[turns.length - 1].role !== 'model') turns.pop();
+
+    let start = turns.length;
+    let used = 0;
+    while (start >= 2) {
+      const cost = this._estimateTokens(turns[start - 2].text) + this._estimateTokens(turns[start - 1].text);
+      if (used + cost > budget) break;
+      used += cost;
+      start -= 2;
+    }
+    // Follow-ups refer to the last answer, so it is always sent, shortened if it alone is over budget
+    let window = turns.slice(start);
+    if (window.length === 0 && turns.length >= 2) {
+      const [question, answer] = turns.slice(-2);
+      const room = Math.max(budget - this._estimateTokens(question.text), 0) * this.charsPerToken;
+      window = [question, { role: 'model', text: answer.text.length > room ? `${answer.text.slice(0, room).trimEnd()}…` : answer.text }];
+      start = turns.length - 2;
+    }
+
+    const contents = window.map(turn => ({ role: turn.role, parts: [{ text: turn.text }] }));
+    contents.push({ role: 'user', parts: [{ text: currentTurn }] });
+    return { contents, summary: this._summarizeTurns(turns.slice(0, start)) };
+  }
+
+  /**
+   * One line per earlier exchange: the question and the first sentence of the answer
+   * @param {Array} turns - Alternating { role, text }, starting with the user
+   * @returns {string} Summary lines
+   */
+  _summarizeTurns(turns) {
+    const lines = [];
+    for (let i = 0; i < turns.length; i += 2) {
+      const answer = turns[i + 1] ? `; you answered: ${this._firstSentence(turns[i + 1].text)}` : '';
+      lines.push(`- User asked: ${this._firstSentence(turns[i].text)}${answer}`);
+    }
+    return lines.join('\n');
+  }
+
+  _firstSentence(text) {
+    const clean = text.replace(/\s+/g, ' ').trim();
+    const match = clean.match(/^.+?[.!?؟۔](\s|$)/);
+    const sentence = match ? match[0].trim() : clean;
+    return sentence.length > this.summaryTurnChars ? `${sentence.slice(0, this.summaryTurnChars - 1).trimEnd()}…` : sentence;
+  }
+
+  _estimateTokens(text) {
+    return Math.ceil((text || '').length / this.charsPerToken);
+  }
+
   // Proprietary Intelligent Prompt Builder: Deep Search Understanding
   _buildIntelligentEnhancedPrompt(userInput, contextualPrompt, languageInfo, internetData, locationInfo, queryType) {
     let prompt = new StringBuilder().append(contextualPrompt).toString();  // O(n) concat
@@ -909,6 +1006,11 @@ class GeminiAPI {
       prompt += `\n\n**SEMANTIC SEARCH CONTEXT:** ${refinedSnippet}. Source: ${internetData.searchResults.source}. Use this to enhance accuracy.`;
     }
     
+    // Islamic event dates calculated from the Hijri calendar
+    if (internetData && internetData.reason === 'islamic_events_computed') {
+      prompt += internetData.enhancedPrompt;
+    }
+    
     // Query Type with Adaptive Instructions
     if (queryType && queryType.topic !== 'general') {
       prompt += `\n\n**QUERY INTELLIGENCE:** Topic: ${queryType.topic}, Complexity: ${queryType.complexity}, Confidence: ${(queryType.confidence * 100).toFixed(1)}%.`;
@@ -1189,29 +1291,51 @@ ${languageInstruction}
     const {
       chunkSize = 50,
       delay = 50,
-      includeMetadata = true
+      includeMetadata = true,
+      streamId = null,
+      signal = null
     } = streamingOptions;
 
     const self = this;  // Fix: Capture 'this' for binding
 
     const stream = new ReadableStream({
       async start(controller) {
+        // SSE event ids increase by one per event so a client can resume after the last one it saw
+        const encoder = new TextEncoder();
+        let eventId = 0;
+        let closed = false;
+        const send = (data) => {
+          if (closed) return;
+          controller.enqueue(encoder.encode(self.createStreamingChunk(data, ++eventId)));
+        };
+        const sendCitations = (groundingInfo) => {
+          if (!groundingInfo) return;
+          for (const source of groundingInfo.relevantSources.slice(0, 3)) {
+            send({ type: 'citation', content: source.title, metadata: { uri: source.uri, timestamp: new Date().toISOString() } });
+          }
+        };
+        const sendMetadata = (text) => {
+          if (!includeMetadata) return;
+          send({ type: 'metadata', content: '', metadata: { stream_id: streamId, model: useModelId, response_length: text.length, duration_ms: Date.now() - (startTime || Date.now()), timestamp: new Date().toISOString() } });
+        };
+
         const timeoutId = setTimeout(() => {
-          controller.enqueue(new TextEncoder().encode(self.createStreamingChunk({
+          send({
             type: 'error',
             content: 'Streaming timeout - falling back.',
             timestamp: new Date().toISOString()
-          })));
+          });
+          closed = true;
           controller.close();
         }, 30000);  // 30s fallback
 
+        const useModelId = modelId || (self.models && self.models[0]) || 'gemini-2.5-flash-lite';
         try {
           const apiKey = self.apiKeyQueue.dequeue();
           if (!apiKey) {
             throw new Error('No available API keys');
           }
           
-          const useModelId = modelId || (self.models && self.models[0]) || 'gemini-2.5-flash-lite';
           const urls = self._buildUrlsForModel(useModelId);
           const response = await fetch(urls.streaming, {
             method: 'POST',
@@ -1220,6 +1344,7 @@ ${languageInstruction}
               'X-goog-api-key': apiKey,
             },
             body: JSON.stringify(requestBody),
+            ...(signal ? { signal } : {})
           });
 
           if (!response.ok) {
@@ -1243,7 +1368,7 @@ ${languageInstruction}
               }
               
               if (includeMetadata) {
-                controller.enqueue(new TextEncoder().encode(self.createStreamingChunk({ type: 'start', content: '', metadata: { timestamp: new Date().toISOString() } })));
+                send({ type: 'start', content: '', metadata: { stream_id: streamId, timestamp: new Date().toISOString() } });
               }
               
               // Enhance the response with advanced features
@@ -1263,9 +1388,11 @@ ${languageInstruction}
                 finalText += `\n\n[Based on verified sources: ${groundingInfo.relevantSources.slice(0, 3).map(s => s.title).join(', ')}]`;
               }
               
-              controller.enqueue(new TextEncoder().encode(self.createStreamingChunk({ type: 'content', content: finalText, metadata: { timestamp: new Date().toISOString() } })));
+              send({ type: 'content', content: finalText, metadata: { timestamp: new Date().toISOString() } });
+              sendCitations(groundingInfo);
+              sendMetadata(finalText);
               if (includeMetadata) {
-                controller.enqueue(new TextEncoder().encode(self.createStreamingChunk({ type: 'end', content: '', metadata: { completed: true, timestamp: new Date().toISOString() } })));
+                send({ type: 'end', content: '', metadata: { completed: true, timestamp: new Date().toISOString() } });
               }
               clearTimeout(timeoutId);
               return;
@@ -1278,18 +1405,19 @@ ${languageInstruction}
           const textDecoder = new TextDecoder();
           let aggregated = '';
           let buffer = '';
+          let streamedGrounding = null;
           
           self.streamBuffer.clear();
           
           if (includeMetadata) {
-            controller.enqueue(new TextEncoder().encode(self.createStreamingChunk({ type: 'start', content: '', metadata: { timestamp: new Date().toISOString() } })));
+            send({ type: 'start', content: '', metadata: { stream_id: streamId, timestamp: new Date().toISOString() } });
           }
 
           const emitContent = (text) => {
             if (!text) return;
             aggregated += text;
             self.streamBuffer.enqueue(text);
-            controller.enqueue(new TextEncoder().encode(self.createStreamingChunk({ type: 'content', content: text, metadata: { timestamp: new Date().toISOString() } })));
+            send({ type: 'content', content: text, metadata: { timestamp: new Date().toISOString() } });
           };
 
           while (true) {
@@ -1306,6 +1434,9 @@ ${languageInstruction}
               try {
                 const obj = JSON.parse(jsonStr);
                 const texts = self.extractTexts(obj);
+                if (obj.candidates && obj.candidates[0] && obj.candidates[0].groundingMetadata) {
+                  streamedGrounding = obj.candidates[0].groundingMetadata;
+                }
                 for (const t of texts) {
                   // Enhance each chunk as it comes in for streaming
                   const enhancedChunk = self.responseGenerator.generateEnhancedResponse(
@@ -1348,6 +1479,8 @@ ${languageInstruction}
             if (finalText !== aggregated) {
               emitContent(finalText.slice(aggregated.length));
             }
+            sendCitations(streamedGrounding ? self._extractAndScoreGroundingInfo(streamedGrounding) : null);
+            sendMetadata(aggregated);
           } else {
             // Fallback
             const fallbackData = await self.makeAPIRequestWithRetry(requestBody);
@@ -1374,21 +1507,26 @@ ${languageInstruction}
               finalText += `\n\n[Based on verified sources: ${groundingInfo.relevantSources.slice(0, 3).map(s => s.title).join(', ')}]`;
             }
             emitContent(finalText);
+            sendCitations(groundingInfo);
+            sendMetadata(finalText);
           }
 
           if (includeMetadata) {
-            controller.enqueue(new TextEncoder().encode(self.createStreamingChunk({ type: 'end', content: '', metadata: { completed: true, timestamp: new Date().toISOString() } })));
+            send({ type: 'end', content: '', metadata: { completed: true, timestamp: new Date().toISOString() } });
           }
 
         } catch (error) {
           clearTimeout(timeoutId);
-          controller.enqueue(new TextEncoder().encode(self.createStreamingChunk({
+          send({
             type: 'error',
-            content: 'Sorry, AI service is temporarily unavailable. Please try again.',
+            content: signal && signal.aborted ? 'The reply was cancelled.' : 'Sorry, AI service is temporarily unavailable. Please try again.',
             timestamp: new Date().toISOString()
-          })));
+          });
         } finally {
-          controller.close();
+          if (!closed) {
+            closed = true;
+            controller.close();
+          }
         }
       }
     });
@@ -1417,18 +1555,26 @@ ${languageInstruction}
     return out;
   }
 
-  createStreamingChunk(data) {
-    return `data: ${JSON.stringify(data)}\n\n`;
+  /**
+   * Format one Server-Sent Event
+   * @param {Object} data - Event payload; data.type (start, content, citation, metadata, end or error) is the event name
+   * @param {number} id - Event id, increasing within a response
+   * @returns {string} SSE frame
+   */
+  createStreamingChunk(data, id = null) {
+    const idLine = id !== null ? `id: ${id}\n` : '';
+    return `${idLine}event: ${data.type || 'message'}\ndata: ${JSON.stringify(data)}\n\n`;
   }
 
   createStreamingError(errorMessage) {
+    const self = this;
     return new ReadableStream({
       start(controller) {
-        const chunk = this.createStreamingChunk({
+        const chunk = self.createStreamingChunk({
           type: 'error',
           content: errorMessage,
           timestamp: new Date().toISOString()
-        });
+        }, 1);
         controller.enqueue(new TextEncoder().encode(chunk));
         controller.close();
       }
@@ -1470,6 +1616,8 @@ ${languageInstruction}
 
   _shouldIncludeSearchTools(userInput, internetData, queryType) {
     if (internetData && internetData.needsInternetData) return true;
+    // Calculated event dates answer the question without a search
+    if (internetData && internetData.reason === 'islamic_events_computed') return false;
     
     const searchBenefitQueryTypes = [
       'current_events', 'breaking_news', 'financial_data', 'weather',
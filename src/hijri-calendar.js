@@ -0,0 +1,204 @@
+/**
+ * HijriCalendar - Gregorian <-> Hijri conversion
+ * Uses the Umm al-Qura calendar for 1300-1500 AH and the tabular (civil) Islamic calendar outside it
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Umm al-Qura month lengths, one entry per Hijri year from 1300 AH:
+// bit (month - 1) is set when that month has 30 days, clear when it has 29
+const UMM_AL_QURA_MONTHS = [
+  0x555, 0x2ab, 0x937, 0x2b6, 0x576, 0x36c, 0xb55, 0xaaa, 0x956, 0x49e, // 1300-1309
+  0x95d, 0x2ba, 0x5b5, 0x3aa, 0xb4b, 0xa96, 0x52e, 0x2ad, 0x56d, 0xb5a, // 1310-1319
+  0x752, 0xf25, 0xe8a, 0xd16, 0xa56, 0xab5, 0x6b4, 0xda9, 0xb92, 0xb25, // 1320-1329
+  0x64b, 0xa9b, 0x35a, 0x6d9, 0x5d4, 0xda5, 0xd4a, 0xa95, 0x536, 0x975, // 1330-1339
+  0x2f4, 0x6e9, 0x6d4, 0x6a9, 0x535, 0x25d, 0x4bd, 0x9ba, 0x3b4, 0xb69, // 1340-1349
+  0xb2a, 0xa55, 0x4ad, 0xa5d, 0x2da, 0x6d9, 0xeaa, 0xe94, 0xd2a, 0xc56, // 1350-1359
+  0x4ae, 0xa6d, 0x56a, 0xd55, 0xd4a, 0xa93, 0x52b, 0xa5b, 0x53a, 0x6b5, // 1360-1369
+  0xea9, 0xd52, 0xd29, 0xa55, 0x4ad, 0x56d, 0xaea, 0x6e4, 0xed1, 0xda2, // 1370-1379
+  0xaaa, 0x95a, 0x2da, 0x5b9, 0xbb2, 0x764, 0x6c9, 0x555, 0x2ab, 0x4db, // 1380-1389
+  0xaba, 0x5b4, 0xda9, 0xd52, 0xaa5, 0x92d, 0x26d, 0x8ed, 0x2da, 0xad5, // 1390-1399
+  0xaa5, 0xa4b, 0x497, 0x937, 0x2b6, 0x975, 0xd69, 0xd52, 0xc95, 0x92b, // 1400-1409
+  0x25b, 0x4db, 0x9d5, 0x5d2, 0xda5, 0xd4a, 0xa95, 0x54d, 0xaad, 0x3aa, // 1410-1419
+  0xbd2, 0xbc4, 0xb89, 0xa95, 0x52d, 0x5ad, 0xb6a, 0x6d4, 0xdc9, 0xd92, // 1420-1429
+  0xaa6, 0x956, 0x2ae, 0x56d, 0x36a, 0xb55, 0xaaa, 0x94d, 0x49d, 0x95d, // 1430-1439
+  0x2ba, 0x5b5, 0x5aa, 0xd55, 0xa9a, 0x92e, 0x26e, 0x55d, 0xada, 0x6d4, // 1440-1449
+  0x6a5, 0xb27, 0xa4d, 0x4ad, 0x56d, 0xb5a, 0x754, 0xf49, 0xe92, 0xd26, // 1450-1459
+  0xa56, 0x356, 0x6b5, 0xbaa, 0xb92, 0xb25, 0x68b, 0xa9b, 0x55a, 0xada, // 1460-1469
+  0x5b4, 0xda9, 0xb52, 0xa9a, 0x536, 0x276, 0x575, 0xaf2, 0x6d4, 0x6a9, // 1470-1479
+  0x555, 0x2ad, 0x4bd, 0x9ba, 0x574, 0xb69, 0xb52, 0xa95, 0x52d, 0xa5d, // 1480-1489
+  0x4da, 0xad9, 0x6b2, 0xe95, 0xe2a, 0xc96, 0x92e, 0xaad, 0x56a, 0xd65, // 1490-1499
+  0xd4a // 1500-1500
+];
+const UMM_AL_QURA_FIRST_YEAR = 1300;
+const UMM_AL_QURA_EPOCH = Date.UTC(1882, 10, 12) / DAY_MS; // 1 Muharram 1300 AH, in days since 1970-01-01
+
+// Julian Day Number of 1 Muharram 1 AH (Friday 16 July 622) in the civil tabular calendar
+const TABULAR_EPOCH_JDN = 1948440;
+const UNIX_EPOCH_JDN = 2440588;
+
+export class HijriCalendar {
+  constructor() {
+    this.monthNames = [
+      'Muharram', 'Safar', "Rabi' al-Awwal", "Rabi' al-Thani", 'Jumada al-Ula', 'Jumada al-Akhirah',
+      'Rajab', "Sha'ban", 'Ramadan', 'Shawwal', "Dhu al-Qi'dah", 'Dhu al-Hijjah'
+    ];
+    this.monthNamesArabic = [
+      'محرم', 'صفر', 'ربيع الأول', 'ربيع الآخر', 'جمادى الأولى', 'جمادى الآخرة',
+      'رجب', 'شعبان', 'رمضان', 'شوال', 'ذو القعدة', 'ذو الحجة'
+    ];
+    this.firstTableYear = UMM_AL_QURA_FIRST_YEAR;
+    this.lastTableYear = UMM_AL_QURA_FIRST_YEAR + UMM_AL_QURA_MONTHS.length - 1;
+    // Local moon sighting can start a month a day or two away from the calculated calendar
+    this.maxOffset = 2;
+
+    // Days since the epoch at which each table year starts
+    this.yearStarts = [];
+    let day = UMM_AL_QURA_EPOCH;
+    for (const months of UMM_AL_QURA_MONTHS) {
+      this.yearStarts.push(day);
+      for (let m = 0; m < 12; m++) day += (months >> m) & 1 ? 30 : 29;
+    }
+    this.tableEnd = day; // First day after the table
+  }
+
+  /**
+   * Clamp a user day offset to the supported range
+   * @param {number|string} offset - Days to add to the calculated Hijri date
+   * @returns {number} Offset within [-maxOffset, maxOffset]
+   */
+  normalizeOffset(offset) {
+    const value = parseInt(offset);
+    if (!Number.isFinite(value)) return 0;
+    return Math.max(-this.maxOffset, Math.min(this.maxOffset, value));
+  }
+
+  /**
+   * Whether a Hijri year is covered by the Umm al-Qura table
+   * @param {number} year - Hijri year
+   * @returns {boolean} True for 1300-1500 AH
+   */
+  inTable(year) {
+    return year >= this.firstTableYear && year <= this.lastTableYear;
+  }
+
+  /**
+   * Number of days in a Hijri month
+   * @param {number} year - Hijri year
+   * @param {number} month - Month 1-12
+   * @returns {number} 29 or 30
+   */
+  getMonthLength(year, month) {
+    if (this.inTable(year)) {
+      return (UMM_AL_QURA_MONTHS[year - this.firstTableYear] >> (month - 1)) & 1 ? 30 : 29;
+    }
+    // Tabular: odd months have 30 days, Dhu al-Hijjah has 30 in leap years
+    if (month % 2 === 1) return 30;
+    if (month === 12 && (11 * year + 14) % 30 < 11) return 30;
+    return 29;
+  }
+
+  /**
+   * Convert a Gregorian date to Hijri
+   * @param {Date} date - Date (its UTC calendar day is used)
+   * @param {number} offset - User day offset for local moon sighting
+   * @returns {Object} { year, month, day, monthName, monthNameArabic, calendar, offset }
+   */
+  toHijri(date, offset = 0) {
+    offset = this.normalizeOffset(offset);
+    const dayNumber = Math.floor(date.getTime() / DAY_MS) + offset;
+    const hijri = dayNumber >= UMM_AL_QURA_EPOCH && dayNumber < this.tableEnd
+      ? this._fromTable(dayNumber)
+      : this._fromTabular(dayNumber);
+    return {
+      ...hijri,
+      monthName: this.monthNames[hijri.month - 1],
+      monthNameArabic: this.monthNamesArabic[hijri.month - 1],
+      offset
+    };
+  }
+
+  /**
+   * Convert a Hijri date to Gregorian
+   * @param {number} year - Hijri year
+   * @param {number} month - Month 1-12
+   * @param {number} day - Day 1-30
+   * @param {number} offset - User day offset for local moon sighting
+   * @returns {Date} Gregorian date at UTC midnight
+   */
+  toGregorian(year, month, day, offset = 0) {
+    if (!this.isValidHijriDate(year, month, day)) {
+      throw new Error(`Invalid Hijri date: ${year}-${month}-${day}`);
+    }
+    let dayNumber;
+    if (this.inTable(year)) {
+      dayNumber = this.yearStarts[year - this.firstTableYear];
+      for (let m = 1; m < month; m++) dayNumber += this.getMonthLength(year, m);
+      dayNumber += day - 1;
+    } else {
+      dayNumber = this._tabularToJDN(year, month, day) - UNIX_EPOCH_JDN;
+    }
+    return new Date((dayNumber - this.normalizeOffset(offset)) * DAY_MS);
+  }
+
+  /**
+   * Check that a Hijri date exists
+   * @returns {boolean} True when month and day are in range
+   */
+  isValidHijriDate(year, month, day) {
+    return Number.isInteger(year) && year >= 1 && year <= 9999 &&
+      Number.isInteger(month) && month >= 1 && month <= 12 &&
+      Number.isInteger(day) && day >= 1 && day <= this.getMonthLength(year, month);
+  }
+
+  /**
+   * Gregorian first and last day of a Hijri month
+   * @param {number} year - Hijri year
+   * @param {number} month - Month 1-12
+   * @param {number} offset - User day offset
+   * @returns {Object} { start, end, label }
+   */
+  getMonthRange(year, month, offset = 0) {
+    const start = this.toGregorian(year, month, 1, offset);
+    return {
+      start,
+      end: new Date(start.getTime() + (this.getMonthLength(year, month) - 1) * DAY_MS),
+      label: `${this.monthNames[month - 1]} ${year} AH`
+    };
+  }
+
+  /**
+   * Format a Hijri date, e.g. "1 Ramadan 1446 AH"
+   * @param {Object} hijri - Result of toHijri()
+   * @returns {string} Formatted date
+   */
+  format(hijri) {
+    return `${hijri.day} ${hijri.monthName} ${hijri.year} AH`;
+  }
+
+  _fromTable(dayNumber) {
+    let index = this.yearStarts.length - 1;
+    while (this.yearStarts[index] > dayNumber) index--;
+    const year = this.firstTableYear + index;
+    let remaining = dayNumber - this.yearStarts[index];
+    let month = 1;
+    while (remaining >= this.getMonthLength(year, month)) {
+      remaining -= this.getMonthLength(year, month);
+      month++;
+    }
+    return { year, month, day: remaining + 1, calendar: 'umm_al_qura' };
+  }
+
+  _fromTabular(dayNumber) {
+    const jdn = dayNumber + UNIX_EPOCH_JDN;
+    const year = Math.floor((30 * (jdn - TABULAR_EPOCH_JDN) + 10646) / 10631);
+    const month = Math.min(12, Math.ceil((jdn - (29 + this._tabularToJDN(year, 1, 1))) / 29.5) + 1);
+    const day = jdn - this._tabularToJDN(year, month, 1) + 1;
+    return { year, month, day, calendar: 'tabular' };
+  }
+
+  _tabularToJDN(year, month, day) {
+    return day + Math.ceil(29.5 * (month - 1)) + (year - 1) * 354 +
+      Math.floor((3 + 11 * year) / 30) + TABULAR_EPOCH_JDN - 1;
+  }
+}
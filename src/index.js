@@ -7,6 +7,17 @@ import { PrivacyFilter } from './privacy-filter.js';
 import { PersistentMemoryManager } from './persistent-memory-manager.js';
 import { D1MemoryManager, D1_SCHEMA_SQL } from './d1-memory-manager.js';
 import { AuthManager, AUTH_SCHEMA_SQL } from './auth-manager.js';
+import { LocationPrayerService } from './location-prayer-service.js';
+import { PrayerTimetable } from './prayer-timetable.js';
+import { PrayerCalendar } from './prayer-calendar.js';
+import { RamadanTimetable } from './ramadan-timetable.js';
+import { PrayerStatus } from './prayer-status.js';
+import { HijriCalendar } from './hijri-calendar.js';
+import { CrescentVisibility } from './crescent-visibility.js';
+import { TravelPrayer } from './travel-prayer.js';
+import { IslamicEvents } from './islamic-events.js';
+import { MosqueManager, MOSQUE_SCHEMA_SQL } from './mosque-manager.js';
+import { SSEStreamBuffer } from './sse-stream-buffer.js';
 
 /**
  * DSA-Optimized Islamic AI Worker
@@ -76,7 +87,7 @@ class OptimizedIslamicAIWorker {
       cors: (origin) => ({
         'Access-Control-Allow-Origin': origin || '*',
         'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-        'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-CSRF-Token',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-CSRF-Token, Last-Event-ID',
         'Access-Control-Allow-Credentials': 'true'
       }),
       json: (origin) => ({
@@ -90,7 +101,8 @@ class OptimizedIslamicAIWorker {
         'Cache-Control': 'no-cache',
         'Connection': 'keep-alive',
         'Access-Control-Allow-Origin': origin || '*',
-        'Access-Control-Allow-Headers': 'Cache-Control, Authorization, X-CSRF-Token',
+        'Access-Control-Allow-Headers': 'Cache-Control, Last-Event-ID, Authorization, X-CSRF-Token',
+        'Access-Control-Expose-Headers': 'X-Stream-Id',
         'Access-Control-Allow-Credentials': 'true'
       })
     };
@@ -127,10 +139,65 @@ class OptimizedIslamicAIWorker {
       'OPTIONS /memory/clear': 'corsPreflight',
       'GET /memory/profile': 'getMemoryProfile',
       'OPTIONS /memory/profile': 'corsPreflight',
+      'GET /prayer-times': 'prayerTimes',
+      'OPTIONS /prayer-times': 'corsPreflight',
+      'GET /prayer-times/next': 'prayerNext',
+      'OPTIONS /prayer-times/next': 'corsPreflight',
+      'GET /prayer-times/timetable': 'prayerTimetable',
+      'OPTIONS /prayer-times/timetable': 'corsPreflight',
+      'GET /prayer-times/ramadan': 'prayerRamadan',
+      'OPTIONS /prayer-times/ramadan': 'corsPreflight',
+      'GET /prayer-times/calendar.ics': 'prayerCalendar',
+      'OPTIONS /prayer-times/calendar.ics': 'corsPreflight',
+      'POST /prayer-times/calendar/token': 'prayerCalendarToken',
+      'DELETE /prayer-times/calendar/token': 'prayerCalendarRevoke',
+      'OPTIONS /prayer-times/calendar/token': 'corsPreflight',
+      'GET /qibla': 'qibla',
+      'OPTIONS /qibla': 'corsPreflight',
+      'GET /moon/visibility': 'moonVisibility',
+      'OPTIONS /moon/visibility': 'corsPreflight',
+      'GET /hijri/convert': 'hijriConvert',
+      'OPTIONS /hijri/convert': 'corsPreflight',
+      'GET /hijri/today': 'hijriToday',
+      'OPTIONS /hijri/today': 'corsPreflight',
+      'GET /islamic-events': 'islamicEvents',
+      'OPTIONS /islamic-events': 'corsPreflight',
+      'GET /mosques': 'mosquesList',
+      'POST /mosques': 'mosqueCreate',
+      'PUT /mosques': 'mosqueUpdate',
+      'DELETE /mosques': 'mosqueDelete',
+      'OPTIONS /mosques': 'corsPreflight',
+      'POST /mosques/admins': 'mosqueAdminAdd',
+      'OPTIONS /mosques/admins': 'corsPreflight',
+      'POST /mosques/verify': 'mosqueVerify',
+      'OPTIONS /mosques/verify': 'corsPreflight',
+      'GET /mosques/iqamah': 'mosqueIqamah',
+      'POST /mosques/iqamah': 'iqamahCreate',
+      'PUT /mosques/iqamah': 'iqamahUpdate',
+      'DELETE /mosques/iqamah': 'iqamahDelete',
+      'OPTIONS /mosques/iqamah': 'corsPreflight',
+      'GET /mosques/timetable': 'mosqueTimetable',
+      'PUT /mosques/timetable': 'mosqueTimetableSet',
+      'DELETE /mosques/timetable': 'mosqueTimetableClear',
+      'OPTIONS /mosques/timetable': 'corsPreflight',
+      'GET /mosques/favourite': 'favouriteMosque',
+      'PUT /mosques/favourite': 'favouriteMosqueSet',
+      'DELETE /mosques/favourite': 'favouriteMosqueClear',
+      'OPTIONS /mosques/favourite': 'corsPreflight',
+      'GET /locations': 'userLocations',
+      'POST /locations': 'userLocationCreate',
+      'PUT /locations': 'userLocationUpdate',
+      'DELETE /locations': 'userLocationDelete',
+      'OPTIONS /locations': 'corsPreflight',
+      'GET /travel-status': 'travelStatus',
+      'OPTIONS /travel-status': 'corsPreflight',
       'POST /api/chat': 'chatRequest',
       'OPTIONS /api/chat': 'corsPreflight',
       'POST /api/stream': 'chatRequest',
       'OPTIONS /api/stream': 'corsPreflight',
+      'GET /api/stream/resume': 'streamResume',
+      'OPTIONS /api/stream/resume': 'corsPreflight',
+      'GET /ws': 'chatSocket',
       'POST /': 'chatRequest',
       'OPTIONS /': 'corsPreflight'
     };
@@ -378,8 +445,9 @@ export default {
   async ensureD1Schema(env) {
     try {
       if (!env || !env.D1_DB) return;
-      // Run minimal CREATE TABLE IF NOT EXISTS batch
-      const statements = (D1_SCHEMA_SQL + '\n' + AUTH_SCHEMA_SQL)
+      // Run minimal CREATE TABLE IF NOT EXISTS batch; comments go first so a ';' in one cannot split a statement
+      const statements = (D1_SCHEMA_SQL + '\n' + AUTH_SCHEMA_SQL + '\n' + MOSQUE_SCHEMA_SQL)
+        .replace(/--[^\n]*/g, '')
         .split(';')
         .map(s => s.trim())
         .filter(s => s.length > 0);
@@ -501,7 +569,27 @@ export default {
       'prefsClear',
       'profileUpdate',
       'memoryClear',
-      'getMemoryProfile'
+      'getMemoryProfile',
+      'prayerCalendarToken',
+      'prayerCalendarRevoke',
+      'mosqueCreate',
+      'mosqueUpdate',
+      'mosqueDelete',
+      'mosqueAdminAdd',
+      'mosqueVerify',
+      'iqamahCreate',
+      'iqamahUpdate',
+      'iqamahDelete',
+      'mosqueTimetableSet',
+      'mosqueTimetableClear',
+      'favouriteMosque',
+      'favouriteMosqueSet',
+      'favouriteMosqueClear',
+      'userLocations',
+      'userLocationCreate',
+      'userLocationUpdate',
+      'userLocationDelete',
+      'travelStatus'
     ];
     
     // Explicitly check for handlers that should NOT require authentication
@@ -513,6 +601,21 @@ export default {
       'authGoogle',
       'generateCSRFToken',
       'corsPreflight',
+      'prayerTimes',
+      'prayerNext',
+      'prayerTimetable',
+      'prayerRamadan',
+      'prayerCalendar', // Personal feeds authenticate with the token in the URL
+      'qibla',
+      'moonVisibility',
+      'hijriConvert',
+      'hijriToday',
+      'islamicEvents',
+      'mosquesList',
+      'mosqueIqamah', // Falls back to the favourite mosque when a token is sent
+      'mosqueTimetable',
+      'streamResume', // Guarded by the unguessable stream id and the session id
+      'chatSocket', // Checks the token itself: browsers can only send it in the URL
       'chatRequest' // Chat is available to both guest and authenticated users
     ];
     
@@ -730,10 +833,150 @@ export default {
         return await this._handleGetMemoryProfile(request, env, origin);
       }
 
+      if (handler === 'prayerTimes') {
+        return await this._handlePrayerTimes(request, env, origin);
+      }
+
+      if (handler === 'prayerNext') {
+        return await this._handlePrayerNext(request, env, origin);
+      }
+
+      if (handler === 'prayerTimetable') {
+        return await this._handlePrayerTimetable(request, env, origin);
+      }
+
+      if (handler === 'prayerRamadan') {
+        return await this._handlePrayerRamadan(request, env, origin);
+      }
+
+      if (handler === 'prayerCalendar') {
+        return await this._handlePrayerCalendar(request, env, origin);
+      }
+
+      if (handler === 'prayerCalendarToken') {
+        return await this._handlePrayerCalendarToken(request, env, origin);
+      }
+
+      if (handler === 'prayerCalendarRevoke') {
+        return await this._handlePrayerCalendarRevoke(request, env, origin);
+      }
+
+      if (handler === 'qibla') {
+        return await this._handleQibla(request, env, origin);
+      }
+
+      if (handler === 'moonVisibility') {
+        return await this._handleMoonVisibility(request, env, origin);
+      }
+
+      if (handler === 'hijriConvert') {
+        return await this._handleHijriConvert(request, env, origin);
+      }
+
+      if (handler === 'hijriToday') {
+        return await this._handleHijriToday(request, env, origin);
+      }
+
+      if (handler === 'islamicEvents') {
+        return await this._handleIslamicEvents(request, env, origin);
+      }
+
+      if (handler === 'mosquesList') {
+        return await this._handleMosquesList(request, env, origin);
+      }
+
+      if (handler === 'mosqueCreate') {
+        return await this._handleMosqueCreate(request, env, origin);
+      }
+
+      if (handler === 'mosqueUpdate') {
+        return await this._handleMosqueUpdate(request, env, origin);
+      }
+
+      if (handler === 'mosqueDelete') {
+        return await this._handleMosqueDelete(request, env, origin);
+      }
+
+      if (handler === 'mosqueAdminAdd') {
+        return await this._handleMosqueAdminAdd(request, env, origin);
+      }
+
+      if (handler === 'mosqueVerify') {
+        return await this._handleMosqueVerify(request, env, origin);
+      }
+
+      if (handler === 'mosqueIqamah') {
+        return await this._handleMosqueIqamah(request, env, origin);
+      }
+
+      if (handler === 'iqamahCreate') {
+        return await this._handleIqamahCreate(request, env, origin);
+      }
+
+      if (handler === 'iqamahUpdate') {
+        return await this._handleIqamahUpdate(request, env, origin);
+      }
+
+      if (handler === 'iqamahDelete') {
+        return await this._handleIqamahDelete(request, env, origin);
+      }
+
+      if (handler === 'mosqueTimetable') {
+        return await this._handleMosqueTimetable(request, env, origin);
+      }
+
+      if (handler === 'mosqueTimetableSet') {
+        return await this._handleMosqueTimetableSet(request, env, origin);
+      }
+
+      if (handler === 'mosqueTimetableClear') {
+        return await this._handleMosqueTimetableClear(request, env, origin);
+      }
+
+      if (handler === 'favouriteMosque') {
+        return await this._handleFavouriteMosque(request, env, origin);
+      }
+
+      if (handler === 'favouriteMosqueSet') {
+        return await this._handleFavouriteMosqueSet(request, env, origin);
+      }
+
+      if (handler === 'favouriteMosqueClear') {
+        return await this._handleFavouriteMosqueClear(request, env, origin);
+      }
+
+      if (handler === 'userLocations') {
+        return await this._handleUserLocations(request, env, origin);
+      }
+
+      if (handler === 'userLocationCreate') {
+        return await this._handleUserLocationCreate(request, env, origin);
+      }
+
+      if (handler === 'userLocationUpdate') {
+        return await this._handleUserLocationUpdate(request, env, origin);
+      }
+
+      if (handler === 'userLocationDelete') {
+        return await this._handleUserLocationDelete(request, env, origin);
+      }
+
+      if (handler === 'travelStatus') {
+        return await this._handleTravelStatus(request, env, origin);
+      }
+
       if (handler === 'chatRequest') {
         return await this._handleChatRequest(request, env, ctx, origin);
       }
 
+      if (handler === 'streamResume') {
+        return await this._handleStreamResume(request, env, origin);
+      }
+
+      if (handler === 'chatSocket') {
+        return await this._handleChatSocket(request, env, ctx, origin);
+      }
+
       // Method not allowed
       const errorResponse = worker._getFromPool('errorObjects');
       errorResponse.error = 'Method not allowed';
@@ -1040,7 +1283,8 @@ export default {
   },
 
   /**
-   * Preferences: update (language, madhhab, interests)
+   * Preferences: update (language, madhhab, interests, hijri_offset, prayer_settings)
+   * prayer_settings: { base_method, fajr_angle, isha_angle, offsets: { fajr, sunrise, dhuhr, asr, maghrib, isha } } or null
    */
   async _handlePrefsUpdate(request, env, origin) {
     await this.ensureD1Schema(env);
@@ -1051,7 +1295,7 @@ export default {
     
     // Verify CSRF token for state-changing operations (but don't block for backward compatibility)
     const body = await request.json();
-    const { language, madhhab, interests } = body || {};
+    const { language, madhhab, interests, hijri_offset, prayer_settings } = body || {};
     
     // Get CSRF token from header
     const csrfToken = request.headers.get('X-CSRF-Token');
@@ -1060,9 +1304,27 @@ export default {
       return new Response(JSON.stringify({ error: 'Invalid CSRF token' }), { status: 403, headers: worker.responseHeaders.json(origin) });
     }
     
+    let prayerSettings;
+    if (prayer_settings !== undefined && prayer_settings !== null) {
+      try {
+        prayerSettings = new LocationPrayerService().normalizeCustomSettings(prayer_settings);
+      } catch (e) {
+        return new Response(JSON.stringify({ error: e.message }), { status: 400, headers: worker.responseHeaders.json(origin) });
+      }
+    }
+    
     const d1 = new D1MemoryManager(env.D1_DB, env);
     await d1.ensureUser(userId);
-    await d1.setPreferences(userId, { language, madhhab, interests });
+    // A request carrying only hijri_offset or prayer_settings must not reset the other preferences
+    if (language !== undefined || madhhab !== undefined || interests !== undefined || (hijri_offset === undefined && prayer_settings === undefined)) {
+      await d1.setPreferences(userId, { language, madhhab, interests });
+    }
+    if (hijri_offset !== undefined) {
+      await d1.setHijriOffset(userId, new HijriCalendar().normalizeOffset(hijri_offset));
+    }
+    if (prayer_settings !== undefined) {
+      await d1.setPrayerSettings(userId, prayerSettings || null);
+    }
     return new Response(JSON.stringify({ ok: true }), { status: 200, headers: worker.responseHeaders.json(origin) });
   },
 
@@ -1087,7 +1349,7 @@ export default {
       return new Response(JSON.stringify({ error: 'Invalid CSRF token' }), { status: 403, headers: worker.responseHeaders.json(origin) });
     }
     
-    const map = { language: 'language_pref', madhhab: 'madhhab_pref', interests: 'interests_json' };
+    const map = { language: 'language_pref', madhhab: 'madhhab_pref', interests: 'interests_json', hijri_offset: 'hijri_offset', prayer_settings: 'prayer_settings_json' };
     const column = map[field];
     if (!column) {
       return new Response(JSON.stringify({ error: 'Invalid field' }), { status: 400, headers: worker.responseHeaders.json(origin) });
@@ -1188,171 +1450,2388 @@ export default {
   },
 
   /**
-   * Extract user IP address from request with optimized header checking
+   * Parse a YYYY-MM-DD query parameter into a UTC-midnight Date
+   * @param {string} value - Date string
+   * @returns {Date|null} Parsed date or null if malformed
+   */
+  _parseDateParam(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '')) return null;
+    const date = new Date(`${value}T00:00:00Z`);
+    return isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value ? null : date;
+  },
+
+  /**
+   * Resolve the Asr school from the authenticated user's stored madhhab (standard for guests)
    * @param {Request} request - The incoming request
-   * @returns {string} User's IP address
+   * @param {Object} env - Environment variables
+   * @param {LocationPrayerService} locationService - Service holding the school definitions
+   * @param {string} knownUserId - User already identified by other means (e.g. a calendar token)
+   * @returns {Promise<string>} Asr school key
    */
-  extractUserIP(request) {
-    // Use pre-computed header priority for O(1) lookup
-    const ipHeaderPriority = [
-      'CF-Connecting-IP',
-      'X-Forwarded-For', 
-      'X-Real-IP',
-      'X-Client-IP',
-      'X-Forwarded',
-      'Forwarded-For',
-      'Forwarded'
-    ];
-    
-    for (const header of ipHeaderPriority) {
-      const value = request.headers.get(header);
-      if (value) {
-        // If X-Forwarded-For contains multiple IPs, take the first one
-        const finalIP = value.includes(',') ? value.split(',')[0].trim() : value;
-        console.log(`User IP detected: ${finalIP} (from ${header})`);
-        return finalIP;
-      }
+  async _getUserAsrSchool(request, env, locationService, knownUserId = null) {
+    const userId = knownUserId || await this.verifyToken(request, env);
+    if (!userId || !env.D1_DB) return locationService.defaultAsrSchool;
+    try {
+      const d1 = new D1MemoryManager(env.D1_DB, env);
+      const prefs = await d1.getPreferences(userId);
+      return locationService.getAsrSchoolForMadhhab(prefs.madhhab);
+    } catch (e) {
+      console.log('Madhhab lookup failed:', e.message);
+      return locationService.defaultAsrSchool;
     }
-    
-    console.log('No valid IP address found in headers');
-    return 'unknown';
   },
 
   /**
-   * Handle chat request with DSA-based intelligent context integration
-   * @private
+   * The authenticated user's custom prayer time settings, if any
+   * @param {Request} request - The incoming request
+   * @param {Object} env - Environment variables
+   * @param {string} knownUserId - User already identified by other means (e.g. a calendar token)
+   * @returns {Promise<Object|null>} Settings for LocationPrayerService.buildCustomMethod, or null
    */
-  async _handleChatRequest(request, env, ctx, origin) {
-    // Extract the URL and body from the request
-    const url = new URL(request.url);
-    const body = await request.json();
-    
-    // Extract user IP for location detection
-    // Allow manual IP override for testing
-    const manualIP = body.manual_ip || null;
-    const userIP = manualIP || this.extractUserIP(request);
-    
-    // Get session ID from either URL params or request body
-    const sessionId = url.searchParams.get('session_id') || body.session_id;
-    
-    if (!sessionId) {
-      return new Response(JSON.stringify({ error: 'Session ID required' }), {
-        status: 400,
-        headers: worker.responseHeaders.json(origin),
-      });
+  async _getUserPrayerSettings(request, env, knownUserId = null) {
+    const userId = knownUserId || await this.verifyToken(request, env);
+    if (!userId || !env.D1_DB) return null;
+    try {
+      return await new D1MemoryManager(env.D1_DB, env).getPrayerSettings(userId);
+    } catch (e) {
+      console.log('Prayer settings lookup failed:', e.message);
+      return null;
     }
+  },
 
-    const userMessage = body.message;
-    // Authenticated user (personalized memory only if authenticated)
-    const authedUserId = await this.verifyToken(request, env);
-    const userIdFromBody = authedUserId || body.user_id || body.userId || null;
-    const memoryOptOut = body.memory_opt_out === true;
-    // Brevity controls (default to terse)
-    const mode = (body.mode || '').toLowerCase();
-    const terse = body.terse === true || mode === 'terse' || mode === 'brief' || body.verbose === false;
-    const verbose = body.verbose === true || mode === 'verbose';
-    const brevityPrefs = {
-      terse,
-      verbose,
-      // Increase max sentences for comprehensive answers: 4 for terse, 20 for normal, 30 for verbose
-      maxSentences: Number(body.max_sentences) > 0 ? Math.min(Number(body.max_sentences), 30) : (terse ? 4 : (verbose ? 30 : 20)),
-      maxTokens: Number(body.max_tokens) > 0 ? Math.min(Number(body.max_tokens), 2048) : (terse ? 192 : (verbose ? 1536 : 1024))
-    };
-    const languageInfo = {
-      ...body.language_info,
-      response_prefs: brevityPrefs // Pass brevity preferences to language info
-    } || { response_prefs: brevityPrefs };
-    
-    // Get user's language preference from request body if provided
-    const userLanguagePreference = body.user_language || null;
-    
-    // Get default streaming options and allow override
-    const defaultStreamingOptions = this.getDefaultStreamingOptions(env);
-    const requestStreamingOptions = body.streaming_options || {};
-    const streamingOptions = {
-      ...defaultStreamingOptions,
-      ...requestStreamingOptions
-    };
-    
-    if (!userMessage) {
-      return new Response(JSON.stringify({ error: 'Message required' }), {
-        status: 400,
-        headers: worker.responseHeaders.json(origin),
-      });
+  /**
+   * Resolve the Hijri day offset: explicit parameter, else the authenticated user's stored offset
+   * @param {Request} request - The incoming request
+   * @param {Object} env - Environment variables
+   * @param {string|null} value - Offset given with the request
+   * @param {string} knownUserId - User already identified by other means (e.g. a calendar token)
+   * @returns {Promise<number>} Offset in days
+   */
+  async _getUserHijriOffset(request, env, value = null, knownUserId = null) {
+    const hijriCalendar = new HijriCalendar();
+    if (value !== null && value !== undefined && value !== '') {
+      return hijriCalendar.normalizeOffset(value);
     }
+    const userId = knownUserId || await this.verifyToken(request, env);
+    if (!userId || !env.D1_DB) return 0;
+    const d1 = new D1MemoryManager(env.D1_DB, env);
+    return hijriCalendar.normalizeOffset(await d1.getHijriOffset(userId));
+  },
 
-    console.log(`Processing message for session ${sessionId}: ${userMessage}`);
-    console.log(`Streaming options:`, streamingOptions);
-    console.log(`User IP: ${userIP} ${manualIP ? '(manual override)' : ''}`);
+  /**
+   * Serialize a Hijri date for API responses
+   * @param {HijriCalendar} hijriCalendar - Calendar used for formatting
+   * @param {Object} hijri - Result of toHijri()
+   * @returns {Object} snake_case Hijri date
+   */
+  _formatHijriDate(hijriCalendar, hijri) {
+    return {
+      year: hijri.year,
+      month: hijri.month,
+      day: hijri.day,
+      month_name: hijri.monthName,
+      month_name_arabic: hijri.monthNameArabic,
+      formatted: hijriCalendar.format(hijri),
+      month_length: hijriCalendar.getMonthLength(hijri.year, hijri.month),
+      calendar: hijri.calendar
+    };
+  },
 
-    // Initialize managers and adaptive language system
-    // Use multiple KV namespaces if available, otherwise fall back to single
-    const kvNamespaces = [];
-    if (env.CHAT_SESSIONS) kvNamespaces.push(env.CHAT_SESSIONS);
-    if (env.CHAT_SESSIONS_2) kvNamespaces.push(env.CHAT_SESSIONS_2);
-    if (env.CHAT_SESSIONS_3) kvNamespaces.push(env.CHAT_SESSIONS_3);
-    if (env.CHAT_SESSIONS_4) kvNamespaces.push(env.CHAT_SESSIONS_4);
-    
-    const sessionManager = new MultiKVSessionManager(kvNamespaces.length > 0 ? kvNamespaces : [env.CHAT_SESSIONS]);
-    // Use dedicated KVs if available; fallback to primary chat KV
-    const primaryKV = kvNamespaces.length > 0 ? kvNamespaces[0] : env.CHAT_SESSIONS;
-    const userKV = env.USER_KV || primaryKV;
-    const semanticKV = env.SEMANTIC_KV || primaryKV;
-    const persistentMemory = new PersistentMemoryManager(primaryKV, userKV, semanticKV);
-    const commandHandler = new CommandHandler();
-    const adaptiveLanguageSystem = new AdaptiveLanguageSystem();
-    const privacyFilter = new PrivacyFilter(); // Add privacy filter
-    const islamicPrompt = new IslamicPrompt(); // Initialize IslamicPrompt for context integration
-    
-    // Use multiple API keys with load balancing
-    const apiKeys = this.getAPIKeys(env);
-    const geminiAPI = new GeminiAPI(apiKeys);
-    
-    console.log(`Using ${apiKeys.length} API key(s) with load balancing`);
+  /**
+   * Prayer time service with this deployment's published-time providers: timesprayer cached in KV (a new
+   * service is created for every request), uploaded mosque timetables in D1 and the PRAYER_JSON_FEED_URL feed
+   * @returns {LocationPrayerService} Service
+   */
+  _createPrayerService(env) {
+    return new LocationPrayerService({
+      cache: env.CHAT_SESSIONS,
+      mosques: env.D1_DB ? new MosqueManager(env.D1_DB, env) : null,
+      jsonFeedUrl: env.PRAYER_JSON_FEED_URL || null
+    });
+  },
 
-    // Properly handle session management for guest vs authenticated users
-    let userId;
-    if (authedUserId) {
-      // Authenticated user: Use their user ID for personalized memory
-      userId = authedUserId;
-      // Link session to authenticated user
-      await persistentMemory.linkSessionToUser(sessionId, userId);
-    } else {
-      // Guest user: Use session ID as user ID (no personalized memory)
-      userId = sessionId;
-      // Ensure guest sessions are not linked to any user
-      await persistentMemory.linkSessionToUser(sessionId, userId);
+  /**
+   * Parse the location, method, Asr school and high-latitude parameters shared by the prayer endpoints
+   * A signed-in user's saved prayer_settings turn an omitted method (or method=custom) into 'custom'
+   * @returns {Promise<Object>} { error } or { locationService, location, requestedMethod, method, methodSource, custom, asrSchool,
+   *   highLatitudeRule, usesIP, userId }; userId is the signed-in user whose settings may shape the answer
+   */
+  async _parsePrayerQuery(request, env, params, userId = null) {
+    const locationService = this._createPrayerService(env);
+    userId = userId || await this.verifyToken(request, env);
+
+    const requestedMethod = params.get('method') ? locationService.resolveMethodKey(params.get('method')) : null;
+    if (params.get('method') && !requestedMethod) {
+      return { error: `Unknown calculation method. Supported: ${Object.keys(locationService.calculationMethods).join(', ')}` };
     }
-    
-    // Apply opt-out if requested
-    if (memoryOptOut) {
-      await persistentMemory.setOptOut(userId, true);
+
+    // Asr school: explicit parameter, else the signed-in user's madhhab, else standard
+    let asrSchool = locationService.defaultAsrSchool;
+    if (params.get('asr')) {
+      asrSchool = locationService.normalizeAsrSchool(params.get('asr'));
+      if (!asrSchool) {
+        return { error: 'Invalid asr school. Use standard or hanafi' };
+      }
+    } else {
+      asrSchool = await this._getUserAsrSchool(request, env, locationService, userId);
     }
 
-    // Forget intent: support /forget and natural language like "forget this" or "yaad mat rakho"
-    const msgLower = (userMessage || '').trim().toLowerCase();
-    if (msgLower === '/forget' || /\b(forget this|yaad mat rakho|isse bhool jao|isey bhool jao|forget it)\b/.test(msgLower)) {
-      const ok = await persistentMemory.forgetLast(userId);
-      const reply = ok ? 'Okay, I have forgotten the most recent memory.' : 'There was nothing recent to forget.';
-      return new Response(JSON.stringify({ session_id: sessionId, reply }), {
-        status: 200,
-        headers: worker.responseHeaders.json(origin)
-      });
+    let highLatitudeRule = null;
+    if (params.get('high_latitude_rule')) {
+      const requestedRule = params.get('high_latitude_rule').toLowerCase().replace(/[_\s-]/g, '');
+      highLatitudeRule = Object.keys(locationService.highLatitudeRules).find(rule => rule.toLowerCase() === requestedRule);
+      if (!highLatitudeRule) {
+        return { error: `Unknown high latitude rule. Supported: ${Object.keys(locationService.highLatitudeRules).join(', ')}` };
+      }
     }
 
-    // Get session data for context analysis
-    const sessionData = await sessionManager.getSessionData(sessionId);
-    
-    // NEW: Enhanced adaptive language learning with behavior analysis
-    const languageAdaptation = adaptiveLanguageSystem.adaptLanguage(userMessage, sessionId, {
-      previousMessages: await sessionManager.getRecentMessages(sessionId, 5),
-      userProfile: await sessionManager.getUserProfile(sessionId),
-      timestamp: Date.now(),
-      userLanguagePreference: userLanguagePreference // Pass user's language preference
-    });
+    const timezone = params.get('timezone');
+    if (timezone && !locationService.isValidTimezone(timezone)) {
+      return { error: `Unknown timezone: ${timezone}` };
+    }
 
-    // Check for commands
-    if (userMessage.startsWith('/')) {
+    const usesIP = !params.has('lat') && !params.has('lng') && !params.get('city');
+    let location;
+    try {
+      location = await locationService.resolveLocation({
+        lat: params.get('lat'),
+        lng: params.get('lng'),
+        city: params.get('city'),
+        timezone
+      }, usesIP ? this.extractUserIP(request) : null);
+    } catch (e) {
+      return { error: e.message };
+    }
+    let custom = null;
+    if (!requestedMethod || requestedMethod === locationService.customMethodKey) {
+      custom = await this._getUserPrayerSettings(request, env, userId);
+      if (!custom && requestedMethod) {
+        return { error: 'method=custom needs prayer_settings saved with POST /prefs/update' };
+      }
+    }
+    const methodSource = custom ? 'user_custom' : (requestedMethod ? 'requested' : 'country_default');
+    const method = custom ? locationService.customMethodKey : (requestedMethod || locationService.getDefaultMethodForLocation(location));
+
+    return { locationService, location, requestedMethod: custom ? method : requestedMethod, method, methodSource, custom, asrSchool, highLatitudeRule, usesIP, userId };
+  },
+
+  /**
+   * Caching headers for answers that may depend on the caller: their IP location or the signed-in user's
+   * madhhab, Hijri offset or custom settings. Vary keeps shared caches from handing a signed-in user the anonymous copy
+   * @param {boolean} personal - Whether the answer was shaped by the caller
+   * @param {number} maxAge - Seconds
+   * @returns {Object} Cache-Control and Vary headers
+   */
+  _cacheHeaders(personal, maxAge) {
+    return {
+      'Cache-Control': `${personal ? 'private' : 'public'}, max-age=${maxAge}`,
+      'Vary': 'Authorization'
+    };
+  },
+
+  /**
+   * Prayer times: JSON timetable for coordinates, a city or the caller's IP location
+   * Query: lat, lng | city, timezone, date | start & end | days, method (default by country), asr (standard|hanafi, default from madhhab),
+   * high_latitude_rule (MiddleOfTheNight|OneSeventh|AngleBased|NearestLatitude),
+   * tolerance (1-60 minutes a published source may differ from the calculation, default 10)
+   */
+  async _handlePrayerTimes(request, env, origin) {
+    const url = new URL(request.url);
+    const params = url.searchParams;
+    const badRequest = (error) => new Response(JSON.stringify({ error }), { status: 400, headers: worker.responseHeaders.json(origin) });
+
+    const query = await this._parsePrayerQuery(request, env, params);
+    if (query.error) {
+      return badRequest(query.error);
+    }
+    const { locationService, location, requestedMethod, method, methodSource, custom, asrSchool, highLatitudeRule, usesIP, userId } = query;
+
+    // Date range: explicit start/end, or date (default: today at the location) plus optional days
+    const maxDays = 31;
+    const startParam = params.get('start') || params.get('date');
+    const startDate = startParam ? this._parseDateParam(startParam) : this._parseDateParam(locationService.getLocalDateString(location.timezone));
+    if (!startDate) {
+      return badRequest('Invalid date. Use YYYY-MM-DD');
+    }
+    let endDate = startDate;
+    if (params.get('end')) {
+      endDate = this._parseDateParam(params.get('end'));
+      if (!endDate || endDate < startDate) {
+        return badRequest('Invalid end date. Use YYYY-MM-DD on or after the start date');
+      }
+    } else if (params.get('days')) {
+      const days = parseInt(params.get('days'));
+      if (!(days > 0)) {
+        return badRequest('days must be a positive integer');
+      }
+      endDate = new Date(startDate.getTime() + (Math.min(days, maxDays) - 1) * 24 * 60 * 60 * 1000);
+    }
+    const dayCount = Math.round((endDate - startDate) / (24 * 60 * 60 * 1000)) + 1;
+    if (dayCount > maxDays) {
+      return badRequest(`Date range too large. Maximum is ${maxDays} days`);
+    }
+
+    let tolerance;
+    if (params.has('tolerance')) {
+      tolerance = Number(params.get('tolerance'));
+      if (!Number.isInteger(tolerance) || tolerance < 1 || tolerance > 60) {
+        return badRequest('tolerance must be a whole number of minutes from 1 to 60');
+      }
+    }
+
+    const days = await locationService.getPrayerTimesRange(location, startDate, endDate, { method: requestedMethod, custom, asrSchool, highLatitudeRule, tolerance });
+    const first = days[0] || {};
+
+    const body = {
+      location: {
+        city: location.city,
+        region: location.region || null,
+        country: location.country || null,
+        lat: location.lat,
+        lng: location.lng,
+        source: location.source || null,
+        is_default: location.isDefault || false
+      },
+      timezone: location.timezone || 'UTC',
+      method: first.calculationMethod || method,
+      method_name: first.calculationMethodName || (locationService.calculationMethods[method] || {}).name || null,
+      method_source: methodSource,
+      midnight_mode: first.midnightMode || (locationService.calculationMethods[method] || {}).midnight || null,
+      // What the calculation used; null for published times, which follow their source's own method
+      parameters: first.parameters && (first.source || 'computed') === 'computed' ? new PrayerTimetable(locationService).formatParameters(first.parameters) : null,
+      asr_school: asrSchool,
+      asr_school_name: locationService.asrSchools[asrSchool].name,
+      source: first.source || 'computed',
+      source_name: first.sourceName || null,
+      days: days.map(day => ({
+        date: day.date,
+        times: day.times,
+        extra_times: day.extraTimes ? {
+          imsak: day.extraTimes.imsak,
+          midnight: day.extraTimes.midnight,
+          last_third: day.extraTimes.lastThird,
+          ishraq: day.extraTimes.ishraq,
+          duha: day.extraTimes.duha,
+          duha_end: day.extraTimes.duhaEnd
+        } : null,
+        forbidden_windows: day.forbiddenWindows || [],
+        high_latitude_rule: day.highLatitudeRule || null,
+        adjusted_times: day.adjustedTimes || [],
+        source: day.source || 'computed',
+        // Published sources whose times disagreed with the calculation
+        rejected_sources: day.validation ? day.validation.rejected : []
+      }))
+    };
+
+    // IP-derived answers and the signed-in user's madhhab or custom settings must not be shared by caches
+    return new Response(JSON.stringify(body), {
+      status: 200,
+      headers: {
+        ...worker.responseHeaders.json(origin),
+        ...this._cacheHeaders(usesIP || Boolean(userId), 3600)
+      }
+    });
+  },
+
+  /**
+   * Current prayer window and the next prayer with a countdown, in the location's timezone
+   * Query: location/method/asr/high_latitude_rule as for /prayer-times
+   */
+  async _handlePrayerNext(request, env, origin) {
+    const params = new URL(request.url).searchParams;
+    const badRequest = (error) => new Response(JSON.stringify({ error }), { status: 400, headers: worker.responseHeaders.json(origin) });
+
+    const query = await this._parsePrayerQuery(request, env, params);
+    if (query.error) {
+      return badRequest(query.error);
+    }
+    const { locationService, location, requestedMethod, custom, asrSchool, highLatitudeRule } = query;
+    const status = await new PrayerStatus(locationService).getStatus(location, new Date(), { method: requestedMethod, custom, asrSchool, highLatitudeRule });
+
+    return new Response(JSON.stringify({
+      location: {
+        city: location.city,
+        region: location.region || null,
+        country: location.country || null,
+        lat: location.lat,
+        lng: location.lng,
+        source: location.source || null,
+        is_default: location.isDefault || false
+      },
+      ...this._formatPrayerStatus(status)
+    }), {
+      status: 200,
+      headers: {
+        ...worker.responseHeaders.json(origin),
+        // The countdown is only valid at the moment of the request
+        'Cache-Control': 'no-store'
+      }
+    });
+  },
+
+  _formatPrayerStatus(status) {
+    return {
+      now: status.now,
+      timezone: status.timezone,
+      date: status.date,
+      current: status.current ? {
+        name: status.current.name,
+        is_prayer: status.current.isPrayer,
+        start: status.current.start,
+        end: status.current.end,
+        ends_with: status.current.endsWith
+      } : null,
+      next: status.next ? {
+        name: status.next.name,
+        date: status.next.date,
+        time: status.next.time,
+        at: status.next.at,
+        seconds_remaining: status.next.secondsRemaining,
+        is_tomorrow: status.next.isTomorrow,
+        is_jumuah: status.next.isJumuah
+      } : null,
+      times: status.times,
+      method: status.method,
+      asr_school: status.asrSchool,
+      source: status.source
+    };
+  },
+
+  /**
+   * Prayer timetable for a Gregorian month, a Hijri month or a whole year
+   * Query: location/method/asr/high_latitude_rule as for /prayer-times, plus
+   * year & month | hijri_year & hijri_month | year (whole year); format (json|csv|html, default json);
+   * hijri_offset (-2..2 days, default the signed-in user's setting)
+   */
+  async _handlePrayerTimetable(request, env, origin) {
+    const url = new URL(request.url);
+    const params = url.searchParams;
+    const badRequest = (error) => new Response(JSON.stringify({ error }), { status: 400, headers: worker.responseHeaders.json(origin) });
+
+    const format = (params.get('format') || 'json').toLowerCase();
+    if (!['json', 'csv', 'html'].includes(format)) {
+      return badRequest('Invalid format. Use json, csv or html');
+    }
+
+    const query = await this._parsePrayerQuery(request, env, params);
+    if (query.error) {
+      return badRequest(query.error);
+    }
+    const { locationService, location, method, custom, asrSchool, highLatitudeRule, usesIP, userId } = query;
+    const timetable = new PrayerTimetable(locationService);
+    const hijriOffset = await this._getUserHijriOffset(request, env, params.get('hijri_offset'), userId);
+
+    const parseInteger = (name, min, max) => {
+      if (!params.get(name)) return null;
+      const value = Number(params.get(name));
+      return Number.isInteger(value) && value >= min && value <= max ? value : NaN;
+    };
+    const year = parseInteger('year', 1900, 2100);
+    const month = parseInteger('month', 1, 12);
+    const hijriYear = parseInteger('hijri_year', 1300, 1500);
+    const hijriMonth = parseInteger('hijri_month', 1, 12);
+    if ([year, month, hijriYear, hijriMonth].some(Number.isNaN)) {
+      return badRequest('Invalid period. year 1900-2100, month 1-12, hijri_year 1300-1500, hijri_month 1-12');
+    }
+
+    // Period: Hijri month, Gregorian month, whole year, or the current month at the location
+    let range;
+    if (hijriYear !== null || hijriMonth !== null) {
+      if (hijriYear === null || hijriMonth === null) {
+        return badRequest('hijri_year and hijri_month must be given together');
+      }
+      range = timetable.getHijriMonthRange(hijriYear, hijriMonth, hijriOffset);
+    } else if (year !== null && month === null) {
+      range = timetable.getGregorianYearRange(year);
+    } else {
+      const [localYear, localMonth] = locationService.getLocalDateString(location.timezone).split('-').map(Number);
+      range = timetable.getGregorianMonthRange(year !== null ? year : localYear, month !== null ? month : localMonth);
+    }
+
+    const result = timetable.generate(location, range.start, range.end, { method, custom, asrSchool, highLatitudeRule, hijriOffset, label: range.label });
+
+    // IP-derived answers and the signed-in user's settings are specific to the caller and must not be shared by caches
+    const cacheHeaders = this._cacheHeaders(usesIP || Boolean(userId), 86400);
+    const filename = `prayer-timetable-${range.start.toISOString().split('T')[0]}`;
+    if (format === 'csv') {
+      return new Response(timetable.toCSV(result), {
+        status: 200,
+        headers: {
+          ...worker.responseHeaders.cors(origin),
+          'Content-Type': 'text/csv; charset=utf-8',
+          'Content-Disposition': `attachment; filename="${filename}.csv"`,
+          ...cacheHeaders
+        }
+      });
+    }
+    if (format === 'html') {
+      return new Response(timetable.toHTML(result), {
+        status: 200,
+        headers: {
+          ...worker.responseHeaders.cors(origin),
+          'Content-Type': 'text/html; charset=utf-8',
+          ...cacheHeaders
+        }
+      });
+    }
+    return new Response(JSON.stringify(timetable.toJSON(result)), {
+      status: 200,
+      headers: {
+        ...worker.responseHeaders.json(origin),
+        ...cacheHeaders
+      }
+    });
+  },
+
+  /**
+   * Ramadan timetable: Sehri end, Iftar and fasting duration for each day of the month
+   * Query: location/method/asr/high_latitude_rule as for /prayer-times, hijri_year (default the current or next Ramadan),
+   * sehri (fajr|imsak, default fajr), precaution (minutes before, 0-30), format (json|csv|ics, default json),
+   * alarm (ics reminders, minutes before), hijri_offset (-2..2 days, default the signed-in user's setting)
+   */
+  async _handlePrayerRamadan(request, env, origin) {
+    const url = new URL(request.url);
+    const params = url.searchParams;
+    const badRequest = (error) => new Response(JSON.stringify({ error }), { status: 400, headers: worker.responseHeaders.json(origin) });
+
+    const format = (params.get('format') || 'json').toLowerCase();
+    if (!['json', 'csv', 'ics'].includes(format)) {
+      return badRequest('Invalid format. Use json, csv or ics');
+    }
+    const alarms = new PrayerCalendar().parseAlarms(params.get('alarm'));
+    if (!alarms) {
+      return badRequest('Invalid alarm. Use minutes before the event (0-1440), comma-separated, or none');
+    }
+    let hijriYear = null;
+    if (params.get('hijri_year')) {
+      hijriYear = Number(params.get('hijri_year'));
+      if (!Number.isInteger(hijriYear) || hijriYear < 1300 || hijriYear > 1500) {
+        return badRequest('Invalid hijri_year. Use 1300-1500');
+      }
+    }
+
+    const query = await this._parsePrayerQuery(request, env, params);
+    if (query.error) {
+      return badRequest(query.error);
+    }
+    const { locationService, location, method, custom, asrSchool, highLatitudeRule, usesIP, userId } = query;
+    const ramadan = new RamadanTimetable(locationService);
+    const hijriOffset = await this._getUserHijriOffset(request, env, params.get('hijri_offset'), userId);
+    if (hijriYear === null) {
+      hijriYear = ramadan.getRamadanYear(this._parseDateParam(locationService.getLocalDateString(location.timezone)), hijriOffset);
+    }
+
+    let result;
+    try {
+      result = ramadan.generate(location, hijriYear, {
+        method, custom, asrSchool, highLatitudeRule, hijriOffset,
+        sehriBasis: params.get('sehri'),
+        precautionMinutes: params.get('precaution')
+      });
+    } catch (error) {
+      return badRequest(error.message);
+    }
+
+    // IP-derived answers and the signed-in user's settings are specific to the caller and must not be shared by caches
+    const cacheHeaders = this._cacheHeaders(usesIP || Boolean(userId), 86400);
+    const filename = `ramadan-${hijriYear}`;
+    if (format === 'csv') {
+      return new Response(ramadan.toCSV(result), {
+        status: 200,
+        headers: {
+          ...worker.responseHeaders.cors(origin),
+          'Content-Type': 'text/csv; charset=utf-8',
+          'Content-Disposition': `attachment; filename="${filename}.csv"`,
+          ...cacheHeaders
+        }
+      });
+    }
+    if (format === 'ics') {
+      return new Response(ramadan.toICS(result, { alarms }), {
+        status: 200,
+        headers: {
+          ...worker.responseHeaders.cors(origin),
+          'Content-Type': 'text/calendar; charset=utf-8',
+          'Content-Disposition': `inline; filename="${filename}.ics"`,
+          ...cacheHeaders
+        }
+      });
+    }
+    return new Response(JSON.stringify(ramadan.toJSON(result)), {
+      status: 200,
+      headers: {
+        ...worker.responseHeaders.json(origin),
+        ...cacheHeaders
+      }
+    });
+  },
+
+  /**
+   * Prayer times as a subscribable iCalendar feed over a rolling window starting today
+   * Query: location/method/asr/high_latitude_rule as for /prayer-times, days (default 30, max 90),
+   * prayers (comma list, default the five prayers), alarm (minutes before, comma list or none) | token (personal feed)
+   */
+  async _handlePrayerCalendar(request, env, origin) {
+    const url = new URL(request.url);
+    let params = url.searchParams;
+    const badRequest = (error) => new Response(JSON.stringify({ error }), { status: 400, headers: worker.responseHeaders.json(origin) });
+
+    // Personal feeds replay the settings saved with the token; the user's madhhab is read at request time
+    let userId = null;
+    if (params.get('token')) {
+      const subscription = env.D1_DB ? await new D1MemoryManager(env.D1_DB, env).getCalendarSubscription(params.get('token')) : null;
+      if (!subscription) {
+        return new Response(JSON.stringify({ error: 'Unknown calendar token' }), { status: 404, headers: worker.responseHeaders.json(origin) });
+      }
+      userId = subscription.userId;
+      params = new URLSearchParams();
+      for (const [key, value] of Object.entries(subscription.settings)) {
+        if (value !== null && value !== undefined && value !== '') params.set(key, String(value));
+      }
+    }
+
+    const calendar = new PrayerCalendar();
+    const prayers = calendar.parsePrayers(params.get('prayers'));
+    if (!prayers) {
+      return badRequest(`Invalid prayers. Use a comma-separated list of ${Object.keys(calendar.prayerNames).join(', ')}`);
+    }
+    const alarms = calendar.parseAlarms(params.get('alarm'));
+    if (!alarms) {
+      return badRequest('Invalid alarm. Use minutes before the prayer (0-1440), comma-separated, or none');
+    }
+    const maxDays = 90;
+    const days = params.get('days') ? parseInt(params.get('days')) : 30;
+    if (!(days > 0)) {
+      return badRequest('days must be a positive integer');
+    }
+
+    const query = await this._parsePrayerQuery(request, env, params, userId);
+    if (query.error) {
+      return badRequest(query.error);
+    }
+    const { locationService, location, method, custom, asrSchool, highLatitudeRule, usesIP } = query;
+    // The feed token's owner, or the signed-in user when the feed is fetched with a bearer token
+    userId = query.userId;
+
+    const startDate = this._parseDateParam(locationService.getLocalDateString(location.timezone));
+    const endDate = new Date(startDate.getTime() + (Math.min(days, maxDays) - 1) * 24 * 60 * 60 * 1000);
+    const hijriOffset = await this._getUserHijriOffset(request, env, params.get('hijri_offset'), userId);
+    const timetable = new PrayerTimetable(locationService).generate(location, startDate, endDate, { method, custom, asrSchool, highLatitudeRule, hijriOffset });
+
+    // Personal and IP-derived feeds must not be shared by caches
+    return new Response(calendar.buildICS(timetable, { prayers, alarms }), {
+      status: 200,
+      headers: {
+        ...worker.responseHeaders.cors(origin),
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': 'inline; filename="prayer-times.ics"',
+        ...this._cacheHeaders(usesIP || Boolean(userId), 3600)
+      }
+    });
+  },
+
+  /**
+   * Create a personal calendar feed URL for the authenticated user
+   * Body: lat, lng | city (default: current IP location), timezone, method, high_latitude_rule, prayers, alarm, days
+   */
+  async _handlePrayerCalendarToken(request, env, origin) {
+    await this.ensureD1Schema(env);
+    const userId = await this.verifyToken(request, env);
+    if (!userId) {
+      return new Response(JSON.stringify({ error: 'Unauthorized' }), { status: 401, headers: worker.responseHeaders.json(origin) });
+    }
+
+    const csrfToken = request.headers.get('X-CSRF-Token');
+    if (csrfToken && !this.verifyCSRFToken(request, csrfToken)) {
+      return new Response(JSON.stringify({ error: 'Invalid CSRF token' }), { status: 403, headers: worker.responseHeaders.json(origin) });
+    }
+
+    let body = {};
+    try {
+      body = await request.json();
+    } catch {}
+    const badRequest = (error) => new Response(JSON.stringify({ error }), { status: 400, headers: worker.responseHeaders.json(origin) });
+
+    const params = new URLSearchParams();
+    for (const key of ['lat', 'lng', 'city', 'timezone', 'method', 'high_latitude_rule']) {
+      if (body && body[key] !== undefined && body[key] !== null && body[key] !== '') params.set(key, String(body[key]));
+    }
+    const query = await this._parsePrayerQuery(request, env, params, userId);
+    if (query.error) {
+      return badRequest(query.error);
+    }
+
+    const calendar = new PrayerCalendar();
+    const prayers = calendar.parsePrayers(body.prayers ? [].concat(body.prayers).join(',') : null);
+    const alarms = calendar.parseAlarms(body.alarm !== undefined && body.alarm !== null ? [].concat(body.alarm).join(',') : null);
+    if (!prayers || !alarms) {
+      return badRequest('Invalid prayers or alarm');
+    }
+
+    // Save the resolved location so the feed does not depend on where it is fetched from
+    const { location, method, highLatitudeRule } = query;
+    const settings = {
+      lat: location.lat,
+      lng: location.lng,
+      city: location.city,
+      timezone: location.timezone,
+      method,
+      high_latitude_rule: highLatitudeRule,
+      prayers: prayers.join(','),
+      alarm: alarms.length ? alarms.join(',') : 'none',
+      days: body.days ? parseInt(body.days) || null : null
+    };
+
+    const d1 = new D1MemoryManager(env.D1_DB, env);
+    await d1.ensureUser(userId);
+    const token = await d1.createCalendarSubscription(userId, settings);
+    const feedUrl = `${new URL(request.url).origin}/prayer-times/calendar.ics?token=${token}`;
+    return new Response(JSON.stringify({ token, url: feedUrl, webcal_url: feedUrl.replace(/^https?:/, 'webcal:') }), { status: 200, headers: worker.responseHeaders.json(origin) });
+  },
+
+  /**
+   * Revoke all personal calendar feed URLs of the authenticated user
+   */
+  async _handlePrayerCalendarRevoke(request, env, origin) {
+    await this.ensureD1Schema(env);
+    const userId = await this.verifyToken(request, env);
+    if (!userId) {
+      return new Response(JSON.stringify({ error: 'Unauthorized' }), { status: 401, headers: worker.responseHeaders.json(origin) });
+    }
+
+    const d1 = new D1MemoryManager(env.D1_DB, env);
+    await d1.deleteCalendarSubscriptions(userId);
+    return new Response(JSON.stringify({ ok: true }), { status: 200, headers: worker.responseHeaders.json(origin) });
+  },
+
+  /**
+   * Qibla: bearing and distance to the Kaaba plus the sun-over-Qibla times
+   * Query: lat, lng | city (default: IP location), timezone, date (for the daily sun-in-Qibla time)
+   */
+  async _handleQibla(request, env, origin) {
+    const params = new URL(request.url).searchParams;
+    const badRequest = (error) => new Response(JSON.stringify({ error }), { status: 400, headers: worker.responseHeaders.json(origin) });
+    const locationService = new LocationPrayerService();
+
+    const timezone = params.get('timezone');
+    if (timezone && !locationService.isValidTimezone(timezone)) {
+      return badRequest(`Unknown timezone: ${timezone}`);
+    }
+    const usesIP = !params.has('lat') && !params.has('lng') && !params.get('city');
+    let location;
+    try {
+      location = await locationService.resolveLocation({
+        lat: params.get('lat'),
+        lng: params.get('lng'),
+        city: params.get('city'),
+        timezone
+      }, usesIP ? this.extractUserIP(request) : null);
+    } catch (e) {
+      return badRequest(e.message);
+    }
+
+    const date = params.get('date') ? this._parseDateParam(params.get('date')) : this._parseDateParam(locationService.getLocalDateString(location.timezone));
+    if (!date) {
+      return badRequest('Invalid date. Use YYYY-MM-DD');
+    }
+
+    const qibla = locationService.getQibla(location, date);
+    const body = {
+      location: {
+        city: location.city,
+        region: location.region || null,
+        country: location.country || null,
+        lat: location.lat,
+        lng: location.lng,
+        source: location.source || null,
+        is_default: location.isDefault || false
+      },
+      timezone: location.timezone || 'UTC',
+      bearing: qibla.bearing,
+      bearing_reference: 'true_north',
+      compass: qibla.compass,
+      distance_km: qibla.distanceKm,
+      at_kaaba: qibla.atKaaba,
+      kaaba: qibla.kaaba,
+      date: date.toISOString().split('T')[0],
+      sun_in_qibla_direction: qibla.sunInQiblaDirection,
+      sun_over_kaaba: qibla.sunOverKaaba
+    };
+
+    return new Response(JSON.stringify(body), {
+      status: 200,
+      headers: {
+        ...worker.responseHeaders.json(origin),
+        'Cache-Control': `${usesIP ? 'private' : 'public'}, max-age=86400`
+      }
+    });
+  },
+
+  /**
+   * Prompt lines with the computed Qibla so the model does not guess the direction
+   * @param {Object} locationInfo - Location passed to the chat handlers
+   * @param {LocationPrayerService} locationService - Service computing the Qibla
+   * @returns {string} Lines to append to the contextual prompt
+   */
+  _buildQiblaContext(locationInfo, locationService) {
+    const location = { lat: locationInfo.latitude, lng: locationInfo.longitude, timezone: locationInfo.timezone };
+    const qibla = locationService.getQibla(location, this._parseDateParam(locationService.getLocalDateString(location.timezone)));
+    let context = `\n\n**Qibla Information (computed, use these exact values):**`;
+    context += `\nLocation: ${locationInfo.city}, ${locationInfo.country}`;
+    if (qibla.atKaaba) {
+      context += `\nThe user is within ${locationService.atKaabaKm} km of the Kaaba (${qibla.distanceKm} km), so no compass bearing applies: face the Kaaba itself.`;
+      return context;
+    }
+    context += `\nQibla bearing: ${qibla.bearing}° from true north (${qibla.compass})`;
+    context += `\nDistance to the Kaaba: ${qibla.distanceKm} km`;
+    if (qibla.sunInQiblaDirection) {
+      context += `\nToday the sun is in the Qibla direction at ${qibla.sunInQiblaDirection} local time`;
+    }
+    const visible = qibla.sunOverKaaba.filter(t => t.visible);
+    if (visible.length > 0) {
+      const transits = visible.map(t => `${t.date} ${t.time} (${t.type === 'kaaba' ? 'shadows point away from the Qibla' : 'shadows point towards the Qibla'})`).join('; ');
+      context += `\nSun over the Kaaba/antipode (local time): ${transits}`;
+    }
+    context += `\nMention that a compass shows magnetic north, which can differ from true north.`;
+    return context;
+  },
+
+  /**
+   * Crescent visibility at sunset: one evening for `date`, else the conjunction that starts the coming
+   * (or just begun) month and the two evenings after it
+   * Query: lat, lng | city (default: IP location), timezone, date
+   */
+  async _handleMoonVisibility(request, env, origin) {
+    const params = new URL(request.url).searchParams;
+    const badRequest = (error) => new Response(JSON.stringify({ error }), { status: 400, headers: worker.responseHeaders.json(origin) });
+    const locationService = new LocationPrayerService();
+
+    const timezone = params.get('timezone');
+    if (timezone && !locationService.isValidTimezone(timezone)) {
+      return badRequest(`Unknown timezone: ${timezone}`);
+    }
+    const usesIP = !params.has('lat') && !params.has('lng') && !params.get('city');
+    let location;
+    try {
+      location = await locationService.resolveLocation({
+        lat: params.get('lat'),
+        lng: params.get('lng'),
+        city: params.get('city'),
+        timezone
+      }, usesIP ? this.extractUserIP(request) : null);
+    } catch (e) {
+      return badRequest(e.message);
+    }
+
+    const crescent = new CrescentVisibility(locationService);
+    const body = {
+      location: {
+        city: location.city,
+        region: location.region || null,
+        country: location.country || null,
+        lat: location.lat,
+        lng: location.lng,
+        source: location.source || null,
+        is_default: location.isDefault || false
+      },
+      timezone: location.timezone || 'UTC'
+    };
+    if (params.get('date')) {
+      const date = this._parseDateParam(params.get('date'));
+      if (!date) {
+        return badRequest('Invalid date. Use YYYY-MM-DD');
+      }
+      body.evenings = [this._formatCrescentEvening(crescent.getVisibility(location, date.toISOString().split('T')[0]))];
+    } else {
+      const outlook = crescent.getMonthStartOutlook(location);
+      body.conjunction = outlook.conjunction;
+      body.hijri_month = { year: outlook.month.year, month: outlook.month.month, name: outlook.month.name, name_arabic: outlook.month.nameArabic };
+      body.evenings = outlook.evenings.map(evening => this._formatCrescentEvening(evening));
+    }
+
+    return new Response(JSON.stringify(body), {
+      status: 200,
+      headers: {
+        ...worker.responseHeaders.json(origin),
+        'Cache-Control': `${usesIP ? 'private' : 'public'}, max-age=3600`
+      }
+    });
+  },
+
+  /**
+   * One evening of CrescentVisibility output in the API's snake_case shape
+   * @param {Object} evening - Result of CrescentVisibility.getVisibility()
+   * @returns {Object} Evening for the JSON response
+   */
+  _formatCrescentEvening(evening) {
+    if (!evening.sunset) {
+      return { date: evening.date, sunset: null, verdict: evening.verdict, reason: evening.reason };
+    }
+    return {
+      date: evening.date,
+      conjunction: evening.conjunction,
+      sunset: evening.sunset,
+      moonset: evening.moonset,
+      best_time: evening.bestTime,
+      moon_age_hours: evening.moonAgeHours,
+      lag_minutes: evening.lagMinutes,
+      moon_altitude: evening.moonAltitude,
+      sun_altitude: evening.sunAltitude,
+      arcv: evening.arcv,
+      arcl: evening.arcl,
+      daz: evening.daz,
+      width_arcmin: evening.widthArcmin,
+      illumination_percent: evening.illumination,
+      yallop: evening.yallop,
+      odeh: evening.odeh,
+      verdict: evening.verdict,
+      reason: evening.reason
+    };
+  },
+
+  /**
+   * Hijri conversion in either direction
+   * Query: date (YYYY-MM-DD) for Gregorian to Hijri, or hijri (YYYY-MM-DD) for Hijri to Gregorian;
+   * offset (-2..2 days, default the signed-in user's setting)
+   */
+  async _handleHijriConvert(request, env, origin) {
+    const params = new URL(request.url).searchParams;
+    const badRequest = (error) => new Response(JSON.stringify({ error }), { status: 400, headers: worker.responseHeaders.json(origin) });
+    const hijriCalendar = new HijriCalendar();
+    // Without an explicit offset the signed-in user's own offset applies, so the answer is theirs alone
+    const userId = params.get('offset') ? null : await this.verifyToken(request, env);
+    const offset = await this._getUserHijriOffset(request, env, params.get('offset'), userId);
+    const headers = { ...worker.responseHeaders.json(origin), ...this._cacheHeaders(Boolean(userId), 86400) };
+
+    if (params.get('hijri')) {
+      const match = params.get('hijri').match(/^(\d{1,4})-(\d{1,2})-(\d{1,2})$/);
+      if (!match) {
+        return badRequest('Invalid hijri date. Use YYYY-MM-DD, e.g. 1446-09-01');
+      }
+      const [year, month, day] = match.slice(1).map(Number);
+      if (!hijriCalendar.isValidHijriDate(year, month, day)) {
+        return badRequest(`Invalid hijri date: ${params.get('hijri')}`);
+      }
+      const gregorian = hijriCalendar.toGregorian(year, month, day, offset);
+      return new Response(JSON.stringify({
+        gregorian: gregorian.toISOString().split('T')[0],
+        hijri: this._formatHijriDate(hijriCalendar, hijriCalendar.toHijri(gregorian, offset)),
+        offset
+      }), { status: 200, headers });
+    }
+
+    const date = this._parseDateParam(params.get('date'));
+    if (!date) {
+      return badRequest('Provide date (YYYY-MM-DD, Gregorian) or hijri (YYYY-MM-DD)');
+    }
+    return new Response(JSON.stringify({
+      gregorian: date.toISOString().split('T')[0],
+      hijri: this._formatHijriDate(hijriCalendar, hijriCalendar.toHijri(date, offset)),
+      offset
+    }), { status: 200, headers });
+  },
+
+  /**
+   * Today's Hijri date at the caller's location
+   * Query: timezone | lat, lng | city (default: IP location), offset (-2..2 days, default the signed-in user's setting)
+   */
+  async _handleHijriToday(request, env, origin) {
+    const params = new URL(request.url).searchParams;
+    const badRequest = (error) => new Response(JSON.stringify({ error }), { status: 400, headers: worker.responseHeaders.json(origin) });
+    const locationService = new LocationPrayerService();
+    const hijriCalendar = new HijriCalendar();
+
+    const timezone = params.get('timezone');
+    if (timezone && !locationService.isValidTimezone(timezone)) {
+      return badRequest(`Unknown timezone: ${timezone}`);
+    }
+    // A timezone alone is enough to know the local date; otherwise locate the caller
+    let location = { timezone, lat: null, lng: null, city: null };
+    const usesIP = !timezone && !params.has('lat') && !params.has('lng') && !params.get('city');
+    if (!timezone || params.has('lat') || params.get('city')) {
+      try {
+        location = await locationService.resolveLocation({
+          lat: params.get('lat'),
+          lng: params.get('lng'),
+          city: params.get('city'),
+          timezone
+        }, usesIP ? this.extractUserIP(request) : null);
+      } catch (e) {
+        return badRequest(e.message);
+      }
+    }
+
+    const offset = await this._getUserHijriOffset(request, env, params.get('offset'));
+    const date = this._parseDateParam(locationService.getLocalDateString(location.timezone));
+    const today = hijriCalendar.toHijri(date, offset);
+    const tomorrow = hijriCalendar.toHijri(new Date(date.getTime() + 24 * 60 * 60 * 1000), offset);
+
+    return new Response(JSON.stringify({
+      gregorian: date.toISOString().split('T')[0],
+      timezone: location.timezone || 'UTC',
+      hijri: this._formatHijriDate(hijriCalendar, today),
+      // The Islamic day begins at sunset, so this evening already belongs to the next Hijri date
+      hijri_after_maghrib: this._formatHijriDate(hijriCalendar, tomorrow),
+      offset
+    }), {
+      status: 200,
+      headers: {
+        ...worker.responseHeaders.json(origin),
+        'Cache-Control': 'private, max-age=600'
+      }
+    });
+  },
+
+  /**
+   * Significant Islamic dates for a Gregorian or Hijri year, or the next twelve months
+   * Query: year (1900-2100) | hijri_year (1300-1500) | neither for upcoming events; lang (en|ur|hi|bn|ar, default en);
+   * timezone (local "today" for upcoming events and confirmed status); white_days (default true);
+   * offset (-2..2 days, default the signed-in user's setting)
+   */
+  async _handleIslamicEvents(request, env, origin) {
+    const params = new URL(request.url).searchParams;
+    const badRequest = (error) => new Response(JSON.stringify({ error }), { status: 400, headers: worker.responseHeaders.json(origin) });
+    const locationService = new LocationPrayerService();
+    const islamicEvents = new IslamicEvents();
+
+    const language = islamicEvents.resolveLanguage(params.get('lang'));
+    if (!language) {
+      return badRequest(`Unsupported language: ${params.get('lang')}. Use one of: ${islamicEvents.languages.join(', ')}`);
+    }
+    const timezone = params.get('timezone');
+    if (timezone && !locationService.isValidTimezone(timezone)) {
+      return badRequest(`Unknown timezone: ${timezone}`);
+    }
+    const parseInteger = (name, min, max) => {
+      if (!params.has(name)) return null;
+      const value = Number(params.get(name));
+      return Number.isInteger(value) && value >= min && value <= max ? value : NaN;
+    };
+    const year = parseInteger('year', 1900, 2100);
+    const hijriYear = parseInteger('hijri_year', 1300, 1500);
+    if (Number.isNaN(year) || Number.isNaN(hijriYear)) {
+      return badRequest('Invalid year. year 1900-2100, hijri_year 1300-1500');
+    }
+    if (year !== null && hijriYear !== null) {
+      return badRequest('Give either year or hijri_year, not both');
+    }
+
+    const offset = await this._getUserHijriOffset(request, env, params.get('offset'));
+    const today = this._parseDateParam(locationService.getLocalDateString(timezone || 'UTC'));
+    const options = { offset, language, today, includeWhiteDays: params.get('white_days') !== 'false' };
+
+    let period;
+    let events;
+    if (hijriYear !== null) {
+      period = { type: 'hijri_year', hijri_year: hijriYear };
+      events = islamicEvents.getEventsForHijriYear(hijriYear, options);
+    } else if (year !== null) {
+      period = { type: 'gregorian_year', year };
+      events = islamicEvents.getEventsForGregorianYear(year, options);
+    } else {
+      period = { type: 'upcoming', from: today.toISOString().split('T')[0], days: 365 };
+      events = islamicEvents.getUpcomingEvents(today, 365, options);
+    }
+
+    const isoDate = (date) => date.toISOString().split('T')[0];
+    return new Response(JSON.stringify({
+      period,
+      language,
+      offset,
+      timezone: timezone || 'UTC',
+      events: events.map(event => ({
+        key: event.key,
+        name: event.name,
+        names: event.names,
+        start: isoDate(event.start),
+        end: isoDate(event.end),
+        days: event.days,
+        hijri: { year: event.hijriYear, month: event.hijriMonth, day: event.hijriDay },
+        hijri_date: event.hijriDate,
+        begins_evening_before: event.beginsEveningBefore,
+        fasting: event.fasting,
+        recommended_acts: event.acts,
+        note: event.note,
+        status: event.status,
+        calendar: event.calendar
+      })),
+      note: 'Dates are calculated from the Umm al-Qura calendar. Estimated dates depend on the moon sighting and may move by a day or two; confirmed dates fall in a Hijri month that has already begun.'
+    }), {
+      status: 200,
+      headers: {
+        ...worker.responseHeaders.json(origin),
+        'Cache-Control': 'private, max-age=3600'
+      }
+    });
+  },
+
+  /**
+   * Shared start of authenticated write endpoints (mosques, saved places): schema, auth, CSRF and JSON body
+   * @returns {Promise<Object>} { userId, body, d1 } or { response } to return as is
+   */
+  async _beginAuthenticatedWrite(request, env, origin) {
+    await this.ensureD1Schema(env);
+    const userId = await this.verifyToken(request, env);
+    if (!userId) {
+      return { response: new Response(JSON.stringify({ error: 'Unauthorized' }), { status: 401, headers: worker.responseHeaders.json(origin) }) };
+    }
+
+    const csrfToken = request.headers.get('X-CSRF-Token');
+    if (csrfToken && !this.verifyCSRFToken(request, csrfToken)) {
+      return { response: new Response(JSON.stringify({ error: 'Invalid CSRF token' }), { status: 403, headers: worker.responseHeaders.json(origin) }) };
+    }
+
+    let body = {};
+    try {
+      body = await request.json() || {};
+    } catch {}
+    if (request.method === 'DELETE') {
+      // DELETE clients often send the id in the query string instead of a body
+      for (const [key, value] of new URL(request.url).searchParams) {
+        if (body[key] === undefined) body[key] = value;
+      }
+    }
+
+    const d1 = new D1MemoryManager(env.D1_DB, env);
+    await d1.ensureUser(userId);
+    return { userId, body, d1 };
+  },
+
+  /**
+   * Start of the mosque write endpoints
+   * @returns {Promise<Object>} { userId, body, d1, mosques } or { response } to return as is
+   */
+  async _beginMosqueWrite(request, env, origin) {
+    const start = await this._beginAuthenticatedWrite(request, env, origin);
+    if (start.response) return start;
+    return { ...start, mosques: new MosqueManager(env.D1_DB, env) };
+  },
+
+  /**
+   * Load a mosque and check the user administers it
+   * @returns {Promise<Object>} { mosque } or { response } (404/403)
+   */
+  async _requireMosqueAdmin(mosques, mosqueId, userId, origin) {
+    const mosque = await mosques.getMosque(mosqueId);
+    if (!mosque) {
+      return { response: new Response(JSON.stringify({ error: 'Mosque not found' }), { status: 404, headers: worker.responseHeaders.json(origin) }) };
+    }
+    if (!await mosques.isAdmin(mosque.id, userId)) {
+      return { response: new Response(JSON.stringify({ error: 'Only admins of this mosque can change it' }), { status: 403, headers: worker.responseHeaders.json(origin) }) };
+    }
+    return { mosque };
+  },
+
+  _formatMosque(mosque) {
+    const formatted = {
+      id: mosque.id,
+      name: mosque.name,
+      address: mosque.address,
+      city: mosque.city,
+      country_code: mosque.countryCode,
+      lat: mosque.lat,
+      lng: mosque.lng,
+      timezone: mosque.timezone,
+      method: mosque.method,
+      asr_school: mosque.asrSchool,
+      verified: !!mosque.verifiedAt,
+      verified_at: mosque.verifiedAt,
+      updated_at: mosque.updatedAt
+    };
+    if (mosque.distanceKm !== undefined) formatted.distance_km = mosque.distanceKm;
+    return formatted;
+  },
+
+  _formatIqamahSchedule(entry) {
+    return {
+      id: entry.id,
+      mosque_id: entry.mosqueId,
+      prayer: entry.prayer,
+      mode: entry.mode,
+      time: entry.time,
+      minutes_after: entry.minutesAfter,
+      start_date: entry.startDate,
+      end_date: entry.endDate,
+      slot: entry.slot,
+      label: entry.label
+    };
+  },
+
+  _formatIqamahDay(day) {
+    const formatEntry = (entry) => entry ? {
+      time: entry.time,
+      mode: entry.mode,
+      minutes_after: entry.minutesAfter,
+      slot: entry.slot,
+      label: entry.label
+    } : null;
+    const iqamah = {};
+    for (const [prayer, entry] of Object.entries(day.iqamah)) iqamah[prayer] = formatEntry(entry);
+    return {
+      date: day.date,
+      weekday: day.weekday,
+      is_jumuah: day.isJumuah,
+      calculation_method: day.method,
+      asr_school: day.asrSchool,
+      adhan: day.adhan,
+      iqamah,
+      jumuah: day.jumuah.map(formatEntry)
+    };
+  },
+
+  /**
+   * Mosque search, or one mosque with its iqamah schedule
+   * Query: id | lat, lng, radius_km | city | q; limit
+   */
+  async _handleMosquesList(request, env, origin) {
+    const params = new URL(request.url).searchParams;
+    const badRequest = (error) => new Response(JSON.stringify({ error }), { status: 400, headers: worker.responseHeaders.json(origin) });
+    if (!env.D1_DB) {
+      return new Response(JSON.stringify({ error: 'Mosque directory is not configured' }), { status: 503, headers: worker.responseHeaders.json(origin) });
+    }
+    await this.ensureD1Schema(env);
+    const mosques = new MosqueManager(env.D1_DB, env);
+    const headers = { ...worker.responseHeaders.json(origin), 'Cache-Control': 'public, max-age=300' };
+
+    if (params.get('id')) {
+      const mosque = await mosques.getMosque(params.get('id'));
+      if (!mosque) {
+        return new Response(JSON.stringify({ error: 'Mosque not found' }), { status: 404, headers: worker.responseHeaders.json(origin) });
+      }
+      const schedules = await mosques.getSchedules(mosque.id);
+      return new Response(JSON.stringify({
+        mosque: this._formatMosque(mosque),
+        schedules: schedules.map(entry => this._formatIqamahSchedule(entry))
+      }), { status: 200, headers });
+    }
+
+    const options = { city: params.get('city'), query: params.get('q'), limit: params.get('limit') };
+    if (params.has('lat') || params.has('lng')) {
+      options.lat = parseFloat(params.get('lat'));
+      options.lng = parseFloat(params.get('lng'));
+      options.radiusKm = params.get('radius_km') ? parseFloat(params.get('radius_km')) : null;
+      if (!Number.isFinite(options.lat) || !Number.isFinite(options.lng)) {
+        return badRequest('lat and lng must be numbers');
+      }
+      if (options.radiusKm !== null && !(options.radiusKm > 0)) {
+        return badRequest('radius_km must be positive');
+      }
+    }
+    let results;
+    try {
+      results = await mosques.listMosques(options);
+    } catch (e) {
+      return badRequest(e.message);
+    }
+    return new Response(JSON.stringify({ mosques: results.map(mosque => this._formatMosque(mosque)) }), { status: 200, headers });
+  },
+
+  /**
+   * Register a mosque; the creator becomes its admin. It is unverified until a moderator approves it
+   * Body: name, lat, lng, timezone, address, city, country_code, method, asr_school
+   */
+  async _handleMosqueCreate(request, env, origin) {
+    const start = await this._beginMosqueWrite(request, env, origin);
+    if (start.response) return start.response;
+    try {
+      const mosque = await start.mosques.createMosque(start.userId, start.body);
+      return new Response(JSON.stringify({ mosque: this._formatMosque(mosque) }), { status: 201, headers: worker.responseHeaders.json(origin) });
+    } catch (e) {
+      return new Response(JSON.stringify({ error: e.message }), { status: 400, headers: worker.responseHeaders.json(origin) });
+    }
+  },
+
+  /**
+   * Update mosque details (admins only)
+   * Body: id plus any fields accepted on creation
+   */
+  async _handleMosqueUpdate(request, env, origin) {
+    const start = await this._beginMosqueWrite(request, env, origin);
+    if (start.response) return start.response;
+    const access = await this._requireMosqueAdmin(start.mosques, start.body.id, start.userId, origin);
+    if (access.response) return access.response;
+    try {
+      const mosque = await start.mosques.updateMosque(access.mosque.id, start.body);
+      return new Response(JSON.stringify({ mosque: this._formatMosque(mosque) }), { status: 200, headers: worker.responseHeaders.json(origin) });
+    } catch (e) {
+      return new Response(JSON.stringify({ error: e.message }), { status: 400, headers: worker.responseHeaders.json(origin) });
+    }
+  },
+
+  /**
+   * Delete a mosque with its schedules (admins only)
+   * Body or query: id
+   */
+  async _handleMosqueDelete(request, env, origin) {
+    const start = await this._beginMosqueWrite(request, env, origin);
+    if (start.response) return start.response;
+    const access = await this._requireMosqueAdmin(start.mosques, start.body.id, start.userId, origin);
+    if (access.response) return access.response;
+    await start.mosques.deleteMosque(access.mosque.id);
+    return new Response(JSON.stringify({ ok: true }), { status: 200, headers: worker.responseHeaders.json(origin) });
+  },
+
+  /**
+   * Add another admin to a mosque (admins only)
+   * Body: mosque_id, email (of an existing account)
+   */
+  async _handleMosqueAdminAdd(request, env, origin) {
+    const start = await this._beginMosqueWrite(request, env, origin);
+    if (start.response) return start.response;
+    const access = await this._requireMosqueAdmin(start.mosques, start.body.mosque_id, start.userId, origin);
+    if (access.response) return access.response;
+    const adminId = await start.mosques.addAdminByEmail(access.mosque.id, start.body.email);
+    if (!adminId) {
+      return new Response(JSON.stringify({ error: 'No account with that email' }), { status: 404, headers: worker.responseHeaders.json(origin) });
+    }
+    return new Response(JSON.stringify({ ok: true }), { status: 200, headers: worker.responseHeaders.json(origin) });
+  },
+
+  /**
+   * Approve a mosque, or withdraw the approval (moderators only)
+   * Body: id, verified (default true)
+   */
+  async _handleMosqueVerify(request, env, origin) {
+    const start = await this._beginMosqueWrite(request, env, origin);
+    if (start.response) return start.response;
+    if (!start.mosques.isModerator(start.userId)) {
+      return new Response(JSON.stringify({ error: 'Only moderators can verify mosques' }), { status: 403, headers: worker.responseHeaders.json(origin) });
+    }
+    const mosque = await start.mosques.getMosque(start.body.id);
+    if (!mosque) {
+      return new Response(JSON.stringify({ error: 'Mosque not found' }), { status: 404, headers: worker.responseHeaders.json(origin) });
+    }
+    const verified = await start.mosques.setVerified(mosque.id, start.userId, start.body.verified !== false);
+    return new Response(JSON.stringify({ mosque: this._formatMosque(verified) }), { status: 200, headers: worker.responseHeaders.json(origin) });
+  },
+
+  /**
+   * Adhan and iqamah times of a mosque for a day
+   * Query: id (default: the authenticated user's favourite mosque), date (default: today at the mosque)
+   */
+  async _handleMosqueIqamah(request, env, origin) {
+    const params = new URL(request.url).searchParams;
+    const badRequest = (error) => new Response(JSON.stringify({ error }), { status: 400, headers: worker.responseHeaders.json(origin) });
+    if (!env.D1_DB) {
+      return new Response(JSON.stringify({ error: 'Mosque directory is not configured' }), { status: 503, headers: worker.responseHeaders.json(origin) });
+    }
+    await this.ensureD1Schema(env);
+    const mosques = new MosqueManager(env.D1_DB, env);
+
+    let mosque = null;
+    let isFavourite = false;
+    if (params.get('id')) {
+      mosque = await mosques.getMosque(params.get('id'));
+    } else {
+      const userId = await this.verifyToken(request, env);
+      if (!userId) {
+        return badRequest('id is required');
+      }
+      mosque = await mosques.getFavouriteMosque(userId);
+      isFavourite = true;
+    }
+    if (!mosque) {
+      return new Response(JSON.stringify({ error: isFavourite ? 'No favourite mosque set' : 'Mosque not found' }), { status: 404, headers: worker.responseHeaders.json(origin) });
+    }
+
+    const date = params.get('date');
+    if (date && !this._parseDateParam(date)) {
+      return badRequest('Invalid date. Use YYYY-MM-DD');
+    }
+    const day = await mosques.getIqamahTimes(mosque, date);
+    return new Response(JSON.stringify({
+      mosque: this._formatMosque(mosque),
+      timezone: mosque.timezone,
+      ...this._formatIqamahDay(day)
+    }), {
+      status: 200,
+      headers: {
+        ...worker.responseHeaders.json(origin),
+        'Cache-Control': `${isFavourite ? 'private' : 'public'}, max-age=300`
+      }
+    });
+  },
+
+  /**
+   * Publish an iqamah schedule entry (admins only)
+   * Body: mosque_id, prayer (fajr|dhuhr|asr|maghrib|isha|jumuah), mode (fixed|after_adhan),
+   * time (HH:MM, fixed) or minutes_after (after_adhan), start_date, end_date, slot (Jumu'ah), label
+   */
+  async _handleIqamahCreate(request, env, origin) {
+    const start = await this._beginMosqueWrite(request, env, origin);
+    if (start.response) return start.response;
+    const access = await this._requireMosqueAdmin(start.mosques, start.body.mosque_id, start.userId, origin);
+    if (access.response) return access.response;
+    try {
+      const entry = await start.mosques.createSchedule(access.mosque.id, start.body);
+      return new Response(JSON.stringify({ schedule: this._formatIqamahSchedule(entry) }), { status: 201, headers: worker.responseHeaders.json(origin) });
+    } catch (e) {
+      return new Response(JSON.stringify({ error: e.message }), { status: 400, headers: worker.responseHeaders.json(origin) });
+    }
+  },
+
+  /**
+   * Change an iqamah schedule entry (admins only)
+   * Body: id plus any fields accepted on creation
+   */
+  async _handleIqamahUpdate(request, env, origin) {
+    const start = await this._beginMosqueWrite(request, env, origin);
+    if (start.response) return start.response;
+    const existing = await start.mosques.getSchedule(start.body.id);
+    if (!existing) {
+      return new Response(JSON.stringify({ error: 'Schedule entry not found' }), { status: 404, headers: worker.responseHeaders.json(origin) });
+    }
+    const access = await this._requireMosqueAdmin(start.mosques, existing.mosqueId, start.userId, origin);
+    if (access.response) return access.response;
+    try {
+      const entry = await start.mosques.updateSchedule(existing.id, start.body);
+      return new Response(JSON.stringify({ schedule: this._formatIqamahSchedule(entry) }), { status: 200, headers: worker.responseHeaders.json(origin) });
+    } catch (e) {
+      return new Response(JSON.stringify({ error: e.message }), { status: 400, headers: worker.responseHeaders.json(origin) });
+    }
+  },
+
+  /**
+   * Remove an iqamah schedule entry (admins only)
+   * Body or query: id
+   */
+  async _handleIqamahDelete(request, env, origin) {
+    const start = await this._beginMosqueWrite(request, env, origin);
+    if (start.response) return start.response;
+    const existing = await start.mosques.getSchedule(start.body.id);
+    if (!existing) {
+      return new Response(JSON.stringify({ error: 'Schedule entry not found' }), { status: 404, headers: worker.responseHeaders.json(origin) });
+    }
+    const access = await this._requireMosqueAdmin(start.mosques, existing.mosqueId, start.userId, origin);
+    if (access.response) return access.response;
+    await start.mosques.deleteSchedule(existing.id);
+    return new Response(JSON.stringify({ ok: true }), { status: 200, headers: worker.responseHeaders.json(origin) });
+  },
+
+  /**
+   * A mosque's uploaded adhan timetable
+   * Query: id, from and to (YYYY-MM-DD, default: the next 30 days at the mosque)
+   */
+  async _handleMosqueTimetable(request, env, origin) {
+    const params = new URL(request.url).searchParams;
+    const badRequest = (error) => new Response(JSON.stringify({ error }), { status: 400, headers: worker.responseHeaders.json(origin) });
+    if (!env.D1_DB) {
+      return new Response(JSON.stringify({ error: 'Mosque directory is not configured' }), { status: 503, headers: worker.responseHeaders.json(origin) });
+    }
+    await this.ensureD1Schema(env);
+    const mosques = new MosqueManager(env.D1_DB, env);
+    const mosque = await mosques.getMosque(params.get('id'));
+    if (!mosque) {
+      return new Response(JSON.stringify({ error: 'Mosque not found' }), { status: 404, headers: worker.responseHeaders.json(origin) });
+    }
+
+    const from = this._parseDateParam(params.get('from') || mosques.locationService.getLocalDateString(mosque.timezone));
+    const to = params.get('to') ? this._parseDateParam(params.get('to')) : from && new Date(from.getTime() + 29 * 86400000);
+    if (!from || !to || to < from) {
+      return badRequest('Invalid from/to. Use YYYY-MM-DD with to on or after from');
+    }
+    if ((to - from) / 86400000 > mosques.maxTimetableDays) {
+      return badRequest(`At most ${mosques.maxTimetableDays} days`);
+    }
+    const days = await mosques.getTimetable(mosque.id, from.toISOString().split('T')[0], to.toISOString().split('T')[0]);
+    return new Response(JSON.stringify({
+      mosque: this._formatMosque(mosque),
+      timezone: mosque.timezone,
+      days: days.map(day => ({ date: day.date, ...day.times }))
+    }), {
+      status: 200,
+      headers: { ...worker.responseHeaders.json(origin), 'Cache-Control': 'public, max-age=300' }
+    });
+  },
+
+  /**
+   * Upload adhan timetable days (admins only); days already uploaded for the same dates are replaced
+   * Body: id, and csv (header: date,fajr,sunrise,dhuhr,asr,maghrib,isha) or days ({ 'YYYY-MM-DD': { fajr, ... } })
+   */
+  async _handleMosqueTimetableSet(request, env, origin) {
+    const start = await this._beginMosqueWrite(request, env, origin);
+    if (start.response) return start.response;
+    const access = await this._requireMosqueAdmin(start.mosques, start.body.id, start.userId, origin);
+    if (access.response) return access.response;
+    let timetable;
+    try {
+      timetable = start.mosques.validateTimetable(start.body);
+    } catch (e) {
+      return new Response(JSON.stringify({ error: e.message }), { status: 400, headers: worker.responseHeaders.json(origin) });
+    }
+    const saved = await start.mosques.saveTimetable(access.mosque.id, timetable);
+    return new Response(JSON.stringify({ saved }), { status: 200, headers: worker.responseHeaders.json(origin) });
+  },
+
+  /**
+   * Remove uploaded timetable days (admins only)
+   * Body or query: id, and from and to (YYYY-MM-DD) to remove only that range
+   */
+  async _handleMosqueTimetableClear(request, env, origin) {
+    const start = await this._beginMosqueWrite(request, env, origin);
+    if (start.response) return start.response;
+    const access = await this._requireMosqueAdmin(start.mosques, start.body.id, start.userId, origin);
+    if (access.response) return access.response;
+    const { from, to } = start.body;
+    if ((from || to) && !(this._parseDateParam(from) && this._parseDateParam(to))) {
+      return new Response(JSON.stringify({ error: 'from and to are required together as YYYY-MM-DD' }), { status: 400, headers: worker.responseHeaders.json(origin) });
+    }
+    await start.mosques.deleteTimetable(access.mosque.id, from || null, to || null);
+    return new Response(JSON.stringify({ ok: true }), { status: 200, headers: worker.responseHeaders.json(origin) });
+  },
+
+  /**
+   * The authenticated user's favourite mosque
+   */
+  async _handleFavouriteMosque(request, env, origin) {
+    await this.ensureD1Schema(env);
+    const userId = await this.verifyToken(request, env);
+    if (!userId) {
+      return new Response(JSON.stringify({ error: 'Unauthorized' }), { status: 401, headers: worker.responseHeaders.json(origin) });
+    }
+    const mosque = await new MosqueManager(env.D1_DB, env).getFavouriteMosque(userId);
+    return new Response(JSON.stringify({ mosque: mosque ? this._formatMosque(mosque) : null }), { status: 200, headers: worker.responseHeaders.json(origin) });
+  },
+
+  /**
+   * Set the authenticated user's favourite mosque
+   * Body: mosque_id
+   */
+  async _handleFavouriteMosqueSet(request, env, origin) {
+    const start = await this._beginMosqueWrite(request, env, origin);
+    if (start.response) return start.response;
+    const mosque = await start.mosques.getMosque(start.body.mosque_id);
+    if (!mosque) {
+      return new Response(JSON.stringify({ error: 'Mosque not found' }), { status: 404, headers: worker.responseHeaders.json(origin) });
+    }
+    await start.mosques.setFavouriteMosque(start.userId, mosque.id);
+    return new Response(JSON.stringify({ mosque: this._formatMosque(mosque) }), { status: 200, headers: worker.responseHeaders.json(origin) });
+  },
+
+  /**
+   * Clear the authenticated user's favourite mosque
+   */
+  async _handleFavouriteMosqueClear(request, env, origin) {
+    const start = await this._beginMosqueWrite(request, env, origin);
+    if (start.response) return start.response;
+    await start.mosques.clearFavouriteMosque(start.userId);
+    return new Response(JSON.stringify({ ok: true }), { status: 200, headers: worker.responseHeaders.json(origin) });
+  },
+
+  /**
+   * The authenticated user's saved places, default first
+   */
+  async _handleUserLocations(request, env, origin) {
+    await this.ensureD1Schema(env);
+    const userId = await this.verifyToken(request, env);
+    if (!userId) {
+      return new Response(JSON.stringify({ error: 'Unauthorized' }), { status: 401, headers: worker.responseHeaders.json(origin) });
+    }
+    const locations = await new D1MemoryManager(env.D1_DB, env).listUserLocations(userId);
+    return new Response(JSON.stringify({ locations: locations.map(location => this._formatUserLocation(location)) }), { status: 200, headers: worker.responseHeaders.json(origin) });
+  },
+
+  /**
+   * Save a named place for the authenticated user
+   * Body: name, lat & lng | city, timezone (IANA name), optional city/country labels for coordinates, is_default
+   */
+  async _handleUserLocationCreate(request, env, origin) {
+    const start = await this._beginAuthenticatedWrite(request, env, origin);
+    if (start.response) return start.response;
+    const { userId, body, d1 } = start;
+    const badRequest = (error) => new Response(JSON.stringify({ error }), { status: 400, headers: worker.responseHeaders.json(origin) });
+
+    const name = this._normalizeLocationName(body.name);
+    if (!name) {
+      return badRequest('name is required (up to 50 characters)');
+    }
+    const existing = await d1.listUserLocations(userId);
+    if (existing.some(location => location.name.toLowerCase() === name.toLowerCase())) {
+      return new Response(JSON.stringify({ error: `A place named ${name} already exists` }), { status: 409, headers: worker.responseHeaders.json(origin) });
+    }
+    if (existing.length >= 10) {
+      return badRequest('At most 10 saved places');
+    }
+
+    let location;
+    try {
+      location = await this._resolveManualLocation(new LocationPrayerService(), body);
+    } catch (e) {
+      return badRequest(e.message);
+    }
+
+    const saved = await d1.saveUserLocation(userId, { name, location, isDefault: body.is_default === true });
+    return new Response(JSON.stringify({ location: this._formatUserLocation(saved) }), { status: 201, headers: worker.responseHeaders.json(origin) });
+  },
+
+  /**
+   * Rename, move or make default one of the authenticated user's places
+   * Body: id, and any of name, lat & lng | city, timezone, country, is_default
+   */
+  async _handleUserLocationUpdate(request, env, origin) {
+    const start = await this._beginAuthenticatedWrite(request, env, origin);
+    if (start.response) return start.response;
+    const { userId, body, d1 } = start;
+    const badRequest = (error) => new Response(JSON.stringify({ error }), { status: 400, headers: worker.responseHeaders.json(origin) });
+
+    const current = body.id ? await d1.getUserSavedLocation(userId, body.id) : null;
+    if (!current) {
+      return new Response(JSON.stringify({ error: 'Location not found' }), { status: 404, headers: worker.responseHeaders.json(origin) });
+    }
+
+    let name = current.name;
+    if (body.name !== undefined) {
+      name = this._normalizeLocationName(body.name);
+      if (!name) {
+        return badRequest('name is required (up to 50 characters)');
+      }
+      const existing = await d1.listUserLocations(userId);
+      if (existing.some(location => location.id !== current.id && location.name.toLowerCase() === name.toLowerCase())) {
+        return new Response(JSON.stringify({ error: `A place named ${name} already exists` }), { status: 409, headers: worker.responseHeaders.json(origin) });
+      }
+    }
+
+    // New coordinates or city replace the place; a timezone alone just corrects it
+    const locationService = new LocationPrayerService();
+    const { id, createdAt, updatedAt, isDefault, ...location } = current;
+    let updated = location;
+    try {
+      if (['lat', 'lng', 'city'].some(key => body[key] !== undefined)) {
+        updated = await this._resolveManualLocation(locationService, body);
+      } else if (body.timezone !== undefined || body.country !== undefined) {
+        updated = await this._resolveManualLocation(locationService, {
+          lat: location.lat,
+          lng: location.lng,
+          city: location.city,
+          country: body.country !== undefined ? body.country : location.country,
+          timezone: body.timezone !== undefined ? body.timezone : location.timezone
+        });
+      }
+    } catch (e) {
+      return badRequest(e.message);
+    }
+
+    const saved = await d1.saveUserLocation(userId, { id, name, location: updated, isDefault: body.is_default === true });
+    return new Response(JSON.stringify({ location: this._formatUserLocation(saved) }), { status: 200, headers: worker.responseHeaders.json(origin) });
+  },
+
+  /**
+   * Delete one of the authenticated user's places
+   * Body or query: id
+   */
+  async _handleUserLocationDelete(request, env, origin) {
+    const start = await this._beginAuthenticatedWrite(request, env, origin);
+    if (start.response) return start.response;
+    const { userId, body, d1 } = start;
+    const current = body.id ? await d1.getUserSavedLocation(userId, body.id) : null;
+    if (!current) {
+      return new Response(JSON.stringify({ error: 'Location not found' }), { status: 404, headers: worker.responseHeaders.json(origin) });
+    }
+    await d1.deleteUserLocation(userId, current.id);
+    return new Response(JSON.stringify({ ok: true }), { status: 200, headers: worker.responseHeaders.json(origin) });
+  },
+
+  /**
+   * Resolve a location given by hand: coordinates or a gazetteer city, never the IP
+   * @param {LocationPrayerService} locationService - Service resolving cities
+   * @param {Object|string} input - { lat, lng, city, country, timezone } or a city name
+   * @returns {Promise<Object>} { lat, lng, city, region, country, countryCode, timezone }
+   */
+  async _resolveManualLocation(locationService, input) {
+    const query = typeof input === 'string' ? { city: input } : (input || {});
+    const hasCoordinates = ['lat', 'lng'].some(key => query[key] !== undefined && query[key] !== null && query[key] !== '');
+    if (!hasCoordinates && !query.city) {
+      throw new Error('Location needs lat & lng or city');
+    }
+    if (query.timezone && !locationService.isValidTimezone(query.timezone)) {
+      throw new Error(`Unknown timezone: ${query.timezone}`);
+    }
+    const location = await locationService.resolveLocation({
+      lat: query.lat,
+      lng: query.lng,
+      city: query.city ? String(query.city).slice(0, 100) : null,
+      timezone: query.timezone || null
+    });
+    // Coordinates carry no country or zone; borrow them from a gazetteer city within 100 km
+    let { country, countryCode = null, timezone } = location;
+    const nearest = hasCoordinates ? locationService.getNearbyIslamicCities(location, 100)[0] : null;
+    if (nearest && !country) {
+      country = nearest.country;
+      countryCode = nearest.countryCode;
+    }
+    if (nearest && !query.timezone) {
+      timezone = nearest.timezone;
+    }
+    if (query.country) {
+      country = String(query.country).slice(0, 100);
+      countryCode = locationService.getCountryCode({ country }) || null;
+    }
+    return {
+      lat: location.lat,
+      lng: location.lng,
+      city: location.city || null,
+      region: location.region || null,
+      country: country || null,
+      countryCode,
+      timezone
+    };
+  },
+
+  _normalizeLocationName(name) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    return trimmed && trimmed.length <= 50 ? trimmed : null;
+  },
+
+  _formatUserLocation(location) {
+    return {
+      id: location.id,
+      name: location.name,
+      is_default: location.isDefault,
+      lat: location.lat,
+      lng: location.lng,
+      city: location.city || null,
+      country: location.country || null,
+      country_code: location.countryCode || null,
+      timezone: location.timezone,
+      updated_at: location.updatedAt
+    };
+  },
+
+  /**
+   * Traveller status: distance from the saved home, the madhhab's safar rules and today's shortened schedule
+   * Query: lat, lng | city (current location, default the IP location), timezone, home (saved place id or name,
+   * default the place named Home, else the default place), madhhab (default the user's preference),
+   * stay_days (intended stay at the current place), method/asr/high_latitude_rule as for /prayer-times
+   */
+  async _handleTravelStatus(request, env, origin) {
+    await this.ensureD1Schema(env);
+    const userId = await this.verifyToken(request, env);
+    if (!userId) {
+      return new Response(JSON.stringify({ error: 'Unauthorized' }), { status: 401, headers: worker.responseHeaders.json(origin) });
+    }
+    const params = new URL(request.url).searchParams;
+    const badRequest = (error) => new Response(JSON.stringify({ error }), { status: 400, headers: worker.responseHeaders.json(origin) });
+
+    let stayDays = null;
+    if (params.get('stay_days')) {
+      stayDays = Number(params.get('stay_days'));
+      if (!Number.isInteger(stayDays) || stayDays < 0 || stayDays > 365) {
+        return badRequest('Invalid stay_days. Use whole days from 0 to 365');
+      }
+    }
+
+    const d1 = new D1MemoryManager(env.D1_DB, env);
+    const home = await this._getUserHome(d1, userId, params.get('home'));
+    if (!home) {
+      return new Response(JSON.stringify({
+        error: params.get('home') ? `No saved place ${params.get('home')}` : 'No saved home. Add one with POST /locations'
+      }), { status: 404, headers: worker.responseHeaders.json(origin) });
+    }
+
+    const query = await this._parsePrayerQuery(request, env, params, userId);
+    if (query.error) {
+      return badRequest(query.error);
+    }
+    const { locationService, location, method, custom, asrSchool, highLatitudeRule } = query;
+    if (location.isDefault) {
+      return badRequest('Could not detect your current location. Pass lat & lng or city');
+    }
+
+    const madhhab = params.get('madhhab') || (await d1.getPreferences(userId)).madhhab;
+    const { status, prayerTimes } = this._buildTravelStatus(locationService, home, location, { madhhab, stayDays, method, custom, asrSchool, highLatitudeRule });
+
+    return new Response(JSON.stringify({
+      ...this._formatTravelStatus(status),
+      date: prayerTimes.date,
+      timezone: location.timezone,
+      method: prayerTimes.calculationMethod,
+      asr_school: asrSchool
+    }), {
+      status: 200,
+      headers: {
+        ...worker.responseHeaders.json(origin),
+        'Cache-Control': 'private, no-store'
+      }
+    });
+  },
+
+  /**
+   * Traveller status with today's prayer times at the current location
+   * @param {LocationPrayerService} locationService - Service used for the calculation
+   * @param {Object} home - Saved home location
+   * @param {Object} current - Current location
+   * @param {Object} options - { madhhab, stayDays, method, custom, asrSchool, highLatitudeRule }
+   * @returns {Object} { status, prayerTimes }
+   */
+  _buildTravelStatus(locationService, home, current, options = {}) {
+    const today = this._parseDateParam(locationService.getLocalDateString(current.timezone || 'UTC'));
+    const method = options.method || (options.custom ? locationService.customMethodKey : locationService.getDefaultMethodForLocation(current));
+    const prayerTimes = locationService.calculatePrayerTimes(current, today, null, method, options.asrSchool, {
+      highLatitudeRule: options.highLatitudeRule,
+      custom: options.custom
+    });
+    const status = new TravelPrayer(locationService).getStatus(home, current, {
+      madhhab: options.madhhab,
+      stayDays: options.stayDays,
+      times: prayerTimes.times
+    });
+    return { status, prayerTimes };
+  },
+
+  /**
+   * The user's saved home: a place picked by id or name, else the one named Home, else the default place
+   * @param {D1MemoryManager} d1 - D1 manager
+   * @param {string} userId - Authenticated user ID
+   * @param {string} key - Saved place id or name (optional)
+   * @returns {Promise<Object|null>} Saved location, or null
+   */
+  async _getUserHome(d1, userId, key = null) {
+    const places = await d1.listUserLocations(userId);
+    if (key) {
+      return places.find(place => place.id === key || place.name.toLowerCase() === key.toLowerCase()) || null;
+    }
+    return places.find(place => place.name.toLowerCase() === 'home') || places.find(place => place.isDefault) || null;
+  },
+
+  /**
+   * Where a chat user with a saved default place actually is, for travel rulings
+   * The IP lookup only runs for travel questions; its result is kept in the session for later messages
+   * @param {LocationPrayerService} locationService - Service for the lookup
+   * @param {Object} sessionManager - Session manager holding the cached location
+   * @param {string} sessionId - Chat session
+   * @param {string} userIP - Caller's IP address
+   * @param {boolean} lookup - Whether the IP may be looked up (a travel question)
+   * @returns {Promise<Object|null>} Location, or null when unknown
+   */
+  async _getTravelLocation(locationService, sessionManager, sessionId, userIP, lookup) {
+    const sessionData = await sessionManager.getSessionData(sessionId);
+    const cached = sessionData.travelLocation;
+    // Six hours: long enough for a conversation, short enough to notice the user has moved on
+    if (cached && Date.now() - cached.checkedAt < 6 * 60 * 60 * 1000) {
+      return cached.location;
+    }
+    if (!lookup || !userIP || userIP === 'unknown') return null;
+
+    const location = await locationService.getUserLocation(userIP);
+    if (!location || location.isDefault) return null;
+    sessionData.travelLocation = { location, checkedAt: Date.now() };
+    await sessionManager.saveSessionData(sessionId, sessionData);
+    return location;
+  },
+
+  /**
+   * API shape of a traveller status
+   * @param {Object} status - Result of TravelPrayer.getStatus()
+   * @returns {Object} snake_case response
+   */
+  _formatTravelStatus(status) {
+    const place = (location) => ({
+      name: location.name || null,
+      city: location.city || null,
+      country: location.country || null,
+      lat: location.lat,
+      lng: location.lng
+    });
+    const rules = status.rules;
+    return {
+      is_traveller: status.isTraveller,
+      reason: status.reason,
+      distance_km: status.distanceKm,
+      distance_basis: 'straight_line',
+      home: place(status.home),
+      current: place(status.current),
+      madhhab: status.madhhab,
+      madhhab_name: status.madhhabName,
+      rules: {
+        safar_distance_km: rules.distanceKm,
+        safar_distance_basis: rules.distanceBasis,
+        qasr: rules.qasr,
+        qasr_rule: rules.qasrRule,
+        combining_allowed: rules.combining,
+        combining_rule: rules.combiningRule,
+        residence_days: rules.residenceDays,
+        residence_rule: rules.residenceRule
+      },
+      stay_days: status.stayDays,
+      schedule: status.schedule ? {
+        prayers: status.schedule.prayers,
+        combined: status.schedule.combined
+      } : null
+    };
+  },
+
+  /**
+   * Describe where chat prayer times came from
+   * @param {Object} prayerTimesInfo - Prayer times passed to the chat handlers
+   * @returns {string} Source description for the prompt
+   */
+  _describePrayerSource(prayerTimesInfo) {
+    if (!prayerTimesInfo.source || prayerTimesInfo.source === 'computed') {
+      return 'Calculated based on astronomical calculations';
+    }
+    return `${prayerTimesInfo.sourceName || prayerTimesInfo.source}, checked to be within ${prayerTimesInfo.sourceTolerance} minutes of the astronomical calculation`;
+  },
+
+  /**
+   * Prompt lines with today's Hijri date at the user's location
+   * @param {Object} locationInfo - Location passed to the chat handlers (may be null)
+   * @param {number} hijriOffset - User day offset for local moon sighting
+   * @returns {string} Lines to append to the contextual prompt
+   */
+  _buildHijriContext(locationInfo, hijriOffset = 0) {
+    const hijriCalendar = new HijriCalendar();
+    const timezone = locationInfo && locationInfo.timezone ? locationInfo.timezone : 'UTC';
+    const date = this._parseDateParam(new LocationPrayerService().getLocalDateString(timezone)) || new Date();
+    const today = hijriCalendar.toHijri(date, hijriOffset);
+    const tomorrow = hijriCalendar.toHijri(new Date(date.getTime() + 24 * 60 * 60 * 1000), hijriOffset);
+    let context = `\n\n**Today's Date:** ${date.toISOString().split('T')[0]} (Gregorian) = ${hijriCalendar.format(today)}`;
+    context += ` (${today.calendar === 'umm_al_qura' ? 'Umm al-Qura calendar' : 'tabular Islamic calendar'}`;
+    context += today.offset ? `, adjusted ${today.offset > 0 ? '+' : ''}${today.offset} day(s) for local moon sighting)` : ')';
+    context += `\nAfter Maghrib today the Hijri date is ${hijriCalendar.format(tomorrow)}. Local moon sighting may differ by a day.`;
+    return context;
+  },
+
+  /**
+   * Today's prayer times and current status at a location, in the shape the chat prompt builders expect
+   * @param {LocationPrayerService} locationService - Service used for the calculation
+   * @param {Object} location - Location data
+   * @param {string} asrSchool - Asr school for the user (or null for the default)
+   * @param {Object} custom - The user's saved prayer_settings, used as the 'custom' method (optional)
+   * @returns {Promise<Object|null>} Prayer times info, or null if nothing could be computed
+   */
+  async _buildPrayerTimesInfo(locationService, location, asrSchool, custom = null) {
+    // Today is the calendar date at the location, which can differ from the UTC date
+    const today = this._parseDateParam(locationService.getLocalDateString(location.timezone || 'UTC'));
+    const options = custom ? { method: locationService.customMethodKey, custom, asrSchool } : { asrSchool };
+    const prayerTimes = await locationService.getPrayerTimes(location, today, options);
+    if (!prayerTimes) return null;
+    return {
+      date: prayerTimes.date,
+      location: prayerTimes.location,
+      times: prayerTimes.times,
+      timezone: prayerTimes.timezone,
+      source: prayerTimes.source || 'computed',
+      sourceName: prayerTimes.sourceName || null,
+      sourceTolerance: prayerTimes.validation ? prayerTimes.validation.tolerance : null,
+      asrSchool: prayerTimes.asrSchool || locationService.defaultAsrSchool,
+      asrSchoolName: prayerTimes.asrSchoolName || locationService.asrSchools[locationService.defaultAsrSchool].name,
+      highLatitudeRuleName: prayerTimes.highLatitudeRuleName || null,
+      extraTimes: prayerTimes.extraTimes || null,
+      forbiddenWindows: prayerTimes.forbiddenWindows || null,
+      midnightMode: prayerTimes.midnightMode || null,
+      calculationMethod: prayerTimes.calculationMethod || null,
+      calculationMethodName: prayerTimes.calculationMethodName || null,
+      // Current window and countdown worked out here, so the model does no timezone arithmetic
+      status: await new PrayerStatus(locationService).getStatus(location, new Date(), options)
+    };
+  },
+
+  /**
+   * Prompt lines with the current prayer window and the countdown to the next prayer
+   * @param {Object} status - Result of PrayerStatus.getStatus() (may be missing)
+   * @returns {string} Lines to append to the contextual prompt
+   */
+  _buildPrayerStatusContext(status) {
+    if (!status) return '';
+    const prayerStatus = new PrayerStatus();
+    const clock = (iso) => iso ? iso.slice(11, 16) : null;
+    let context = `\nCurrent local time: ${status.now.slice(0, 10)} ${clock(status.now)} (UTC${status.now.slice(19)})`;
+    if (status.current) {
+      const window = `${clock(status.current.start)}-${clock(status.current.end) || '?'}`;
+      context += status.current.isPrayer
+        ? `\nCurrent prayer time: ${prayerStatus.names[status.current.name]} (${window}, ends at ${prayerStatus.names[status.current.endsWith] || 'the next prayer'})`
+        : `\nCurrent period: after sunrise, no obligatory prayer until Dhuhr (${window})`;
+    }
+    if (status.next) {
+      const name = status.next.isJumuah ? "Jumu'ah (Dhuhr)" : prayerStatus.names[status.next.name];
+      context += `\nNext prayer: ${name} at ${status.next.time}${status.next.isTomorrow ? ' tomorrow' : ''}, in ${prayerStatus.formatCountdown(status.next.secondsRemaining)}`;
+    }
+    context += `\nUse these computed values for "next prayer", "current prayer" and "how long until" questions.`;
+    return context;
+  },
+
+  /**
+   * Prompt lines for Imsak, midnight, last third, Ishraq, Duha and the makruh windows
+   * @param {Object} prayerTimesInfo - Prayer times passed to the chat handlers
+   * @returns {string} Lines to append to the contextual prompt (empty for website-provided times)
+   */
+  _buildExtraTimesContext(prayerTimesInfo) {
+    const extras = prayerTimesInfo.extraTimes;
+    if (!extras) return '';
+    const midnightBasis = prayerTimesInfo.midnightMode === 'jafari' ? 'sunset to Fajr' : 'sunset to sunrise';
+    let context = `\nImsak: ${extras.imsak}`;
+    context += `\nIslamic midnight: ${extras.midnight} (middle of ${midnightBasis})`;
+    context += `\nLast third of the night (Tahajjud): from ${extras.lastThird}`;
+    context += `\nIshraq: ${extras.ishraq}`;
+    context += `\nDuha (Chasht): best from ${extras.duha}, ends ${extras.duhaEnd}`;
+    if (prayerTimesInfo.forbiddenWindows) {
+      const windows = prayerTimesInfo.forbiddenWindows.map(w => `${w.name} ${w.start}-${w.end}`).join(', ');
+      context += `\nMakruh (forbidden) times for voluntary prayer: ${windows}`;
+    }
+    return context;
+  },
+
+  /**
+   * Whether a chat message asks about prayer times
+   * @param {string} message - User message
+   * @returns {boolean} True when prayer time keywords are present
+   */
+  _isPrayerTimeQuery(message) {
+    const lowerMessage = String(message || '').toLowerCase();
+    const prayerTimeKeywords = ['prayer time', 'namaz time', 'azaan time', 'prayer schedule', 
+                              'fajr', 'dhuhr', 'asr', 'maghrib', 'isha', 'salah time', 
+                              'prayer times today', 'when is', 'azaan', 'adhan', 'iqamah',
+                              'next prayer', 'current prayer', 'prayer for today', 'namaz',
+                              'tahajjud', 'last third', 'midnight', 'imsak', 'sehri', 'suhoor',
+                              'ishraq', 'duha', 'chasht', 'zawal', 'makruh', 'forbidden time',
+                              'jamaat', "jama'ah", 'jamat', 'jummah', "jumu'ah", 'jumuah'];
+    if (prayerTimeKeywords.some(keyword => lowerMessage.includes(keyword))) return true;
+    // A mosque on its own is often history or architecture; only with a time word is it about prayer times
+    return /\b(masjid|mosque)s?\b/.test(lowerMessage) && /\b(times?|timings?|schedule|o'clock)\b/.test(lowerMessage);
+  },
+
+  /**
+   * Prompt lines with the iqamah (congregation) times of the user's favourite mosque
+   * @param {Object} mosque - Mosque from MosqueManager
+   * @param {Object} day - Result of MosqueManager.getIqamahTimes()
+   * @returns {string} Lines to append to the contextual prompt
+   */
+  _buildIqamahContext(mosque, day) {
+    const names = { fajr: 'Fajr', dhuhr: 'Dhuhr', asr: 'Asr', maghrib: 'Maghrib', isha: 'Isha' };
+    // Anyone can register a mosque, so unverified times are passed on with a warning
+    let context = mosque.verifiedAt
+      ? `\n\n**Iqamah Times at the User's Mosque (published by the mosque, use these exact times):**`
+      : `\n\n**Iqamah Times at the User's Mosque (entered by a user and NOT verified):**`;
+    context += `\nMosque: ${mosque.name}${mosque.city ? `, ${mosque.city}` : ''} (${day.weekday} ${day.date}, ${mosque.timezone})`;
+    for (const [prayer, name] of Object.entries(names)) {
+      const entry = day.iqamah[prayer];
+      context += `\n${name}: adhan ${day.adhan[prayer]}, iqamah ${entry ? entry.time : 'not published'}`;
+    }
+    if (day.jumuah.length > 0) {
+      context += `\nJumu'ah: ${day.jumuah.map(entry => `${entry.label || `slot ${entry.slot}`} ${entry.time}`).join(', ')}`;
+    }
+    context += `\nWhen the user asks when to pray or when the jama'ah is, give the iqamah time at this mosque.`;
+    if (!mosque.verifiedAt) {
+      context += ` Say that these times have not been verified and that the user should confirm them with the mosque.`;
+    }
+    return context;
+  },
+
+  /**
+   * Extract user IP address from request with optimized header checking
+   * @param {Request} request - The incoming request
+   * @returns {string} User's IP address
+   */
+  extractUserIP(request) {
+    // Use pre-computed header priority for O(1) lookup
+    const ipHeaderPriority = [
+      'CF-Connecting-IP',
+      'X-Forwarded-For', 
+      'X-Real-IP',
+      'X-Client-IP',
+      'X-Forwarded',
+      'Forwarded-For',
+      'Forwarded'
+    ];
+    
+    for (const header of ipHeaderPriority) {
+      const value = request.headers.get(header);
+      if (value) {
+        // If X-Forwarded-For contains multiple IPs, take the first one
+        const finalIP = value.includes(',') ? value.split(',')[0].trim() : value;
+        console.log(`User IP detected: ${finalIP} (from ${header})`);
+        return finalIP;
+      }
+    }
+    
+    console.log('No valid IP address found in headers');
+    return 'unknown';
+  },
+
+  /**
+   * Handle GET /api/stream/resume - replay a streamed answer after a dropped connection
+   * Sends the buffered events after Last-Event-ID and follows the answer until it ends
+   * @private
+   */
+  async _handleStreamResume(request, env, origin) {
+    const url = new URL(request.url);
+    const badRequest = (error) => new Response(JSON.stringify({ error }), { status: 400, headers: worker.responseHeaders.json(origin) });
+
+    const streamId = url.searchParams.get('stream_id');
+    const sessionId = url.searchParams.get('session_id');
+    if (!streamId || !sessionId) {
+      return badRequest('stream_id and session_id are required');
+    }
+    // EventSource sends Last-Event-ID on reconnect; the query parameter serves the first connection
+    const lastEventId = (request.headers.get('Last-Event-ID') || url.searchParams.get('last_event_id') || '0').trim();
+    if (!/^\d+$/.test(lastEventId)) {
+      return badRequest('Last-Event-ID must be a non-negative integer');
+    }
+
+    const streamBuffer = new SSEStreamBuffer(env.CHAT_SESSIONS || env.CHAT_SESSIONS_2 || env.CHAT_SESSIONS_3 || env.CHAT_SESSIONS_4);
+    const saved = await streamBuffer.load(streamId);
+    if (!saved || saved.sessionId !== sessionId) {
+      return new Response(JSON.stringify({ error: 'Stream not found or expired' }), {
+        status: 404,
+        headers: worker.responseHeaders.json(origin)
+      });
+    }
+
+    const headers = worker.responseHeaders.stream(origin);
+    headers['X-Stream-Id'] = streamId;
+    return new Response(streamBuffer.resume(streamId, Number(lastEventId), saved), {
+      status: 200,
+      headers
+    });
+  },
+
+  /**
+   * Handle GET /ws - WebSocket chat session
+   * Authenticates with the same JWT as the HTTP API: the Authorization header, or `token` in the URL
+   * for browsers, which cannot set headers on a WebSocket
+   * @private
+   */
+  async _handleChatSocket(request, env, ctx, origin) {
+    if ((request.headers.get('Upgrade') || '').toLowerCase() !== 'websocket') {
+      return new Response(JSON.stringify({ error: 'Expected a WebSocket upgrade' }), {
+        status: 426,
+        headers: { ...worker.responseHeaders.json(origin), 'Upgrade': 'websocket' }
+      });
+    }
+
+    const url = new URL(request.url);
+    const auth = request.headers.get('Authorization') || '';
+    const token = auth.startsWith('Bearer ') ? auth.substring(7) : (url.searchParams.get('token') || '');
+    const userId = token
+      ? await this.verifyToken(new Request(request.url, { headers: { 'Authorization': `Bearer ${token}` } }), env)
+      : null;
+    if (!userId) {
+      return this.createAuthRequiredResponse(origin);
+    }
+
+    const pair = new WebSocketPair();
+    const [client, server] = Object.values(pair);
+    server.accept();
+    this._attachChatSocket(server, request, env, ctx, {
+      token,
+      userId,
+      origin,
+      sessionId: url.searchParams.get('session_id')
+    });
+    return new Response(null, { status: 101, webSocket: client });
+  },
+
+  /**
+   * Run the chat protocol on an accepted WebSocket
+   * Client frames are JSON: { type: 'chat', message, request_id?, ...chat body fields }, { type: 'cancel' },
+   * { type: 'language', language }, { type: 'mode', mode } and { type: 'ping' }. The server answers with
+   * ready, typing, the stream events (start, content, citation, metadata, end, error), reply (whole
+   * answers such as commands), cancelled, settings and pong frames. A reply still generating when the
+   * socket closes is finished and saved, and can be fetched from /api/stream/resume with its stream_id
+   * @param {WebSocket} socket - Server side of the pair
+   * @param {Request} request - Upgrade request (client IP headers are passed on to chat)
+   * @param {Object} env - Environment bindings
+   * @param {Object} ctx - Execution context
+   * @param {Object} options - { token, userId, origin, sessionId }
+   * @returns {Object} Session state
+   * @private
+   */
+  _attachChatSocket(socket, request, env, ctx, options) {
+    const privacyFilter = new PrivacyFilter();
+    const modes = ['terse', 'brief', 'normal', 'verbose'];
+    const state = {
+      sessionId: options.sessionId || crypto.randomUUID(),
+      language: null,
+      mode: null,
+      requestCount: 0,
+      active: null
+    };
+    const send = (frame) => {
+      try {
+        socket.send(JSON.stringify(frame));
+      } catch {
+        // Socket already closed
+      }
+    };
+
+    const runChat = async (frame) => {
+      const requestId = frame.request_id ? String(frame.request_id) : String(++state.requestCount);
+      const message = typeof frame.message === 'string' ? frame.message.trim() : '';
+      if (!message) {
+        send({ type: 'error', request_id: requestId, error: 'Message required' });
+        return;
+      }
+      if (state.active) {
+        send({ type: 'error', request_id: requestId, error: 'A reply is already in progress; cancel it first' });
+        return;
+      }
+
+      const controller = new AbortController();
+      state.active = { requestId, controller };
+      send({ type: 'typing', request_id: requestId, typing: true });
+      try {
+        // Same body as POST /api/chat; the session's language and mode apply unless the frame sets its own
+        const { type, request_id, ...fields } = frame;
+        const body = {
+          ...fields,
+          message,
+          session_id: state.sessionId,
+          user_language: fields.user_language || state.language,
+          mode: fields.mode || state.mode,
+          streaming_options: { ...fields.streaming_options, enableStreaming: true }
+        };
+        const headers = new Headers({ 'Content-Type': 'application/json', 'Authorization': `Bearer ${options.token}` });
+        for (const name of ['CF-Connecting-IP', 'X-Forwarded-For', 'X-Real-IP']) {
+          const value = request.headers.get(name);
+          if (value) headers.set(name, value);
+        }
+        const chatRequest = new Request(new URL('/api/chat', request.url), { method: 'POST', headers, body: JSON.stringify(body) });
+        const response = await this._handleChatRequest(chatRequest, env, ctx, options.origin, { signal: controller.signal });
+
+        if (controller.signal.aborted) {
+          // Not awaited: the other branch of the stream finishes on its own once generation stops
+          if (response.body) response.body.cancel().catch(() => {});
+        } else if ((response.headers.get('Content-Type') || '').includes('text/event-stream')) {
+          await this._forwardStreamToSocket(response.body, controller.signal, (event) => send({ ...event, request_id: requestId }));
+        } else {
+          send({ ...(await response.json()), type: 'reply', request_id: requestId });
+        }
+      } catch (error) {
+        if (!controller.signal.aborted) {
+          send({ type: 'error', request_id: requestId, error: privacyFilter.filterResponse(error.message) });
+        }
+      } finally {
+        state.active = null;
+        send({ type: 'typing', request_id: requestId, typing: false });
+      }
+    };
+
+    const handleFrame = async (data) => {
+      let frame;
+      try {
+        frame = JSON.parse(typeof data === 'string' ? data : new TextDecoder().decode(data));
+      } catch {
+        send({ type: 'error', error: 'Frames must be JSON' });
+        return;
+      }
+      if (!frame || typeof frame !== 'object') {
+        send({ type: 'error', error: 'Frames must be JSON objects' });
+        return;
+      }
+
+      if (frame.type === 'chat') {
+        await runChat(frame);
+      } else if (frame.type === 'cancel') {
+        if (!state.active) {
+          send({ type: 'error', error: 'Nothing to cancel' });
+          return;
+        }
+        const { requestId, controller } = state.active;
+        controller.abort();
+        send({ type: 'cancelled', request_id: requestId });
+      } else if (frame.type === 'language') {
+        const language = typeof frame.language === 'string' ? frame.language.trim().toLowerCase() : '';
+        if (!language || language.length > 32) {
+          send({ type: 'error', error: 'language must be a language name or code' });
+          return;
+        }
+        state.language = language;
+        send({ type: 'settings', language: state.language, mode: state.mode });
+      } else if (frame.type === 'mode') {
+        const mode = String(frame.mode || '').toLowerCase();
+        if (!modes.includes(mode)) {
+          send({ type: 'error', error: `mode must be one of: ${modes.join(', ')}` });
+          return;
+        }
+        state.mode = mode;
+        send({ type: 'settings', language: state.language, mode: state.mode });
+      } else if (frame.type === 'ping') {
+        send({ type: 'pong', timestamp: new Date().toISOString() });
+      } else if (frame.type !== 'typing') {
+        // The user's typing indicator needs no answer; anything else is unknown
+        send({ type: 'error', error: `Unknown frame type: ${frame.type}` });
+      }
+    };
+
+    socket.addEventListener('message', (event) => {
+      const handling = handleFrame(event.data).catch(error => console.error('WebSocket frame failed:', error.message));
+      if (ctx && typeof ctx.waitUntil === 'function') ctx.waitUntil(handling);
+    });
+    send({ type: 'ready', session_id: state.sessionId, user_id: options.userId });
+    return state;
+  },
+
+  /**
+   * Send each event of a chat stream as a WebSocket frame
+   * @param {ReadableStream} stream - SSE response body
+   * @param {AbortSignal} signal - Stops forwarding when the reply is cancelled
+   * @param {Function} sendEvent - Receives { id, type, content, metadata }
+   * @private
+   */
+  async _forwardStreamToSocket(stream, signal, sendEvent) {
+    const reader = stream.getReader();
+    const decoder = new TextDecoder();
+    const parser = new SSEStreamBuffer(null);
+    const stop = () => reader.cancel().catch(() => {});
+    signal.addEventListener('abort', stop);
+    let buffer = '';
+    try {
+      while (!signal.aborted) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        const { events, rest } = parser.parseEvents(buffer);
+        buffer = rest;
+        for (const event of events) {
+          if (signal.aborted) break;
+          try {
+            sendEvent({ id: Number(event.id) || null, ...JSON.parse(event.data), type: event.event });
+          } catch {
+            // Skip malformed
+          }
+        }
+      }
+    } finally {
+      signal.removeEventListener('abort', stop);
+    }
+  },
+
+  /**
+   * Handle chat request with DSA-based intelligent context integration
+   * @private
+   */
+  async _handleChatRequest(request, env, ctx, origin, options = {}) {
+    // Extract the URL and body from the request
+    const url = new URL(request.url);
+    const body = await request.json();
+    
+    // Extract user IP for location detection (used when there is no saved or sent location)
+    const userIP = this.extractUserIP(request);
+    
+    // Get session ID from either URL params or request body
+    const sessionId = url.searchParams.get('session_id') || body.session_id;
+    
+    if (!sessionId) {
+      return new Response(JSON.stringify({ error: 'Session ID required' }), {
+        status: 400,
+        headers: worker.responseHeaders.json(origin),
+      });
+    }
+
+    const userMessage = body.message;
+    // Authenticated user (personalized memory only if authenticated)
+    const authedUserId = await this.verifyToken(request, env);
+    const userIdFromBody = authedUserId || body.user_id || body.userId || null;
+    const memoryOptOut = body.memory_opt_out === true;
+    // Brevity controls (default to terse)
+    const mode = (body.mode || '').toLowerCase();
+    const terse = body.terse === true || mode === 'terse' || mode === 'brief' || body.verbose === false;
+    const verbose = body.verbose === true || mode === 'verbose';
+    const brevityPrefs = {
+      terse,
+      verbose,
+      // Increase max sentences for comprehensive answers: 4 for terse, 20 for normal, 30 for verbose
+      maxSentences: Number(body.max_sentences) > 0 ? Math.min(Number(body.max_sentences), 30) : (terse ? 4 : (verbose ? 30 : 20)),
+      maxTokens: Number(body.max_tokens) > 0 ? Math.min(Number(body.max_tokens), 2048) : (terse ? 192 : (verbose ? 1536 : 1024))
+    };
+    const languageInfo = {
+      ...body.language_info,
+      response_prefs: brevityPrefs // Pass brevity preferences to language info
+    } || { response_prefs: brevityPrefs };
+    
+    // Get user's language preference from request body if provided
+    const userLanguagePreference = body.user_language || null;
+    
+    // Get default streaming options and allow override
+    const defaultStreamingOptions = this.getDefaultStreamingOptions(env);
+    const requestStreamingOptions = body.streaming_options || {};
+    const streamingOptions = {
+      ...defaultStreamingOptions,
+      ...requestStreamingOptions
+    };
+    // Internal callers (the WebSocket session) can cancel generation
+    if (options.signal) streamingOptions.signal = options.signal;
+    
+    if (!userMessage) {
+      return new Response(JSON.stringify({ error: 'Message required' }), {
+        status: 400,
+        headers: worker.responseHeaders.json(origin),
+      });
+    }
+
+    console.log(`Processing message for session ${sessionId}: ${userMessage}`);
+    console.log(`Streaming options:`, streamingOptions);
+    console.log(`User IP: ${userIP}`);
+
+    // Initialize managers and adaptive language system
+    // Use multiple KV namespaces if available, otherwise fall back to single
+    const kvNamespaces = [];
+    if (env.CHAT_SESSIONS) kvNamespaces.push(env.CHAT_SESSIONS);
+    if (env.CHAT_SESSIONS_2) kvNamespaces.push(env.CHAT_SESSIONS_2);
+    if (env.CHAT_SESSIONS_3) kvNamespaces.push(env.CHAT_SESSIONS_3);
+    if (env.CHAT_SESSIONS_4) kvNamespaces.push(env.CHAT_SESSIONS_4);
+    
+    const sessionManager = new MultiKVSessionManager(kvNamespaces.length > 0 ? kvNamespaces : [env.CHAT_SESSIONS]);
+    // Use dedicated KVs if available; fallback to primary chat KV
+    const primaryKV = kvNamespaces.length > 0 ? kvNamespaces[0] : env.CHAT_SESSIONS;
+    const userKV = env.USER_KV || primaryKV;
+    const semanticKV = env.SEMANTIC_KV || primaryKV;
+    const persistentMemory = new PersistentMemoryManager(primaryKV, userKV, semanticKV);
+    const commandHandler = new CommandHandler();
+    const adaptiveLanguageSystem = new AdaptiveLanguageSystem();
+    const privacyFilter = new PrivacyFilter(); // Add privacy filter
+    const islamicPrompt = new IslamicPrompt(); // Initialize IslamicPrompt for context integration
+    const streamBuffer = new SSEStreamBuffer(primaryKV); // Lets dropped streams resume with Last-Event-ID
+    
+    // Use multiple API keys with load balancing
+    const apiKeys = this.getAPIKeys(env);
+    const geminiAPI = new GeminiAPI(apiKeys);
+    
+    console.log(`Using ${apiKeys.length} API key(s) with load balancing`);
+
+    // Properly handle session management for guest vs authenticated users
+    let userId;
+    if (authedUserId) {
+      // Authenticated user: Use their user ID for personalized memory
+      userId = authedUserId;
+      // Link session to authenticated user
+      await persistentMemory.linkSessionToUser(sessionId, userId);
+    } else {
+      // Guest user: Use session ID as user ID (no personalized memory)
+      userId = sessionId;
+      // Ensure guest sessions are not linked to any user
+      await persistentMemory.linkSessionToUser(sessionId, userId);
+    }
+    
+    // Apply opt-out if requested
+    if (memoryOptOut) {
+      await persistentMemory.setOptOut(userId, true);
+    }
+
+    // Forget intent: support /forget and natural language like "forget this" or "yaad mat rakho"
+    const msgLower = (userMessage || '').trim().toLowerCase();
+    if (msgLower === '/forget' || /\b(forget this|yaad mat rakho|isse bhool jao|isey bhool jao|forget it)\b/.test(msgLower)) {
+      const ok = await persistentMemory.forgetLast(userId);
+      const reply = ok ? 'Okay, I have forgotten the most recent memory.' : 'There was nothing recent to forget.';
+      return new Response(JSON.stringify({ session_id: sessionId, reply }), {
+        status: 200,
+        headers: worker.responseHeaders.json(origin)
+      });
+    }
+
+    // Get session data for context analysis
+    const sessionData = await sessionManager.getSessionData(sessionId);
+    
+    // NEW: Enhanced adaptive language learning with behavior analysis
+    const languageAdaptation = adaptiveLanguageSystem.adaptLanguage(userMessage, sessionId, {
+      previousMessages: await sessionManager.getRecentMessages(sessionId, 5),
+      userProfile: await sessionManager.getUserProfile(sessionId),
+      timestamp: Date.now(),
+      userLanguagePreference: userLanguagePreference // Pass user's language preference
+    });
+
+    // Check for commands
+    if (userMessage.startsWith('/')) {
       const commandResult = await commandHandler.handleCommand(userMessage, sessionId, sessionManager);
       // Filter command results
       const filteredCommandResult = {
@@ -1367,14 +3846,18 @@ export default {
 
     // Get session data for context analysis
     const sessionDataForContext = await sessionManager.getSessionData(sessionId);
+    // Earlier turns go to Gemini as real user/model turns
+    const conversationHistory = sessionDataForContext.history || [];
     
     // NEW: Enhanced DSA-based intelligent context integration with behavioral patterns
     // Prioritize responding based on the user's current message and behavior patterns
     // Only integrate past context when there's contextual or logical connection
+    // The history itself reaches Gemini as turns, so it is only analysed here, not quoted again
     let contextualPrompt = islamicPrompt.getContextIntegratedPrompt(
       userMessage,
-      sessionDataForContext.history || [], // Past context from session history
-      languageAdaptation // Pass language preferences
+      conversationHistory, // Past context from session history
+      languageAdaptation, // Pass language preferences
+      { historyInTurns: true }
     );
 
     // Hybrid recall: short-term (already in contextualPromptBase) + semantic similar long-term
@@ -1387,6 +3870,7 @@ export default {
 
     // D1-backed long-term preferences and summaries for authenticated users
     let userPreferences = null;
+    let hijriOffset = 0;
     let recentSummaries = [];
     let userProfile = null;
     let behavioralInsights = null; // NEW: Store behavioral insights
@@ -1397,6 +3881,7 @@ export default {
         const d1 = new D1MemoryManager(env.D1_DB, env);
         await d1.ensureUser(authedUserId);
         userPreferences = await d1.getPreferences(authedUserId);
+        hijriOffset = await d1.getHijriOffset(authedUserId);
         recentSummaries = await d1.getRecentSummaries(authedUserId, 3);
         userProfile = await d1.getUserProfile(authedUserId);
         
@@ -1453,6 +3938,13 @@ export default {
       }
     }
     
+    // Asr juristic school for prayer times: per-request override, else the stored madhhab
+    const asrSchoolService = new LocationPrayerService();
+    const asrSchool = asrSchoolService.normalizeAsrSchool(body.asr_school) ||
+      asrSchoolService.getAsrSchoolForMadhhab(userPreferences ? userPreferences.madhhab : null);
+    // The user's own angles and minute offsets, when they have saved any
+    const prayerSettings = authedUserId ? await this._getUserPrayerSettings(request, env, authedUserId) : null;
+
     if (recall.similar && recall.similar.length > 0) {
       contextualPrompt += '\n\n**Relevant Prior Memories:**\n';
       recall.similar.forEach(rec => {
@@ -1539,101 +4031,163 @@ export default {
       let locationInfo = null;
       let prayerTimesInfo = null;
       
-      if (userIP && userIP !== 'unknown') {
+      // Where the user is: their saved default place, then a location sent with the message, then the IP
+      const locationService = this._createPrayerService(env);
+      let location = null;
+      if (authedUserId && env.D1_DB) {
+        const saved = await new D1MemoryManager(env.D1_DB, env).getDefaultUserLocation(authedUserId);
+        if (saved) {
+          location = { ...saved, city: saved.city || saved.name, source: 'saved' };
+        }
+      }
+      if (!location && body.location) {
         try {
-          const { LocationPrayerService } = await import('./location-prayer-service.js');
-          const locationService = new LocationPrayerService();
-          const location = await locationService.getUserLocation(userIP);
-          locationInfo = {
-            ip: userIP,
-            city: location.city,
-            region: location.region,
-            country: location.country,
-            timezone: location.timezone,
-            latitude: location.lat,
-            longitude: location.lng,
-            source: location.source,
-            isDefault: location.isDefault || false
-          };
-          console.log('Location information retrieved:', locationInfo);
-          
-          // NEW: Get prayer times for the user's location if the query is about prayer times
-          const lowerUserMessage = userMessage.toLowerCase();
-          const prayerTimeKeywords = ['prayer time', 'namaz time', 'azaan time', 'prayer schedule', 
-                                    'fajr', 'dhuhr', 'asr', 'maghrib', 'isha', 'salah time', 
-                                    'prayer times today', 'when is', 'azaan', 'adhan', 'iqamah',
-                                    'next prayer', 'current prayer', 'prayer for today', 'namaz'];
-          
-          const isPrayerTimeQuery = prayerTimeKeywords.some(keyword => lowerUserMessage.includes(keyword));
-          
-          if (isPrayerTimeQuery) {
-            try {
-              const prayerTimes = await locationService.getPrayerTimes(location, new Date());
-              if (prayerTimes) {
-                prayerTimesInfo = {
-                  date: prayerTimes.date,
-                  location: prayerTimes.location,
-                  times: prayerTimes.times,
-                  timezone: prayerTimes.timezone,
-                  source: prayerTimes.source || 'calculated'
-                };
-                console.log('Prayer times retrieved:', prayerTimesInfo);
-              }
-            } catch (prayerError) {
-              console.log('Prayer time retrieval failed:', prayerError.message);
-            }
-          }
+          location = { ...await this._resolveManualLocation(locationService, body.location), source: 'request' };
+        } catch (error) {
+          console.log('Location in request body ignored:', error.message);
+        }
+      }
+      if (!location && userIP && userIP !== 'unknown') {
+        try {
+          location = await locationService.getUserLocation(userIP);
         } catch (error) {
           console.log('Location detection failed:', error.message);
           // Even if location detection fails, we still want to continue with the request
         }
-      } else {
-        console.log('No valid IP address for location detection, using default location');
+      }
+      if (!location) {
+        console.log('No saved, sent or IP location, using default location');
+        location = { ...locationService.getDefaultLocation(), isDefault: true };
+      }
+
+      // Away from the saved home, travel rulings (qasr and jam') apply where the user actually is
+      let travelContext = '';
+      if (authedUserId && env.D1_DB) {
         try {
-          const { LocationPrayerService } = await import('./location-prayer-service.js');
-          const locationService = new LocationPrayerService();
-          const defaultLocation = locationService.getDefaultLocation();
-          locationInfo = {
-            ip: 'unknown',
-            city: defaultLocation.city,
-            region: defaultLocation.region,
-            country: defaultLocation.country,
-            timezone: defaultLocation.timezone,
-            latitude: defaultLocation.lat,
-            longitude: defaultLocation.lng,
-            source: defaultLocation.source,
-            isDefault: true
-          };
-          console.log('Default location information used:', locationInfo);
-          
-          // NEW: Get prayer times for default location if the query is about prayer times
-          const lowerUserMessage = userMessage.toLowerCase();
-          const prayerTimeKeywords = ['prayer time', 'namaz time', 'azaan time', 'prayer schedule', 
-                                    'fajr', 'dhuhr', 'asr', 'maghrib', 'isha', 'salah time', 
-                                    'prayer times today', 'when is', 'azaan', 'adhan', 'iqamah',
-                                    'next prayer', 'current prayer', 'prayer for today', 'namaz'];
-          
-          const isPrayerTimeQuery = prayerTimeKeywords.some(keyword => lowerUserMessage.includes(keyword));
-          
-          if (isPrayerTimeQuery) {
-            try {
-              const prayerTimes = await locationService.getPrayerTimes(defaultLocation, new Date());
-              if (prayerTimes) {
-                prayerTimesInfo = {
-                  date: prayerTimes.date,
-                  location: prayerTimes.location,
-                  times: prayerTimes.times,
-                  timezone: prayerTimes.timezone,
-                  source: prayerTimes.source || 'calculated'
-                };
-                console.log('Prayer times retrieved for default location:', prayerTimesInfo);
-              }
-            } catch (prayerError) {
-              console.log('Prayer time retrieval for default location failed:', prayerError.message);
+          const travel = new TravelPrayer(locationService);
+          const isTravelQuery = travel.isTravelQuery(userMessage);
+          const home = await this._getUserHome(new D1MemoryManager(env.D1_DB, env), authedUserId);
+          // A saved place answers "where am I" for chat, so the sent or IP location is looked up separately
+          let current = location.source === 'saved' ? null : location;
+          if (!current && home && body.location) {
+            current = { ...await this._resolveManualLocation(locationService, body.location), source: 'request' };
+          }
+          if (!current && home) {
+            current = await this._getTravelLocation(locationService, sessionManager, sessionId, userIP, isTravelQuery);
+          }
+          if (home && current && !current.isDefault) {
+            const { status } = this._buildTravelStatus(locationService, home, current, {
+              madhhab: userPreferences ? userPreferences.madhhab : null,
+              custom: prayerSettings,
+              asrSchool
+            });
+            if (status.isTraveller || isTravelQuery) {
+              travelContext = travel.buildTravelContext(status);
+            }
+            // A traveller's prayer times, Qibla and Sehri/Iftar are those of where they are, not of home
+            if (status.isTraveller) {
+              location = current;
             }
           }
-        } catch (error) {
-          console.log('Failed to get default location:', error.message);
+        } catch (travelError) {
+          console.log('Travel status failed:', travelError.message);
+        }
+      }
+
+      locationInfo = {
+        ip: location.source === 'saved' || location.source === 'request' ? null : userIP,
+        city: location.city,
+        region: location.region,
+        country: location.country,
+        timezone: location.timezone,
+        latitude: location.lat,
+        longitude: location.lng,
+        source: location.source,
+        isDefault: location.isDefault || false
+      };
+      console.log('Location information retrieved:', locationInfo);
+
+      // Prayer times for the user's location if the query is about prayer times
+      if (this._isPrayerTimeQuery(userMessage)) {
+        try {
+          prayerTimesInfo = await this._buildPrayerTimesInfo(locationService, location, asrSchool, prayerSettings);
+          console.log('Prayer times retrieved:', prayerTimesInfo);
+        } catch (prayerError) {
+          console.log('Prayer time retrieval failed:', prayerError.message);
+        }
+      }
+
+      // "Maghrib in Toronto" asks about that city, not the caller's own location; other mentions
+      // ("travelling from Medina to Jeddah") are not picked up, so the user's own times stay
+      if (this._isPrayerTimeQuery(userMessage)) {
+        try {
+          const cityService = this._createPrayerService(env);
+          const namedCity = cityService.extractCity(userMessage);
+          const ownCity = locationInfo && locationInfo.city ? cityService.findCity(locationInfo.city) : null;
+          if (namedCity && !(ownCity && ownCity.city === namedCity.city && ownCity.countryCode === namedCity.countryCode)) {
+            const cityTimesInfo = await this._buildPrayerTimesInfo(cityService, namedCity, asrSchool, prayerSettings);
+            if (cityTimesInfo) {
+              prayerTimesInfo = { ...cityTimesInfo, requestedCity: namedCity.city };
+              console.log('Prayer times retrieved for city named in the message:', namedCity.city);
+            }
+          }
+        } catch (prayerError) {
+          console.log('Prayer time retrieval for named city failed:', prayerError.message);
+        }
+      }
+
+      // Today's Hijri date grounds answers about "this Ramadan", "next Eid" and similar
+      if (body.hijri_offset !== undefined && body.hijri_offset !== null) {
+        hijriOffset = body.hijri_offset;
+      }
+      contextualPrompt += this._buildHijriContext(locationInfo, hijriOffset);
+
+      // During Ramadan, today's Sehri and Iftar at the user's location ground questions about the fast
+      try {
+        const ramadan = new RamadanTimetable(locationService);
+        const localDate = this._parseDateParam(locationService.getLocalDateString(location.timezone || 'UTC'));
+        const ramadanDay = ramadan.getDay(location, localDate, {
+          method: prayerSettings ? locationService.customMethodKey : null,
+          custom: prayerSettings,
+          asrSchool,
+          hijriOffset
+        });
+        if (ramadanDay) {
+          contextualPrompt += ramadan.buildRamadanContext(ramadanDay);
+        }
+      } catch (ramadanError) {
+        console.log('Ramadan timetable calculation failed:', ramadanError.message);
+      }
+
+      // Qibla questions are answered from the computed bearing rather than left to the model
+      const qiblaService = new LocationPrayerService();
+      if (locationInfo && qiblaService.isQiblaQuery(userMessage)) {
+        contextualPrompt += this._buildQiblaContext(locationInfo, qiblaService);
+      }
+
+      // Moon sighting questions get the computed crescent visibility for the user's location
+      const crescent = new CrescentVisibility(qiblaService);
+      if (locationInfo && crescent.isCrescentQuery(userMessage)) {
+        try {
+          const location = { lat: locationInfo.latitude, lng: locationInfo.longitude, timezone: locationInfo.timezone };
+          contextualPrompt += crescent.buildCrescentContext(crescent.getMonthStartOutlook(location), locationInfo);
+        } catch (crescentError) {
+          console.log('Crescent visibility calculation failed:', crescentError.message);
+        }
+      }
+
+      contextualPrompt += travelContext;
+
+      // Jama'ah times from the user's favourite mosque, when they have one
+      if (authedUserId && env.D1_DB && this._isPrayerTimeQuery(userMessage)) {
+        try {
+          const mosques = new MosqueManager(env.D1_DB, env);
+          const favourite = await mosques.getFavouriteMosque(authedUserId);
+          if (favourite) {
+            contextualPrompt += this._buildIqamahContext(favourite, await mosques.getIqamahTimes(favourite));
+          }
+        } catch (mosqueError) {
+          console.log('Favourite mosque iqamah lookup failed:', mosqueError.message);
         }
       }
 
@@ -1652,7 +4206,21 @@ export default {
           locationInfo, // Pass location info to streaming handler
           prayerTimesInfo, // Pass prayer times info to streaming handler
           privacyFilter, // Pass privacy filter to streaming handler
-          origin // Pass origin to streaming handler
+          origin, // Pass origin to streaming handler
+          ctx,
+          // Once the stream ends, record the turn like the direct path does
+          (reply) => this._recordConversationTurn(env, {
+            persistentMemory,
+            sessionManager,
+            userId,
+            authedUserId,
+            sessionId,
+            userMessage,
+            reply: privacyFilter.filterResponse(reply)
+          }),
+          streamBuffer,
+          conversationHistory,
+          hijriOffset
         );
       } else {
         console.log('Using direct response (streaming disabled)');
@@ -1660,28 +4228,42 @@ export default {
         const internetData = await geminiAPI.internetProcessor.processQuery(userMessage, {
           sessionId,
           languageInfo: enhancedLanguageInfo,
-          contextualPrompt
+          contextualPrompt,
+          locationInfo,
+          hijriOffset
         }, userIP);
         
         // Add prayer times information to the contextual prompt if available
         if (prayerTimesInfo) {
           contextualPrompt += `\n\n**Prayer Times Information:**`;
           contextualPrompt += `\nLocation: ${prayerTimesInfo.location.city}, ${prayerTimesInfo.location.country}`;
+          if (prayerTimesInfo.requestedCity) {
+            contextualPrompt += `\nThese are the times for ${prayerTimesInfo.requestedCity}, the city named in the user's message (not the user's own location).`;
+          }
           contextualPrompt += `\nDate: ${prayerTimesInfo.date}`;
           contextualPrompt += `\nFajr: ${prayerTimesInfo.times.fajr}`;
           contextualPrompt += `\nSunrise: ${prayerTimesInfo.times.sunrise}`;
           contextualPrompt += `\nDhuhr: ${prayerTimesInfo.times.dhuhr}`;
           contextualPrompt += `\nAsr: ${prayerTimesInfo.times.asr}`;
+          contextualPrompt += `\nAsr school: ${prayerTimesInfo.asrSchoolName}`;
+          if (prayerTimesInfo.highLatitudeRuleName) {
+            contextualPrompt += `\nHigh-latitude adjustment: Fajr/Isha estimated with the ${prayerTimesInfo.highLatitudeRuleName} rule because the sun does not reach the twilight angle here today`;
+          }
           contextualPrompt += `\nMaghrib: ${prayerTimesInfo.times.maghrib}`;
           contextualPrompt += `\nIsha: ${prayerTimesInfo.times.isha}`;
+          contextualPrompt += this._buildExtraTimesContext(prayerTimesInfo);
           contextualPrompt += `\nTimezone: ${prayerTimesInfo.timezone}`;
-          contextualPrompt += `\nSource: ${prayerTimesInfo.source === 'timesprayer.org' ? 'Accurate data from timesprayer.org' : 'Calculated based on astronomical calculations'}`;
+          contextualPrompt += `\nSource: ${this._describePrayerSource(prayerTimesInfo)}`;
+          contextualPrompt += this._buildPrayerStatusContext(prayerTimesInfo.status);
+          if (prayerTimesInfo.calculationMethodName) {
+            contextualPrompt += `\nCalculation Method: ${prayerTimesInfo.calculationMethodName}`;
+          }
           contextualPrompt += `\n\nUse this information to provide accurate prayer times to the user in their preferred language.`;
         }
         
         // Call Gemini API with direct response, now including location context
         const geminiResponse = await geminiAPI.generateResponse(
-          [], 
+          conversationHistory, 
           sessionId, 
           userMessage, 
           contextualPrompt, 
@@ -1689,40 +4271,22 @@ export default {
           streamingOptions,
           userIP,
           locationInfo, // Pass location info to Gemini API
-          prayerTimesInfo // Pass prayer times info to Gemini API
+          hijriOffset // The user's Hijri day offset for event dates
         );
         
         // Filter the response before sending to user
         const filteredResponse = privacyFilter.filterResponse(geminiResponse);
         
-        // Record turns in persistent memory (user + assistant)
-        await persistentMemory.recordTurn(userId, sessionId, 'user', userMessage);
-        await persistentMemory.recordTurn(userId, sessionId, 'assistant', filteredResponse);
-
-        // Process message and update session with intelligent memory
-        const sessionData = await sessionManager.processMessage(sessionId, userMessage, filteredResponse);
-
-        // Episodic summarization when history grows
-        if ((sessionData.history || []).length >= 20) {
-          try {
-            const summaryText = sessionManager.getHistorySummary(sessionData.history) || '';
-            if (summaryText) {
-              await persistentMemory.addEpisodicSummary(userId, sessionId, summaryText);
-              // Also store compressed summary to D1 for authenticated users
-              if (authedUserId) {
-                try {
-                  const d1 = new D1MemoryManager(env.D1_DB, env);
-                  await d1.addDiscussionSummary(authedUserId, sessionId, summaryText);
-                  // Create a memory checkpoint for long conversations
-                  await d1.createMemoryCheckpoint(authedUserId, sessionId, sessionData.history);
-                } catch {}
-              } else {
-                // For guest users, ensure no long-term memory is stored in D1
-                console.log(`Guest session ${sessionId}: Skipping D1 storage for episodic summary`);
-              }
-            }
-          } catch {}
-        }
+        // Record the turn and update session memory
+        const sessionData = await this._recordConversationTurn(env, {
+          persistentMemory,
+          sessionManager,
+          userId,
+          authedUserId,
+          sessionId,
+          userMessage,
+          reply: filteredResponse
+        });
 
         // Prepare response (compact if terse)
         const response = brevityPrefs.terse ? {
@@ -1785,6 +4349,96 @@ export default {
     }
   },
 
+  /**
+   * Record a finished chat turn: semantic memory, session history and, for long conversations,
+   * the episodic summary and D1 checkpoint
+   * @param {Object} env - Environment bindings
+   * @param {Object} turn - { persistentMemory, sessionManager, userId, authedUserId, sessionId, userMessage, reply }
+   * @returns {Promise<Object>} Updated session data
+   * @private
+   */
+  async _recordConversationTurn(env, { persistentMemory, sessionManager, userId, authedUserId, sessionId, userMessage, reply }) {
+    // Record turns in persistent memory (user + assistant)
+    await persistentMemory.recordTurn(userId, sessionId, 'user', userMessage);
+    await persistentMemory.recordTurn(userId, sessionId, 'assistant', reply);
+
+    // Process message and update session with intelligent memory
+    const sessionData = await sessionManager.processMessage(sessionId, userMessage, reply);
+
+    // Episodic summarization when history grows
+    if ((sessionData.history || []).length >= 20) {
+      try {
+        const summaryText = sessionManager.getHistorySummary(sessionData.history) || '';
+        if (summaryText) {
+          await persistentMemory.addEpisodicSummary(userId, sessionId, summaryText);
+          // Also store compressed summary to D1 for authenticated users
+          if (authedUserId) {
+            try {
+              const d1 = new D1MemoryManager(env.D1_DB, env);
+              await d1.addDiscussionSummary(authedUserId, sessionId, summaryText);
+              // Create a memory checkpoint for long conversations
+              await d1.createMemoryCheckpoint(authedUserId, sessionId, sessionData.history);
+            } catch {}
+          } else {
+            // For guest users, ensure no long-term memory is stored in D1
+            console.log(`Guest session ${sessionId}: Skipping D1 storage for episodic summary`);
+          }
+        }
+      } catch {}
+    }
+
+    return sessionData;
+  },
+
+  /**
+   * Read a streamed reply to the end and join its content chunks
+   * @param {ReadableStream} stream - Event stream of `{type, content}` events
+   * @param {SSEStreamBuffer} streamBuffer - Saves the events for resuming when given with a stream id
+   * @param {string} streamId - Stream id
+   * @param {string} sessionId - Session the stream belongs to
+   * @returns {Promise<string>} Reply text, or '' when the stream reported an error
+   * @private
+   */
+  async _collectStreamedReply(stream, streamBuffer = null, streamId = null, sessionId = null) {
+    const events = await (streamBuffer || new SSEStreamBuffer(null)).capture(stream, { streamId, sessionId });
+    let reply = '';
+    for (const event of events) {
+      let data;
+      try {
+        data = JSON.parse(event.data);
+      } catch {
+        continue; // Skip malformed
+      }
+      if (data.type === 'error') return '';
+      if (data.type === 'content' && typeof data.content === 'string') reply += data.content;
+    }
+    return reply.trim();
+  },
+
+  /**
+   * Wrap a whole reply in the start, content and end events of a streamed one
+   * @param {GeminiAPI} geminiAPI - Formats the events
+   * @param {string} text - Reply text
+   * @param {string} streamId - Stream id for the start event
+   * @returns {ReadableStream} SSE stream
+   * @private
+   */
+  _textEventStream(geminiAPI, text, streamId) {
+    const timestamp = new Date().toISOString();
+    const events = [
+      { type: 'start', content: '', metadata: { stream_id: streamId, timestamp } },
+      { type: 'content', content: text, metadata: { timestamp } },
+      { type: 'end', content: '', metadata: { completed: true, timestamp } }
+    ];
+    const encoder = new TextEncoder();
+    return new ReadableStream({
+      start(controller) {
+        events.forEach((event, index) => controller.enqueue(encoder.encode(geminiAPI.createStreamingChunk(event, index + 1))));
+        controller.close();
+      }
+    });
+  },
+
   /**
    * Handle streaming response with DSA-level optimizations
    * @private
@@ -1801,29 +4455,49 @@ export default {
     locationInfo,
     prayerTimesInfo,
     privacyFilter,
-    origin
+    origin,
+    ctx = null,
+    recordReply = null,
+    streamBuffer = null,
+    conversationHistory = [],
+    hijriOffset = 0
   ) {
     try {
+      // Events are buffered under this id so a dropped connection can resume
+      const streamId = streamBuffer && streamBuffer.kv ? streamBuffer.createStreamId() : null;
+      streamingOptions = { ...streamingOptions, streamId };
+
       // Process internet data if needed
       const internetData = await geminiAPI.internetProcessor.processQuery(userMessage, {
         sessionId,
         languageInfo: enhancedLanguageInfo,
-        contextualPrompt
+        contextualPrompt,
+        locationInfo,
+        hijriOffset
       }, userIP);
       
       // Add prayer times information to the contextual prompt if available
       if (prayerTimesInfo) {
         contextualPrompt += `\n\n**Prayer Times Information:**`;
         contextualPrompt += `\nLocation: ${prayerTimesInfo.location.city}, ${prayerTimesInfo.location.country}`;
+        if (prayerTimesInfo.requestedCity) {
+          contextualPrompt += `\nThese are the times for ${prayerTimesInfo.requestedCity}, the city named in the user's message (not the user's own location).`;
+        }
         contextualPrompt += `\nDate: ${prayerTimesInfo.date}`;
         contextualPrompt += `\nFajr: ${prayerTimesInfo.times.fajr}`;
         contextualPrompt += `\nSunrise: ${prayerTimesInfo.times.sunrise}`;
         contextualPrompt += `\nDhuhr: ${prayerTimesInfo.times.dhuhr}`;
         contextualPrompt += `\nAsr: ${prayerTimesInfo.times.asr}`;
+        contextualPrompt += `\nAsr school: ${prayerTimesInfo.asrSchoolName}`;
+        if (prayerTimesInfo.highLatitudeRuleName) {
+          contextualPrompt += `\nHigh-latitude adjustment: Fajr/Isha estimated with the ${prayerTimesInfo.highLatitudeRuleName} rule because the sun does not reach the twilight angle here today`;
+        }
         contextualPrompt += `\nMaghrib: ${prayerTimesInfo.times.maghrib}`;
         contextualPrompt += `\nIsha: ${prayerTimesInfo.times.isha}`;
+        contextualPrompt += this._buildExtraTimesContext(prayerTimesInfo);
         contextualPrompt += `\nTimezone: ${prayerTimesInfo.timezone}`;
-        contextualPrompt += `\nSource: ${prayerTimesInfo.source === 'timesprayer.org' ? 'Accurate data from timesprayer.org' : 'Calculated based on astronomical calculations'}`;
+        contextualPrompt += `\nSource: ${this._describePrayerSource(prayerTimesInfo)}`;
+        contextualPrompt += this._buildPrayerStatusContext(prayerTimesInfo.status);
         
         // Add calculation method information
         if (prayerTimesInfo.calculationMethod) {
@@ -1837,7 +4511,7 @@ export default {
 
       // Call Gemini API with streaming response, now including location context
       const geminiResponse = await geminiAPI.generateResponse(
-        [], 
+        conversationHistory, 
         sessionId, 
         userMessage, 
         contextualPrompt, 
@@ -1845,16 +4519,31 @@ export default {
         streamingOptions,
         userIP,
         locationInfo, // Pass location info to Gemini API
-        prayerTimesInfo // Pass prayer times info to Gemini API
+        hijriOffset // The user's Hijri day offset for event dates
       );
 
       // For streaming responses, we don't filter until the end
       // The privacy filtering will be applied to chunks as they're sent
+      // Greetings and cached answers come back whole; send them as the same events
+      let body = geminiResponse instanceof ReadableStream
+        ? geminiResponse
+        : this._textEventStream(geminiAPI, String(geminiResponse || ''), streamId);
+      if (recordReply || streamId) {
+        // One branch goes to the client, the other buffers the events and collects the reply, even if the client disconnects
+        const [clientStream, recordStream] = body.tee();
+        body = clientStream;
+        const recording = this._collectStreamedReply(recordStream, streamBuffer, streamId, sessionId)
+          .then(reply => reply && recordReply ? recordReply(reply) : null)
+          .catch(recordError => console.error('Failed to record streamed reply:', recordError.message));
+        if (ctx && typeof ctx.waitUntil === 'function') ctx.waitUntil(recording);
+      }
 
       // Return streaming response with proper headers
-      return new Response(geminiResponse, {
+      const headers = worker.responseHeaders.stream(origin);
+      if (streamId) headers['X-Stream-Id'] = streamId;
+      return new Response(body, {
         status: 200,
-        headers: worker.responseHeaders.stream(origin)
+        headers
       });
     } catch (error) {
       console.error('Error generating streaming response:', error);
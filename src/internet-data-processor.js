@@ -5,11 +5,13 @@
  */
 
 import { LocationPrayerService } from './location-prayer-service.js';
+import { IslamicEvents } from './islamic-events.js';
 
 export class InternetDataProcessor {
   constructor() {
     // Simplified - removed custom search implementations
     this.locationPrayerService = new LocationPrayerService();
+    this.islamicEvents = new IslamicEvents();
     
     // Configuration to rely entirely on Gemini's built-in Google Search
     this.processingRules = {
@@ -80,6 +82,16 @@ export class InternetDataProcessor {
     try {
       console.log('Processing query for internet data needs:', userMessage);
       
+      // Ramadan, Eid and other Islamic event dates are calculated from the Hijri calendar before any web search
+      if (this.islamicEvents.isEventDateQuery(userMessage)) {
+        const result = this.getIslamicEventDates(userMessage, context);
+        if (result) {
+          this.storeInCache(userMessage, result);
+          this._updatePerformanceMetrics(startTime);
+          return result;
+        }
+      }
+      
       // Rely entirely on Gemini's built-in Google Search
       if (this.processingRules.useGeminiSearchExclusively) {
         console.log('Using Gemini built-in Google Search exclusively');
@@ -144,6 +156,31 @@ export class InternetDataProcessor {
     }
   }
 
+  /**
+   * Answer a Ramadan/Eid/Islamic event date question from the Hijri calendar
+   * @param {string} userMessage - User's message
+   * @param {Object} context - May include locationInfo (for the local date) and hijriOffset
+   * @returns {Object|null} Processing result, or null if no event was found
+   */
+  getIslamicEventDates(userMessage, context = {}) {
+    const timezone = context.locationInfo && context.locationInfo.timezone ? context.locationInfo.timezone : 'UTC';
+    const today = new Date(`${this.locationPrayerService.getLocalDateString(timezone)}T00:00:00Z`);
+    const events = this.islamicEvents.answerEventQuery(userMessage, { today, offset: context.hijriOffset || 0 });
+    if (events.length === 0) return null;
+
+    // Moon sighting announcements are news, so search may still add to the calculated dates
+    const needsAnnouncement = this.islamicEvents.mentionsAnnouncement(userMessage);
+    if (needsAnnouncement) this.performanceMetrics.searchTriggers++;
+    return {
+      needsInternetData: needsAnnouncement,
+      reason: 'islamic_events_computed',
+      data: events,
+      enhancedPrompt: this.islamicEvents.buildEventContext(events, today),
+      searchResults: null,
+      fromGeminiSearch: needsAnnouncement
+    };
+  }
+
   /**
    * Check cache for existing data
    * @param {string} query - Search query
@@ -0,0 +1,363 @@
+/**
+ * IslamicEvents - Significant dates of the Hijri year
+ * Computes Ramadan, Eid and other observances from HijriCalendar with localized names and recommended acts
+ */
+
+import { HijriCalendar } from './hijri-calendar.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class IslamicEvents {
+  constructor(hijriCalendar = new HijriCalendar()) {
+    this.hijriCalendar = hijriCalendar;
+
+    // Languages supported by AdaptiveLanguageSystem; Hinglish is written in Latin script so it uses the English names
+    this.languages = ['english', 'urdu', 'hindi', 'bengali', 'arabic'];
+    this.languageAliases = { en: 'english', ur: 'urdu', hi: 'hindi', bn: 'bengali', ar: 'arabic', hinglish: 'english' };
+
+    // days: length in days, or 'month' to run to the end of the Hijri month
+    // night: the observance is the night before the Hijri date (the Islamic day begins at sunset)
+    // fasting: 'obligatory' | 'recommended' | 'forbidden' | null
+    this.events = [
+      {
+        key: 'islamic_new_year', month: 1, day: 1, days: 1,
+        names: { english: 'Islamic New Year', urdu: 'اسلامی نیا سال', hindi: 'इस्लामी नया साल', bengali: 'ইসলামী নববর্ষ', arabic: 'رأس السنة الهجرية' },
+        fasting: null,
+        acts: ['Reflect on the Hijrah of the Prophet ﷺ', 'Voluntary fasting in Muharram is the best fasting after Ramadan'],
+        keywords: ['islamic new year', 'hijri new year', 'new hijri year', '1 muharram', 'first of muharram', 'نیا اسلامی سال', 'رأس السنة الهجرية', 'इस्लामी नया साल']
+      },
+      {
+        key: 'tasua', month: 1, day: 9, days: 1,
+        names: { english: "Tasu'a", urdu: 'تاسوعا', hindi: 'तासूआ', bengali: 'তাসুআ', arabic: 'تاسوعاء' },
+        fasting: 'recommended',
+        acts: ['Fast together with Ashura, following the Sunnah of fasting the 9th and 10th of Muharram'],
+        keywords: ['tasua', "tasu'a", 'تاسوعاء']
+      },
+      {
+        key: 'ashura', month: 1, day: 10, days: 1,
+        names: { english: 'Day of Ashura', urdu: 'یوم عاشور', hindi: 'आशूरा', bengali: 'আশুরা', arabic: 'يوم عاشوراء' },
+        fasting: 'recommended',
+        acts: ['Fast the 10th of Muharram with the 9th or 11th; it expiates the sins of the previous year'],
+        keywords: ['ashura', 'ashoora', 'ashurah', 'muharram', 'عاشورہ', 'عاشوراء', 'आशूरा', 'মুহররম', 'আশুরা']
+      },
+      {
+        key: 'mawlid', month: 3, day: 12, days: 1,
+        names: { english: 'Mawlid an-Nabi', urdu: 'عید میلاد النبی', hindi: 'मीलाद-उन-नबी', bengali: 'ঈদে মিলাদুন্নবী', arabic: 'المولد النبوي' },
+        fasting: null,
+        acts: ['Study the Seerah and send abundant salawat upon the Prophet ﷺ'],
+        note: 'Scholars differ on observing this day',
+        keywords: ['mawlid', 'milad', 'mawlid an nabi', 'eid milad', '12 rabi', 'میلاد', 'मीलाद', 'মিলাদ', 'المولد']
+      },
+      {
+        key: 'isra_miraj', month: 7, day: 27, days: 1, night: true,
+        names: { english: "Isra' and Mi'raj", urdu: 'شب معراج', hindi: 'शब-ए-मेराज', bengali: 'শবে মেরাজ', arabic: 'الإسراء والمعراج' },
+        fasting: null,
+        acts: ['Remember the gift of the five daily prayers given on this night'],
+        note: 'This is the commonly observed date; historians differ on the exact night',
+        keywords: ['isra', 'miraj', "mi'raj", 'meraj', 'shab e meraj', 'shab-e-meraj', 'معراج', 'मेराज', 'মেরাজ', 'الإسراء']
+      },
+      {
+        key: 'mid_shaban', month: 8, day: 15, days: 1, night: true,
+        names: { english: "Mid-Sha'ban (Shab-e-Barat)", urdu: 'شب برات', hindi: 'शब-ए-बरात', bengali: 'শবে বরাত', arabic: 'ليلة النصف من شعبان' },
+        fasting: null,
+        acts: ['Seek forgiveness and pray voluntary prayers at night', "The 15th falls within the White Days, so it may be fasted"],
+        note: 'Scholars differ on specific acts for this night',
+        keywords: ['shab e barat', 'shab-e-barat', 'shabe barat', 'mid shaban', "mid-sha'ban", 'nisf shaban', 'شب برات', 'शब-ए-बरात', 'শবে বরাত', 'النصف من شعبان']
+      },
+      {
+        key: 'ramadan', month: 9, day: 1, days: 'month',
+        names: { english: 'Ramadan', urdu: 'رمضان', hindi: 'रमज़ान', bengali: 'রমজান', arabic: 'رمضان' },
+        fasting: 'obligatory',
+        acts: ['Fast every day from Fajr to Maghrib', 'Taraweeh prayers begin on the night before the first fast', 'Increase Quran recitation and charity'],
+        keywords: ['ramadan', 'ramzan', 'ramazan', 'ramadhan', 'roza start', 'first roza', 'first fast', 'رمضان', 'رمضان المبارک', 'रमज़ान', 'रमजान', 'রমজান', 'রমযান']
+      },
+      {
+        key: 'last_ten_nights', month: 9, day: 21, days: 'month', night: true,
+        names: { english: 'Last Ten Nights of Ramadan', urdu: 'رمضان کی آخری دس راتیں', hindi: 'रमज़ान की आख़िरी दस रातें', bengali: 'রমজানের শেষ দশ রাত', arabic: 'العشر الأواخر من رمضان' },
+        fasting: 'obligatory',
+        acts: ["I'tikaf in the mosque", 'Seek Laylat al-Qadr in the odd nights (21st, 23rd, 25th, 27th, 29th)'],
+        keywords: ['last ten nights', 'last 10 nights', 'itikaf', "i'tikaf", 'aakhri ashra', 'اعتکاف', 'एतिकाफ़', 'ইতিকাফ']
+      },
+      {
+        key: 'laylat_al_qadr', month: 9, day: 27, days: 1, night: true,
+        names: { english: 'Laylat al-Qadr', urdu: 'شب قدر', hindi: 'शब-ए-क़द्र', bengali: 'শবে কদর', arabic: 'ليلة القدر' },
+        fasting: 'obligatory',
+        acts: ['Pray at night, recite Quran and make the dua "Allahumma innaka afuwwun tuhibbul afwa fa\'fu anni"'],
+        note: 'The 27th is the most commonly observed night; it may be any odd night of the last ten',
+        keywords: ['laylat al qadr', 'laylatul qadr', 'lailatul qadr', 'night of power', 'shab e qadr', 'shab-e-qadr', 'shabe qadr', 'شب قدر', 'ليلة القدر', 'शब-ए-क़द्र', 'शब-ए-कद्र', 'শবে কদর']
+      },
+      {
+        key: 'eid_al_fitr', month: 10, day: 1, days: 1,
+        names: { english: 'Eid al-Fitr', urdu: 'عید الفطر', hindi: 'ईद-उल-फ़ित्र', bengali: 'ঈদুল ফিতর', arabic: 'عيد الفطر' },
+        fasting: 'forbidden',
+        acts: ['Pay Zakat al-Fitr before the Eid prayer', 'Attend the Eid prayer and recite the takbir', 'Eat something before going to the prayer'],
+        keywords: ['eid al fitr', 'eid al-fitr', 'eid ul fitr', 'eid-ul-fitr', 'eid ul-fitr', 'meethi eid', 'choti eid', 'chand raat', 'عید الفطر', 'عيد الفطر', 'ईद-उल-फ़ित्र', 'ईद उल फितर', 'ঈদুল ফিতর']
+      },
+      {
+        key: 'six_days_shawwal', month: 10, day: 2, days: 'month',
+        names: { english: 'Six Days of Shawwal', urdu: 'شوال کے چھ روزے', hindi: 'शव्वाल के छह रोज़े', bengali: 'শাওয়ালের ছয় রোজা', arabic: 'ست من شوال' },
+        fasting: 'recommended',
+        acts: ['Fast any six days of Shawwal after Eid; with Ramadan it is like fasting the whole year'],
+        keywords: ['shawwal', 'six days of shawwal', '6 days of shawwal', 'شوال', 'शव्वाल', 'শাওয়াল']
+      },
+      {
+        key: 'dhul_hijjah_first_ten', month: 12, day: 1, days: 10,
+        names: { english: 'First Ten Days of Dhul-Hijjah', urdu: 'ذوالحجہ کے پہلے دس دن', hindi: 'ज़िलहिज्जा के पहले दस दिन', bengali: 'জিলহজের প্রথম দশ দিন', arabic: 'العشر الأوائل من ذي الحجة' },
+        fasting: 'recommended',
+        acts: ['Increase takbir, tahlil and tahmid', 'Fast the first nine days, especially the Day of Arafah', 'Those offering Qurbani should not cut their hair or nails until it is offered'],
+        keywords: ['dhul hijjah', 'dhul-hijjah', 'zil hajj', 'zilhaj', 'zul hijjah', 'ten days of dhul', 'ذوالحجہ', 'ذو الحجة', 'ज़िलहिज्जा', 'জিলহজ']
+      },
+      {
+        key: 'day_of_arafah', month: 12, day: 9, days: 1,
+        names: { english: 'Day of Arafah', urdu: 'یوم عرفہ', hindi: 'अरफ़ा का दिन', bengali: 'আরাফার দিন', arabic: 'يوم عرفة' },
+        fasting: 'recommended',
+        acts: ['Fast if you are not performing Hajj; it expiates the sins of the previous and coming year', 'Takbir al-Tashreeq begins after Fajr'],
+        // Plain 'hajj' is mostly about the rites, so only dated Hajj phrases count
+        keywords: ['arafah', 'arafat', 'arafa', 'hajj date', 'hajj dates', 'date of hajj', 'dates of hajj', 'when is hajj', 'hajj kab', 'عرفہ', 'عرفة', 'अरफ़ा', 'आरफा', 'আরাফা']
+      },
+      {
+        key: 'eid_al_adha', month: 12, day: 10, days: 1,
+        names: { english: 'Eid al-Adha', urdu: 'عید الاضحیٰ', hindi: 'ईद-उल-अज़हा', bengali: 'ঈদুল আযহা', arabic: 'عيد الأضحى' },
+        fasting: 'forbidden',
+        acts: ['Attend the Eid prayer', 'Offer the Qurbani after the Eid prayer, until sunset on 13 Dhul-Hijjah'],
+        keywords: ['eid al adha', 'eid al-adha', 'eid ul adha', 'eid-ul-adha', 'eid ul-adha', 'bakra eid', 'bakrid', 'bakri eid', 'qurbani', 'عید الاضحی', 'عید الاضحیٰ', 'عيد الأضحى', 'बकरीद', 'ईद-उल-अज़हा', 'ঈদুল আযহা', 'কুরবানি']
+      },
+      {
+        key: 'days_of_tashreeq', month: 12, day: 11, days: 3,
+        names: { english: 'Days of Tashreeq', urdu: 'ایام تشریق', hindi: 'अय्याम-ए-तशरीक़', bengali: 'আইয়ামে তাশরীক', arabic: 'أيام التشريق' },
+        fasting: 'forbidden',
+        acts: ['Recite the takbir after every obligatory prayer until Asr on the 13th', 'Qurbani may still be offered'],
+        keywords: ['tashreeq', 'tashriq', 'تشریق', 'التشريق', 'तशरीक़']
+      }
+    ];
+
+    // Ayyam al-Bid: the 13th, 14th and 15th of every month, except Ramadan (already fasted) and Dhul-Hijjah (the 13th is a day of Tashreeq)
+    this.whiteDays = {
+      key: 'white_days', day: 13, days: 3,
+      names: { english: 'White Days (Ayyam al-Bid)', urdu: 'ایام بیض', hindi: 'अय्याम-ए-बीज़', bengali: 'আইয়ামে বীয', arabic: 'الأيام البيض' },
+      fasting: 'recommended',
+      acts: ['Fast the 13th, 14th and 15th of the Hijri month'],
+      keywords: ['white days', 'ayyam al bid', 'ayyam al-bid', 'ayyam e beez', 'ایام بیض', 'الأيام البيض', 'আইয়ামে বীয']
+    };
+    this.whiteDaysExcludedMonths = [9, 12];
+
+    // Words asking for a date; 'start' alone is not one ("how do I start praying in Ramadan")
+    this.dateIntentKeywords = [
+      'when', 'date', 'dates', 'what day', 'which day', 'how many days', 'how long until', 'days left', 'this year', 'next year',
+      'kab', 'kitne din', 'tareekh', 'tarikh',
+      'کب', 'تاریخ',
+      'कब', 'तारीख', 'तारीख़',
+      'কবে', 'তারিখ',
+      'متى', 'موعد', 'تاريخ'
+    ];
+    // General requests for the calendar of observances, answered with every major event
+    this.generalKeywords = ['islamic events', 'islamic holidays', 'islamic dates', 'islamic calendar', 'islamic festivals'];
+    // "Eid" on its own means both Eids
+    this.eidKeywords = ['eid', 'عید', 'عيد', 'ईद', 'ঈদ'];
+    // Moon sighting announcements are news: search still helps once the calculated dates are given
+    this.announcementKeywords = ['announce', 'announced', 'announcement', 'sighted', 'sighting', 'moon seen', 'chand nazar', 'ruet', 'ruet-e-hilal', 'رؤیت', 'رؤية', 'चाँद दिखा', 'চাঁদ দেখা'];
+    this._keywordPatterns = new Map();
+  }
+
+  /**
+   * Whether a message contains a keyword. Latin keywords must stand as whole words ('date' is not in 'update');
+   * other scripts match anywhere, since Arabic prefixes and Bengali case endings attach to the word
+   * @param {string} lower - Lower-cased message
+   * @param {string} keyword - Keyword or phrase
+   * @returns {boolean} True if present
+   */
+  hasKeyword(lower, keyword) {
+    if (!/^[\x00-\x7f]+$/.test(keyword)) return lower.includes(keyword);
+    let pattern = this._keywordPatterns.get(keyword);
+    if (!pattern) {
+      const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      pattern = new RegExp(`(?<![\\p{L}\\p{M}\\p{N}])${escaped}(?![\\p{L}\\p{M}\\p{N}])`, 'u');
+      this._keywordPatterns.set(keyword, pattern);
+    }
+    return pattern.test(lower);
+  }
+
+  /**
+   * Resolve a language code or name to one of the supported languages
+   * @param {string} language - e.g. "ur", "urdu", "hinglish"
+   * @returns {string|null} Language name, or null if unsupported
+   */
+  resolveLanguage(language) {
+    if (!language) return 'english';
+    const value = String(language).trim().toLowerCase();
+    if (this.languages.includes(value)) return value;
+    return this.languageAliases[value] || null;
+  }
+
+  /**
+   * Events of one Hijri year in date order
+   * @param {number} hijriYear - Hijri year
+   * @param {Object} options - { offset, language, today, includeWhiteDays }
+   * @returns {Array} Event occurrences
+   */
+  getEventsForHijriYear(hijriYear, options = {}) {
+    const definitions = [...this.events];
+    if (options.includeWhiteDays !== false) {
+      for (let month = 1; month <= 12; month++) {
+        if (!this.whiteDaysExcludedMonths.includes(month)) definitions.push({ ...this.whiteDays, month });
+      }
+    }
+    return definitions
+      .map(definition => this._buildOccurrence(definition, hijriYear, options))
+      .sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Events starting within a Gregorian year
+   * @param {number} year - Gregorian year
+   * @param {Object} options - { offset, language, today, includeWhiteDays }
+   * @returns {Array} Event occurrences
+   */
+  getEventsForGregorianYear(year, options = {}) {
+    const start = Date.UTC(year, 0, 1);
+    const end = Date.UTC(year, 11, 31);
+    return this._eventsBetween(start, end, options);
+  }
+
+  /**
+   * Events starting on or after a date, within a number of days
+   * @param {Date} from - First day (UTC midnight)
+   * @param {number} days - Window length
+   * @param {Object} options - { offset, language, today, includeWhiteDays }
+   * @returns {Array} Event occurrences
+   */
+  getUpcomingEvents(from, days = 365, options = {}) {
+    return this._eventsBetween(from.getTime(), from.getTime() + (days - 1) * DAY_MS, { today: from, ...options });
+  }
+
+  /**
+   * Whether a chat message asks when an Islamic event falls
+   * @param {string} message - User message
+   * @returns {boolean} True for questions such as "When is Ramadan?"
+   */
+  isEventDateQuery(message) {
+    if (!message) return false;
+    const lower = message.toLowerCase();
+    const mentionsEvent = this.findEventKeys(message).length > 0 || this.generalKeywords.some(k => this.hasKeyword(lower, k));
+    return mentionsEvent && this.dateIntentKeywords.some(k => this.hasKeyword(lower, k));
+  }
+
+  /**
+   * Whether a chat message asks about a moon sighting announcement
+   * @param {string} message - User message
+   * @returns {boolean} True if announcements are mentioned
+   */
+  mentionsAnnouncement(message) {
+    const lower = (message || '').toLowerCase();
+    return this.announcementKeywords.some(k => this.hasKeyword(lower, k));
+  }
+
+  /**
+   * Event keys mentioned in a message
+   * @param {string} message - User message
+   * @returns {Array} Matching event keys
+   */
+  findEventKeys(message) {
+    const lower = (message || '').toLowerCase();
+    const keys = [...this.events, this.whiteDays]
+      .filter(event => event.keywords.some(k => this.hasKeyword(lower, k)))
+      .map(event => event.key);
+    if (!keys.some(key => key.startsWith('eid_')) && this.eidKeywords.some(k => this.hasKeyword(lower, k))) {
+      keys.push('eid_al_fitr', 'eid_al_adha');
+    }
+    return keys;
+  }
+
+  /**
+   * Answer an event date question: the next occurrence of each event mentioned, or every major event in the coming year
+   * @param {string} message - User message
+   * @param {Object} options - { today, offset, language }
+   * @returns {Array} Event occurrences
+   */
+  answerEventQuery(message, options = {}) {
+    const today = options.today || new Date(Math.floor(Date.now() / DAY_MS) * DAY_MS);
+    const keys = this.findEventKeys(message);
+    // Look back a month so that an event in progress (e.g. Ramadan) is still reported
+    const upcoming = this._eventsBetween(today.getTime() - 30 * DAY_MS, today.getTime() + 400 * DAY_MS, {
+      ...options,
+      today,
+      includeWhiteDays: keys.includes('white_days')
+    }).filter(event => event.end >= today);
+
+    if (keys.length === 0) {
+      return upcoming.filter(event => event.start.getTime() < today.getTime() + 365 * DAY_MS);
+    }
+    return keys
+      .map(key => upcoming.find(event => event.key === key))
+      .filter(Boolean)
+      .sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Prompt lines listing event occurrences for the AI
+   * @param {Array} events - Event occurrences
+   * @param {Date} today - Local date of the user
+   * @returns {string} Lines to append to the prompt
+   */
+  buildEventContext(events, today) {
+    if (events.length === 0) return '';
+    let context = `\n\n**Islamic Event Dates (calculated from the Umm al-Qura calendar, today is ${this._isoDate(today)}):**`;
+    for (const event of events) {
+      const range = event.days > 1 ? `${this._isoDate(event.start)} to ${this._isoDate(event.end)}` : this._isoDate(event.start);
+      const evening = event.beginsEveningBefore ? ` (night begins at sunset on ${this._isoDate(new Date(event.start.getTime() - DAY_MS))})` : '';
+      context += `\n- ${event.names.english}: ${range}${evening}, ${event.hijriDate} – ${event.status}`;
+      if (event.fasting) context += `; fasting ${event.fasting}`;
+      if (event.note) context += `; ${event.note}`;
+    }
+    context += `\n\nBase the answer on these dates. "estimated" dates depend on the moon sighting and may differ by a day or two locally, so say so; "confirmed" dates fall in a Hijri month that has already begun.`;
+    return context;
+  }
+
+  _eventsBetween(startMs, endMs, options) {
+    const first = this.hijriCalendar.toHijri(new Date(startMs), options.offset || 0).year;
+    const last = this.hijriCalendar.toHijri(new Date(endMs), options.offset || 0).year;
+    const events = [];
+    for (let year = first; year <= last; year++) {
+      events.push(...this.getEventsForHijriYear(year, options));
+    }
+    return events.filter(event => event.start.getTime() >= startMs && event.start.getTime() <= endMs);
+  }
+
+  _buildOccurrence(definition, hijriYear, options) {
+    const offset = this.hijriCalendar.normalizeOffset(options.offset || 0);
+    const language = this.resolveLanguage(options.language) || 'english';
+    const monthLength = this.hijriCalendar.getMonthLength(hijriYear, definition.month);
+    const days = definition.days === 'month' ? monthLength - definition.day + 1 : definition.days;
+    const start = this.hijriCalendar.toGregorian(hijriYear, definition.month, definition.day, offset);
+    const monthStart = this.hijriCalendar.toGregorian(hijriYear, definition.month, 1, offset);
+    const today = options.today || new Date(Math.floor(Date.now() / DAY_MS) * DAY_MS);
+    const calendar = this.hijriCalendar.inTable(hijriYear) ? 'umm_al_qura' : 'tabular';
+    const endDay = definition.day + days - 1;
+
+    return {
+      key: definition.key,
+      name: definition.names[language],
+      names: definition.names,
+      hijriYear,
+      hijriMonth: definition.month,
+      hijriDay: definition.day,
+      hijriDate: endDay > definition.day
+        ? `${definition.day}-${endDay} ${this.hijriCalendar.monthNames[definition.month - 1]} ${hijriYear} AH`
+        : `${definition.day} ${this.hijriCalendar.monthNames[definition.month - 1]} ${hijriYear} AH`,
+      start,
+      end: new Date(start.getTime() + (days - 1) * DAY_MS),
+      days,
+      beginsEveningBefore: Boolean(definition.night),
+      fasting: definition.fasting,
+      acts: definition.acts,
+      note: definition.note || null,
+      calendar,
+      // A month's start is only settled once it has begun; later months depend on the moon sighting
+      status: calendar === 'umm_al_qura' && monthStart.getTime() <= today.getTime() ? 'confirmed' : 'estimated'
+    };
+  }
+
+  _isoDate(date) {
+    return date.toISOString().split('T')[0];
+  }
+}
@@ -819,9 +819,10 @@ Remember: Your purpose is to empower users with modern Islamic knowledge, combin
    * @param {string} currentMessage - Current user message
    * @param {Array} pastContext - Array of past context items
    * @param {Object} languagePreferences - User's language preferences
+   * @param {Object} options - { historyInTurns } when the conversation itself is sent as user/model turns
    * @returns {string} Integrated prompt with prioritization
    */
-  getContextIntegratedPrompt(currentMessage, pastContext = [], languagePreferences = null) {
+  getContextIntegratedPrompt(currentMessage, pastContext = [], languagePreferences = null, options = {}) {
     // Analyze contextual connections
     const analysisResults = this.contextIntegrator.analyzeContextualConnections(
       currentMessage, 
@@ -833,7 +834,8 @@ Remember: Your purpose is to empower users with modern Islamic knowledge, combin
       currentMessage, 
       pastContext, 
       analysisResults,
-      languagePreferences
+      languagePreferences,
+      options
     );
     
     // Build base prompt
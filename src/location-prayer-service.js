@@ -1,13 +1,18 @@
 /**
  * Location-based Prayer Time Service for IslamicAI
  * Detects user location via IP and provides accurate prayer times
- * Now includes Times Prayer website integration
+ * Published times (mosque timetables, a JSON feed, timesprayer) are used when they agree with the calculation
  */
 
-import { TimesPrayerScraper } from './times-prayer-scraper.js';
+import { PrayerProviderRegistry } from './prayer-providers.js';
+import { CityGazetteer } from './city-gazetteer.js';
 
 export class LocationPrayerService {
-  constructor() {
+  /**
+   * @param {Object} options - { cache, mosques, jsonFeedUrl }, all optional: a KV namespace for published prayer times,
+   *   the store of uploaded mosque timetables (MosqueManager) and a JSON feed URL template
+   */
+  constructor(options = {}) {
     this.prayerTimeCache = new Map();
     this.locationCache = new Map();
     this.cacheTimeout = 30 * 60 * 1000; // 30 minutes
@@ -20,49 +25,23 @@ export class LocationPrayerService {
     // DSA: Geohash precision (approx ~4.9km @ precision 5)
     this._geohashPrecision = 5;
     
-    // Initialize Times Prayer scraper
-    this.timesPrayerScraper = new TimesPrayerScraper();
+    // Prayer time providers tried by region before the astronomical calculation
+    this.providers = new PrayerProviderRegistry({ cache: options.cache, mosques: options.mosques, jsonFeedUrl: options.jsonFeedUrl });
     
-    // Major Islamic cities with coordinates
-    this.islamicCities = {
-      'makkah': { lat: 21.3891, lng: 39.8579, timezone: 'Asia/Riyadh' },
-      'madina': { lat: 24.5247, lng: 39.5692, timezone: 'Asia/Riyadh' },
-      'jerusalem': { lat: 31.7683, lng: 35.2137, timezone: 'Asia/Jerusalem' },
-      'istanbul': { lat: 41.0082, lng: 28.9784, timezone: 'Europe/Istanbul' },
-      'cairo': { lat: 30.0444, lng: 31.2357, timezone: 'Africa/Cairo' },
-      'baghdad': { lat: 33.3152, lng: 44.3661, timezone: 'Asia/Baghdad' },
-      'tehran': { lat: 35.6892, lng: 51.3890, timezone: 'Asia/Tehran' },
-      'karachi': { lat: 24.8607, lng: 67.0011, timezone: 'Asia/Karachi' },
-      'lahore': { lat: 31.5204, lng: 74.3587, timezone: 'Asia/Karachi' },
-      'islamabad': { lat: 33.6844, lng: 73.0479, timezone: 'Asia/Karachi' },
-      'delhi': { lat: 28.7041, lng: 77.1025, timezone: 'Asia/Kolkata' },
-      'mumbai': { lat: 19.0760, lng: 72.8777, timezone: 'Asia/Kolkata' },
-      'bangalore': { lat: 12.9716, lng: 77.5946, timezone: 'Asia/Kolkata' },
-      'hyderabad': { lat: 17.3850, lng: 78.4867, timezone: 'Asia/Kolkata' },
-      'kolkata': { lat: 22.5726, lng: 88.3639, timezone: 'Asia/Kolkata' },
-      'dhaka': { lat: 23.8103, lng: 90.4125, timezone: 'Asia/Dhaka' },
-      'dubai': { lat: 25.2048, lng: 55.2708, timezone: 'Asia/Dubai' },
-      'abu_dhabi': { lat: 24.2992, lng: 54.3773, timezone: 'Asia/Dubai' },
-      'doha': { lat: 25.2854, lng: 51.5310, timezone: 'Asia/Qatar' },
-      'kuwait': { lat: 29.3759, lng: 47.9774, timezone: 'Asia/Kuwait' },
-      'riyadh': { lat: 24.7136, lng: 46.6753, timezone: 'Asia/Riyadh' },
-      'jeddah': { lat: 21.4858, lng: 39.1925, timezone: 'Asia/Riyadh' },
-      'casablanca': { lat: 33.5731, lng: -7.5898, timezone: 'Africa/Casablanca' },
-      'algiers': { lat: 36.7372, lng: 3.0869, timezone: 'Africa/Algiers' },
-      'tunis': { lat: 36.8065, lng: 10.1815, timezone: 'Africa/Tunis' },
-      'jakarta': { lat: -6.2088, lng: 106.8456, timezone: 'Asia/Jakarta' },
-      'kuala_lumpur': { lat: 3.1390, lng: 101.6869, timezone: 'Asia/Kuala_Lumpur' },
-      'singapore': { lat: 1.3521, lng: 103.8198, timezone: 'Asia/Singapore' }
-    };
+    // Bundled world cities for ?city= and place names in chat messages
+    this.gazetteer = new CityGazetteer();
 
     // Different calculation methods with their parameters
+    // fajr/isha: twilight angles; ishaMinutes: fixed Isha after Maghrib instead of an angle
+    // maghrib: minutes after sunset, or maghribAngle: twilight angle (Jafari/Tehran)
+    // midnight: 'standard' (sunset to sunrise) or 'jafari' (sunset to Fajr)
+    // seasonal: seasonal Fajr/Isha limits; adjustments: fixed minute offsets per time
     this.calculationMethods = {
       'MWL': {  // Muslim World League
         name: 'Muslim World League',
         fajr: 18,
         isha: 17,
         maghrib: 1, // minutes after sunset
-        asr: 1, // 1 for standard, 2 for Hanafi
         midnight: 'standard'
       },
       'ISNA': {  // Islamic Society of North America
@@ -70,7 +49,6 @@ export class LocationPrayerService {
         fajr: 15,
         isha: 15,
         maghrib: 1,
-        asr: 1,
         midnight: 'standard'
       },
       'Egypt': {  // Egyptian General Authority of Survey
@@ -78,15 +56,13 @@ export class LocationPrayerService {
         fajr: 19.5,
         isha: 17.5,
         maghrib: 1,
-        asr: 1,
         midnight: 'standard'
       },
       'Makkah': {  // Umm al-Qura University, Makkah
         name: 'Umm al-Qura University, Makkah',
         fajr: 18.5,
-        isha: '90min', // 90 minutes after Maghrib
+        ishaMinutes: 90, // 90 minutes after Maghrib
         maghrib: 1,
-        asr: 1,
         midnight: 'standard'
       },
       'Karachi': {  // University of Islamic Sciences, Karachi
@@ -94,13 +70,140 @@ export class LocationPrayerService {
         fajr: 18,
         isha: 18,
         maghrib: 1,
-        asr: 1,
         midnight: 'standard'
+      },
+      'Tehran': {  // Institute of Geophysics, University of Tehran
+        name: 'Institute of Geophysics, University of Tehran',
+        fajr: 17.7,
+        isha: 14,
+        maghribAngle: 4.5,
+        midnight: 'jafari'
+      },
+      'Jafari': {  // Shia Ithna Ashari, Leva Institute, Qum
+        name: 'Shia Ithna Ashari, Leva Institute, Qum',
+        fajr: 16,
+        isha: 14,
+        maghribAngle: 4,
+        midnight: 'jafari'
+      },
+      'Gulf': {  // Gulf Region
+        name: 'Gulf Region',
+        fajr: 19.5,
+        ishaMinutes: 90,
+        maghrib: 1,
+        midnight: 'standard'
+      },
+      'Kuwait': {  // Ministry of Awqaf, Kuwait
+        name: 'Kuwait',
+        fajr: 18,
+        isha: 17.5,
+        maghrib: 1,
+        midnight: 'standard'
+      },
+      'Qatar': {  // Ministry of Awqaf, Qatar
+        name: 'Qatar',
+        fajr: 18,
+        ishaMinutes: 90,
+        maghrib: 1,
+        midnight: 'standard'
+      },
+      'Singapore': {  // Majlis Ugama Islam Singapura (also used in Malaysia, Indonesia, Brunei)
+        name: 'Majlis Ugama Islam Singapura',
+        fajr: 20,
+        isha: 18,
+        maghrib: 1,
+        midnight: 'standard'
+      },
+      'Diyanet': {  // Presidency of Religious Affairs, Turkey
+        name: 'Diyanet İşleri Başkanlığı, Turkey',
+        fajr: 18,
+        isha: 17,
+        maghrib: 7,
+        midnight: 'standard',
+        adjustments: { sunrise: -7, dhuhr: 5, asr: 4 }
+      },
+      'UOIF': {  // Union des Organisations Islamiques de France
+        name: 'Union des Organisations Islamiques de France',
+        fajr: 12,
+        isha: 12,
+        maghrib: 1,
+        midnight: 'standard'
+      },
+      'MoonsightingCommittee': {  // Moonsighting Committee Worldwide (Khalid Shaukat)
+        name: 'Moonsighting Committee Worldwide',
+        fajr: 18,
+        isha: 18,
+        maghrib: 3,
+        midnight: 'standard',
+        seasonal: 'moonsighting',
+        adjustments: { dhuhr: 5 }
       }
     };
 
+    // Default method by ISO country code; countries not listed use defaultCalculationMethod
+    this.countryCalculationMethods = {
+      'US': 'ISNA', 'CA': 'ISNA',
+      'PK': 'Karachi', 'IN': 'Karachi', 'BD': 'Karachi', 'AF': 'Karachi',
+      'SA': 'Makkah',
+      'EG': 'Egypt', 'SY': 'Egypt', 'LB': 'Egypt', 'SD': 'Egypt', 'LY': 'Egypt',
+      'IR': 'Tehran',
+      'AE': 'Gulf', 'OM': 'Gulf', 'BH': 'Gulf',
+      'KW': 'Kuwait',
+      'QA': 'Qatar',
+      'SG': 'Singapore', 'MY': 'Singapore', 'ID': 'Singapore', 'BN': 'Singapore',
+      'TR': 'Diyanet',
+      'FR': 'UOIF',
+      'GB': 'MoonsightingCommittee'
+    };
+    // Country names as returned by the IP services that report names instead of codes
+    this.countryNameCodes = {
+      'united states': 'US', 'canada': 'CA', 'pakistan': 'PK', 'india': 'IN', 'bangladesh': 'BD',
+      'afghanistan': 'AF', 'saudi arabia': 'SA', 'egypt': 'EG', 'syria': 'SY', 'lebanon': 'LB',
+      'sudan': 'SD', 'libya': 'LY', 'iran': 'IR', 'united arab emirates': 'AE', 'oman': 'OM',
+      'bahrain': 'BH', 'kuwait': 'KW', 'qatar': 'QA', 'singapore': 'SG', 'malaysia': 'MY',
+      'indonesia': 'ID', 'brunei': 'BN', 'turkey': 'TR', 'türkiye': 'TR', 'france': 'FR',
+      'united kingdom': 'GB'
+    };
+
     // Default calculation method
     this.defaultCalculationMethod = 'MWL';
+
+    // 'custom' composes a user's saved tweaks on top of a base method (buildCustomMethod)
+    this.customMethodKey = 'custom';
+    this.adjustablePrayers = ['fajr', 'sunrise', 'dhuhr', 'asr', 'maghrib', 'isha'];
+    this.customAngleRange = { min: 10, max: 22 }; // Degrees below the horizon for Fajr/Isha
+    this.customOffsetLimit = 30;                  // Minutes either way per prayer
+
+    // Asr juristic schools: shadow length factor relative to the object's height
+    this.asrSchools = {
+      'standard': { name: 'Standard (Shafi\'i, Maliki, Hanbali)', factor: 1 },
+      'hanafi': { name: 'Hanafi', factor: 2 }
+    };
+    this.defaultAsrSchool = 'standard';
+
+    // High-latitude rules for Fajr/Isha when the sun never reaches the method's angle
+    this.highLatitudeRules = {
+      'MiddleOfTheNight': { name: 'Middle of the night' },
+      'OneSeventh': { name: 'One-seventh of the night' },
+      'AngleBased': { name: 'Angle-based (angle/60 of the night)' },
+      'NearestLatitude': { name: 'Nearest latitude' }
+    };
+    this.defaultHighLatitudeRule = 'AngleBased';
+    // Latitude whose times are borrowed by the nearest-latitude fallback (sun reaches 21.5 deg below year-round)
+    this.nearestLatitude = 45;
+
+    // Offsets in minutes for the supplementary times
+    this.imsakMinutes = 10;           // Imsak before Fajr
+    this.ishraqMinutes = 15;          // Sun a spear's length above the horizon after sunrise
+    this.zawalMinutes = 5;            // Sun at its zenith just before Dhuhr
+    this.sunsetForbiddenMinutes = 15; // Sun turning pale before sunset
+
+    // The Kaaba itself (the gazetteer's Makkah is the city centre)
+    this.kaaba = { lat: 21.422487, lng: 39.826206 };
+    this.atKaabaKm = 1; // Closer than this a bearing means nothing: face the Kaaba itself
+    this.qiblaKeywords = ['qibla', 'qiblah', 'kibla', 'kiblat', 'kiblah', 'direction of kaaba', 'kaaba direction',
+                          'direction of makkah', 'direction of mecca', 'which direction to pray', 'facing makkah',
+                          'قبلة', 'قبلہ', 'क़िबला', 'किबला', 'কিবলা'];
   }
 
   // Helper functions for astronomical calculations
@@ -112,6 +215,28 @@ export class LocationPrayerService {
     return rad * 180 / Math.PI;
   }
 
+  /**
+   * Normalize an Asr school or madhhab name to an asrSchools key
+   * @param {string} value - e.g. 'hanafi', 'Hanafi', 'shafi', 'standard'
+   * @returns {string|null} 'standard', 'hanafi' or null if unrecognised
+   */
+  normalizeAsrSchool(value) {
+    const v = (value || '').toString().trim().toLowerCase();
+    if (!v) return null;
+    if (v.startsWith('hanaf')) return 'hanafi';
+    if (['standard', 'shafi', 'shafii', "shafi'i", 'shafei', 'maliki', 'hanbali', 'jafari', 'majority'].includes(v)) return 'standard';
+    return null;
+  }
+
+  /**
+   * Derive the Asr school from a stored madhhab preference
+   * @param {string} madhhab - Madhhab preference (free text)
+   * @returns {string} Asr school key (defaults to standard)
+   */
+  getAsrSchoolForMadhhab(madhhab) {
+    return /hanaf/i.test(madhhab || '') ? 'hanafi' : this.defaultAsrSchool;
+  }
+
   /**
    * Get user location from IP address
    * @param {string} ip - User's IP address
@@ -203,7 +328,7 @@ export class LocationPrayerService {
   async getLocationFromIPAPI(ip) {
     try {
       // Use HTTPS for better security
-      const response = await fetch(`https://ip-api.com/json/${ip}?fields=status,message,country,regionName,city,lat,lon,timezone,query`);
+      const response = await fetch(`https://ip-api.com/json/${ip}?fields=status,message,country,countryCode,regionName,city,lat,lon,timezone,query`);
       const data = await response.json();
       
       if (data.status === 'success') {
@@ -213,6 +338,7 @@ export class LocationPrayerService {
           city: data.city || 'Unknown City',
           region: data.regionName || 'Unknown Region',
           country: data.country || 'Unknown Country',
+          countryCode: data.countryCode || null,
           timezone: data.timezone || 'UTC',
           ip: data.query || ip,
           source: 'ip-api.com'
@@ -242,6 +368,7 @@ export class LocationPrayerService {
           city: data.city || 'Unknown City',
           region: data.region || 'Unknown Region',
           country: data.country || 'Unknown Country',
+          countryCode: data.country || null,
           timezone: data.timezone || 'UTC',
           ip: data.ip || ip,
           source: 'ipinfo.io'
@@ -255,6 +382,7 @@ export class LocationPrayerService {
           city: data.city || 'Unknown City',
           region: data.region || 'Unknown Region',
           country: data.country || 'Unknown Country',
+          countryCode: data.country || null,
           timezone: data.timezone || 'UTC',
           ip: data.ip || ip,
           source: 'ipinfo.io'
@@ -285,6 +413,7 @@ export class LocationPrayerService {
           city: data.city || 'Unknown City',
           region: data.state_prov || 'Unknown Region',
           country: data.country_name || 'Unknown Country',
+          countryCode: data.country_code2 || null,
           timezone: data.time_zone ? data.time_zone.name : 'UTC',
           ip: ip,
           source: 'ipgeolocation.io'
@@ -298,6 +427,7 @@ export class LocationPrayerService {
           city: data.city || 'Unknown City',
           region: data.state_prov || 'Unknown Region',
           country: data.country_name || 'Unknown Country',
+          countryCode: data.country_code2 || null,
           timezone: data.time_zone ? data.time_zone.name : 'UTC',
           ip: ip,
           source: 'ipgeolocation.io'
@@ -310,35 +440,345 @@ export class LocationPrayerService {
   }
 
   /**
-   * Get timezone offset in hours for the given timezone and date
+   * Get timezone offset in hours for the given timezone and date, as in force at local noon
+   * Prayer times convert each instant separately (getUtcOffsetMinutes), so this is only a whole-day approximation
    * @param {string} timezone - IANA timezone name
-   * @param {Date} date - The date
+   * @param {Date} date - The date (its UTC calendar date is used)
    * @returns {number} Offset in hours
    */
   getTimezoneOffset(timezone, date) {
+    const day = date.toISOString().split('T')[0];
+    const noon = this.localTimeToInstant(timezone || 'UTC', day, '12:00');
+    return noon === null ? 0 : this.getUtcOffsetMinutes(timezone || 'UTC', noon) / 60;
+  }
+
+  /**
+   * UTC offset of a timezone at an exact instant
+   * @param {string} timezone - IANA timezone name
+   * @param {number} instant - Epoch milliseconds
+   * @returns {number} Offset in minutes east of UTC
+   */
+  getUtcOffsetMinutes(timezone, instant) {
     try {
-      const testDate = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(), 0, 0, 0));
-      const formatter = new Intl.DateTimeFormat('en-US', {
-        timeZone: timezone,
-        timeZoneName: 'shortOffset'
-      });
-      const parts = formatter.formatToParts(testDate);
+      const parts = new Intl.DateTimeFormat('en-US', { timeZone: timezone || 'UTC', timeZoneName: 'shortOffset' }).formatToParts(new Date(instant));
       const tzPart = parts.find(p => p.type === 'timeZoneName');
-      if (tzPart) {
-        let offsetStr = tzPart.value.replace('GMT', '').replace(':', ''); // e.g., "+0300"
-        const sign = offsetStr.startsWith('+') ? 1 : (offsetStr.startsWith('-') ? -1 : 0);
-        if (sign === 0) return 0;
-        const hours = parseInt(offsetStr.substring(1, 3));
-        const mins = parseInt(offsetStr.substring(3, 5)) || 0;
-        return sign * (hours + mins / 60);
-      }
-      return 0;
+      const match = tzPart && tzPart.value.match(/GMT([+-])(\d{1,2})(?::(\d{2}))?/);
+      if (!match) return 0;
+      return (match[1] === '+' ? 1 : -1) * (parseInt(match[2]) * 60 + (parseInt(match[3]) || 0));
     } catch (e) {
       console.error('Timezone offset calculation error:', e);
       return 0;
     }
   }
 
+  /**
+   * Instant at which a local wall-clock time occurs in a timezone
+   * @param {string} timezone - IANA timezone name
+   * @param {string} date - Local date YYYY-MM-DD
+   * @param {string} time - Local time HH:MM
+   * @returns {number|null} Epoch milliseconds, or null for an invalid time
+   */
+  localTimeToInstant(timezone, date, time) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(time || '');
+    if (!match) return null;
+    const wallClock = Date.parse(`${date}T00:00:00Z`) + (parseInt(match[1]) * 60 + parseInt(match[2])) * 60 * 1000;
+    if (Number.isNaN(wallClock)) return null;
+    // Guess with the offset at the wall-clock time, then correct once in case that guess crossed a transition
+    let instant = wallClock - this.getUtcOffsetMinutes(timezone, wallClock) * 60 * 1000;
+    instant = wallClock - this.getUtcOffsetMinutes(timezone, instant) * 60 * 1000;
+    return instant;
+  }
+
+  /**
+   * Format an instant as ISO 8601 local time with its UTC offset, e.g. 2025-03-30T05:12:00+01:00
+   * @param {number} instant - Epoch milliseconds
+   * @param {string} timezone - IANA timezone name
+   * @returns {string} ISO timestamp
+   */
+  formatInstantWithOffset(instant, timezone) {
+    const offset = this.getUtcOffsetMinutes(timezone, instant);
+    const local = new Date(instant + offset * 60 * 1000).toISOString().slice(0, 19);
+    const abs = Math.abs(offset);
+    return `${local}${offset < 0 ? '-' : '+'}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+  }
+
+  /**
+   * Get the calendar date (YYYY-MM-DD) of an instant as seen in the given timezone
+   * @param {string} timezone - IANA timezone name
+   * @param {Date} date - The instant (default: now)
+   * @returns {string} Local date string
+   */
+  getLocalDateString(timezone, date = new Date()) {
+    try {
+      // en-CA formats dates as YYYY-MM-DD
+      return new Intl.DateTimeFormat('en-CA', {
+        timeZone: timezone || 'UTC',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit'
+      }).format(date);
+    } catch (e) {
+      return date.toISOString().split('T')[0];
+    }
+  }
+
+  /**
+   * Approximate a timezone from longitude when none is known (15 degrees per hour)
+   * @param {number} lng - Longitude
+   * @returns {string} Etc/GMT timezone name
+   */
+  timezoneFromLongitude(lng) {
+    const hours = Math.max(-12, Math.min(14, Math.round(lng / 15)));
+    if (hours === 0) return 'UTC';
+    // Etc/GMT zones use inverted signs: Etc/GMT-5 is UTC+5
+    return `Etc/GMT${hours > 0 ? '-' : '+'}${Math.abs(hours)}`;
+  }
+
+  /**
+   * Look up a city in the bundled gazetteer
+   * @param {string} name - City name in English, Arabic, Urdu or Hindi, optionally "City, Country"; small typos are tolerated
+   * @returns {Object|null} Location data or null if unknown
+   */
+  findCity(name) {
+    const cityData = this.gazetteer.lookup(name);
+    return cityData ? this._cityLocation(cityData) : null;
+  }
+
+  /**
+   * Find the city a chat message asks prayer times for ("Fajr time in Toronto", "لاہور میں نماز کا وقت")
+   * @param {string} message - User message
+   * @returns {Object|null} Location data or null if no known city is mentioned
+   */
+  extractCity(message) {
+    const cityData = this.gazetteer.extractCity(message);
+    return cityData ? this._cityLocation(cityData) : null;
+  }
+
+  _cityLocation(cityData) {
+    return {
+      lat: cityData.lat,
+      lng: cityData.lng,
+      city: cityData.name,
+      region: null,
+      country: cityData.country,
+      countryCode: cityData.countryCode,
+      timezone: cityData.timezone,
+      source: 'city'
+    };
+  }
+
+  /**
+   * Resolve a location from explicit coordinates, a city name or the caller's IP
+   * @param {Object} query - { lat, lng, city, timezone }
+   * @param {string} ip - Caller's IP address used as the last resort
+   * @returns {Promise<Object>} Location data
+   */
+  async resolveLocation(query = {}, ip = null) {
+    const lat = parseFloat(query.lat);
+    const lng = parseFloat(query.lng);
+    const hasLat = query.lat !== undefined && query.lat !== null && query.lat !== '';
+    const hasLng = query.lng !== undefined && query.lng !== null && query.lng !== '';
+
+    if (hasLat || hasLng) {
+      if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+        throw new Error('Invalid coordinates: lat must be within [-90, 90] and lng within [-180, 180]');
+      }
+      return {
+        lat,
+        lng,
+        city: query.city || null,
+        region: null,
+        country: null,
+        timezone: query.timezone || this.timezoneFromLongitude(lng),
+        source: 'coordinates'
+      };
+    }
+
+    if (query.city) {
+      const cityLocation = this.findCity(query.city);
+      if (!cityLocation) {
+        const suggestions = this.gazetteer.suggest(query.city);
+        throw new Error(`Unknown city: ${query.city}${suggestions.length ? `. Did you mean ${suggestions.join(', ')}?` : ''}`);
+      }
+      if (query.timezone) cityLocation.timezone = query.timezone;
+      return cityLocation;
+    }
+
+    const ipLocation = await this.getUserLocation(ip);
+    return query.timezone ? { ...ipLocation, timezone: query.timezone } : ipLocation;
+  }
+
+  /**
+   * Validate a user's custom method settings
+   * @param {Object} input - { base_method, fajr_angle, isha_angle, offsets: { fajr, sunrise, dhuhr, asr, maghrib, isha } }
+   *   (camelCase keys are accepted too)
+   * @returns {Object} { baseMethod, fajrAngle, ishaAngle, offsets } with nulls for unset values
+   * @throws {Error} When a value is out of range or a method is unknown
+   */
+  normalizeCustomSettings(input = {}) {
+    const pick = (snake, camel) => input[snake] !== undefined ? input[snake] : input[camel];
+    const isSet = (value) => value !== undefined && value !== null && value !== '';
+
+    let baseMethod = null;
+    const requestedBase = pick('base_method', 'baseMethod');
+    if (isSet(requestedBase)) {
+      baseMethod = this.resolveMethodKey(requestedBase);
+      if (!baseMethod || baseMethod === this.customMethodKey) {
+        throw new Error(`Unknown base_method. Supported: ${Object.keys(this.calculationMethods).join(', ')}`);
+      }
+    }
+
+    const { min, max } = this.customAngleRange;
+    const angle = (name, value) => {
+      if (!isSet(value)) return null;
+      const number = Number(value);
+      if (!Number.isFinite(number) || number < min || number > max) {
+        throw new Error(`${name} must be between ${min} and ${max} degrees`);
+      }
+      return Math.round(number * 100) / 100;
+    };
+
+    const offsets = {};
+    const requestedOffsets = input.offsets || {};
+    if (typeof requestedOffsets !== 'object' || Array.isArray(requestedOffsets)) {
+      throw new Error('offsets must be an object of minutes per prayer');
+    }
+    for (const [prayer, value] of Object.entries(requestedOffsets)) {
+      if (!this.adjustablePrayers.includes(prayer)) {
+        throw new Error(`Unknown prayer in offsets: ${prayer}. Use ${this.adjustablePrayers.join(', ')}`);
+      }
+      if (!isSet(value)) continue;
+      const minutes = Number(value);
+      if (!Number.isInteger(minutes) || Math.abs(minutes) > this.customOffsetLimit) {
+        throw new Error(`Offset for ${prayer} must be a whole number of minutes from -${this.customOffsetLimit} to ${this.customOffsetLimit}`);
+      }
+      if (minutes !== 0) offsets[prayer] = minutes;
+    }
+
+    return {
+      baseMethod,
+      fajrAngle: angle('fajr_angle', pick('fajr_angle', 'fajrAngle')),
+      ishaAngle: angle('isha_angle', pick('isha_angle', 'ishaAngle')),
+      offsets
+    };
+  }
+
+  /**
+   * Calculation parameters for the 'custom' method: a base method with the user's angles and minute offsets
+   * @param {Object} settings - Result of normalizeCustomSettings()
+   * @param {Object} location - Location, for the country's default base method
+   * @returns {Object} Parameters shaped like an entry of calculationMethods, plus baseMethod
+   */
+  buildCustomMethod(settings = {}, location = {}) {
+    const baseMethod = this.resolveMethodKey(settings.baseMethod);
+    const base = baseMethod && baseMethod !== this.customMethodKey ? baseMethod : this.getDefaultMethodForLocation(location);
+    const params = { ...this.calculationMethods[base], baseMethod: base };
+    const changes = [];
+    // Prayers whose angle the user chose; seasonal limits leave them alone
+    params.fixedAngles = [];
+
+    if (Number.isFinite(settings.fajrAngle)) {
+      params.fajr = settings.fajrAngle;
+      params.fixedAngles.push('fajr');
+      changes.push(`Fajr ${settings.fajrAngle}°`);
+    }
+    if (Number.isFinite(settings.ishaAngle)) {
+      params.isha = settings.ishaAngle;
+      delete params.ishaMinutes;
+      params.fixedAngles.push('isha');
+      changes.push(`Isha ${settings.ishaAngle}°`);
+    }
+
+    const adjustments = { ...(params.adjustments || {}) };
+    for (const [prayer, minutes] of Object.entries(settings.offsets || {})) {
+      adjustments[prayer] = (adjustments[prayer] || 0) + minutes;
+      changes.push(`${prayer[0].toUpperCase()}${prayer.slice(1)} ${minutes > 0 ? '+' : ''}${minutes} min`);
+    }
+    params.adjustments = adjustments;
+    params.name = `Custom (${this.calculationMethods[base].name}${changes.length ? `; ${changes.join(', ')}` : ''})`;
+    return params;
+  }
+
+  /**
+   * The parameters a calculation actually used, so users can check them
+   * @param {Object} params - Method parameters (an entry of calculationMethods or buildCustomMethod())
+   * @param {string} asrSchool - Asr school key
+   * @param {string} highLatitudeRule - Configured high-latitude rule
+   * @returns {Object} Angles, intervals, per-prayer minute adjustments and rules
+   */
+  getMethodParameters(params, asrSchool, highLatitudeRule) {
+    const adjustments = {};
+    for (const prayer of this.adjustablePrayers) {
+      adjustments[prayer] = (params.adjustments && params.adjustments[prayer]) || 0;
+    }
+    return {
+      baseMethod: params.baseMethod || null,
+      fajrAngle: params.fajr,
+      ishaAngle: params.ishaMinutes ? null : params.isha,
+      ishaMinutesAfterMaghrib: params.ishaMinutes || null,
+      maghribAngle: params.maghribAngle || null,
+      maghribMinutesAfterSunset: params.maghribAngle ? null : (params.maghrib || 0),
+      seasonal: params.seasonal || null,
+      midnightMode: params.midnight,
+      asrShadowFactor: this.asrSchools[asrSchool].factor,
+      highLatitudeRule,
+      adjustments
+    };
+  }
+
+  /**
+   * Match a calculation method name case-insensitively
+   * @param {string} value - Method name, e.g. 'isna' or 'moonsightingcommittee'
+   * @returns {string|null} Method key or null if unknown
+   */
+  resolveMethodKey(value) {
+    if (!value) return null;
+    const normalized = String(value).replace(/[\s_-]+/g, '').toLowerCase();
+    if (normalized === this.customMethodKey) return this.customMethodKey;
+    return Object.keys(this.calculationMethods).find(key => key.toLowerCase() === normalized) || null;
+  }
+
+  /**
+   * Pick the calculation method customarily used in the location's country
+   * @param {Object} location - Location data with countryCode or country
+   * @returns {string} Method key
+   */
+  getDefaultMethodForLocation(location) {
+    const code = this.getCountryCode(location);
+    return (code && this.countryCalculationMethods[code]) || this.defaultCalculationMethod;
+  }
+
+  /**
+   * ISO country code of a location, from countryCode or the country name
+   * @param {Object} location - Location data
+   * @returns {string|null} Upper-case code, or null if unknown
+   */
+  getCountryCode(location) {
+    if (!location) return null;
+    let code = location.countryCode;
+    if (!code && location.country) {
+      const country = String(location.country);
+      code = /^[A-Za-z]{2}$/.test(country)
+        ? country
+        : this.countryNameCodes[country.toLowerCase()] || this.gazetteer.findCountryCode(country);
+    }
+    return code ? code.toUpperCase() : null;
+  }
+
+  /**
+   * Check that a timezone name is known to the runtime
+   * @param {string} timezone - IANA timezone name
+   * @returns {boolean} Whether the timezone is valid
+   */
+  isValidTimezone(timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
   /**
    * Get default location (Makkah)
    * @returns {Object} Default location data
@@ -350,6 +790,7 @@ export class LocationPrayerService {
       city: 'Makkah',
       region: 'Makkah Province',
       country: 'Saudi Arabia',
+      countryCode: 'SA',
       timezone: 'Asia/Riyadh',
       ip: 'unknown',
       source: 'default',
@@ -391,25 +832,71 @@ export class LocationPrayerService {
     const e = 23.439 - 0.00000036 * d;
     const RA = this.rad2deg(Math.atan2(Math.cos(this.deg2rad(e)) * Math.sin(this.deg2rad(L)), Math.cos(this.deg2rad(L)))) / 15;
     const D = this.rad2deg(Math.asin(Math.sin(this.deg2rad(e)) * Math.sin(this.deg2rad(L))));
-    const EqT = q / 15 - RA;
+    let EqT = q / 15 - RA;
+    EqT -= 24 * Math.round(EqT / 24); // q grows without bound; keep EqT within half a day
     return { D, EqT };
   }
 
   /**
    * Calculate time offset for a given angle (used for sunrise, fajr, etc.)
-   * @param {number} angle - Angle in degrees
+   * @param {number} angle - Depression angle below the horizon in degrees
    * @param {number} lat - Latitude
    * @param {number} D - Declination
    * @returns {number} Time offset in hours
    */
   timeOffset(angle, lat, D) {
-    const arg = (Math.sin(this.deg2rad(angle)) - Math.sin(this.deg2rad(lat)) * Math.sin(this.deg2rad(D))) /
+    const arg = (-Math.sin(this.deg2rad(angle)) - Math.sin(this.deg2rad(lat)) * Math.sin(this.deg2rad(D))) /
                 (Math.cos(this.deg2rad(lat)) * Math.cos(this.deg2rad(D)));
-    const clampedArg = Math.max(-1, Math.min(1, arg));
-    const acosAngle = Math.acos(clampedArg);
+    // The sun never reaches this angle on this day (e.g. 18 deg at 55N in June)
+    if (arg < -1 || arg > 1) return NaN;
+    const acosAngle = Math.acos(arg);
     return this.rad2deg(acosAngle) / 15;
   }
 
+  /**
+   * Portion of the night used by a high-latitude rule
+   * @param {string} rule - Key of highLatitudeRules
+   * @param {number} angle - Twilight angle of the prayer
+   * @param {number} nightHours - Sunset to sunrise duration in hours
+   * @returns {number} Hours between the prayer and sunrise (Fajr) or sunset (Isha)
+   */
+  nightPortion(rule, angle, nightHours) {
+    if (rule === 'MiddleOfTheNight') return nightHours / 2;
+    if (rule === 'OneSeventh') return nightHours / 7;
+    return (angle / 60) * nightHours;
+  }
+
+  /**
+   * Replace an invalid twilight offset using a high-latitude rule
+   * @param {number} offset - Offset from Dhuhr computed from the angle (NaN when invalid)
+   * @param {number} angle - Twilight angle of the prayer
+   * @param {number} sunOffset - Sunrise/sunset offset from Dhuhr
+   * @param {number} lat - Latitude
+   * @param {number} D - Declination
+   * @param {string} rule - Key of highLatitudeRules
+   * @returns {Object} {offset, rule} where rule is null when no adjustment was needed
+   */
+  adjustHighLatitudeOffset(offset, angle, sunOffset, lat, D, rule) {
+    if (Number.isFinite(offset)) return { offset, rule: null };
+
+    const nearestLat = Math.sign(lat || 1) * this.nearestLatitude;
+    const nightHours = 24 - 2 * sunOffset;
+    if (!Number.isFinite(nightHours) || nightHours <= 0) {
+      // No local night at all: take the nearest latitude's time as is
+      return { offset: this.timeOffset(angle, nearestLat, D), rule: 'NearestLatitude' };
+    }
+
+    if (rule === 'NearestLatitude') {
+      // Same share of the night that the twilight takes at the nearest latitude
+      const nearestSunOffset = this.timeOffset(0.8333, nearestLat, D);
+      const nearestNight = 24 - 2 * nearestSunOffset;
+      const share = (this.timeOffset(angle, nearestLat, D) - nearestSunOffset) / nearestNight;
+      return { offset: sunOffset + share * nightHours, rule };
+    }
+
+    return { offset: sunOffset + this.nightPortion(rule, angle, nightHours), rule };
+  }
+
   /**
    * Calculate Asr time offset
    * @param {number} lat - Latitude
@@ -418,9 +905,10 @@ export class LocationPrayerService {
    * @returns {number} Time offset in hours
    */
   asrTimeOffset(lat, D, factor) {
+    // Sun altitude when the shadow equals factor x height plus the noon shadow: acot(factor + tan|lat - D|)
     const phi = lat - D;
     const tanPhi = Math.tan(this.deg2rad(Math.abs(phi)));
-    const declitan = 1.0 / (factor + tanPhi * tanPhi);
+    const declitan = 1.0 / (factor + tanPhi);
     const angle = this.atan(declitan);
     const arg = (Math.sin(angle) - Math.sin(this.deg2rad(lat)) * Math.sin(this.deg2rad(D))) /
                 (Math.cos(this.deg2rad(lat)) * Math.cos(this.deg2rad(D)));
@@ -439,51 +927,150 @@ export class LocationPrayerService {
    * @returns {string} Formatted time
    */
   timeToString(hours) {
+    if (!Number.isFinite(hours)) return '--:--';
     let h = ((hours % 24) + 24) % 24;
     let m = Math.floor((h - Math.floor(h)) * 60);
     h = Math.floor(h);
     return `${h.toString().padStart(2, '0')}:${m.toString().padStart(2, '0')}`;
   }
 
+  /**
+   * Seasonal twilight lengths used by the Moonsighting Committee method
+   * @param {Date} date - Date (UTC midnight)
+   * @param {number} lat - Latitude in degrees
+   * @returns {Object} { morning, evening } minutes before sunrise and after sunset
+   */
+  seasonalTwilightMinutes(date, lat) {
+    const year = date.getUTCFullYear();
+    const isLeap = (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+    const daysInYear = isLeap ? 366 : 365;
+    const dayOfYear = Math.floor((date.getTime() - Date.UTC(year, 0, 1)) / 86400000) + 1;
+
+    // Days since the winter solstice of the local hemisphere
+    let days;
+    if (lat >= 0) {
+      days = dayOfYear + 10;
+      if (days >= daysInYear) days -= daysInYear;
+    } else {
+      days = dayOfYear - (isLeap ? 173 : 172);
+      if (days < 0) days += daysInYear;
+    }
+
+    const interpolate = (a, b, c, d) => {
+      if (days < 91) return a + (b - a) / 91 * days;
+      if (days < 137) return b + (c - b) / 46 * (days - 91);
+      if (days < 183) return c + (d - c) / 46 * (days - 137);
+      if (days < 229) return d + (c - d) / 46 * (days - 183);
+      if (days < 275) return c + (b - c) / 46 * (days - 229);
+      return b + (a - b) / 91 * (days - 275);
+    };
+
+    const absLat = Math.abs(lat);
+    return {
+      morning: interpolate(75 + 28.65 / 55 * absLat, 75 + 19.44 / 55 * absLat, 75 + 32.74 / 55 * absLat, 75 + 48.10 / 55 * absLat),
+      evening: interpolate(75 + 25.60 / 55 * absLat, 75 + 2.050 / 55 * absLat, 75 - 9.210 / 55 * absLat, 75 + 6.140 / 55 * absLat)
+    };
+  }
+
   /**
    * Calculate prayer times using astronomical calculations with specific method
    * @param {Object} location - Location data
-   * @param {Date} date - Date for prayer times
-   * @param {number} timezoneOffset - Timezone offset in hours
+   * @param {Date} date - Date for prayer times (UTC midnight of the local date)
+   * @param {number|null} timezoneOffset - Fixed offset in hours, or null to convert each time with the
+   *   offset location.timezone has at that instant (correct across daylight saving changes)
    * @param {string} method - Calculation method (default: MWL)
-   * @returns {Object} Prayer times with method information
+   * @param {string} asrSchool - Asr juristic school: 'standard' or 'hanafi'
+   * @param {Object} options - { highLatitudeRule } applied when Fajr/Isha angles are never reached,
+   *   { custom } settings (normalizeCustomSettings) when method is 'custom'
+   * @returns {Object} Prayer times with method information and the effective parameters
    */
-  calculatePrayerTimes(location, date, timezoneOffset, method = this.defaultCalculationMethod) {
+  calculatePrayerTimes(location, date, timezoneOffset = null, method = this.defaultCalculationMethod, asrSchool = this.defaultAsrSchool, options = {}) {
     // Get calculation parameters for the specified method
-    const params = this.calculationMethods[method] || this.calculationMethods[this.defaultCalculationMethod];
+    let params;
+    if (method === this.customMethodKey) {
+      params = this.buildCustomMethod(options.custom, location);
+    } else {
+      if (!this.calculationMethods[method]) method = this.defaultCalculationMethod;
+      params = this.calculationMethods[method];
+    }
+    if (!this.asrSchools[asrSchool]) asrSchool = this.defaultAsrSchool;
+    const asrFactor = this.asrSchools[asrSchool].factor;
+    const highLatitudeRule = this.highLatitudeRules[options.highLatitudeRule] ? options.highLatitudeRule : this.defaultHighLatitudeRule;
     
     const jd = this.julianDate(date);
     const { D, EqT } = this.sunPosition(jd);
-    const lat = location.lat;
     const lng = location.lng;
-    const timeZone = timezoneOffset;
 
-    const dhuhr = 12 + timeZone - lng / 15 - EqT;
+    // Times are worked out in UTC hours from the start of the date and converted to local time one by one,
+    // so on a daylight saving change only the times after the switch move
+    const timezone = location.timezone || 'UTC';
+    const fixedOffset = Number.isFinite(timezoneOffset) ? timezoneOffset : null;
+    const dayStart = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+    const toLocal = (hours) => fixedOffset !== null
+      ? hours + fixedOffset
+      : hours + this.getUtcOffsetMinutes(timezone, dayStart + hours * 60 * 60 * 1000) / 60;
+    const formatLocal = (hours) => Number.isFinite(hours) ? this.timeToString(toLocal(hours)) : this.timeToString(hours);
+    // Whole days that keep local noon on the requested date where the zone is far from its meridian (UTC+14 at 157W)
+    const noonOffset = fixedOffset !== null ? fixedOffset : this.getTimezoneOffset(timezone, date);
+    const timeZone = -24 * Math.round((noonOffset - lng / 15 - EqT) / 24);
+
+    // Polar day/night: no sunrise or sunset at all, so borrow the nearest latitude for every time
     const sunriseAngle = 0.8333;
+    let lat = location.lat;
+    let appliedRule = null;
+    const adjustedTimes = [];
+    const isPolar = !Number.isFinite(this.timeOffset(sunriseAngle, lat, D));
+    if (isPolar) {
+      lat = Math.sign(lat) * this.nearestLatitude;
+      appliedRule = 'NearestLatitude';
+      adjustedTimes.push('sunrise', 'asr', 'maghrib');
+    }
+
+    const dhuhr = 12 + timeZone - lng / 15 - EqT;
     const sunriseOffset = this.timeOffset(sunriseAngle, lat, D);
     const sunsetOffset = this.timeOffset(sunriseAngle, lat, D);
     
+    // Moonsighting Committee: seasonal limits below 55 degrees, one-seventh of the night above
+    const seasonal = params.seasonal === 'moonsighting' && !isPolar;
+    const seasonalRule = seasonal && Math.abs(lat) >= 55 ? 'OneSeventh' : highLatitudeRule;
+
     // Calculate Fajr and Isha based on method parameters
-    const fajrOffset = this.timeOffset(params.fajr, lat, D);
+    const fajrAdjustment = this.adjustHighLatitudeOffset(this.timeOffset(params.fajr, lat, D), params.fajr, sunriseOffset, lat, D, seasonalRule);
+    let fajrOffset = fajrAdjustment.offset;
+    if (fajrAdjustment.rule || isPolar) {
+      adjustedTimes.push('fajr');
+      appliedRule = appliedRule || fajrAdjustment.rule;
+    }
+
+    let maghribOffset = sunsetOffset + (params.maghrib || 0) / 60;
+    if (params.maghribAngle) {
+      // Jafari/Tehran Maghrib waits for the eastern redness to pass; fall back to sunset if never reached
+      const angleOffset = this.timeOffset(params.maghribAngle, lat, D);
+      maghribOffset = Number.isFinite(angleOffset) ? angleOffset : sunsetOffset;
+    }
     
     let ishaOffset;
-    if (params.isha === '90min') {
-      // Special case for Makkah method where Isha is 90 minutes after Maghrib
-      const maghribOffset = sunsetOffset + params.maghrib / 60;
-      const maghrib = dhuhr + maghribOffset;
-      const ishaTime = maghrib + 1.5; // 90 minutes = 1.5 hours
-      ishaOffset = ishaTime - dhuhr;
+    if (params.ishaMinutes) {
+      // Fixed interval after Maghrib (Umm al-Qura, Gulf, Qatar)
+      ishaOffset = maghribOffset + params.ishaMinutes / 60;
     } else {
-      ishaOffset = this.timeOffset(params.isha, lat, D);
+      const ishaAdjustment = this.adjustHighLatitudeOffset(this.timeOffset(params.isha, lat, D), params.isha, sunsetOffset, lat, D, seasonalRule);
+      ishaOffset = ishaAdjustment.offset;
+      if (ishaAdjustment.rule || isPolar) {
+        adjustedTimes.push('isha');
+        appliedRule = appliedRule || ishaAdjustment.rule;
+      }
+    }
+
+    if (seasonal && Math.abs(lat) < 55) {
+      // Fajr is never earlier, and Isha never later, than the seasonal twilight limits
+      const limits = this.seasonalTwilightMinutes(date, lat);
+      const fixedAngles = params.fixedAngles || [];
+      if (!fixedAngles.includes('fajr')) fajrOffset = Math.min(fajrOffset, sunriseOffset + limits.morning / 60);
+      if (!fixedAngles.includes('isha')) ishaOffset = Math.min(ishaOffset, sunsetOffset + limits.evening / 60);
     }
     
-    const asrOffset = this.asrTimeOffset(lat, D, params.asr);
-    const maghribOffset = sunsetOffset + params.maghrib / 60;
+    const asrOffset = this.asrTimeOffset(lat, D, asrFactor);
 
     const fajr = dhuhr - fajrOffset;
     const sunrise = dhuhr - sunriseOffset;
@@ -491,6 +1078,14 @@ export class LocationPrayerService {
     const asr = dhuhr + asrOffset;
     const maghrib = dhuhr + maghribOffset;
     const isha = dhuhr + ishaOffset;
+    const adjust = (name, hours) => hours + ((params.adjustments && params.adjustments[name]) || 0) / 60;
+    const extras = this.calculateExtraTimes({
+      fajr: adjust('fajr', fajr),
+      sunrise: adjust('sunrise', sunrise),
+      dhuhr: adjust('dhuhr', dhuhr),
+      // Maghrib's adjustment moves the sunset it is reckoned from, so the sunset window stays in step with Maghrib
+      sunset: adjust('maghrib', sunset)
+    }, params.midnight, formatLocal);
 
     return {
       date: date.toISOString().split('T')[0],
@@ -501,19 +1096,96 @@ export class LocationPrayerService {
         lng: location.lng
       },
       times: {
-        fajr: this.timeToString(fajr),
-        sunrise: this.timeToString(sunrise),
-        dhuhr: this.timeToString(dhuhr),
-        asr: this.timeToString(asr),
-        maghrib: this.timeToString(maghrib),
-        isha: this.timeToString(isha)
+        fajr: formatLocal(adjust('fajr', fajr)),
+        sunrise: formatLocal(adjust('sunrise', sunrise)),
+        dhuhr: formatLocal(adjust('dhuhr', dhuhr)),
+        asr: formatLocal(adjust('asr', asr)),
+        maghrib: formatLocal(adjust('maghrib', maghrib)),
+        isha: formatLocal(adjust('isha', isha))
       },
+      extraTimes: extras.times,
+      forbiddenWindows: extras.forbiddenWindows,
       timezone: location.timezone || 'UTC',
       calculationMethod: method,
-      calculationMethodName: params.name
+      calculationMethodName: params.name,
+      midnightMode: params.midnight,
+      asrSchool,
+      asrSchoolName: this.asrSchools[asrSchool].name,
+      highLatitudeRule: appliedRule,
+      highLatitudeRuleName: appliedRule ? this.highLatitudeRules[appliedRule].name : null,
+      adjustedTimes,
+      parameters: this.getMethodParameters(params, asrSchool, highLatitudeRule),
+      source: 'computed'
+    };
+  }
+
+  /**
+   * Supplementary times derived from the main ones: Imsak, Islamic midnight, last third of the night,
+   * Ishraq, Duha and the windows in which voluntary prayer is disliked (makruh)
+   * @param {Object} hours - { fajr, sunrise, dhuhr, sunset } as hours
+   * @param {string} midnightMode - 'standard' (sunset to sunrise) or 'jafari' (sunset to Fajr)
+   * @param {Function} format - Turns hours into HH:MM local time (default: the hours are already local)
+   * @returns {Object} { times, forbiddenWindows } with HH:MM strings
+   */
+  calculateExtraTimes(hours, midnightMode = 'standard', format = (h) => this.timeToString(h)) {
+    const { fajr, sunrise, dhuhr, sunset } = hours;
+    const minutes = (m) => m / 60;
+
+    // The night runs from sunset to the next sunrise (or Fajr); tomorrow's time is taken as today's + 24h
+    const nightEnd = (midnightMode === 'jafari' && Number.isFinite(fajr) ? fajr : sunrise) + 24;
+    const night = nightEnd - sunset;
+    const ishraq = sunrise + minutes(this.ishraqMinutes);
+    const zawal = dhuhr - minutes(this.zawalMinutes);
+
+    return {
+      times: {
+        imsak: format(fajr - minutes(this.imsakMinutes)),
+        midnight: format(sunset + night / 2),
+        lastThird: format(sunset + night * 2 / 3),
+        ishraq: format(ishraq),
+        // Duha is best once a quarter of the day has passed and ends at zawal
+        duha: format(sunrise + (dhuhr - sunrise) / 2),
+        duhaEnd: format(zawal)
+      },
+      forbiddenWindows: [
+        { name: 'sunrise', start: format(sunrise), end: format(ishraq) },
+        { name: 'zawal', start: format(zawal), end: format(dhuhr) },
+        { name: 'sunset', start: format(sunset - minutes(this.sunsetForbiddenMinutes)), end: format(sunset) }
+      ]
     };
   }
 
+  /**
+   * Extra times and forbidden windows for published times, which the calculated ones no longer match
+   * @param {Object} times - Local HH:MM times from a provider
+   * @param {string} midnightMode - 'standard' or 'jafari'
+   * @returns {Object} { times, forbiddenWindows } as from calculateExtraTimes
+   */
+  calculateExtraTimesFrom(times, midnightMode = 'standard') {
+    const hours = (time) => {
+      const [h, m] = time.split(':').map(Number);
+      return h + m / 60;
+    };
+    return this.calculateExtraTimes({
+      fajr: hours(times.fajr),
+      sunrise: hours(times.sunrise),
+      dhuhr: hours(times.dhuhr),
+      // Timetables publish Maghrib at sunset
+      sunset: hours(times.maghrib)
+    }, midnightMode);
+  }
+
+  /**
+   * Fill in extra times for a provider's answer (the registry leaves them out)
+   * @param {Object} result - Result of PrayerProviderRegistry.resolve()
+   * @returns {Object} The result with extraTimes and forbiddenWindows
+   */
+  _withExtraTimes(result) {
+    if (result.extraTimes) return result;
+    const extras = this.calculateExtraTimesFrom(result.times, result.midnightMode);
+    return { ...result, extraTimes: extras.times, forbiddenWindows: extras.forbiddenWindows };
+  }
+
   /**
    * Calculate prayer times for a location with multiple methods for comparison
    * @param {Object} location - Location data
@@ -534,44 +1206,17 @@ export class LocationPrayerService {
         }
       }
       
-      // Compute timezone offset
-      const timezoneOffset = this.getTimezoneOffset(location.timezone, date);
-      
-      // Try to get prayer times from Times Prayer website first
-      try {
-        const timesPrayerData = await this.timesPrayerScraper.getPrayerTimes(location, date);
-        if (timesPrayerData) {
-          // Add method information
-          const result = {
-            ...timesPrayerData,
-            source: 'timesprayer.org',
-            calculationMethod: 'WebsiteProvided',
-            calculationMethodName: 'TimesPrayer.org Provided Times'
-          };
-          
-          // Cache the result
-          this.prayerTimeCache.set(cacheKey, {
-            data: result,
-            timestamp: Date.now()
-          });
-          if (this.prayerTimeCache.size > this.prayerCacheCapacity) {
-            const oldestKey = this.prayerTimeCache.keys().next().value;
-            if (oldestKey) this.prayerTimeCache.delete(oldestKey);
-          }
-          return result;
-        }
-      } catch (error) {
-        console.log('Times Prayer scraper failed:', error.message);
-      }
-      
       // Calculate times using multiple methods for comparison
       const methodsComparison = {};
       for (const [methodName, methodParams] of Object.entries(this.calculationMethods)) {
-        methodsComparison[methodName] = this.calculatePrayerTimes(location, date, timezoneOffset, methodName);
+        methodsComparison[methodName] = this.calculatePrayerTimes(location, date, null, methodName);
       }
       
-      // Return the default method as primary with comparison data
-      const defaultMethodResult = methodsComparison[this.defaultCalculationMethod];
+      // The country's customary method is primary; a published source replaces it when it agrees
+      const defaultMethodResult = this._withExtraTimes(await this.providers.resolve(location, date, methodsComparison[this.getDefaultMethodForLocation(location)], {
+        countryCode: this.getCountryCode(location),
+        usesDefaults: true
+      }));
       const result = {
         ...defaultMethodResult,
         methodsComparison: methodsComparison
@@ -591,9 +1236,7 @@ export class LocationPrayerService {
     } catch (error) {
       console.error('Prayer time calculation error:', error);
       // Return default prayer times for Makkah
-      const defaultLocation = this.islamicCities.makkah;
-      const defaultOffset = this.getTimezoneOffset(defaultLocation.timezone, date);
-      return this.calculatePrayerTimes(defaultLocation, date, defaultOffset);
+      return this.calculatePrayerTimes(this.getDefaultLocation(), date);
     }
   }
 
@@ -601,13 +1244,19 @@ export class LocationPrayerService {
    * Calculate prayer times for a location (backward compatibility)
    * @param {Object} location - Location data
    * @param {Date} date - Date for prayer times (default: today)
+   * @param {Object} options - { method, asrSchool, highLatitudeRule, tolerance, custom }; published times are only used for the defaults
    * @returns {Promise<Object>} Prayer times
    */
-  async getPrayerTimes(location, date = new Date()) {
+  async getPrayerTimes(location, date = new Date(), options = {}) {
     try {
+      // Without an explicit method, follow the convention of the location's country
+      const method = this.resolveMethodKey(options.method) || this.getDefaultMethodForLocation(location);
+      const asrSchool = options.asrSchool || this.defaultAsrSchool;
+      const highLatitudeRule = options.highLatitudeRule || this.defaultHighLatitudeRule;
       const dateKey = date.toDateString();
       const geoKey = this._geohash(location.lat, location.lng, this._geohashPrecision);
-      const cacheKey = `${geoKey}:${dateKey}`;
+      const custom = method === this.customMethodKey ? JSON.stringify(options.custom || {}) : '';
+      const cacheKey = `${geoKey}:${dateKey}:${method}:${custom}:${asrSchool}:${highLatitudeRule}:${options.tolerance ?? ''}`;
       
       // Check cache first
       if (this.prayerTimeCache.has(cacheKey)) {
@@ -617,30 +1266,16 @@ export class LocationPrayerService {
         }
       }
       
-      // Compute timezone offset
-      const timezoneOffset = this.getTimezoneOffset(location.timezone, date);
-      
-      // Try to get prayer times from Times Prayer website first
-      try {
-        const timesPrayerData = await this.timesPrayerScraper.getPrayerTimes(location, date);
-        if (timesPrayerData) {
-          // Cache the result
-          this.prayerTimeCache.set(cacheKey, {
-            data: timesPrayerData,
-            timestamp: Date.now()
-          });
-          if (this.prayerTimeCache.size > this.prayerCacheCapacity) {
-            const oldestKey = this.prayerTimeCache.keys().next().value;
-            if (oldestKey) this.prayerTimeCache.delete(oldestKey);
-          }
-          return timesPrayerData;
-        }
-      } catch (error) {
-        console.log('Times Prayer scraper failed:', error.message);
-      }
+      // Calculate first: it is the answer when no published source applies, and what sources are checked against
+      const calculated = this.calculatePrayerTimes(location, date, null, method, asrSchool, { highLatitudeRule, custom: options.custom });
       
-      // Fallback to calculation if web scraping fails
-      const prayerTimes = this.calculatePrayerTimes(location, date, timezoneOffset);
+      // Published sources follow their own method, so they only answer requests that use the defaults
+      const usesDefaults = !options.method && asrSchool === this.defaultAsrSchool && !options.highLatitudeRule;
+      const prayerTimes = this._withExtraTimes(await this.providers.resolve(location, date, calculated, {
+        countryCode: this.getCountryCode(location),
+        usesDefaults,
+        tolerance: options.tolerance
+      }));
       
       // Cache the result
       this.prayerTimeCache.set(cacheKey, {
@@ -656,12 +1291,27 @@ export class LocationPrayerService {
     } catch (error) {
       console.error('Prayer time calculation error:', error);
       // Return default prayer times for Makkah
-      const defaultLocation = this.islamicCities.makkah;
-      const defaultOffset = this.getTimezoneOffset(defaultLocation.timezone, date);
-      return this.calculatePrayerTimes(defaultLocation, date, defaultOffset);
+      return this.calculatePrayerTimes(this.getDefaultLocation(), date);
     }
   }
 
+  /**
+   * Get prayer times for every day in an inclusive date range
+   * @param {Object} location - Location data
+   * @param {Date} startDate - First day (UTC midnight)
+   * @param {Date} endDate - Last day (UTC midnight)
+   * @param {Object} options - { method, asrSchool, highLatitudeRule, tolerance }
+   * @returns {Promise<Array>} Prayer times per day
+   */
+  async getPrayerTimesRange(location, startDate, endDate, options = {}) {
+    const days = [];
+    const dayMs = 24 * 60 * 60 * 1000;
+    for (let t = startDate.getTime(); t <= endDate.getTime(); t += dayMs) {
+      days.push(await this.getPrayerTimes(location, new Date(t), options));
+    }
+    return days;
+  }
+
   /**
    * Get nearby Islamic cities
    * @param {Object} location - User location
@@ -671,8 +1321,8 @@ export class LocationPrayerService {
   getNearbyIslamicCities(location, maxDistance = 500) {
     const nearby = [];
     
-    // Calculate distance to each Islamic city
-    for (const [cityName, cityData] of Object.entries(this.islamicCities)) {
+    // Calculate distance to each gazetteer city
+    for (const cityData of this.gazetteer.cities) {
       const distance = this.calculateDistance(
         location.lat, location.lng, 
         cityData.lat, cityData.lng
@@ -680,8 +1330,12 @@ export class LocationPrayerService {
       
       if (distance <= maxDistance) {
         nearby.push({
-          name: cityName,
-          ...cityData,
+          name: cityData.name,
+          lat: cityData.lat,
+          lng: cityData.lng,
+          timezone: cityData.timezone,
+          countryCode: cityData.countryCode,
+          country: cityData.country,
           distance: Math.round(distance)
         });
       }
@@ -691,6 +1345,171 @@ export class LocationPrayerService {
     return nearby.sort((a, b) => a.distance - b.distance);
   }
 
+  /**
+   * Initial great-circle bearing and distance from a location to the Kaaba
+   * @param {Object} location - Location with lat/lng
+   * @returns {Object} { bearing (degrees clockwise from true north), compass, distanceKm, atKaaba }
+   *   bearing and compass are null when atKaaba
+   */
+  getQiblaDirection(location) {
+    const distance = this.calculateDistance(location.lat, location.lng, this.kaaba.lat, this.kaaba.lng);
+    if (distance < this.atKaabaKm) {
+      return { bearing: null, compass: null, distanceKm: Math.round(distance * 1000) / 1000, atKaaba: true };
+    }
+    const phi = this.toRadians(location.lat);
+    const phiK = this.toRadians(this.kaaba.lat);
+    const dLng = this.toRadians(this.kaaba.lng - location.lng);
+    const y = Math.sin(dLng);
+    const x = Math.cos(phi) * Math.tan(phiK) - Math.sin(phi) * Math.cos(dLng);
+    const bearing = (this.rad2deg(Math.atan2(y, x)) + 360) % 360;
+    return {
+      bearing: Math.round(bearing * 100) / 100,
+      compass: this.bearingToCompass(bearing),
+      distanceKm: Math.round(distance),
+      atKaaba: false
+    };
+  }
+
+  /**
+   * Convert a bearing to a 16-point compass direction
+   * @param {number} bearing - Degrees clockwise from north
+   * @returns {string} e.g. 'WNW'
+   */
+  bearingToCompass(bearing) {
+    const points = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+    return points[Math.round(((bearing % 360) + 360) % 360 / 22.5) % 16];
+  }
+
+  /**
+   * Instants in a year when the sun stands directly over the Kaaba (shadows point away from the Qibla)
+   * or over its antipode (shadows point towards the Qibla)
+   * @param {number} year - Gregorian year
+   * @returns {Array} [{ type: 'kaaba'|'antipode', instant: Date }]
+   */
+  getSunOverKaabaInstants(year) {
+    const targets = [
+      { type: 'kaaba', lat: this.kaaba.lat, lng: this.kaaba.lng },
+      { type: 'antipode', lat: -this.kaaba.lat, lng: this.kaaba.lng - 180 }
+    ];
+    const dayMs = 24 * 60 * 60 * 1000;
+    const instants = [];
+
+    for (const target of targets) {
+      // Solar noon over the target, as a UTC instant, and the sun's declination then
+      const noonAt = (dayStart) => {
+        const { EqT } = this.sunPosition(this.julianDate(new Date(dayStart)));
+        return dayStart + (12 - target.lng / 15 - EqT) * 60 * 60 * 1000;
+      };
+      const declinationAt = (instant) => {
+        const dayStart = Date.UTC(new Date(instant).getUTCFullYear(), new Date(instant).getUTCMonth(), new Date(instant).getUTCDate());
+        const fraction = (instant - dayStart) / dayMs - 0.5; // julianDate() is for noon
+        return this.sunPosition(this.julianDate(new Date(dayStart)) + fraction).D;
+      };
+
+      let previousNoon = noonAt(Date.UTC(year, 0, 1));
+      let previousGap = declinationAt(previousNoon) - target.lat;
+      for (let day = 1; day <= 366; day++) {
+        const dayStart = Date.UTC(year, 0, 1) + day * dayMs;
+        const noon = noonAt(dayStart);
+        const gap = declinationAt(noon) - target.lat;
+        if (previousGap === 0 || Math.sign(gap) !== Math.sign(previousGap)) {
+          // The transit is on whichever solar noon has the declination closer to the target latitude
+          const instant = Math.abs(previousGap) <= Math.abs(gap) ? previousNoon : noon;
+          if (new Date(instant).getUTCFullYear() === year) {
+            instants.push({ type: target.type, instant: new Date(Math.round(instant / 60000) * 60000) });
+          }
+        }
+        previousNoon = noon;
+        previousGap = gap;
+      }
+    }
+    return instants.sort((a, b) => a.instant - b.instant);
+  }
+
+  /**
+   * Local time today when the sun's azimuth matches the Qibla bearing, if it does while the sun is up
+   * @param {Object} location - Location with lat/lng
+   * @param {Date} date - Date (UTC midnight)
+   * @param {number} timezoneOffset - Timezone offset in hours
+   * @returns {string|null} HH:MM local time, or null (also at the Kaaba, where there is no bearing)
+   */
+  getSunInQiblaDirectionTime(location, date, timezoneOffset) {
+    const { bearing, atKaaba } = this.getQiblaDirection(location);
+    if (atKaaba) return null;
+    const { D, EqT } = this.sunPosition(this.julianDate(date));
+    const phi = this.deg2rad(location.lat);
+    const decl = this.deg2rad(D);
+    const solarState = (localHours) => {
+      // Hour angle from the local apparent solar time
+      const solarTime = localHours - timezoneOffset + location.lng / 15 + EqT;
+      const H = this.deg2rad((solarTime - 12) * 15);
+      const altitude = Math.asin(Math.sin(phi) * Math.sin(decl) + Math.cos(phi) * Math.cos(decl) * Math.cos(H));
+      const azimuth = (this.rad2deg(Math.atan2(Math.sin(H), Math.cos(H) * Math.sin(phi) - Math.tan(decl) * Math.cos(phi))) + 180) % 360;
+      return { altitude, azimuth };
+    };
+    const difference = (azimuth) => ((azimuth - bearing + 540) % 360) - 180;
+
+    const step = 2 / 60;
+    let previous = solarState(0);
+    for (let h = step; h <= 24; h += step) {
+      const current = solarState(h);
+      const d0 = difference(previous.azimuth);
+      const d1 = difference(current.azimuth);
+      // A sign change away from the +/-180 wrap is a crossing of the bearing
+      if (Math.sign(d0) !== Math.sign(d1) && Math.abs(d0 - d1) < 90 && current.altitude > 0) {
+        const t = h - step + step * Math.abs(d0) / (Math.abs(d0) + Math.abs(d1));
+        return this.timeToString(t);
+      }
+      previous = current;
+    }
+    return null;
+  }
+
+  /**
+   * Qibla details for a location: bearing, distance and sun-over-Qibla times
+   * @param {Object} location - Location with lat/lng/timezone
+   * @param {Date} date - Date (UTC midnight) for the daily sun-in-Qibla time
+   * @returns {Object} Qibla information
+   */
+  getQibla(location, date = new Date()) {
+    const direction = this.getQiblaDirection(location);
+    const timezone = location.timezone || 'UTC';
+    const year = date.getUTCFullYear();
+    const localTime = (instant) => new Intl.DateTimeFormat('en-GB', {
+      timeZone: timezone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+    }).format(instant);
+
+    const transits = this.getSunOverKaabaInstants(year).map(({ type, instant }) => {
+      // Only useful where the sun is above the horizon at that moment
+      const sunUp = this.calculateDistance(location.lat, location.lng, type === 'kaaba' ? this.kaaba.lat : -this.kaaba.lat,
+        type === 'kaaba' ? this.kaaba.lng : this.kaaba.lng - 180) < Math.PI / 2 * 6371;
+      return {
+        type,
+        date: this.getLocalDateString(timezone, instant),
+        time: localTime(instant),
+        utc: instant.toISOString(),
+        visible: sunUp
+      };
+    });
+
+    return {
+      ...direction,
+      kaaba: { ...this.kaaba },
+      sunInQiblaDirection: this.getSunInQiblaDirectionTime(location, date, this.getTimezoneOffset(timezone, date)),
+      sunOverKaaba: transits
+    };
+  }
+
+  /**
+   * Whether a chat message asks about the Qibla
+   * @param {string} message - User message
+   * @returns {boolean} True for Qibla questions
+   */
+  isQiblaQuery(message) {
+    const lower = (message || '').toLowerCase();
+    return this.qiblaKeywords.some(keyword => lower.includes(keyword));
+  }
+
   /**
    * Calculate distance between two points using Haversine formula
    * @param {number} lat1 - Latitude of point 1
@@ -0,0 +1,634 @@
+/**
+ * MosqueManager - Mosques, their iqamah (jama'ah) schedules and users' favourite mosque, stored in D1
+ * Iqamah entries are a fixed time or a number of minutes after the adhan, optionally limited to a date range;
+ * Jumu'ah has its own numbered slots. Anyone signed in can register a mosque, so a mosque stays unverified
+ * until a moderator (MOSQUE_MODERATORS, comma-separated user ids) approves it.
+ * Admins can also upload the mosque's adhan timetable, which the mosque_table prayer time provider uses
+ * for places near verified mosques
+ */
+
+import { LocationPrayerService } from './location-prayer-service.js';
+import { parseTimetableCSV } from './prayer-providers.js';
+
+export class MosqueManager {
+  constructor(db, env, locationService = new LocationPrayerService()) {
+    this.db = db; // D1 binding
+    this.env = env;
+    this.locationService = locationService;
+
+    this.dailyPrayers = ['fajr', 'dhuhr', 'asr', 'maghrib', 'isha'];
+    this.schedulePrayers = [...this.dailyPrayers, 'jumuah'];
+    this.modes = ['fixed', 'after_adhan'];
+    this.maxMinutesAfter = 180;
+    this.maxJumuahSlots = 5;
+    this.timetablePrayers = ['fajr', 'sunrise', 'dhuhr', 'asr', 'maghrib', 'isha'];
+    this.maxTimetableDays = 400;
+    this.defaultRadiusKm = 25;
+    this.maxResults = 50;
+  }
+
+  /**
+   * Validate mosque fields
+   * @param {Object} input - { name, address, city, country_code, lat, lng, timezone, method, asr_school }
+   * @param {boolean} partial - Allow missing fields (updates)
+   * @returns {Object} Normalized fields (camelCase), only those present
+   * @throws {Error} With a message suitable for the API
+   */
+  validateMosque(input = {}, partial = false) {
+    const fields = {};
+    const has = (key) => input[key] !== undefined && input[key] !== null && input[key] !== '';
+
+    if (has('name')) {
+      const name = String(input.name).trim();
+      if (!name || name.length > 200) throw new Error('name must be 1-200 characters');
+      fields.name = name;
+    } else if (!partial) {
+      throw new Error('name is required');
+    }
+
+    for (const [key, max] of [['address', 300], ['city', 100]]) {
+      if (has(key)) {
+        const value = String(input[key]).trim();
+        if (value.length > max) throw new Error(`${key} must be at most ${max} characters`);
+        fields[key] = value;
+      }
+    }
+    if (has('country_code')) {
+      if (!/^[A-Za-z]{2}$/.test(String(input.country_code))) throw new Error('country_code must be a 2-letter ISO code');
+      fields.countryCode = String(input.country_code).toUpperCase();
+    }
+
+    if (has('lat') || has('lng') || !partial) {
+      const lat = Number(input.lat);
+      const lng = Number(input.lng);
+      if (!has('lat') || !has('lng') || !Number.isFinite(lat) || !Number.isFinite(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+        throw new Error('lat and lng are required together: lat -90..90, lng -180..180');
+      }
+      fields.lat = lat;
+      fields.lng = lng;
+    }
+
+    // Iqamah times are local wall-clock times, so the mosque needs a real timezone (with its DST rules)
+    if (has('timezone')) {
+      if (!this.locationService.isValidTimezone(input.timezone)) throw new Error(`Unknown timezone: ${input.timezone}`);
+      fields.timezone = String(input.timezone);
+    } else if (!partial) {
+      throw new Error('timezone is required (IANA name, e.g. Europe/London)');
+    }
+
+    if (has('method')) {
+      const method = this.locationService.resolveMethodKey(input.method);
+      if (!method) throw new Error(`Unknown calculation method: ${input.method}`);
+      fields.method = method;
+    }
+    if (has('asr_school')) {
+      const asrSchool = this.locationService.normalizeAsrSchool(input.asr_school);
+      if (!asrSchool) throw new Error('asr_school must be standard or hanafi');
+      fields.asrSchool = asrSchool;
+    }
+    return fields;
+  }
+
+  /**
+   * Validate an iqamah schedule entry
+   * @param {Object} input - { prayer, mode, time, minutes_after, start_date, end_date, slot, label }
+   * @param {Object} existing - Current entry when updating (fields not given are kept)
+   * @returns {Object} Normalized entry (camelCase)
+   * @throws {Error} With a message suitable for the API
+   */
+  validateSchedule(input = {}, existing = null) {
+    const pick = (key, current) => input[key] !== undefined ? input[key] : current;
+    const prayer = String(pick('prayer', existing && existing.prayer) || '').toLowerCase();
+    if (!this.schedulePrayers.includes(prayer)) {
+      throw new Error(`prayer must be one of: ${this.schedulePrayers.join(', ')}`);
+    }
+    const mode = String(pick('mode', existing && existing.mode) || '').toLowerCase();
+    if (!this.modes.includes(mode)) {
+      throw new Error(`mode must be one of: ${this.modes.join(', ')}`);
+    }
+
+    let time = null;
+    let minutesAfter = null;
+    if (mode === 'fixed') {
+      time = String(pick('time', existing && existing.time) || '');
+      const match = time.match(/^(\d{1,2}):(\d{2})$/);
+      if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) throw new Error('time must be HH:MM for fixed iqamah');
+      time = `${match[1].padStart(2, '0')}:${match[2]}`;
+    } else {
+      minutesAfter = Number(pick('minutes_after', existing && existing.minutesAfter));
+      if (!Number.isInteger(minutesAfter) || minutesAfter < 0 || minutesAfter > this.maxMinutesAfter) {
+        throw new Error(`minutes_after must be a whole number from 0 to ${this.maxMinutesAfter}`);
+      }
+    }
+
+    const dateValue = (key, current) => {
+      const value = pick(key, current);
+      if (value === undefined || value === null || value === '') return null;
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value)) || Number.isNaN(Date.parse(`${value}T00:00:00Z`))) {
+        throw new Error(`${key} must be YYYY-MM-DD`);
+      }
+      return String(value);
+    };
+    const startDate = dateValue('start_date', existing && existing.startDate);
+    const endDate = dateValue('end_date', existing && existing.endDate);
+    if (startDate && endDate && endDate < startDate) throw new Error('end_date must be on or after start_date');
+
+    let slot = 1;
+    if (prayer === 'jumuah') {
+      slot = Number(pick('slot', existing ? existing.slot : 1));
+      if (!Number.isInteger(slot) || slot < 1 || slot > this.maxJumuahSlots) {
+        throw new Error(`slot must be 1-${this.maxJumuahSlots}`);
+      }
+    }
+
+    const labelValue = pick('label', existing && existing.label);
+    const label = labelValue ? String(labelValue).trim().slice(0, 100) : null;
+    return { prayer, mode, time, minutesAfter, startDate, endDate, slot, label };
+  }
+
+  /**
+   * Validate an uploaded adhan timetable
+   * @param {Object} input - { csv } with a header row date,fajr,sunrise,dhuhr,asr,maghrib,isha,
+   *   or { days: { 'YYYY-MM-DD': { fajr, sunrise, dhuhr, asr, maghrib, isha } } }
+   * @returns {Object} Times (HH:MM) by date
+   * @throws {Error} With a message suitable for the API
+   */
+  validateTimetable(input = {}) {
+    let days;
+    if (typeof input.csv === 'string') {
+      days = parseTimetableCSV(input.csv);
+    } else if (input.days && typeof input.days === 'object') {
+      days = input.days;
+    } else {
+      throw new Error('Send the timetable as csv or days');
+    }
+
+    const dates = Object.keys(days);
+    if (dates.length === 0) throw new Error('The timetable has no days');
+    if (dates.length > this.maxTimetableDays) throw new Error(`At most ${this.maxTimetableDays} days per upload`);
+    const timetable = {};
+    for (const date of dates.sort()) {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(Date.parse(`${date}T00:00:00Z`))) {
+        throw new Error(`Invalid date ${date}, use YYYY-MM-DD`);
+      }
+      const row = {};
+      for (const prayer of this.timetablePrayers) {
+        const match = String((days[date] || {})[prayer] || '').match(/^(\d{1,2}):(\d{2})$/);
+        if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+          throw new Error(`${date}: ${prayer} must be HH:MM`);
+        }
+        row[prayer] = `${match[1].padStart(2, '0')}:${match[2]}`;
+      }
+      timetable[date] = row;
+    }
+    return timetable;
+  }
+
+  /**
+   * Store timetable days, replacing any already uploaded for the same dates
+   * @param {string} mosqueId - Mosque id
+   * @param {Object} timetable - Result of validateTimetable()
+   * @returns {Promise<number>} Number of days stored
+   */
+  async saveTimetable(mosqueId, timetable) {
+    const now = new Date().toISOString();
+    for (const [date, times] of Object.entries(timetable)) {
+      await this.db.prepare(
+        'INSERT INTO mosque_timetables (mosque_id, date, fajr, sunrise, dhuhr, asr, maghrib, isha, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?) ON CONFLICT(mosque_id, date) DO UPDATE SET fajr = excluded.fajr, sunrise = excluded.sunrise, dhuhr = excluded.dhuhr, asr = excluded.asr, maghrib = excluded.maghrib, isha = excluded.isha, updated_at = excluded.updated_at'
+      ).bind(mosqueId, date, times.fajr, times.sunrise, times.dhuhr, times.asr, times.maghrib, times.isha, now).run();
+    }
+    return Object.keys(timetable).length;
+  }
+
+  /**
+   * Uploaded timetable days in a date range
+   * @returns {Promise<Array>} [{ date, times }] in date order
+   */
+  async getTimetable(mosqueId, from, to) {
+    const { results } = await this.db.prepare(
+      'SELECT * FROM mosque_timetables WHERE mosque_id = ? AND date BETWEEN ? AND ? ORDER BY date'
+    ).bind(mosqueId, from, to).all();
+    return (results || []).map(row => ({ date: row.date, times: this._timetableTimes(row) }));
+  }
+
+  /**
+   * Remove uploaded timetable days, all of them when no range is given
+   */
+  async deleteTimetable(mosqueId, from = null, to = null) {
+    if (from && to) {
+      await this.db.prepare('DELETE FROM mosque_timetables WHERE mosque_id = ? AND date BETWEEN ? AND ?').bind(mosqueId, from, to).run();
+    } else {
+      await this.db.prepare('DELETE FROM mosque_timetables WHERE mosque_id = ?').bind(mosqueId).run();
+    }
+  }
+
+  /**
+   * Timetable day of the nearest verified mosque around a location (store for MosqueTableProvider)
+   * Unverified mosques are left out: anyone can register one, and the times would replace the calculation
+   * @param {Object} location - { lat, lng }
+   * @param {string} date - YYYY-MM-DD
+   * @param {number} radiusKm - How far the mosque may be
+   * @returns {Promise<Object|null>} { mosque, times, distanceKm }, or null when no verified mosque nearby has that day
+   */
+  async findTimetableDay(location, date, radiusKm) {
+    if (!Number.isFinite(location.lat) || !Number.isFinite(location.lng)) return null;
+    const latDelta = radiusKm / 111;
+    const lngDelta = radiusKm / (111 * Math.max(Math.cos(location.lat * Math.PI / 180), 0.01));
+    const { results } = await this.db.prepare(
+      'SELECT m.*, t.fajr, t.sunrise, t.dhuhr, t.asr, t.maghrib, t.isha FROM mosque_timetables t JOIN mosques m ON m.id = t.mosque_id WHERE t.date = ? AND m.verified_at IS NOT NULL AND m.lat BETWEEN ? AND ? AND m.lng BETWEEN ? AND ? LIMIT 50'
+    ).bind(date, location.lat - latDelta, location.lat + latDelta, location.lng - lngDelta, location.lng + lngDelta).all();
+    let best = null;
+    for (const row of results || []) {
+      const distanceKm = this.locationService.calculateDistance(location.lat, location.lng, Number(row.lat), Number(row.lng));
+      if (distanceKm <= radiusKm && (!best || distanceKm < best.distanceKm)) {
+        best = { mosque: this._mosqueFromRow(row), times: this._timetableTimes(row), distanceKm };
+      }
+    }
+    return best;
+  }
+
+  async createMosque(userId, input) {
+    const fields = this.validateMosque(input);
+    const id = crypto.randomUUID();
+    const now = new Date().toISOString();
+    await this.db.prepare(
+      'INSERT INTO mosques (id, name, address, city, country_code, lat, lng, timezone, method, asr_school, created_by, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)'
+    ).bind(
+      id, fields.name, fields.address || null, fields.city || null, fields.countryCode || null,
+      fields.lat, fields.lng, fields.timezone, fields.method || null, fields.asrSchool || null, userId, now, now
+    ).run();
+    // The creator administers the mosque
+    await this.addAdmin(id, userId);
+    return this.getMosque(id);
+  }
+
+  async getMosque(id) {
+    if (!id) return null;
+    const row = await this.db.prepare('SELECT * FROM mosques WHERE id = ?').bind(String(id)).first();
+    return row ? this._mosqueFromRow(row) : null;
+  }
+
+  /**
+   * Find mosques near coordinates, in a city, or by name
+   * @param {Object} options - { lat, lng, radiusKm } | { city } | { query }, and limit
+   * @returns {Promise<Array>} Mosques (with distanceKm when searching by coordinates)
+   */
+  async listMosques(options = {}) {
+    const limit = Math.min(Math.max(parseInt(options.limit) || 20, 1), this.maxResults);
+
+    if (Number.isFinite(options.lat) && Number.isFinite(options.lng)) {
+      const radiusKm = Math.min(options.radiusKm || this.defaultRadiusKm, 200);
+      // Bounding box in SQL, exact distance afterwards
+      const latDelta = radiusKm / 111;
+      const lngDelta = radiusKm / (111 * Math.max(Math.cos(options.lat * Math.PI / 180), 0.01));
+      const { results } = await this.db.prepare(
+        'SELECT * FROM mosques WHERE lat BETWEEN ? AND ? AND lng BETWEEN ? AND ? LIMIT 500'
+      ).bind(options.lat - latDelta, options.lat + latDelta, options.lng - lngDelta, options.lng + lngDelta).all();
+      return (results || [])
+        .map(row => {
+          const mosque = this._mosqueFromRow(row);
+          mosque.distanceKm = Math.round(this.locationService.calculateDistance(options.lat, options.lng, mosque.lat, mosque.lng) * 10) / 10;
+          return mosque;
+        })
+        .filter(mosque => mosque.distanceKm <= radiusKm)
+        .sort((a, b) => a.distanceKm - b.distanceKm)
+        .slice(0, limit);
+    }
+
+    let statement;
+    if (options.city) {
+      statement = this.db.prepare('SELECT * FROM mosques WHERE lower(city) = ? ORDER BY name LIMIT ?')
+        .bind(String(options.city).trim().toLowerCase(), limit);
+    } else if (options.query) {
+      statement = this.db.prepare('SELECT * FROM mosques WHERE lower(name) LIKE ? ORDER BY name LIMIT ?')
+        .bind(`%${String(options.query).trim().toLowerCase()}%`, limit);
+    } else {
+      throw new Error('Search by lat & lng, city or q');
+    }
+    const { results } = await statement.all();
+    return (results || []).map(row => this._mosqueFromRow(row));
+  }
+
+  async updateMosque(id, input) {
+    const fields = this.validateMosque(input, true);
+    const columns = {
+      name: 'name', address: 'address', city: 'city', countryCode: 'country_code', lat: 'lat', lng: 'lng',
+      timezone: 'timezone', method: 'method', asrSchool: 'asr_school'
+    };
+    const keys = Object.keys(fields);
+    if (keys.length > 0) {
+      // A verified mosque that changes its name or place needs to be approved again
+      const reviewAgain = ['name', 'lat', 'lng'].some(key => key in fields) ? ', verified_at = NULL, verified_by = NULL' : '';
+      const assignments = keys.map(key => `${columns[key]} = ?`).join(', ') + reviewAgain;
+      await this.db.prepare(`UPDATE mosques SET ${assignments}, updated_at = ? WHERE id = ?`)
+        .bind(...keys.map(key => fields[key]), new Date().toISOString(), id).run();
+    }
+    return this.getMosque(id);
+  }
+
+  async deleteMosque(id) {
+    // D1 does not enforce foreign keys by default, so remove dependent rows explicitly
+    await this.db.prepare('DELETE FROM iqamah_schedules WHERE mosque_id = ?').bind(id).run();
+    await this.db.prepare('DELETE FROM mosque_timetables WHERE mosque_id = ?').bind(id).run();
+    await this.db.prepare('DELETE FROM mosque_admins WHERE mosque_id = ?').bind(id).run();
+    await this.db.prepare('DELETE FROM favourite_mosques WHERE mosque_id = ?').bind(id).run();
+    await this.db.prepare('DELETE FROM mosques WHERE id = ?').bind(id).run();
+  }
+
+  /**
+   * Whether the user may verify mosques. Moderators are listed by user id, not email: account emails
+   * are not proven (email signup does not confirm them), so anyone could register a moderator's address
+   * @param {string} userId - Authenticated user's id
+   * @returns {boolean} True when the id is listed in MOSQUE_MODERATORS
+   */
+  isModerator(userId) {
+    const moderators = String(this.env && this.env.MOSQUE_MODERATORS || '')
+      .split(',')
+      .map(id => id.trim())
+      .filter(Boolean);
+    return !!userId && moderators.includes(userId);
+  }
+
+  /**
+   * Approve a mosque (or withdraw the approval)
+   * @param {string} id - Mosque id
+   * @param {string} moderatorId - Moderator's user id
+   * @param {boolean} verified - False withdraws the approval
+   */
+  async setVerified(id, moderatorId, verified = true) {
+    await this.db.prepare('UPDATE mosques SET verified_at = ?, verified_by = ? WHERE id = ?')
+      .bind(verified ? new Date().toISOString() : null, verified ? moderatorId : null, id).run();
+    return this.getMosque(id);
+  }
+
+  async isAdmin(mosqueId, userId) {
+    if (!mosqueId || !userId) return false;
+    const row = await this.db.prepare('SELECT user_id FROM mosque_admins WHERE mosque_id = ? AND user_id = ?')
+      .bind(mosqueId, userId).first();
+    return !!row;
+  }
+
+  async addAdmin(mosqueId, userId) {
+    await this.db.prepare('INSERT OR IGNORE INTO mosque_admins (mosque_id, user_id, created_at) VALUES (?, ?, ?)')
+      .bind(mosqueId, userId, new Date().toISOString()).run();
+  }
+
+  /**
+   * Make an existing user (looked up by email) an admin of the mosque
+   * @returns {Promise<string|null>} The user id, or null when no account has that email
+   */
+  async addAdminByEmail(mosqueId, email) {
+    const user = await this.db.prepare('SELECT id FROM users WHERE lower(email) = ?')
+      .bind(String(email || '').trim().toLowerCase()).first();
+    if (!user) return null;
+    await this.addAdmin(mosqueId, user.id);
+    return user.id;
+  }
+
+  async getSchedules(mosqueId) {
+    const { results } = await this.db.prepare(
+      'SELECT * FROM iqamah_schedules WHERE mosque_id = ? ORDER BY prayer, slot, start_date'
+    ).bind(mosqueId).all();
+    return (results || []).map(row => this._scheduleFromRow(row));
+  }
+
+  async getSchedule(id) {
+    if (!id) return null;
+    const row = await this.db.prepare('SELECT * FROM iqamah_schedules WHERE id = ?').bind(String(id)).first();
+    return row ? this._scheduleFromRow(row) : null;
+  }
+
+  async createSchedule(mosqueId, input) {
+    const entry = this.validateSchedule(input);
+    const id = crypto.randomUUID();
+    const now = new Date().toISOString();
+    await this.db.prepare(
+      'INSERT INTO iqamah_schedules (id, mosque_id, prayer, mode, time, minutes_after, start_date, end_date, slot, label, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)'
+    ).bind(id, mosqueId, entry.prayer, entry.mode, entry.time, entry.minutesAfter, entry.startDate, entry.endDate, entry.slot, entry.label, now, now).run();
+    return this.getSchedule(id);
+  }
+
+  async updateSchedule(id, input) {
+    const existing = await this.getSchedule(id);
+    if (!existing) return null;
+    const entry = this.validateSchedule(input, existing);
+    await this.db.prepare(
+      'UPDATE iqamah_schedules SET prayer = ?, mode = ?, time = ?, minutes_after = ?, start_date = ?, end_date = ?, slot = ?, label = ?, updated_at = ? WHERE id = ?'
+    ).bind(entry.prayer, entry.mode, entry.time, entry.minutesAfter, entry.startDate, entry.endDate, entry.slot, entry.label, new Date().toISOString(), id).run();
+    return this.getSchedule(id);
+  }
+
+  async deleteSchedule(id) {
+    await this.db.prepare('DELETE FROM iqamah_schedules WHERE id = ?').bind(id).run();
+  }
+
+  /**
+   * Adhan and iqamah times of a mosque for one day
+   * @param {Object} mosque - Mosque from getMosque()
+   * @param {string} date - YYYY-MM-DD (default: today at the mosque)
+   * @returns {Promise<Object>} See resolveIqamah()
+   */
+  async getIqamahTimes(mosque, date = null) {
+    const day = date || this.locationService.getLocalDateString(mosque.timezone);
+    const schedules = await this.getSchedules(mosque.id);
+    return this.resolveIqamah(mosque, schedules, day);
+  }
+
+  /**
+   * Work out the iqamah times for a day from a mosque's schedule entries
+   * The entry with the narrowest date range wins, so a Ramadan range overrides the all-year default
+   * @param {Object} mosque - Mosque (lat, lng, timezone, method, asrSchool, countryCode)
+   * @param {Array} schedules - Entries from getSchedules()
+   * @param {string} date - YYYY-MM-DD
+   * @returns {Object} { date, weekday, isJumuah, method, asrSchool, adhan, iqamah: { prayer: entry|null }, jumuah: [entry] }
+   */
+  resolveIqamah(mosque, schedules, date) {
+    const service = this.locationService;
+    const day = new Date(`${date}T00:00:00Z`);
+    const method = mosque.method || service.getDefaultMethodForLocation(mosque);
+    const asrSchool = mosque.asrSchool || service.defaultAsrSchool;
+    const adhan = service.calculatePrayerTimes(mosque, day, null, method, asrSchool).times;
+
+    const applicable = schedules.filter(entry =>
+      (!entry.startDate || entry.startDate <= date) && (!entry.endDate || entry.endDate >= date));
+    const span = (entry) => entry.startDate && entry.endDate
+      ? Date.parse(entry.endDate) - Date.parse(entry.startDate)
+      : Number.MAX_SAFE_INTEGER - (entry.startDate || entry.endDate ? 1 : 0);
+    const mostSpecific = (entries) => entries
+      .slice()
+      .sort((a, b) => span(a) - span(b) || String(b.updatedAt || '').localeCompare(String(a.updatedAt || '')))[0] || null;
+
+    const resolve = (entry, adhanPrayer) => {
+      if (!entry) return null;
+      return {
+        id: entry.id,
+        time: entry.mode === 'fixed' ? entry.time : this._addMinutes(adhan[adhanPrayer], entry.minutesAfter),
+        mode: entry.mode,
+        minutesAfter: entry.minutesAfter,
+        slot: entry.slot,
+        label: entry.label
+      };
+    };
+
+    const iqamah = {};
+    for (const prayer of this.dailyPrayers) {
+      iqamah[prayer] = resolve(mostSpecific(applicable.filter(entry => entry.prayer === prayer)), prayer);
+    }
+
+    const isJumuah = day.getUTCDay() === 5;
+    const jumuah = [];
+    if (isJumuah) {
+      const slots = [...new Set(applicable.filter(entry => entry.prayer === 'jumuah').map(entry => entry.slot))].sort((a, b) => a - b);
+      for (const slot of slots) {
+        // Jumu'ah "after adhan" counts from the Dhuhr adhan
+        jumuah.push(resolve(mostSpecific(applicable.filter(entry => entry.prayer === 'jumuah' && entry.slot === slot)), 'dhuhr'));
+      }
+    }
+
+    return {
+      date,
+      weekday: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'][day.getUTCDay()],
+      isJumuah,
+      method,
+      asrSchool,
+      adhan,
+      iqamah,
+      jumuah
+    };
+  }
+
+  async setFavouriteMosque(userId, mosqueId) {
+    await this.db.prepare(
+      'INSERT INTO favourite_mosques (user_id, mosque_id, created_at) VALUES (?, ?, ?) ON CONFLICT(user_id) DO UPDATE SET mosque_id = excluded.mosque_id, created_at = excluded.created_at'
+    ).bind(userId, mosqueId, new Date().toISOString()).run();
+  }
+
+  async getFavouriteMosque(userId) {
+    const row = await this.db.prepare(
+      'SELECT m.* FROM favourite_mosques f JOIN mosques m ON m.id = f.mosque_id WHERE f.user_id = ?'
+    ).bind(userId).first();
+    return row ? this._mosqueFromRow(row) : null;
+  }
+
+  async clearFavouriteMosque(userId) {
+    await this.db.prepare('DELETE FROM favourite_mosques WHERE user_id = ?').bind(userId).run();
+  }
+
+  _addMinutes(time, minutes) {
+    if (!/^\d{2}:\d{2}$/.test(time || '')) return null;
+    const [h, m] = time.split(':').map(Number);
+    const total = ((h * 60 + m + minutes) % 1440 + 1440) % 1440;
+    return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+  }
+
+  _mosqueFromRow(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      address: row.address || null,
+      city: row.city || null,
+      countryCode: row.country_code || null,
+      lat: Number(row.lat),
+      lng: Number(row.lng),
+      timezone: row.timezone,
+      method: row.method || null,
+      asrSchool: row.asr_school || null,
+      createdBy: row.created_by || null,
+      verifiedAt: row.verified_at || null,
+      verifiedBy: row.verified_by || null,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  _timetableTimes(row) {
+    return Object.fromEntries(this.timetablePrayers.map(prayer => [prayer, row[prayer]]));
+  }
+
+  _scheduleFromRow(row) {
+    return {
+      id: row.id,
+      mosqueId: row.mosque_id,
+      prayer: row.prayer,
+      mode: row.mode,
+      time: row.time || null,
+      minutesAfter: row.minutes_after === null || row.minutes_after === undefined ? null : Number(row.minutes_after),
+      startDate: row.start_date || null,
+      endDate: row.end_date || null,
+      slot: Number(row.slot) || 1,
+      label: row.label || null,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+export const MOSQUE_SCHEMA_SQL = `
+CREATE TABLE IF NOT EXISTS mosques (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  address TEXT,
+  city TEXT,
+  country_code TEXT,
+  lat REAL NOT NULL,
+  lng REAL NOT NULL,
+  timezone TEXT NOT NULL,
+  method TEXT,
+  asr_school TEXT,
+  created_by TEXT REFERENCES users(id),
+  -- Set by a moderator, NULL until the mosque has been checked
+  verified_at TEXT,
+  verified_by TEXT REFERENCES users(id),
+  created_at TEXT,
+  updated_at TEXT
+);
+
+CREATE TABLE IF NOT EXISTS mosque_admins (
+  mosque_id TEXT REFERENCES mosques(id) ON DELETE CASCADE,
+  user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+  created_at TEXT,
+  PRIMARY KEY (mosque_id, user_id)
+);
+
+-- prayer: fajr|dhuhr|asr|maghrib|isha|jumuah, mode: fixed (time) or after_adhan (minutes_after)
+-- start_date/end_date (YYYY-MM-DD, inclusive) limit an entry to a period, NULL means open-ended
+CREATE TABLE IF NOT EXISTS iqamah_schedules (
+  id TEXT PRIMARY KEY,
+  mosque_id TEXT REFERENCES mosques(id) ON DELETE CASCADE,
+  prayer TEXT NOT NULL,
+  mode TEXT NOT NULL,
+  time TEXT,
+  minutes_after INTEGER,
+  start_date TEXT,
+  end_date TEXT,
+  slot INTEGER DEFAULT 1,
+  label TEXT,
+  created_at TEXT,
+  updated_at TEXT
+);
+
+-- Adhan times published by the mosque, one row per date in the mosque's local time (HH:MM)
+CREATE TABLE IF NOT EXISTS mosque_timetables (
+  mosque_id TEXT REFERENCES mosques(id) ON DELETE CASCADE,
+  date TEXT NOT NULL,
+  fajr TEXT,
+  sunrise TEXT,
+  dhuhr TEXT,
+  asr TEXT,
+  maghrib TEXT,
+  isha TEXT,
+  updated_at TEXT,
+  PRIMARY KEY (mosque_id, date)
+);
+
+CREATE TABLE IF NOT EXISTS favourite_mosques (
+  user_id TEXT PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  mosque_id TEXT REFERENCES mosques(id) ON DELETE CASCADE,
+  created_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_mosques_lat_lng ON mosques(lat, lng);
+CREATE INDEX IF NOT EXISTS idx_mosques_city ON mosques(city);
+CREATE INDEX IF NOT EXISTS idx_mosque_admins_user_id ON mosque_admins(user_id);
+CREATE INDEX IF NOT EXISTS idx_iqamah_schedules_mosque_id ON iqamah_schedules(mosque_id);
+CREATE INDEX IF NOT EXISTS idx_mosque_timetables_date ON mosque_timetables(date);
+`;
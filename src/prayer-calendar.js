@@ -0,0 +1,257 @@
+/**
+ * PrayerCalendar - iCalendar (RFC 5545) feed of prayer times
+ * Renders PrayerTimetable rows as VEVENTs with optional VALARM reminders and a VTIMEZONE for the location
+ */
+
+import { LocationPrayerService } from './location-prayer-service.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class PrayerCalendar {
+  constructor(locationService = new LocationPrayerService()) {
+    this.locationService = locationService;
+    this.prayerNames = {
+      fajr: 'Fajr',
+      sunrise: 'Sunrise',
+      dhuhr: 'Dhuhr',
+      asr: 'Asr',
+      maghrib: 'Maghrib',
+      isha: 'Isha'
+    };
+    this.defaultPrayers = ['fajr', 'dhuhr', 'asr', 'maghrib', 'isha'];
+    this.eventMinutes = 15; // Length of each calendar entry
+    this.refreshInterval = 'PT12H';
+  }
+
+  /**
+   * Parse a comma-separated prayer list
+   * @param {string} value - e.g. "fajr,maghrib"; empty means the five daily prayers
+   * @returns {Array|null} Prayer keys, or null if any name is unknown
+   */
+  parsePrayers(value) {
+    if (!value) return [...this.defaultPrayers];
+    const prayers = value.split(',').map(p => p.trim().toLowerCase()).filter(Boolean);
+    if (prayers.length === 0 || prayers.some(p => !this.prayerNames[p])) return null;
+    return [...new Set(prayers)];
+  }
+
+  /**
+   * Parse a comma-separated list of reminder offsets in minutes before each prayer
+   * @param {string} value - e.g. "10" or "15,0"; "none" or empty disables reminders
+   * @returns {Array|null} Minutes, or null if invalid
+   */
+  parseAlarms(value) {
+    if (!value || value === 'none') return [];
+    const alarms = value.split(',').map(v => Number(v.trim()));
+    if (alarms.some(m => !Number.isInteger(m) || m < 0 || m > 1440)) return null;
+    return [...new Set(alarms)].slice(0, 3);
+  }
+
+  /**
+   * Build the calendar
+   * @param {Object} timetable - Result of PrayerTimetable.generate()
+   * @param {Object} options - { prayers, alarms, name, now, names, category }; names and category
+   *   label other daily times (e.g. Sehri and Iftar) that rows carry in row.times
+   * @returns {string} ICS text with CRLF line endings
+   */
+  buildICS(timetable, options = {}) {
+    const prayers = options.prayers || this.defaultPrayers;
+    const names = options.names || this.prayerNames;
+    const alarms = options.alarms || [];
+    const timezone = timetable.timezone || 'UTC';
+    const location = timetable.location;
+    const place = location.city || `${Number(location.lat).toFixed(4)}, ${Number(location.lng).toFixed(4)}`;
+    const name = options.name || `Prayer Times – ${place}`;
+    const stamp = this.formatUTC(options.now || new Date());
+    const uidSuffix = `${Number(location.lat).toFixed(3)}_${Number(location.lng).toFixed(3)}_${timetable.method}@islamicai`;
+
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//IslamicAI//Prayer Times//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${this.escapeText(name)}`,
+      `X-WR-TIMEZONE:${timezone}`,
+      `REFRESH-INTERVAL;VALUE=DURATION:${this.refreshInterval}`,
+      `X-PUBLISHED-TTL:${this.refreshInterval}`
+    ];
+
+    const rows = timetable.rows;
+    if (rows.length > 0) {
+      const first = Date.parse(rows[0].date) - DAY_MS;
+      const last = Date.parse(rows[rows.length - 1].date) + 2 * DAY_MS;
+      lines.push(...this.buildVTimezone(timezone, first, last));
+    }
+
+    for (const row of rows) {
+      for (const prayer of prayers) {
+        const time = row.times[prayer];
+        if (!/^\d{2}:\d{2}$/.test(time || '')) continue;
+        const start = this.eventDate(row, prayer, time);
+        const end = new Date(start.getTime() + this.eventMinutes * 60 * 1000);
+        const title = prayer === 'dhuhr' && row.isJumuah ? "Jumu'ah" : names[prayer];
+        const description = [
+          `${names[prayer]} at ${time} (${timezone})`,
+          row.hijri ? `${row.hijri.day} ${row.hijri.monthName} ${row.hijri.year} AH` : null,
+          `Method: ${timetable.methodName}`,
+          prayer === 'asr' ? `Asr: ${timetable.asrSchoolName}` : null
+        ].filter(Boolean).join('\n');
+
+        lines.push(
+          'BEGIN:VEVENT',
+          `UID:${row.date}-${prayer}-${uidSuffix}`,
+          `DTSTAMP:${stamp}`,
+          `DTSTART;TZID=${timezone}:${this.formatLocal(start)}`,
+          `DTEND;TZID=${timezone}:${this.formatLocal(end)}`,
+          `SUMMARY:${this.escapeText(title)}`,
+          `DESCRIPTION:${this.escapeText(description)}`,
+          `LOCATION:${this.escapeText(place)}`,
+          `GEO:${Number(location.lat).toFixed(6)};${Number(location.lng).toFixed(6)}`,
+          'TRANSP:TRANSPARENT',
+          `CATEGORIES:${options.category || (prayer === 'sunrise' ? 'Sunrise' : 'Prayer')}`
+        );
+        for (const minutes of alarms) {
+          lines.push(
+            'BEGIN:VALARM',
+            'ACTION:DISPLAY',
+            `DESCRIPTION:${this.escapeText(minutes === 0 ? `${title} now` : `${title} in ${minutes} minutes`)}`,
+            `TRIGGER:${minutes === 0 ? 'PT0M' : `-PT${minutes}M`}`,
+            'END:VALARM'
+          );
+        }
+        lines.push('END:VEVENT');
+      }
+    }
+
+    lines.push('END:VCALENDAR');
+    return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Local wall-clock start of a prayer, moving Fajr/Isha across midnight when high latitudes push them there
+   * @param {Object} row - Timetable row
+   * @param {string} prayer - Prayer key
+   * @param {string} time - HH:MM
+   * @returns {Date} Wall-clock time encoded as a UTC date
+   */
+  eventDate(row, prayer, time) {
+    const [h, m] = time.split(':').map(Number);
+    let t = Date.parse(row.date) + (h * 60 + m) * 60 * 1000;
+    const [dh, dm] = (row.times.dhuhr || '12:00').split(':').map(Number);
+    const dhuhr = Date.parse(row.date) + (dh * 60 + dm) * 60 * 1000;
+    if (prayer === 'isha' && t < dhuhr) t += DAY_MS;
+    if (prayer === 'fajr' && t > dhuhr) t -= DAY_MS;
+    return new Date(t);
+  }
+
+  /**
+   * Build a VTIMEZONE describing the offsets in effect between two instants
+   * @param {string} timezone - IANA timezone name
+   * @param {number} startMs - Window start (epoch ms)
+   * @param {number} endMs - Window end (epoch ms)
+   * @returns {Array} ICS lines
+   */
+  buildVTimezone(timezone, startMs, endMs) {
+    // Find every offset change in the window, to the minute
+    const transitions = [];
+    let previous = this.locationService.getUtcOffsetMinutes(timezone, startMs);
+    for (let t = startMs + DAY_MS; t <= endMs; t += DAY_MS) {
+      const offset = this.locationService.getUtcOffsetMinutes(timezone, t);
+      if (offset !== previous) {
+        let low = t - DAY_MS;
+        let high = t;
+        while (high - low > 60 * 1000) {
+          const mid = low + Math.floor((high - low) / 120000) * 60000;
+          if (this.locationService.getUtcOffsetMinutes(timezone, mid) === previous) low = mid; else high = mid;
+        }
+        transitions.push({ at: high, from: previous, to: offset });
+        previous = offset;
+      }
+    }
+
+    // Offsets above the year's lower offset are daylight saving time
+    const year = new Date(startMs).getUTCFullYear();
+    const standardOffset = Math.min(
+      this.locationService.getUtcOffsetMinutes(timezone, Date.UTC(year, 0, 1)),
+      this.locationService.getUtcOffsetMinutes(timezone, Date.UTC(year, 6, 1))
+    );
+    const initial = this.locationService.getUtcOffsetMinutes(timezone, startMs);
+    const periods = [{ at: null, from: initial, to: initial }, ...transitions];
+
+    const lines = ['BEGIN:VTIMEZONE', `TZID:${timezone}`, `X-LIC-LOCATION:${timezone}`];
+    for (const period of periods) {
+      const type = period.to > standardOffset ? 'DAYLIGHT' : 'STANDARD';
+      // DTSTART of a transition is expressed in the local time that was in effect before it
+      const localStart = period.at === null ? '19700101T000000' : this.formatLocal(new Date(period.at + period.from * 60 * 1000));
+      lines.push(
+        `BEGIN:${type}`,
+        `DTSTART:${localStart}`,
+        `TZOFFSETFROM:${this.formatOffset(period.from)}`,
+        `TZOFFSETTO:${this.formatOffset(period.to)}`,
+        `END:${type}`
+      );
+    }
+    lines.push('END:VTIMEZONE');
+    return lines;
+  }
+
+  /**
+   * Format minutes east of UTC as an ICS offset, e.g. +0330
+   */
+  formatOffset(minutes) {
+    const sign = minutes < 0 ? '-' : '+';
+    const abs = Math.abs(minutes);
+    return `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}${String(abs % 60).padStart(2, '0')}`;
+  }
+
+  /**
+   * Format a wall-clock date (encoded as UTC) as an ICS local date-time
+   */
+  formatLocal(date) {
+    return date.toISOString().replace(/[-:]/g, '').slice(0, 15);
+  }
+
+  /**
+   * Format an instant as an ICS UTC date-time
+   */
+  formatUTC(date) {
+    return `${this.formatLocal(date)}Z`;
+  }
+
+  /**
+   * Escape TEXT values (RFC 5545 section 3.3.11)
+   */
+  escapeText(value) {
+    return String(value)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  /**
+   * Fold content lines longer than 75 octets
+   */
+  foldLine(line) {
+    const encoder = new TextEncoder();
+    if (encoder.encode(line).length <= 75) return line;
+    const chunks = [];
+    let current = '';
+    let currentBytes = 0;
+    for (const char of line) {
+      const bytes = encoder.encode(char).length;
+      // Continuation lines start with a space, which counts towards their 75 octets
+      const limit = chunks.length === 0 ? 75 : 74;
+      if (currentBytes + bytes > limit) {
+        chunks.push(current);
+        current = '';
+        currentBytes = 0;
+      }
+      current += char;
+      currentBytes += bytes;
+    }
+    chunks.push(current);
+    return chunks.join('\r\n ');
+  }
+}
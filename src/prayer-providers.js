@@ -0,0 +1,620 @@
+/**
+ * Prayer time providers - Pluggable sources of daily prayer times
+ * Computed (astronomical), scraped HTML (timesprayer), mosque-uploaded tables and JSON feeds,
+ * chosen by regional priority and cross-validated against the astronomical calculation
+ */
+
+const PRAYERS = ['fajr', 'sunrise', 'dhuhr', 'asr', 'maghrib', 'isha'];
+const TIME_PATTERN = /^\d{2}:\d{2}$/;
+
+/**
+ * Base class for providers
+ * Subclasses implement getTimes() and return { fajr, sunrise, dhuhr, asr, maghrib, isha } as HH:MM, or null
+ */
+export class PrayerTimeProvider {
+  /**
+   * @param {string} name - Provider key used in region priorities and API responses
+   * @param {string} type - 'computed' | 'scraped_html' | 'mosque_table' | 'json_feed'
+   * @param {Object} options - { label, tolerance, followsOwnMethod }
+   */
+  constructor(name, type, options = {}) {
+    this.name = name;
+    this.type = type;
+    this.label = options.label || name;
+    // Minutes a time may differ from the astronomical calculation; null uses the registry default
+    this.tolerance = options.tolerance ?? null;
+    // Published times follow the publisher's method, so they only answer requests without explicit settings
+    this.followsOwnMethod = options.followsOwnMethod ?? true;
+  }
+
+  /**
+   * Whether the provider can answer for a location
+   * @param {Object} location - Location data
+   * @returns {boolean} True if getTimes() may return times
+   */
+  supports(location) {
+    return true;
+  }
+
+  /**
+   * Prayer times for one day
+   * @param {Object} location - Location data
+   * @param {Date} date - Day (its UTC calendar date is used)
+   * @returns {Promise<Object|null>} Times, or null when unavailable
+   */
+  async getTimes(location, date) {
+    return null;
+  }
+}
+
+/**
+ * Astronomical calculation through LocationPrayerService; always available
+ */
+export class ComputedProvider extends PrayerTimeProvider {
+  constructor(options = {}) {
+    super('computed', 'computed', { label: 'Astronomical calculation', followsOwnMethod: false, ...options });
+  }
+}
+
+/**
+ * Times scraped from the timesprayer.com city pages
+ * Each city's times are kept per date in KV when a namespace is given, since the service is created per request
+ */
+export class TimesPrayerProvider extends PrayerTimeProvider {
+  /**
+   * @param {Object} options - { fetch, cache, baseUrl, cacheTimeout, requestTimeout, cities, tolerance }
+   *   cache is a KV namespace (get/put); without it pages are only kept in memory
+   */
+  constructor(options = {}) {
+    super('timesprayer', 'scraped_html', { label: 'timesprayer.com', ...options });
+    this.fetch = options.fetch || ((...args) => fetch(...args));
+    this.baseUrl = options.baseUrl || 'https://timesprayer.com/en';
+    this.cacheTimeout = options.cacheTimeout || 60 * 60 * 1000;
+    this.requestTimeout = options.requestTimeout || 3000;
+    this.pageCache = new Map();
+    this.cache = options.cache || null;
+    // Parsed times for a day stay valid for that day; a failed lookup is retried after an hour
+    this.cacheTtl = options.cacheTtl || 2 * 24 * 60 * 60;
+    this.missTtl = options.missTtl || 60 * 60;
+
+    // Page slugs for supported cities (city names as in CityGazetteer, lower-case with underscores)
+    this.cities = options.cities || {
+      kolkata: 'kolkata', delhi: 'delhi', mumbai: 'mumbai', bangalore: 'bangalore', hyderabad: 'hyderabad',
+      chennai: 'chennai', ahmedabad: 'ahmedabad', pune: 'pune', surat: 'surat', kanpur: 'kanpur',
+      lucknow: 'lucknow', nagpur: 'nagpur', indore: 'indore', thane: 'thane', bhopal: 'bhopal',
+      visakhapatnam: 'visakhapatnam', patna: 'patna', vadodara: 'vadodara', ghaziabad: 'ghaziabad', ludhiana: 'ludhiana',
+      makkah: 'makkah', madinah: 'madina', madina: 'madina', medina: 'madina', riyadh: 'riyadh', jeddah: 'jeddah', dubai: 'dubai',
+      abu_dhabi: 'abu-dhabi', doha: 'doha', kuwait_city: 'kuwait', kuwait: 'kuwait', manama: 'manama', muscat: 'muscat',
+      beirut: 'beirut', amman: 'amman', cairo: 'cairo', alexandria: 'alexandria',
+      dhaka: 'dhaka', chittagong: 'chittagong', karachi: 'karachi', lahore: 'lahore', islamabad: 'islamabad',
+      rawalpindi: 'rawalpindi', faisalabad: 'faisalabad', multan: 'multan', peshawar: 'peshawar', quetta: 'quetta',
+      jakarta: 'jakarta', surabaya: 'surabaya', bandung: 'bandung', medan: 'medan',
+      kuala_lumpur: 'kuala-lumpur', johor_bahru: 'johor-bahru', penang: 'penang', singapore: 'singapore',
+      istanbul: 'istanbul', ankara: 'ankara', izmir: 'izmir', tehran: 'tehran', mashhad: 'mashhad', tabriz: 'tabriz',
+      damascus: 'damascus', aleppo: 'aleppo', baghdad: 'baghdad', basra: 'basra', mosul: 'mosul'
+    };
+
+    this.labels = {
+      fajr: ['fajr', 'fajar', 'الفجر'],
+      sunrise: ['sunrise', 'shuruq', 'shurooq', 'shorouq', 'الشروق'],
+      dhuhr: ['dhuhr', 'duhr', 'zuhr', 'zohr', 'dhuhur', 'الظهر'],
+      asr: ['asr', 'العصر'],
+      maghrib: ['maghrib', 'المغرب'],
+      isha: ['isha', 'العشاء']
+    };
+    this.monthNames = [
+      'january', 'february', 'march', 'april', 'may', 'june',
+      'july', 'august', 'september', 'october', 'november', 'december'
+    ];
+  }
+
+  supports(location) {
+    return Boolean(this.getSlug(location));
+  }
+
+  /**
+   * Page slug for a location's city
+   * @param {Object} location - Location data
+   * @returns {string|null} Slug, or null if the city has no page
+   */
+  getSlug(location) {
+    const city = String(location && location.city || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+    return this.cities[city] || null;
+  }
+
+  async getTimes(location, date) {
+    const slug = this.getSlug(location);
+    if (!slug) return null;
+    const requested = date.toISOString().split('T')[0];
+    const cached = await this._readCache(slug, requested);
+    if (cached) return cached.times;
+
+    const page = await this.fetchPage(slug);
+    const parsed = page ? this.parse(page) : null;
+    if (!parsed) {
+      await this._writeCache(slug, requested, null);
+      return null;
+    }
+
+    // City pages show a single day: accept it only for that day (or for today when the page has no date)
+    const pageDate = parsed.date || this._localDate(location.timezone);
+    await this._writeCache(slug, pageDate, parsed.times);
+    if (pageDate === requested) return parsed.times;
+    await this._writeCache(slug, requested, null);
+    return null;
+  }
+
+  /**
+   * Cached times for a city and date
+   * @param {string} slug - City slug
+   * @param {string} date - YYYY-MM-DD
+   * @returns {Promise<Object|null>} { times } (times null for a cached miss), or null when not cached
+   */
+  async _readCache(slug, date) {
+    if (!this.cache) return null;
+    try {
+      const entry = await this.cache.get(`timesprayer:${slug}:${date}`);
+      return entry ? JSON.parse(entry) : null;
+    } catch (error) {
+      console.log(`timesprayer cache read failed for ${slug}:`, error.message);
+      return null;
+    }
+  }
+
+  async _writeCache(slug, date, times) {
+    if (!this.cache) return;
+    try {
+      await this.cache.put(`timesprayer:${slug}:${date}`, JSON.stringify({ times }), {
+        expirationTtl: times ? this.cacheTtl : this.missTtl
+      });
+    } catch (error) {
+      console.log(`timesprayer cache write failed for ${slug}:`, error.message);
+    }
+  }
+
+  /**
+   * Fetch a city page, cached for cacheTimeout
+   * @param {string} slug - City slug
+   * @returns {Promise<string|null>} HTML, or null on failure
+   */
+  async fetchPage(slug) {
+    const cached = this.pageCache.get(slug);
+    if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
+      return cached.html;
+    }
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.requestTimeout);
+    try {
+      const response = await this.fetch(`${this.baseUrl}/prayer-times-in-${slug}.html`, {
+        headers: { 'Accept': 'text/html', 'User-Agent': 'IslamicAI/1.0' },
+        signal: controller.signal
+      });
+      if (!response.ok) {
+        console.log(`timesprayer returned ${response.status} for ${slug}`);
+        return null;
+      }
+      const html = await response.text();
+      this.pageCache.set(slug, { html, timestamp: Date.now() });
+      return html;
+    } catch (error) {
+      console.log(`timesprayer fetch failed for ${slug}:`, error.message);
+      return null;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Parse a timesprayer city page
+   * @param {string} html - Page HTML
+   * @returns {Object|null} { date: 'YYYY-MM-DD' | null, times }, or null if any prayer is missing
+   */
+  parse(html) {
+    const text = this.htmlToText(html);
+    const raw = {};
+    for (const [prayer, labels] of Object.entries(this.labels)) {
+      const alternatives = labels.map(label => label.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+      // The label followed directly by a time (only markup in between), so prose such as "Asr after 01:12" is skipped
+      const pattern = new RegExp(`(?<![\\p{L}])(?:${alternatives})(?![\\p{L}])[^0-9\\p{L}]{0,40}(\\d{1,2})[:.](\\d{2})(?:\\s*([AaPp])\\.?\\s?[Mm]\\.?)?`, 'iu');
+      const match = text.match(pattern);
+      if (!match) return null;
+      raw[prayer] = { hours: parseInt(match[1]), minutes: parseInt(match[2]), meridiem: match[3] ? match[3].toLowerCase() : null };
+    }
+
+    // Pages without AM/PM and without any hour past 12 use a 12-hour clock: afternoon prayers come after Dhuhr
+    const values = Object.values(raw);
+    const twelveHourClock = values.some(v => v.meridiem) || values.every(v => v.hours <= 12);
+    const times = {};
+    for (const prayer of PRAYERS) {
+      let { hours, minutes, meridiem } = raw[prayer];
+      if (hours > 23 || minutes > 59) return null;
+      if (meridiem === 'p' && hours < 12) hours += 12;
+      if (meridiem === 'a' && hours === 12) hours = 0;
+      if (!meridiem && twelveHourClock && ['asr', 'maghrib', 'isha'].includes(prayer) && hours < 12) hours += 12;
+      times[prayer] = `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+    }
+    // A machine-readable date (<time datetime="...">) wins over the visible text
+    const datetime = String(html).match(/datetime="(\d{4}-\d{2}-\d{2})/);
+    return { date: datetime ? datetime[1] : this.parseDate(text), times };
+  }
+
+  /**
+   * Date the page refers to
+   * @param {string} text - Page text
+   * @returns {string|null} YYYY-MM-DD, or null if no date is shown
+   */
+  parseDate(text) {
+    const iso = text.match(/\b(\d{4})-(\d{2})-(\d{2})\b/);
+    if (iso) return `${iso[1]}-${iso[2]}-${iso[3]}`;
+    const months = this.monthNames.join('|');
+    const dayFirst = text.match(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(${months})\\s*,?\\s+(\\d{4})\\b`, 'i'));
+    const monthFirst = text.match(new RegExp(`\\b(${months})\\s+(\\d{1,2})(?:st|nd|rd|th)?\\s*,?\\s+(\\d{4})\\b`, 'i'));
+    let parts = null;
+    if (dayFirst) parts = [dayFirst[3], dayFirst[2], dayFirst[1]];
+    else if (monthFirst) parts = [monthFirst[3], monthFirst[1], monthFirst[2]];
+    if (!parts) return null;
+    const month = this.monthNames.indexOf(parts[1].toLowerCase()) + 1;
+    return `${parts[0]}-${String(month).padStart(2, '0')}-${String(parts[2]).padStart(2, '0')}`;
+  }
+
+  /**
+   * Reduce HTML to text, keeping cell boundaries as separators
+   * @param {string} html - Page HTML
+   * @returns {string} Text
+   */
+  htmlToText(html) {
+    return String(html)
+      .replace(/<(script|style|noscript)[\s\S]*?<\/\1>/gi, ' ')
+      .replace(/<!--[\s\S]*?-->/g, ' ')
+      .replace(/<\/(tr|li|p|div|h\d)>/gi, ' \n ')
+      .replace(/<[^>]+>/g, ' ')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&amp;/g, '&')
+      .replace(/&#0?39;|&apos;/g, "'")
+      .replace(/[ \t\r]+/g, ' ');
+  }
+
+  _localDate(timezone) {
+    try {
+      return new Intl.DateTimeFormat('en-CA', { timeZone: timezone || 'UTC', year: 'numeric', month: '2-digit', day: '2-digit' }).format(new Date());
+    } catch (e) {
+      return new Date().toISOString().split('T')[0];
+    }
+  }
+}
+
+/**
+ * Adhan timetables uploaded by local mosques: one row per date, used within a radius of the mosque
+ * Tables are registered in memory, or looked up in a store such as MosqueManager, which keeps them in D1
+ */
+export class MosqueTableProvider extends PrayerTimeProvider {
+  /**
+   * @param {Object} options - { tables, store, radiusKm, tolerance }
+   *   store.findTimetableDay(location, date, radiusKm) resolves to { mosque, times } for the nearest mosque with that day
+   */
+  constructor(options = {}) {
+    super('mosque_table', 'mosque_table', { label: 'Local mosque timetable', ...options });
+    this.radiusKm = options.radiusKm || 10;
+    this.store = options.store || null;
+    this.tables = [];
+    for (const table of options.tables || []) this.addTable(table);
+  }
+
+  /**
+   * Register a mosque timetable
+   * @param {Object} table - { id, name, lat, lng, radiusKm, days: { 'YYYY-MM-DD': { fajr, ... } } } or csv instead of days
+   * @returns {Object} The stored table
+   */
+  addTable(table) {
+    const days = table.csv ? this.parseCSV(table.csv) : table.days || {};
+    const stored = { ...table, days, radiusKm: table.radiusKm || this.radiusKm };
+    delete stored.csv;
+    this.tables = this.tables.filter(t => t.id !== table.id);
+    this.tables.push(stored);
+    return stored;
+  }
+
+  /**
+   * Remove a mosque timetable
+   * @param {string} id - Table id
+   */
+  removeTable(id) {
+    this.tables = this.tables.filter(t => t.id !== id);
+  }
+
+  /**
+   * Parse an uploaded CSV timetable with a header row: date,fajr,sunrise,dhuhr,asr,maghrib,isha
+   * @param {string} csv - CSV text
+   * @returns {Object} Rows by YYYY-MM-DD
+   */
+  parseCSV(csv) {
+    return parseTimetableCSV(csv);
+  }
+
+  /**
+   * Nearest table covering a location
+   * @param {Object} location - Location data
+   * @returns {Object|null} Table, or null when no mosque is close enough
+   */
+  findTable(location) {
+    let best = null;
+    let bestDistance = Infinity;
+    for (const table of this.tables) {
+      const distance = haversineKm(location.lat, location.lng, table.lat, table.lng);
+      if (distance <= table.radiusKm && distance < bestDistance) {
+        best = table;
+        bestDistance = distance;
+      }
+    }
+    return best;
+  }
+
+  supports(location) {
+    return Boolean(this.store) || Boolean(this.findTable(location));
+  }
+
+  async getTimes(location, date) {
+    const day = date.toISOString().split('T')[0];
+    const table = this.findTable(location);
+    if (table && table.days[day]) return { ...table.days[day] };
+    if (!this.store) return null;
+    const found = await this.store.findTimetableDay(location, day, this.radiusKm);
+    return found ? { ...found.times } : null;
+  }
+}
+
+/**
+ * Times from a JSON API, e.g. https://api.aladhan.com/v1/timings/{dd}-{mm}-{yyyy}?latitude={lat}&longitude={lng}
+ */
+export class JsonFeedProvider extends PrayerTimeProvider {
+  /**
+   * @param {Object} options - { name, label, urlTemplate, extract, fetch, requestTimeout, tolerance }
+   *   extract(json) returns the object holding the times; defaults to data.timings with capitalized keys
+   */
+  constructor(options = {}) {
+    super(options.name || 'json_feed', 'json_feed', { label: options.label || 'JSON prayer time feed', ...options });
+    if (!options.urlTemplate) throw new Error('JsonFeedProvider needs a urlTemplate');
+    this.urlTemplate = options.urlTemplate;
+    this.extract = options.extract || (json => json && json.data && json.data.timings);
+    this.fetch = options.fetch || ((...args) => fetch(...args));
+    this.requestTimeout = options.requestTimeout || 3000;
+  }
+
+  /**
+   * Fill the URL template for a location and date
+   * Placeholders: {lat} {lng} {date} (YYYY-MM-DD) {yyyy} {mm} {dd} {timezone} {city}
+   */
+  buildUrl(location, date) {
+    const [yyyy, mm, dd] = date.toISOString().split('T')[0].split('-');
+    const values = {
+      lat: location.lat, lng: location.lng, date: `${yyyy}-${mm}-${dd}`, yyyy, mm, dd,
+      timezone: location.timezone || 'UTC', city: location.city || ''
+    };
+    return this.urlTemplate.replace(/\{(\w+)\}/g, (match, key) => key in values ? encodeURIComponent(values[key]) : match);
+  }
+
+  async getTimes(location, date) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.requestTimeout);
+    try {
+      const response = await this.fetch(this.buildUrl(location, date), {
+        headers: { 'Accept': 'application/json' },
+        signal: controller.signal
+      });
+      if (!response.ok) return null;
+      const source = this.extract(await response.json());
+      if (!source) return null;
+
+      const times = {};
+      for (const prayer of PRAYERS) {
+        const value = source[prayer] ?? source[prayer.charAt(0).toUpperCase() + prayer.slice(1)];
+        // Feeds may append the zone, e.g. "04:15 (IST)"
+        const match = String(value ?? '').match(/(\d{1,2}):(\d{2})/);
+        if (!match) return null;
+        times[prayer] = `${match[1].padStart(2, '0')}:${match[2]}`;
+      }
+      return times;
+    } catch (error) {
+      console.log(`${this.name} feed failed:`, error.message);
+      return null;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+/**
+ * Parse an uploaded CSV timetable with a header row: date,fajr,sunrise,dhuhr,asr,maghrib,isha
+ * @param {string} csv - CSV text
+ * @returns {Object} Rows by YYYY-MM-DD
+ * @throws {Error} When there is no date column
+ */
+export function parseTimetableCSV(csv) {
+  const lines = String(csv).split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  if (lines.length === 0) return {};
+  const header = lines[0].split(',').map(h => h.trim().toLowerCase());
+  const dateIndex = header.indexOf('date');
+  if (dateIndex === -1) throw new Error('Timetable CSV needs a date column');
+  const days = {};
+  for (const line of lines.slice(1)) {
+    const cells = line.split(',').map(c => c.trim());
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(cells[dateIndex] || '')) continue;
+    const row = {};
+    for (const prayer of PRAYERS) {
+      const index = header.indexOf(prayer);
+      if (index !== -1 && cells[index]) row[prayer] = cells[index].padStart(5, '0');
+    }
+    days[cells[dateIndex]] = row;
+  }
+  return days;
+}
+
+/**
+ * Chooses providers by region and checks their times against the astronomical calculation
+ */
+export class PrayerProviderRegistry {
+  /**
+   * @param {Object} options - { tolerance, regionPriority, providers, cache, mosques, jsonFeedUrl }
+   *   cache is a KV namespace handed to the default timesprayer provider, mosques the store of uploaded
+   *   mosque timetables (MosqueManager) and jsonFeedUrl a JsonFeedProvider URL template; both are optional
+   */
+  constructor(options = {}) {
+    this.providers = new Map();
+    // Maximum difference in minutes from the calculated time before a provider's answer is rejected
+    this.tolerance = options.tolerance ?? 10;
+
+    // Provider order per ISO country code; 'default' applies everywhere else.
+    // Mosque tables come first because they reflect local practice; the calculation always answers last.
+    const scraped = ['mosque_table', 'json_feed', 'timesprayer', 'computed'];
+    this.regionPriority = options.regionPriority || {
+      IN: scraped, PK: scraped, BD: scraped, SA: scraped, AE: scraped, QA: scraped, KW: scraped,
+      BH: scraped, OM: scraped, LB: scraped, JO: scraped, EG: scraped, ID: scraped, MY: scraped,
+      SG: scraped, TR: scraped, IR: scraped, SY: scraped, IQ: scraped,
+      default: ['mosque_table', 'json_feed', 'computed']
+    };
+
+    this.register(new ComputedProvider());
+    const defaults = [
+      new TimesPrayerProvider({ cache: options.cache }),
+      new MosqueTableProvider({ store: options.mosques })
+    ];
+    if (options.jsonFeedUrl) defaults.push(new JsonFeedProvider({ urlTemplate: options.jsonFeedUrl }));
+    for (const provider of options.providers || defaults) {
+      this.register(provider);
+    }
+  }
+
+  /**
+   * Add or replace a provider
+   * @param {PrayerTimeProvider} provider - Provider instance
+   * @param {Array} regions - Optional country codes (or 'default') that should try it before the calculation
+   */
+  register(provider, regions = []) {
+    this.providers.set(provider.name, provider);
+    for (const region of regions) {
+      const order = [...(this.regionPriority[region] || this.regionPriority.default)];
+      if (!order.includes(provider.name)) {
+        order.splice(Math.max(order.indexOf('computed'), 0), 0, provider.name);
+      }
+      this.regionPriority[region] = order;
+    }
+  }
+
+  /**
+   * Provider by name
+   * @param {string} name - Provider key
+   * @returns {PrayerTimeProvider|undefined} Provider
+   */
+  get(name) {
+    return this.providers.get(name);
+  }
+
+  /**
+   * Provider names to try for a country, in order
+   * @param {string} countryCode - ISO country code
+   * @returns {Array} Names of registered providers, ending with 'computed'
+   */
+  getPriority(countryCode) {
+    const order = (this.regionPriority[(countryCode || '').toUpperCase()] || this.regionPriority.default)
+      .filter(name => this.providers.has(name));
+    return order.includes('computed') ? order : [...order, 'computed'];
+  }
+
+  /**
+   * Compare provider times with calculated times
+   * @param {Object} times - Provider times
+   * @param {Object} reference - Calculated times
+   * @param {number} tolerance - Allowed difference in minutes
+   * @returns {Object} { valid, maxDeviation, deviations, reason }
+   */
+  crossValidate(times, reference, tolerance) {
+    const deviations = {};
+    let maxDeviation = 0;
+    for (const prayer of PRAYERS) {
+      if (!TIME_PATTERN.test(times[prayer] || '')) {
+        return { valid: false, maxDeviation: null, deviations, reason: `missing or invalid ${prayer}` };
+      }
+      if (!TIME_PATTERN.test(reference[prayer] || '')) continue;
+      // Shortest distance around the clock, so 23:58 and 00:02 are 4 minutes apart
+      let diff = Math.abs(toMinutes(times[prayer]) - toMinutes(reference[prayer]));
+      diff = Math.min(diff, 1440 - diff);
+      deviations[prayer] = diff;
+      maxDeviation = Math.max(maxDeviation, diff);
+    }
+    if (maxDeviation > tolerance) {
+      const worst = Object.keys(deviations).find(prayer => deviations[prayer] === maxDeviation);
+      return { valid: false, maxDeviation, deviations, reason: `${worst} differs from the calculation by ${maxDeviation} minutes (tolerance ${tolerance})` };
+    }
+    return { valid: true, maxDeviation, deviations, reason: null };
+  }
+
+  /**
+   * Prayer times from the first provider that answers and passes cross-validation
+   * @param {Object} location - Location data
+   * @param {Date} date - Day
+   * @param {Object} computed - Result of LocationPrayerService.calculatePrayerTimes for the request
+   * @param {Object} options - { countryCode, usesDefaults, tolerance }
+   * @returns {Promise<Object>} The computed result with times, source and validation from the chosen provider.
+   *   Extra times and forbidden windows are derived from the calculated times, so they are left out (null)
+   *   when a provider answers; LocationPrayerService works them out again from the provider's times.
+   */
+  async resolve(location, date, computed, options = {}) {
+    const rejected = [];
+    for (const name of this.getPriority(options.countryCode)) {
+      const provider = this.providers.get(name);
+      if (!provider) continue;
+      if (provider.type === 'computed') break;
+      // Published times follow their own method and Asr school, which an explicit request may contradict
+      if (provider.followsOwnMethod && !options.usesDefaults) continue;
+      if (!provider.supports(location)) continue;
+
+      let times = null;
+      try {
+        times = await provider.getTimes(location, date);
+      } catch (error) {
+        console.log(`Prayer time provider ${name} failed:`, error.message);
+      }
+      if (!times) continue;
+
+      const tolerance = provider.tolerance ?? options.tolerance ?? this.tolerance;
+      const validation = this.crossValidate(times, computed.times, tolerance);
+      if (!validation.valid) {
+        console.log(`Rejected ${name} prayer times: ${validation.reason}`);
+        rejected.push({ provider: name, reason: validation.reason });
+        continue;
+      }
+      return {
+        ...computed,
+        times: Object.fromEntries(PRAYERS.map(prayer => [prayer, times[prayer]])),
+        extraTimes: null,
+        forbiddenWindows: null,
+        source: name,
+        sourceType: provider.type,
+        sourceName: provider.label,
+        validation: { tolerance, maxDeviation: validation.maxDeviation, rejected }
+      };
+    }
+
+    const provider = this.providers.get('computed');
+    return {
+      ...computed,
+      source: 'computed',
+      sourceType: 'computed',
+      sourceName: provider.label,
+      validation: { tolerance: null, maxDeviation: 0, rejected }
+    };
+  }
+}
+
+function toMinutes(time) {
+  const [h, m] = time.split(':').map(Number);
+  return h * 60 + m;
+}
+
+function haversineKm(lat1, lng1, lat2, lng2) {
+  const rad = Math.PI / 180;
+  const dLat = (lat2 - lat1) * rad;
+  const dLng = (lng2 - lng1) * rad;
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * Math.sin(dLng / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
@@ -0,0 +1,115 @@
+/**
+ * PrayerStatus - Which prayer window a moment falls in and how long until the next prayer
+ * Works on exact instants in the location's timezone, using yesterday's Isha and tomorrow's Fajr around midnight
+ */
+
+import { LocationPrayerService } from './location-prayer-service.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class PrayerStatus {
+  constructor(locationService = new LocationPrayerService()) {
+    this.locationService = locationService;
+
+    // Sunrise ends the Fajr window but is not a prayer
+    this.events = ['fajr', 'sunrise', 'dhuhr', 'asr', 'maghrib', 'isha'];
+    this.names = { fajr: 'Fajr', sunrise: 'Sunrise', dhuhr: 'Dhuhr', asr: 'Asr', maghrib: 'Maghrib', isha: 'Isha' };
+  }
+
+  /**
+   * Current window and next prayer at a location
+   * @param {Object} location - Location data with timezone
+   * @param {Date} now - Moment to evaluate (default: now)
+   * @param {Object} options - Passed to LocationPrayerService.getPrayerTimes (method, asrSchool, highLatitudeRule, tolerance)
+   * @returns {Promise<Object>} { now, timezone, date, current, next, times, method, asrSchool, source }
+   */
+  async getStatus(location, now = new Date(), options = {}) {
+    const service = this.locationService;
+    const timezone = location.timezone || 'UTC';
+    const today = service.getLocalDateString(timezone, now);
+    const todayMs = Date.parse(`${today}T00:00:00Z`);
+
+    const days = [];
+    for (const delta of [-1, 0, 1]) {
+      const date = new Date(todayMs + delta * DAY_MS);
+      days.push({ date: date.toISOString().split('T')[0], prayerTimes: await service.getPrayerTimes(location, date, options) });
+    }
+
+    const events = days
+      .flatMap(day => this.getDayEvents(timezone, day.date, day.prayerTimes.times))
+      .sort((a, b) => a.at - b.at);
+    const nowMs = now.getTime();
+    const currentIndex = events.findLastIndex(event => event.at <= nowMs);
+    const current = currentIndex >= 0 ? events[currentIndex] : null;
+    const currentEnd = events[currentIndex + 1] || null;
+    const next = events.find(event => event.at > nowMs && event.prayer !== 'sunrise') || null;
+    const todayTimes = days[1].prayerTimes;
+
+    return {
+      now: service.formatInstantWithOffset(nowMs, timezone),
+      timezone,
+      date: today,
+      current: current ? {
+        name: current.prayer,
+        label: this.names[current.prayer],
+        isPrayer: current.prayer !== 'sunrise',
+        start: service.formatInstantWithOffset(current.at, timezone),
+        end: currentEnd ? service.formatInstantWithOffset(currentEnd.at, timezone) : null,
+        endsWith: currentEnd ? currentEnd.prayer : null
+      } : null,
+      next: next ? {
+        name: next.prayer,
+        label: this.names[next.prayer],
+        date: next.date,
+        time: next.time,
+        at: service.formatInstantWithOffset(next.at, timezone),
+        secondsRemaining: Math.max(0, Math.floor((next.at - nowMs) / 1000)),
+        isTomorrow: next.date > today,
+        isJumuah: next.prayer === 'dhuhr' && new Date(`${next.date}T00:00:00Z`).getUTCDay() === 5
+      } : null,
+      times: todayTimes.times,
+      method: todayTimes.calculationMethod || null,
+      asrSchool: todayTimes.asrSchool || null,
+      source: todayTimes.source || 'computed'
+    };
+  }
+
+  /**
+   * Instants of one day's prayers, placing high-latitude Fajr/Isha on the right side of midnight
+   * @param {string} timezone - IANA timezone name
+   * @param {string} date - Local date YYYY-MM-DD
+   * @param {Object} times - HH:MM times keyed by prayer
+   * @returns {Array} [{ prayer, date, time, at }] (times that could not be computed are left out)
+   */
+  getDayEvents(timezone, date, times) {
+    const service = this.locationService;
+    const dhuhr = service.localTimeToInstant(timezone, date, times.dhuhr);
+    const events = [];
+    for (const prayer of this.events) {
+      let at = service.localTimeToInstant(timezone, date, times[prayer]);
+      if (at === null) continue;
+      let eventDate = date;
+      if (dhuhr !== null && prayer === 'isha' && at < dhuhr) {
+        eventDate = new Date(Date.parse(`${date}T00:00:00Z`) + DAY_MS).toISOString().split('T')[0];
+        at = service.localTimeToInstant(timezone, eventDate, times[prayer]);
+      } else if (dhuhr !== null && prayer === 'fajr' && at > dhuhr) {
+        eventDate = new Date(Date.parse(`${date}T00:00:00Z`) - DAY_MS).toISOString().split('T')[0];
+        at = service.localTimeToInstant(timezone, eventDate, times[prayer]);
+      }
+      events.push({ prayer, date: eventDate, time: times[prayer], at });
+    }
+    return events;
+  }
+
+  /**
+   * Human-readable countdown, e.g. "2 h 05 min"
+   * @param {number} seconds - Seconds remaining
+   * @returns {string} Countdown text
+   */
+  formatCountdown(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 1) return 'less than a minute';
+    if (minutes < 60) return `${minutes} min`;
+    return `${Math.floor(minutes / 60)} h ${String(minutes % 60).padStart(2, '0')} min`;
+  }
+}
@@ -0,0 +1,263 @@
+/**
+ * PrayerTimetable - Monthly, Hijri-month and yearly prayer timetables
+ * Builds on LocationPrayerService.calculatePrayerTimes and renders CSV, JSON or printable HTML
+ */
+
+import { LocationPrayerService } from './location-prayer-service.js';
+import { HijriCalendar } from './hijri-calendar.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class PrayerTimetable {
+  constructor(locationService = new LocationPrayerService(), hijriCalendar = new HijriCalendar()) {
+    this.locationService = locationService;
+    this.hijriCalendar = hijriCalendar;
+
+    this.gregorianMonthNames = [
+      'January', 'February', 'March', 'April', 'May', 'June',
+      'July', 'August', 'September', 'October', 'November', 'December'
+    ];
+    this.weekdayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+    this.columns = ['fajr', 'sunrise', 'dhuhr', 'asr', 'maghrib', 'isha'];
+  }
+
+  /**
+   * Convert a Gregorian date to Hijri
+   * @param {Date} date - Date (UTC midnight)
+   * @param {number} offset - User day offset for local moon sighting
+   * @returns {Object} { year, month, day, monthName, ... }
+   */
+  getHijriDate(date, offset = 0) {
+    return this.hijriCalendar.toHijri(date, offset);
+  }
+
+  /**
+   * Gregorian start and end dates of a calendar month
+   * @param {number} year - Gregorian year
+   * @param {number} month - Month 1-12
+   * @returns {Object} { start, end, label }
+   */
+  getGregorianMonthRange(year, month) {
+    return {
+      start: new Date(Date.UTC(year, month - 1, 1)),
+      end: new Date(Date.UTC(year, month, 0)),
+      label: `${this.gregorianMonthNames[month - 1]} ${year}`
+    };
+  }
+
+  /**
+   * Gregorian start and end dates of a whole year
+   * @param {number} year - Gregorian year
+   * @returns {Object} { start, end, label }
+   */
+  getGregorianYearRange(year) {
+    return {
+      start: new Date(Date.UTC(year, 0, 1)),
+      end: new Date(Date.UTC(year, 11, 31)),
+      label: `${year}`
+    };
+  }
+
+  /**
+   * Gregorian start and end dates of a Hijri month
+   * @param {number} year - Hijri year
+   * @param {number} month - Hijri month 1-12
+   * @param {number} offset - User day offset for local moon sighting
+   * @returns {Object} { start, end, label }
+   */
+  getHijriMonthRange(year, month, offset = 0) {
+    return this.hijriCalendar.getMonthRange(year, month, offset);
+  }
+
+  /**
+   * Generate a timetable for every day in an inclusive date range
+   * @param {Object} location - Location data
+   * @param {Date} startDate - First day (UTC midnight)
+   * @param {Date} endDate - Last day (UTC midnight)
+   * @param {Object} options - { method, asrSchool, highLatitudeRule, custom, hijriOffset, label }
+   * @returns {Object} Timetable with one row per day
+   */
+  generate(location, startDate, endDate, options = {}) {
+    const service = this.locationService;
+    const method = service.resolveMethodKey(options.method) || service.getDefaultMethodForLocation(location);
+    const asrSchool = options.asrSchool || service.defaultAsrSchool;
+    const rows = [];
+    let parameters = null;
+    let methodName = service.calculationMethods[method] ? service.calculationMethods[method].name : null;
+
+    for (let t = startDate.getTime(); t <= endDate.getTime(); t += DAY_MS) {
+      const date = new Date(t);
+      const result = service.calculatePrayerTimes(location, date, null, method, asrSchool, {
+        highLatitudeRule: options.highLatitudeRule,
+        custom: options.custom
+      });
+      parameters = parameters || result.parameters;
+      methodName = result.calculationMethodName;
+      const hijri = this.getHijriDate(date, options.hijriOffset || 0);
+      rows.push({
+        date: result.date,
+        weekday: this.weekdayNames[date.getUTCDay()],
+        hijri,
+        isJumuah: date.getUTCDay() === 5,
+        times: result.times,
+        highLatitudeRule: result.highLatitudeRule
+      });
+    }
+
+    return {
+      label: options.label || `${rows[0] ? rows[0].date : ''} – ${rows.length ? rows[rows.length - 1].date : ''}`,
+      location,
+      timezone: location.timezone || 'UTC',
+      method,
+      methodName,
+      parameters,
+      asrSchool,
+      asrSchoolName: service.asrSchools[asrSchool].name,
+      rows
+    };
+  }
+
+  /**
+   * Render a timetable as JSON-ready data (snake_case, like the API)
+   * @param {Object} timetable - Result of generate()
+   * @returns {Object} Serializable timetable
+   */
+  toJSON(timetable) {
+    const location = timetable.location;
+    return {
+      title: timetable.label,
+      location: {
+        city: location.city || null,
+        country: location.country || null,
+        lat: location.lat,
+        lng: location.lng
+      },
+      timezone: timetable.timezone,
+      method: timetable.method,
+      method_name: timetable.methodName,
+      parameters: this.formatParameters(timetable.parameters),
+      asr_school: timetable.asrSchool,
+      asr_school_name: timetable.asrSchoolName,
+      days: timetable.rows.map(row => ({
+        date: row.date,
+        weekday: row.weekday,
+        hijri_date: this.formatHijri(row.hijri),
+        hijri: row.hijri,
+        jumuah: row.isJumuah,
+        times: row.times,
+        high_latitude_rule: row.highLatitudeRule || null
+      }))
+    };
+  }
+
+  /**
+   * Effective calculation parameters in the API's snake_case shape
+   * @param {Object} parameters - Result of LocationPrayerService.getMethodParameters()
+   * @returns {Object|null} Serializable parameters
+   */
+  formatParameters(parameters) {
+    if (!parameters) return null;
+    return {
+      base_method: parameters.baseMethod,
+      fajr_angle: parameters.fajrAngle,
+      isha_angle: parameters.ishaAngle,
+      isha_minutes_after_maghrib: parameters.ishaMinutesAfterMaghrib,
+      maghrib_angle: parameters.maghribAngle,
+      maghrib_minutes_after_sunset: parameters.maghribMinutesAfterSunset,
+      seasonal: parameters.seasonal,
+      midnight_mode: parameters.midnightMode,
+      asr_shadow_factor: parameters.asrShadowFactor,
+      high_latitude_rule: parameters.highLatitudeRule,
+      adjustments_minutes: parameters.adjustments
+    };
+  }
+
+  /**
+   * Render a timetable as CSV
+   * @param {Object} timetable - Result of generate()
+   * @returns {string} CSV text with a header row
+   */
+  toCSV(timetable) {
+    const escape = (value) => {
+      const text = String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const header = ['date', 'weekday', 'hijri_date', 'jumuah', ...this.columns];
+    const lines = [header.join(',')];
+    for (const row of timetable.rows) {
+      lines.push([
+        row.date,
+        row.weekday,
+        this.formatHijri(row.hijri),
+        row.isJumuah ? 'yes' : '',
+        ...this.columns.map(name => row.times[name])
+      ].map(escape).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Render a timetable as a standalone, print-friendly HTML page
+   * @param {Object} timetable - Result of generate()
+   * @returns {string} HTML document
+   */
+  toHTML(timetable) {
+    const escape = (value) => String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+    const place = timetable.location.city || `${timetable.location.lat}, ${timetable.location.lng}`;
+    const title = `Prayer Timetable – ${place} – ${timetable.label}`;
+    const headings = ['Date', 'Day', 'Hijri', 'Fajr', 'Sunrise', 'Dhuhr', 'Asr', 'Maghrib', 'Isha'];
+
+    const body = timetable.rows.map(row => {
+      const dhuhrLabel = row.isJumuah ? `${row.times.dhuhr} <small>Jumu'ah</small>` : row.times.dhuhr;
+      const cells = [
+        escape(row.date),
+        escape(row.weekday),
+        escape(this.formatHijri(row.hijri)),
+        ...this.columns.map(name => name === 'dhuhr' ? dhuhrLabel : escape(row.times[name]))
+      ];
+      return `<tr${row.isJumuah ? ' class="jumuah"' : ''}>${cells.map(c => `<td>${c}</td>`).join('')}</tr>`;
+    }).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escape(title)}</title>
+<style>
+body { font-family: Arial, sans-serif; margin: 24px; }
+h1 { font-size: 20px; margin-bottom: 4px; }
+p { margin: 0 0 12px; color: #444; font-size: 12px; }
+table { border-collapse: collapse; width: 100%; font-size: 12px; }
+th, td { border: 1px solid #999; padding: 4px 6px; text-align: center; }
+th { background: #eee; }
+tr.jumuah td { background: #e8f5e9; font-weight: bold; }
+@media print { body { margin: 0; } tr { page-break-inside: avoid; } }
+</style>
+</head>
+<body>
+<h1>${escape(title)}</h1>
+<p>${escape(timetable.methodName)} · Asr: ${escape(timetable.asrSchoolName)} · Timezone: ${escape(timetable.timezone)}</p>
+<table>
+<thead><tr>${headings.map(h => `<th>${h}</th>`).join('')}</tr></thead>
+<tbody>
+${body}
+</tbody>
+</table>
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Format a Hijri date for display, e.g. "1 Ramadan 1446"
+   * @param {Object} hijri - { year, month, day, monthName }
+   * @returns {string} Formatted date
+   */
+  formatHijri(hijri) {
+    return `${hijri.day} ${hijri.monthName} ${hijri.year}`;
+  }
+}
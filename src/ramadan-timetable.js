@@ -0,0 +1,263 @@
+/**
+ * RamadanTimetable - Sehri and Iftar times for the month of Ramadan
+ * Builds on PrayerTimetable and renders JSON, CSV or an iCalendar feed of Sehri/Iftar events
+ */
+
+import { LocationPrayerService } from './location-prayer-service.js';
+import { HijriCalendar } from './hijri-calendar.js';
+import { PrayerTimetable } from './prayer-timetable.js';
+import { PrayerCalendar } from './prayer-calendar.js';
+
+export class RamadanTimetable {
+  constructor(locationService = new LocationPrayerService(), hijriCalendar = new HijriCalendar()) {
+    this.locationService = locationService;
+    this.hijriCalendar = hijriCalendar;
+    this.prayerTimetable = new PrayerTimetable(locationService, hijriCalendar);
+
+    this.ramadanMonth = 9;
+    this.sehriBases = ['fajr', 'imsak']; // Sehri ends at Fajr, or at Imsak (10 minutes before it)
+    this.maxPrecautionMinutes = 30;
+    this.lastTenStart = 21;
+    this.eventNames = {
+      sehri: 'Sehri ends',
+      iftar: 'Iftar'
+    };
+  }
+
+  /**
+   * Hijri year of the Ramadan that is under way or next to come on a date
+   * @param {Date} date - Date (UTC midnight of the local day)
+   * @param {number} offset - User day offset for local moon sighting
+   * @returns {number} Hijri year
+   */
+  getRamadanYear(date, offset = 0) {
+    const hijri = this.hijriCalendar.toHijri(date, offset);
+    return hijri.month <= this.ramadanMonth ? hijri.year : hijri.year + 1;
+  }
+
+  /**
+   * Validate the Sehri options
+   * @param {Object} options - { sehriBasis, precautionMinutes } (either may be missing)
+   * @returns {Object} { sehriBasis, precautionMinutes }
+   */
+  normalizeSehriOptions(options = {}) {
+    const sehriBasis = options.sehriBasis ? String(options.sehriBasis).toLowerCase() : 'fajr';
+    if (!this.sehriBases.includes(sehriBasis)) {
+      throw new Error(`Invalid sehri basis. Use ${this.sehriBases.join(' or ')}`);
+    }
+    const precaution = options.precautionMinutes === undefined || options.precautionMinutes === null || options.precautionMinutes === ''
+      ? 0
+      : Number(options.precautionMinutes);
+    if (!Number.isInteger(precaution) || precaution < 0 || precaution > this.maxPrecautionMinutes) {
+      throw new Error(`Invalid precaution. Use whole minutes from 0 to ${this.maxPrecautionMinutes}`);
+    }
+    return { sehriBasis, precautionMinutes: precaution };
+  }
+
+  /**
+   * Generate the timetable for the whole month of Ramadan
+   * @param {Object} location - Location data
+   * @param {number} hijriYear - Hijri year
+   * @param {Object} options - { method, custom, asrSchool, highLatitudeRule, hijriOffset, sehriBasis, precautionMinutes }
+   * @returns {Object} Timetable with one row per fasting day
+   */
+  generate(location, hijriYear, options = {}) {
+    const { sehriBasis, precautionMinutes } = this.normalizeSehriOptions(options);
+    const hijriOffset = options.hijriOffset || 0;
+    const range = this.hijriCalendar.getMonthRange(hijriYear, this.ramadanMonth, hijriOffset);
+    const base = this.prayerTimetable.generate(location, range.start, range.end, {
+      method: options.method,
+      custom: options.custom,
+      asrSchool: options.asrSchool,
+      highLatitudeRule: options.highLatitudeRule,
+      hijriOffset,
+      label: range.label
+    });
+
+    // Sehri ends this many minutes before Fajr
+    const sehriLead = (sehriBasis === 'imsak' ? this.locationService.imsakMinutes : 0) + precautionMinutes;
+    const rows = base.rows.map((row, index) => this.buildRow(row, index + 1, base.timezone, sehriLead));
+
+    return {
+      ...base,
+      hijriYear,
+      sehriBasis,
+      precautionMinutes,
+      rows
+    };
+  }
+
+  /**
+   * Sehri, Iftar and fasting duration for one day
+   * Times are turned into instants first so a DST change overnight does not skew the duration
+   * @param {Object} row - PrayerTimetable row
+   * @param {number} day - Day of Ramadan (1-30)
+   * @param {string} timezone - IANA timezone name
+   * @param {number} sehriLead - Minutes before Fajr at which Sehri ends
+   * @returns {Object} Ramadan row
+   */
+  buildRow(row, day, timezone, sehriLead) {
+    const service = this.locationService;
+    const fajr = service.localTimeToInstant(timezone, row.date, row.times.fajr);
+    const maghrib = service.localTimeToInstant(timezone, row.date, row.times.maghrib);
+    const sehriEnd = fajr !== null ? fajr - sehriLead * 60 * 1000 : null;
+    const fastingMinutes = sehriEnd !== null && maghrib !== null && maghrib > sehriEnd
+      ? Math.round((maghrib - sehriEnd) / 60000)
+      : null;
+
+    return {
+      day,
+      date: row.date,
+      weekday: row.weekday,
+      hijri: row.hijri,
+      isJumuah: row.isJumuah,
+      isLastTen: day >= this.lastTenStart,
+      sehri: sehriEnd !== null ? service.formatInstantWithOffset(sehriEnd, timezone).slice(11, 16) : '-----',
+      iftar: row.times.maghrib,
+      fastingMinutes,
+      times: row.times,
+      highLatitudeRule: row.highLatitudeRule
+    };
+  }
+
+  /**
+   * Find a day in the Ramadan that contains a date, with the next day for tomorrow's Sehri
+   * @param {Object} location - Location data
+   * @param {Date} date - Date (UTC midnight of the local day)
+   * @param {Object} options - As for generate()
+   * @returns {Object|null} { today, tomorrow, timetable }, or null outside Ramadan
+   */
+  getDay(location, date, options = {}) {
+    const hijri = this.hijriCalendar.toHijri(date, options.hijriOffset || 0);
+    if (hijri.month !== this.ramadanMonth) return null;
+    const timetable = this.generate(location, hijri.year, options);
+    const key = date.toISOString().split('T')[0];
+    const index = timetable.rows.findIndex(row => row.date === key);
+    if (index === -1) return null;
+    return {
+      today: timetable.rows[index],
+      tomorrow: timetable.rows[index + 1] || null,
+      timetable
+    };
+  }
+
+  /**
+   * Format a fasting duration, e.g. "14:32"
+   * @param {number|null} minutes - Fasting minutes
+   * @returns {string|null} HH:MM, or null when unknown
+   */
+  formatDuration(minutes) {
+    if (minutes === null || minutes === undefined) return null;
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+  }
+
+  /**
+   * Render a timetable as JSON-ready data (snake_case, like the API)
+   * @param {Object} timetable - Result of generate()
+   * @returns {Object} Serializable timetable
+   */
+  toJSON(timetable) {
+    const base = this.prayerTimetable.toJSON({ ...timetable, rows: [] });
+    delete base.days;
+    return {
+      ...base,
+      hijri_year: timetable.hijriYear,
+      sehri_basis: timetable.sehriBasis,
+      precaution_minutes: timetable.precautionMinutes,
+      days: timetable.rows.map(row => ({
+        day: row.day,
+        date: row.date,
+        weekday: row.weekday,
+        hijri_date: this.prayerTimetable.formatHijri(row.hijri),
+        jumuah: row.isJumuah,
+        last_ten: row.isLastTen,
+        sehri_end: row.sehri,
+        fajr: row.times.fajr,
+        sunrise: row.times.sunrise,
+        iftar: row.iftar,
+        isha: row.times.isha,
+        fasting_minutes: row.fastingMinutes,
+        fasting_duration: this.formatDuration(row.fastingMinutes),
+        high_latitude_rule: row.highLatitudeRule || null
+      }))
+    };
+  }
+
+  /**
+   * Render a timetable as CSV
+   * @param {Object} timetable - Result of generate()
+   * @returns {string} CSV text with a header row
+   */
+  toCSV(timetable) {
+    const escape = (value) => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const header = ['day', 'date', 'weekday', 'hijri_date', 'sehri_end', 'fajr', 'sunrise', 'iftar', 'isha', 'fasting_duration'];
+    const lines = [header.join(',')];
+    for (const row of timetable.rows) {
+      lines.push([
+        row.day,
+        row.date,
+        row.weekday,
+        this.prayerTimetable.formatHijri(row.hijri),
+        row.sehri,
+        row.times.fajr,
+        row.times.sunrise,
+        row.iftar,
+        row.times.isha,
+        this.formatDuration(row.fastingMinutes)
+      ].map(escape).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Render a timetable as an iCalendar feed with a Sehri and an Iftar event each day
+   * @param {Object} timetable - Result of generate()
+   * @param {Object} options - { alarms, now }
+   * @returns {string} ICS text with CRLF line endings
+   */
+  toICS(timetable, options = {}) {
+    const calendar = new PrayerCalendar(this.locationService);
+    const place = timetable.location.city || `${Number(timetable.location.lat).toFixed(4)}, ${Number(timetable.location.lng).toFixed(4)}`;
+    const rows = timetable.rows.map(row => ({
+      ...row,
+      times: { ...row.times, sehri: row.sehri, iftar: row.iftar }
+    }));
+    return calendar.buildICS({ ...timetable, rows }, {
+      prayers: Object.keys(this.eventNames),
+      names: this.eventNames,
+      category: 'Ramadan',
+      alarms: options.alarms,
+      now: options.now,
+      name: `${timetable.label} – ${place}`
+    });
+  }
+
+  /**
+   * Build the Ramadan lines for the chat prompt
+   * @param {Object} day - Result of getDay()
+   * @returns {string} Lines to append to the contextual prompt
+   */
+  buildRamadanContext(day) {
+    const { today, tomorrow, timetable } = day;
+    const basis = timetable.sehriBasis === 'imsak' ? 'Imsak' : 'Fajr';
+    const precaution = timetable.precautionMinutes ? `, ${timetable.precautionMinutes} min precaution` : '';
+    let context = `\n\n**Ramadan ${timetable.hijriYear} – Day ${today.day} of ${timetable.rows.length}** (${timetable.timezone}, ${timetable.methodName}):`;
+    context += `\n- Sehri ends: ${today.sehri} (${basis}${precaution})`;
+    context += `\n- Iftar (Maghrib): ${today.iftar}`;
+    if (today.fastingMinutes !== null) {
+      const duration = this.formatDuration(today.fastingMinutes).split(':').map(Number);
+      context += `\n- Fast length: ${duration[0]} h ${duration[1]} min`;
+    }
+    if (today.isLastTen) {
+      context += '\n- One of the last ten nights (seek Laylat al-Qadr, especially the odd nights)';
+    }
+    context += tomorrow
+      ? `\n- Tomorrow (day ${tomorrow.day}): Sehri ends ${tomorrow.sehri}, Iftar ${tomorrow.iftar}`
+      : '\n- This is the last fast of Ramadan; Eid al-Fitr follows, subject to moon sighting';
+    context += '\nUse these times when the user asks about Sehri, Iftar or the fast.';
+    return context;
+  }
+}
@@ -0,0 +1,172 @@
+/**
+ * SSEStreamBuffer - Short-lived KV buffer of the Server-Sent Events sent for a chat response
+ * Lets a client that lost its connection reconnect with Last-Event-ID and receive the rest of
+ * the answer, including the part still being generated, without asking the model again
+ */
+
+export class SSEStreamBuffer {
+  constructor(kv, options = {}) {
+    this.kv = kv;
+    this.keyPrefix = 'sse:';
+    // KV expiry must be at least 60 seconds; answers are only resumable for a short window
+    this.ttlSeconds = options.ttlSeconds || 300;
+    // KV accepts about one write per key per second, so events are saved in batches
+    this.flushIntervalMs = options.flushIntervalMs ?? 1000;
+    this.pollIntervalMs = options.pollIntervalMs ?? 1000;
+    this.resumeTimeoutMs = options.resumeTimeoutMs ?? 30000;
+  }
+
+  /**
+   * New id for a streamed response
+   * @returns {string} Random UUID
+   */
+  createStreamId() {
+    return crypto.randomUUID();
+  }
+
+  /**
+   * Split SSE text into complete events
+   * @param {string} text - Received text, possibly ending mid-event
+   * @returns {Object} { events: [{ id, event, data }], rest } where rest is the unfinished tail
+   */
+  parseEvents(text) {
+    const blocks = text.replace(/\r\n?/g, '\n').split('\n\n');
+    const rest = blocks.pop();
+    const events = [];
+    for (const block of blocks) {
+      const event = { id: null, event: 'message', data: '' };
+      const data = [];
+      for (const line of block.split('\n')) {
+        if (!line || line.startsWith(':')) continue;
+        const colon = line.indexOf(':');
+        const field = colon === -1 ? line : line.slice(0, colon);
+        const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+        if (field === 'id') event.id = value;
+        else if (field === 'event') event.event = value;
+        else if (field === 'data') data.push(value);
+      }
+      if (data.length === 0) continue;
+      event.data = data.join('\n');
+      events.push(event);
+    }
+    return { events, rest };
+  }
+
+  /**
+   * Format an event for the wire
+   * @param {Object} event - { id, event, data }
+   * @returns {string} SSE frame
+   */
+  formatEvent(event) {
+    const idLine = event.id !== null && event.id !== undefined ? `id: ${event.id}\n` : '';
+    return `${idLine}event: ${event.event || 'message'}\ndata: ${event.data}\n\n`;
+  }
+
+  /**
+   * Read a response stream to the end, saving its events to KV as they arrive
+   * @param {ReadableStream} stream - SSE response body (usually one branch of a tee)
+   * @param {Object} options - { streamId, sessionId }; without a stream id or KV nothing is saved
+   * @returns {Promise<Array>} All events in order
+   */
+  async capture(stream, { streamId = null, sessionId = null } = {}) {
+    const reader = stream.getReader();
+    const decoder = new TextDecoder();
+    const saving = Boolean(this.kv && streamId);
+    const events = [];
+    let buffer = '';
+    let savedCount = 0;
+    let lastSave = 0;
+
+    const save = async (done) => {
+      if (!saving) return;
+      await this.kv.put(this._key(streamId), JSON.stringify({ sessionId, events, done, updatedAt: Date.now() }), {
+        expirationTtl: this.ttlSeconds
+      });
+      savedCount = events.length;
+      lastSave = Date.now();
+    };
+
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += typeof value === 'string' ? value : decoder.decode(value, { stream: true });
+        const parsed = this.parseEvents(buffer);
+        buffer = parsed.rest;
+        events.push(...parsed.events);
+        if (events.length > savedCount && Date.now() - lastSave >= this.flushIntervalMs) {
+          await save(false);
+        }
+      }
+      events.push(...this.parseEvents(`${buffer}${decoder.decode()}\n\n`).events);
+    } finally {
+      // A broken generation is saved as finished too, so resuming clients are not left waiting
+      await save(true);
+    }
+    return events;
+  }
+
+  /**
+   * Saved events of a response
+   * @param {string} streamId - Stream id
+   * @returns {Promise<Object|null>} { sessionId, events, done, updatedAt } or null once expired
+   */
+  async load(streamId) {
+    if (!this.kv || !streamId) return null;
+    const saved = await this.kv.get(this._key(streamId));
+    return saved ? JSON.parse(saved) : null;
+  }
+
+  /**
+   * Stream the events after lastEventId, following the response until it finishes
+   * @param {string} streamId - Stream id
+   * @param {number} lastEventId - Last event id the client received (0 for all)
+   * @param {Object} saved - Result of load(), reused for the first batch
+   * @returns {ReadableStream} SSE stream
+   */
+  resume(streamId, lastEventId, saved) {
+    const self = this;
+    const encoder = new TextEncoder();
+    let sentId = Number(lastEventId) || 0;
+
+    return new ReadableStream({
+      async start(controller) {
+        const sendNew = (record) => {
+          for (const event of record.events) {
+            const id = Number(event.id);
+            if (!Number.isFinite(id) || id <= sentId) continue;
+            controller.enqueue(encoder.encode(self.formatEvent(event)));
+            sentId = id;
+          }
+        };
+
+        try {
+          let record = saved;
+          const deadline = Date.now() + self.resumeTimeoutMs;
+          sendNew(record);
+          while (!record.done) {
+            if (Date.now() >= deadline) {
+              controller.enqueue(encoder.encode(self.formatEvent({
+                event: 'error',
+                data: JSON.stringify({ type: 'error', content: 'The response did not finish in time. Please ask again.' })
+              })));
+              break;
+            }
+            await new Promise(resolve => setTimeout(resolve, self.pollIntervalMs));
+            record = await self.load(streamId);
+            if (!record) break;
+            sendNew(record);
+          }
+        } catch (error) {
+          console.error('Stream resume failed:', error.message);
+        } finally {
+          controller.close();
+        }
+      }
+    });
+  }
+
+  _key(streamId) {
+    return `${this.keyPrefix}${streamId}`;
+  }
+}
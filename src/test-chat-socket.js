@@ -0,0 +1,143 @@
+/**
+ * Test script for the /ws WebSocket chat: authentication, chat frames, cancellation and settings
+ * Run with: node src/test-chat-socket.js
+ */
+import { check, finish, MemoryKV } from './testing/helpers.js';
+
+// Server side of a WebSocket pair: records sent frames and lets the test deliver client frames
+class FakeSocket {
+  constructor() {
+    this.sent = [];
+    this.listeners = {};
+  }
+
+  addEventListener(type, listener) {
+    (this.listeners[type] = this.listeners[type] || []).push(listener);
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  receive(frame) {
+    const data = typeof frame === 'string' ? frame : JSON.stringify(frame);
+    (this.listeners.message || []).forEach(listener => listener({ data }));
+  }
+
+  frames(type) {
+    return this.sent.filter(frame => frame.type === type);
+  }
+}
+
+// Gemini streams the answer, or waits until the request is aborted when hold is set
+let hold = false;
+let lastSignal = null;
+globalThis.fetch = async (url, init = {}) => {
+  if (String(url).includes('streamGenerateContent')) {
+    lastSignal = init.signal || null;
+    if (hold) {
+      return new Promise((resolve, reject) => {
+        const abort = () => reject(new DOMException('Aborted', 'AbortError'));
+        if (init.signal.aborted) abort();
+        init.signal.addEventListener('abort', abort);
+      });
+    }
+    const body = ['Zakat is due on savings ', 'held for a lunar year above the nisab.']
+      .map(text => `data: ${JSON.stringify({ candidates: [{ content: { parts: [{ text }] } }] })}\n\n`)
+      .join('');
+    return new Response(body, { headers: { 'content-type': 'text/event-stream' } });
+  }
+  return new Response('{}', { status: 500 });
+};
+
+const { default: worker } = await import('./index.js');
+
+async function until(condition, what) {
+  for (let i = 0; i < 500 && !condition(); i++) await new Promise(resolve => setTimeout(resolve, 5));
+  check(condition(), `Timed out waiting for ${what}`);
+}
+
+async function testChatSocket() {
+  console.log('Testing the WebSocket chat endpoint...\n');
+  const env = { AUTH_SECRET: 'socket-test-secret', GEMINI_API_KEY: 'test-key', CHAT_SESSIONS: new MemoryKV(), DEFAULT_STREAMING_ENABLED: 'true' };
+  const token = await worker.signToken('user-ws', env);
+
+  // Upgrade and authentication
+  const plain = await worker.fetch(new Request('http://localhost/ws'), env, { waitUntil() {} });
+  check(plain.status === 426, `Plain GET asks for an upgrade, got ${plain.status}`);
+  const anonymous = await worker.fetch(new Request('http://localhost/ws', { headers: { Upgrade: 'websocket' } }), env, { waitUntil() {} });
+  check(anonymous.status === 401, `Upgrade without a token is rejected, got ${anonymous.status}`);
+  const forged = await worker.fetch(new Request(`http://localhost/ws?token=${token}x`, { headers: { Upgrade: 'websocket' } }), env, { waitUntil() {} });
+  check(forged.status === 401, 'Bad token in the URL is rejected');
+
+  // Session: ready frame, then settings
+  const pending = [];
+  const ctx = { waitUntil(promise) { pending.push(promise); } };
+  const request = new Request('http://localhost/ws?session_id=ws-session', { headers: { Upgrade: 'websocket', 'CF-Connecting-IP': '203.0.113.9' } });
+  const socket = new FakeSocket();
+  const calls = [];
+  const handleChat = worker._handleChatRequest;
+  worker._handleChatRequest = async function (chatRequest, ...rest) {
+    calls.push({ body: await chatRequest.clone().json(), headers: chatRequest.headers });
+    return handleChat.call(this, chatRequest, ...rest);
+  };
+  const state = worker._attachChatSocket(socket, request, env, ctx, { token, userId: 'user-ws', origin: '*', sessionId: 'ws-session' });
+  check(socket.sent[0].type === 'ready' && socket.sent[0].session_id === 'ws-session' && socket.sent[0].user_id === 'user-ws', 'Ready frame');
+
+  socket.receive({ type: 'language', language: 'Urdu' });
+  socket.receive({ type: 'mode', mode: 'terse' });
+  socket.receive({ type: 'mode', mode: 'loud' });
+  socket.receive('not json');
+  socket.receive({ type: 'ping' });
+  await Promise.all(pending);
+  const settings = socket.frames('settings');
+  check(settings.length === 2 && settings[1].language === 'urdu' && settings[1].mode === 'terse', 'Language and mode set');
+  check(socket.frames('error').length === 2 && socket.frames('pong').length === 1, 'Bad mode and non-JSON frames get errors; ping gets pong');
+
+  // A chat message runs through the chat pipeline and streams back as frames
+  socket.sent = [];
+  socket.receive({ type: 'chat', message: 'When is zakat due?', request_id: 'q1' });
+  await until(() => socket.frames('typing').length === 2, 'the reply');
+  await Promise.all(pending);
+  console.log(`Frames: ${socket.sent.map(frame => frame.type).join(' ')}`);
+  check(calls.length === 1 && calls[0].body.message === 'When is zakat due?' && calls[0].body.session_id === 'ws-session', 'Chat body passed to the pipeline');
+  check(calls[0].body.user_language === 'urdu' && calls[0].body.mode === 'terse', 'Session language and mode applied');
+  check(calls[0].headers.get('Authorization') === `Bearer ${token}` && calls[0].headers.get('CF-Connecting-IP') === '203.0.113.9', 'Token and client IP passed on');
+  check(socket.sent[0].type === 'typing' && socket.sent[0].typing === true && socket.sent[socket.sent.length - 1].typing === false, 'Typing indicator around the reply');
+  const content = socket.frames('content');
+  check(content.length > 0 && content.every(frame => frame.request_id === 'q1' && frame.id > 0), 'Content frames carry the request and event ids');
+  check(content.map(frame => frame.content).join('').includes('lunar year'), 'Answer text streamed');
+  check(socket.frames('start').length === 1 && socket.frames('end').length === 1, 'Start and end frames');
+  const history = JSON.parse(env.CHAT_SESSIONS.values.get('session:ws-session')).history;
+  check(history.length === 2, 'Turn saved to the session');
+
+  // Commands come back whole
+  socket.sent = [];
+  socket.receive({ type: 'chat', message: '/help' });
+  await until(() => socket.frames('typing').length === 2, 'the command reply');
+  check(socket.frames('reply').length === 1 && socket.frames('reply')[0].request_id === '1', 'Command reply frame');
+
+  // Cancelling stops the generation
+  socket.sent = [];
+  hold = true;
+  lastSignal = null;
+  socket.receive({ type: 'chat', message: 'Explain zakat on gold in detail' });
+  await until(() => lastSignal && state.active, 'the generation to start');
+  socket.receive({ type: 'chat', message: 'Another question' });
+  socket.receive({ type: 'cancel' });
+  await until(() => socket.frames('typing').length === 2, 'the cancellation');
+  await Promise.all(pending);
+  check(socket.frames('error').some(frame => /already in progress/.test(frame.error)), 'One reply at a time');
+  check(socket.frames('cancelled').length === 1 && socket.frames('cancelled')[0].request_id === '2', 'Cancelled frame');
+  check(lastSignal.aborted && socket.frames('end').length === 0 && state.active === null, 'Gemini request aborted');
+  check(JSON.parse(env.CHAT_SESSIONS.values.get('session:ws-session')).history.length === 2, 'Cancelled reply is not saved');
+  socket.receive({ type: 'cancel' });
+  await Promise.all(pending);
+  check(socket.sent[socket.sent.length - 1].error === 'Nothing to cancel', 'Cancel with nothing running');
+
+  worker._handleChatRequest = handleChat;
+
+  finish();
+}
+
+testChatSocket();
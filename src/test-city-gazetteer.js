@@ -0,0 +1,87 @@
+/**
+ * Test script for the bundled city gazetteer and city mentions in chat messages
+ * Run with: node src/test-city-gazetteer.js
+ */
+import { CityGazetteer } from './city-gazetteer.js';
+import { LocationPrayerService } from './location-prayer-service.js';
+import { check, finish } from './testing/helpers.js';
+
+async function testCityGazetteer() {
+  console.log('Testing city gazetteer...\n');
+  const gazetteer = new CityGazetteer();
+  const name = (city) => city ? `${city.name}, ${city.countryCode}` : null;
+  console.log(`${gazetteer.cities.length} cities bundled`);
+
+  // Names in English, Arabic, Urdu and Hindi, with accents and old names
+  const lookups = {
+    'Toronto': 'Toronto, CA',
+    'mecca': 'Makkah, SA',
+    'Bombay': 'Mumbai, IN',
+    'São Paulo': 'Sao Paulo, BR',
+    'القاهرة': 'Cairo, EG',
+    'قاهرة': 'Cairo, EG',
+    'لاہور': 'Lahore, PK',
+    'کراچی': 'Karachi, PK',
+    'मुंबई': 'Mumbai, IN',
+    'लखनऊ': 'Lucknow, IN',
+    'मक्का': 'Makkah, SA'
+  };
+  for (const [query, expected] of Object.entries(lookups)) {
+    check(name(gazetteer.lookup(query)) === expected, `lookup(${query}) should be ${expected}, got ${name(gazetteer.lookup(query))}`);
+  }
+
+  // Typos, scaled to the length of the name
+  check(name(gazetteer.lookup('Karachii')) === 'Karachi, PK', 'One extra letter');
+  check(name(gazetteer.lookup('toronot')) === 'Toronto, CA', 'Swapped letters count as one edit');
+  check(name(gazetteer.lookup('Johannesbrug')) === 'Johannesburg, ZA', 'Two edits in a long name');
+  check(gazetteer.lookup('Atlantis') === null, 'Two edits are too many for an eight-letter name');
+  check(gazetteer.lookup('Lima') !== null && gazetteer.lookup('Limo') === null, 'Short names must match exactly');
+  check(gazetteer.suggest('Atlantis').includes('Atlanta'), 'Suggestions for unknown names');
+
+  // Country qualifiers pick between cities with the same name
+  check(name(gazetteer.lookup('Hyderabad')) === 'Hyderabad, IN', 'Larger Hyderabad first');
+  check(name(gazetteer.lookup('Hyderabad, Pakistan')) === 'Hyderabad, PK', '"City, Country"');
+  check(name(gazetteer.lookup('tripoli lb')) === 'Tripoli, LB', 'Trailing country code');
+  check(gazetteer.lookup('Karachi, Canada') === null, 'City not in the given country');
+
+  // City mentions in chat messages
+  const messages = {
+    'What time is Maghrib in Toronto?': 'Toronto, CA',
+    'namaz ka waqt lahore mein': 'Lahore, PK',
+    'لاہور میں نماز کا وقت': 'Lahore, PK',
+    'मुंबई में नमाज़ का समय': 'Mumbai, IN',
+    'مواقيت الصلاة بالقاهرة': 'Cairo, EG',
+    'Isha time in New York City today': 'New York, US',
+    'fajr time hyderabad pakistan': 'Hyderabad, PK',
+    'prayer times in Male': 'Male, MV',
+    'Lahore prayer times': 'Lahore, PK',
+    'I moved here from Karachi, what is the fajr time in Dubai?': 'Dubai, AE',
+    'When is fajr?': null,
+    // A place that is not what the question is about
+    'Can I shorten my prayers while travelling from Medina to Jeddah?': null,
+    'Should I read Surat al-Kahf before Jumuah?': null,
+    'Is it male or female imam?': null
+  };
+  for (const [message, expected] of Object.entries(messages)) {
+    const city = gazetteer.extractCity(message);
+    check(name(city) === expected, `extractCity("${message}") should be ${expected}, got ${name(city)}`);
+  }
+
+  // LocationPrayerService resolves ?city= through the gazetteer
+  const service = new LocationPrayerService();
+  const toronto = await service.resolveLocation({ city: 'Toronto' });
+  check(toronto.countryCode === 'CA' && toronto.country === 'Canada' && toronto.timezone === 'America/Toronto', 'Resolved city carries country and timezone');
+  check(service.getDefaultMethodForLocation(toronto) === 'ISNA', 'Country default method for a gazetteer city');
+  try {
+    await service.resolveLocation({ city: 'Atlantis' });
+    check(false, 'Unknown city should throw');
+  } catch (e) {
+    check(e.message === 'Unknown city: Atlantis. Did you mean Atlanta?', `Unknown city message, got ${e.message}`);
+  }
+  check(service.getCountryCode({ country: 'Morocco' }) === 'MA', 'Country names outside the IP list');
+  check(service.getNearbyIslamicCities({ lat: 21.4225, lng: 39.8262 }, 100).map(city => city.name).join(',') === 'Makkah,Taif,Jeddah', 'Nearby cities from the gazetteer');
+
+  finish();
+}
+
+testCityGazetteer();
@@ -0,0 +1,100 @@
+/**
+ * Test script for multi-turn Gemini requests: user/model contents, systemInstruction and the token-budgeted window
+ * Run with: node src/test-conversation-history.js
+ */
+import { GeminiAPI } from './gemini-api.js';
+import { check, finish, MemoryKV } from './testing/helpers.js';
+
+// Gemini answers each question in turn; request bodies are kept for inspection
+const requests = [];
+const answers = [
+  'There are three conditions. First, the intention. Second, fasting from dawn. Third, abstaining until sunset.',
+  'The second point means the fast starts at true dawn (Fajr).'
+];
+globalThis.fetch = async (url, init = {}) => {
+  if (String(url).includes('streamGenerateContent')) {
+    requests.push(JSON.parse(init.body));
+    const text = answers[requests.length - 1] || 'Wa alaikum.';
+    return new Response(`data: ${JSON.stringify({ candidates: [{ content: { parts: [{ text }] } }] })}\n\n`, {
+      headers: { 'content-type': 'text/event-stream' }
+    });
+  }
+  return new Response('{}', { status: 500 });
+};
+
+const { default: worker } = await import('./index.js');
+
+async function chat(env, message) {
+  const pending = [];
+  const response = await worker.fetch(new Request('http://localhost/api/chat', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ message, session_id: 'history-session' })
+  }), env, { waitUntil(promise) { pending.push(promise); } });
+  await response.text();
+  await Promise.all(pending);
+}
+
+async function testConversationHistory() {
+  console.log('Testing multi-turn history sent to Gemini...\n');
+  const gemini = new GeminiAPI(['test-key']);
+  const roles = (contents) => contents.map(content => content.role).join(',');
+
+  // Roles map to user/model, repeats merge and the window starts with the user and ends with the model
+  const messy = [
+    { role: 'assistant', content: 'Assalamu alaikum!' },
+    { role: 'user', content: 'What is zakat?' },
+    { role: 'user', content: 'On gold, I mean.' },
+    { role: 'assistant', content: 'Zakat on gold is 2.5% above the nisab.' },
+    { role: 'user', content: '   ' },
+    { role: 'user', content: 'Unanswered question' }
+  ];
+  const cleaned = gemini._buildConversationContents(messy, 'What is the nisab?');
+  check(roles(cleaned.contents) === 'user,model,user', `Alternating roles, got ${roles(cleaned.contents)}`);
+  check(cleaned.contents[0].parts[0].text === 'What is zakat?\n\nOn gold, I mean.', 'Consecutive user messages merged');
+  check(cleaned.contents[2].parts[0].text === 'What is the nisab?' && cleaned.summary === '', 'New question last; nothing summarised');
+  check(roles(gemini._buildConversationContents([], 'Salam').contents) === 'user', 'No history: just the question');
+
+  // Oldest exchanges beyond the budget are summarised
+  const long = [];
+  for (let i = 1; i <= 5; i++) {
+    long.push({ role: 'user', content: `Question ${i} about salah?` });
+    long.push({ role: 'assistant', content: `Answer ${i} starts here. ${'More detail. '.repeat(100)}` });
+  }
+  const windowed = gemini._buildConversationContents(long, 'Question 6?', 700);
+  console.log(`Window: ${windowed.contents.length - 1} of ${long.length} messages; summary:\n${windowed.summary}`);
+  check(roles(windowed.contents) === 'user,model,user,model,user', 'Two most recent exchanges within 700 tokens');
+  check(windowed.contents[0].parts[0].text === 'Question 4 about salah?', 'Window starts at a user turn');
+  check(windowed.summary.split('\n').length === 3 && windowed.summary.startsWith('- User asked: Question 1 about salah?; you answered: Answer 1 starts here.'), 'Older exchanges summarised');
+
+  // The last exchange is kept even when it alone is over the budget
+  const tight = gemini._buildConversationContents(long, 'Explain the second point', 50);
+  check(roles(tight.contents) === 'user,model,user' && tight.contents[1].parts[0].text.endsWith('…'), 'Last answer shortened to fit');
+  check(tight.contents[1].parts[0].text.length <= 50 * 4 + 1 && tight.summary.split('\n').length === 4, 'Shortened answer within budget; the rest summarised');
+
+  // This turn's instructions join the system prompt once, followed by the summary
+  const systemPrompt = gemini.islamicPrompt.getSystemPrompt();
+  const instruction = gemini._buildSystemInstruction(`${systemPrompt}\nReply in English.`, `${systemPrompt}\n\n**QUERY INTELLIGENCE:**\nFiqh`, '- User asked: A?');
+  check(instruction === `${systemPrompt}\nReply in English.\n\n**QUERY INTELLIGENCE:**\nFiqh\n\n**EARLIER IN THIS CONVERSATION (summarised):**\n- User asked: A?`, 'Turn instructions and summary in systemInstruction');
+  check(gemini._buildSystemInstruction(systemPrompt, '') === systemPrompt, 'System prompt alone when there is no context');
+
+  // Through the chat endpoint, the follow-up sees the first exchange as real turns
+  const env = { GEMINI_API_KEY: 'test-key', CHAT_SESSIONS: new MemoryKV(), DEFAULT_STREAMING_ENABLED: 'true' };
+  await chat(env, 'What are the conditions of fasting?');
+  await chat(env, 'Explain the second point');
+  check(requests.length === 2, `Two Gemini requests, got ${requests.length}`);
+  const [first, second] = requests;
+  check(roles(first.contents) === 'user', 'First message has no history');
+  check(first.systemInstruction.parts[0].text.startsWith(systemPrompt) && !first.contents[0].parts[0].text.includes('## ROLE & IDENTITY'), 'System prompt sent as systemInstruction only');
+  check(roles(second.contents) === 'user,model,user', `Follow-up has the earlier turns, got ${roles(second.contents)}`);
+  check(second.contents[0].parts[0].text === 'What are the conditions of fasting?', 'Earlier question as a user turn');
+  check(second.contents[1].parts[0].text.includes('Second, fasting from dawn.'), 'Earlier answer as a model turn');
+  check(second.contents[2].parts[0].text === 'Explain the second point', 'Follow-up is the last user turn, with nothing added');
+  // The history goes in once, as turns: the instructions do not quote it again
+  const secondInstruction = second.systemInstruction.parts[0].text;
+  check(secondInstruction.includes('**RESPONSE INSTRUCTIONS:**') && !secondInstruction.includes('RELEVANT CONTEXT FROM PREVIOUS MESSAGES') && !secondInstruction.includes('CURRENT USER MESSAGE'), 'Instructions in systemInstruction without the past messages');
+
+  finish();
+}
+
+testConversationHistory();
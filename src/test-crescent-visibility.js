@@ -0,0 +1,79 @@
+/**
+ * Test script for crescent visibility: conjunctions, sunset geometry and the Yallop/Odeh criteria
+ * Run with: node src/test-crescent-visibility.js
+ */
+import { CrescentVisibility } from './crescent-visibility.js';
+import { LocationPrayerService } from './location-prayer-service.js';
+import { check, finish } from './testing/helpers.js';
+
+// Published new moon times (UTC), to the minute
+const CONJUNCTIONS = [
+  { search: '2025-06-27T00:00:00Z', expected: '2025-06-25T10:31:00Z' },
+  { search: '2026-02-19T00:00:00Z', expected: '2026-02-17T12:01:00Z' },
+  { search: '2026-03-21T00:00:00Z', expected: '2026-03-19T01:23:00Z' },
+  { search: '2026-10-12T00:00:00Z', expected: '2026-10-10T15:50:00Z' }
+];
+
+async function testCrescentVisibility() {
+  console.log('Testing crescent visibility...\n');
+  const service = new LocationPrayerService();
+  const crescent = new CrescentVisibility(service);
+
+  for (const row of CONJUNCTIONS) {
+    const conjunction = crescent.previousConjunction(Date.parse(row.search));
+    const minutesOff = Math.abs(conjunction - Date.parse(row.expected)) / 60000;
+    console.log(`Conjunction ${new Date(conjunction).toISOString()} (published ${row.expected})`);
+    check(minutesOff <= 2, `Conjunction ${row.expected} off by ${minutesOff.toFixed(1)} min`);
+  }
+  check(crescent.nextConjunction(Date.parse('2026-10-10T15:00:00Z')) === crescent.previousConjunction(Date.parse('2026-10-11T00:00:00Z')),
+    'Next and previous conjunction meet');
+
+  // Makkah, Shawwal 1447: invisible on the evening of the conjunction day, easy the next evening
+  const makkah = service.findCity('Makkah');
+  const first = crescent.getVisibility(makkah, '2026-03-19');
+  const second = crescent.getVisibility(makkah, '2026-03-20');
+  console.log(`Makkah 2026-03-19: ${JSON.stringify(first)}`);
+  check(first.moonAgeHours > 13 && first.moonAgeHours < 15, `Moon age about 14 h, got ${first.moonAgeHours}`);
+  check(first.lagMinutes > 20 && first.lagMinutes < 40, `Lag about half an hour, got ${first.lagMinutes}`);
+  check(first.yallop.code === 'F' && first.verdict !== 'naked_eye', `Not visible by eye on the first evening, got ${first.yallop.code}/${first.verdict}`);
+  check(second.yallop.code === 'A' && second.odeh.code === 'A' && second.verdict === 'naked_eye', 'Easily visible on the second evening');
+  check(second.arcl > first.arcl && second.widthArcmin > first.widthArcmin, 'Elongation and width grow');
+  check(first.sunset.startsWith('2026-03-19T18:') && first.sunset.endsWith('+03:00'), `Local sunset, got ${first.sunset}`);
+
+  // Conjunction after sunset, and the moon setting before the sun
+  const beforeConjunction = crescent.getVisibility(makkah, '2026-10-10');
+  check(beforeConjunction.verdict === 'impossible' && beforeConjunction.odeh.code === 'D', 'Moon sets before the sun on the conjunction day');
+  const london = service.findCity('London');
+  check(crescent.getVisibility(london, '2026-03-18').verdict === 'impossible', 'Conjunction after sunset');
+
+  // Midnight sun
+  const svalbard = { lat: 78.22, lng: 15.65, timezone: 'Arctic/Longyearbyen' };
+  check(crescent.getVisibility(svalbard, '2026-06-21').verdict === 'no_sunset', 'No sunset in the Arctic summer');
+
+  // Outlook: a recent conjunction decides tonight, otherwise the next one
+  const recent = crescent.getMonthStartOutlook(makkah, new Date('2026-03-19T20:00:00Z'));
+  check(recent.evenings.map(e => e.date).join(',') === '2026-03-19,2026-03-20', 'Evenings after a recent conjunction');
+  check(recent.month.month === 10 && recent.month.name === 'Shawwal', `Shawwal begins, got ${recent.month.name}`);
+  const ahead = crescent.getMonthStartOutlook(makkah, new Date('2026-10-19T12:00:00Z'));
+  check(ahead.conjunction.startsWith('2026-11-09') && ahead.month.month === 6, `Next conjunction ahead, got ${ahead.conjunction}`);
+
+  // Chat detection
+  const queries = {
+    'Will the moon be seen tonight?': true,
+    'chand nazar aayega aaj?': true,
+    'Is hilal for Ramadan expected tonight?': true,
+    'هل سيرى الهلال الليلة؟': true,
+    'आज चाँद दिखेगा?': true,
+    'Prayer times in Chandigarh': false,
+    'What time is Maghrib?': false
+  };
+  for (const [message, expected] of Object.entries(queries)) {
+    check(crescent.isCrescentQuery(message) === expected, `isCrescentQuery("${message}") should be ${expected}`);
+  }
+  const context = crescent.buildCrescentContext(recent, { city: 'Makkah', country: 'Saudi Arabia' });
+  check(context.includes('Shawwal 1447') && context.includes('Odeh A') && context.includes('2026-03-20'), 'Prompt context lists both evenings');
+
+  finish();
+}
+
+testCrescentVisibility();
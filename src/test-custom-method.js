@@ -0,0 +1,85 @@
+/**
+ * Test script for the 'custom' calculation method: user angles and per-prayer minute offsets
+ * Run with: node src/test-custom-method.js
+ */
+import { LocationPrayerService } from './location-prayer-service.js';
+import { PrayerTimetable } from './prayer-timetable.js';
+import { check, finish } from './testing/helpers.js';
+
+function throws(fn, pattern, message) {
+  try {
+    fn();
+    check(false, `${message}: expected an error`);
+  } catch (e) {
+    check(pattern.test(e.message), `${message}: got "${e.message}"`);
+  }
+}
+
+function minutes(time) {
+  const [h, m] = time.split(':').map(Number);
+  return h * 60 + m;
+}
+
+async function testCustomMethod() {
+  console.log('Testing custom calculation method...\n');
+  const service = new LocationPrayerService();
+  const day = new Date('2026-10-19T00:00:00Z');
+
+  // Validation
+  const settings = service.normalizeCustomSettings({ base_method: 'isna', isha_angle: '17.5', offsets: { maghrib: 2, fajr: 0 } });
+  check(JSON.stringify(settings) === JSON.stringify({ baseMethod: 'ISNA', fajrAngle: null, ishaAngle: 17.5, offsets: { maghrib: 2 } }), `Settings normalized, got ${JSON.stringify(settings)}`);
+  check(JSON.stringify(service.normalizeCustomSettings(settings)) === JSON.stringify(settings), 'Stored camelCase settings validate again');
+  throws(() => service.normalizeCustomSettings({ fajr_angle: 25 }), /between 10 and 22/, 'Angle out of range');
+  throws(() => service.normalizeCustomSettings({ offsets: { isha: 45 } }), /-30 to 30/, 'Offset out of range');
+  throws(() => service.normalizeCustomSettings({ offsets: { isha: 1.5 } }), /whole number/, 'Fractional offset');
+  throws(() => service.normalizeCustomSettings({ offsets: { tahajjud: 1 } }), /Unknown prayer/, 'Unknown prayer');
+  throws(() => service.normalizeCustomSettings({ base_method: 'custom' }), /Unknown base_method/, 'Custom cannot be its own base');
+  check(service.resolveMethodKey('Custom') === 'custom', 'custom is a method key');
+
+  // Angles and offsets on top of the base method
+  const toronto = service.findCity('Toronto');
+  const isna = service.calculatePrayerTimes(toronto, day, null, 'ISNA');
+  const custom = service.calculatePrayerTimes(toronto, day, null, 'custom', 'standard', { custom: settings });
+  console.log(`ISNA ${JSON.stringify(isna.times)}\ncustom ${JSON.stringify(custom.times)}`);
+  check(custom.calculationMethod === 'custom' && custom.calculationMethodName === 'Custom (Islamic Society of North America; Isha 17.5°, Maghrib +2 min)', `Method name, got ${custom.calculationMethodName}`);
+  check(custom.times.fajr === isna.times.fajr && custom.times.dhuhr === isna.times.dhuhr, 'Untouched prayers are unchanged');
+  check(minutes(custom.times.maghrib) - minutes(isna.times.maghrib) === 2, 'Maghrib two minutes later');
+  check(minutes(custom.times.isha) - minutes(isna.times.isha) >= 10, 'A deeper Isha angle is later');
+  check(custom.parameters.baseMethod === 'ISNA' && custom.parameters.ishaAngle === 17.5 && custom.parameters.fajrAngle === 15, 'Effective angles');
+  check(custom.parameters.adjustments.maghrib === 2 && custom.parameters.adjustments.isha === 0, 'Effective offsets');
+  // The sunset makruh window ends at the same sunset Maghrib is measured from (ISNA Maghrib is sunset + 1 minute)
+  const sunsetWindow = (result) => result.forbiddenWindows.find(window => window.name === 'sunset');
+  check(minutes(custom.times.maghrib) - minutes(sunsetWindow(custom).end) === 1, `Sunset window moves with the Maghrib offset, got ${sunsetWindow(custom).end} for Maghrib ${custom.times.maghrib}`);
+  const istanbul = service.calculatePrayerTimes(service.findCity('Istanbul'), day, null, 'Diyanet');
+  check(minutes(istanbul.times.maghrib) - minutes(sunsetWindow(istanbul).end) === 7, 'Diyanet sunset window ends 7 minutes before Maghrib');
+
+  // Base method defaults to the country's; an Isha angle replaces a fixed interval
+  const makkah = service.findCity('Makkah');
+  const ummAlQura = service.calculatePrayerTimes(makkah, day, null, 'custom', 'standard', { custom: service.normalizeCustomSettings({ isha_angle: 18 }) });
+  check(ummAlQura.parameters.baseMethod === 'Makkah' && ummAlQura.parameters.ishaMinutesAfterMaghrib === null && ummAlQura.parameters.ishaAngle === 18, 'Country base method with an Isha angle');
+
+  // Offsets add to the base method's own adjustments; chosen angles are not capped by the seasonal limits
+  const london = service.findCity('London');
+  const moonsighting = service.calculatePrayerTimes(london, day, null, 'MoonsightingCommittee');
+  const tweaked = service.calculatePrayerTimes(london, day, null, 'custom', 'standard', {
+    custom: service.normalizeCustomSettings({ base_method: 'MoonsightingCommittee', isha_angle: 17.5, offsets: { dhuhr: 2 } })
+  });
+  check(tweaked.parameters.adjustments.dhuhr === 7 && minutes(tweaked.times.dhuhr) - minutes(moonsighting.times.dhuhr) === 2, 'Dhuhr offset adds to the method\'s 5 minutes');
+  check(tweaked.times.fajr === moonsighting.times.fajr, 'Fajr keeps the seasonal limit');
+  check(minutes(tweaked.times.isha) > minutes(moonsighting.times.isha), 'Isha follows the chosen angle');
+
+  // Cached results are keyed by the settings, and published times are skipped
+  const karachi = service.findCity('Karachi');
+  const early = await service.getPrayerTimes(karachi, day, { method: 'custom', custom: service.normalizeCustomSettings({ offsets: { fajr: -3 } }) });
+  const late = await service.getPrayerTimes(karachi, day, { method: 'custom', custom: service.normalizeCustomSettings({ offsets: { fajr: 3 } }) });
+  check(early.source === 'computed' && minutes(late.times.fajr) - minutes(early.times.fajr) === 6, 'Different settings are not served from the cache');
+
+  // Timetables carry the parameters in snake_case
+  const timetable = new PrayerTimetable(service);
+  const json = timetable.toJSON(timetable.generate(toronto, day, day, { method: 'custom', custom: settings }));
+  check(json.method_name.startsWith('Custom') && json.parameters.isha_angle === 17.5 && json.parameters.adjustments_minutes.maghrib === 2, 'Timetable parameters');
+
+  finish();
+}
+
+testCustomMethod();
@@ -0,0 +1,68 @@
+/**
+ * Test script for ensureD1Schema: every statement parses and databases from before a column was added get it
+ * Run with: node src/test-d1-schema.js
+ */
+import worker from './index.js';
+import { check, finish } from './testing/helpers.js';
+
+/**
+ * A D1 binding that understands the DDL the schema uses and rejects anything else, like SQLite would
+ * @param {Object} tables - Existing tables as { name: [column, ...] }
+ */
+function createSchemaDB(tables = {}) {
+  const columns = new Map(Object.entries(tables).map(([name, list]) => [name, new Set(list)]));
+  const errors = [];
+  const execute = (sql) => {
+    const stmt = sql.replace(/--[^\n]*/g, '').trim();
+    let match;
+    if ((match = stmt.match(/^CREATE TABLE IF NOT EXISTS (\w+) \(([\s\S]*)\)$/))) {
+      if (columns.has(match[1])) return;
+      const definitions = match[2].split(/,(?![^(]*\))/).map(part => part.trim());
+      columns.set(match[1], new Set(definitions
+        .filter(part => !/^(PRIMARY KEY|FOREIGN KEY|UNIQUE|CHECK)\b/i.test(part))
+        .map(part => part.split(/\s+/)[0])));
+    } else if ((match = stmt.match(/^ALTER TABLE (\w+) ADD COLUMN (\w+) [\w\s()',]+$/))) {
+      if (!columns.has(match[1])) throw new Error(`no such table: ${match[1]}`);
+      if (columns.get(match[1]).has(match[2])) throw new Error(`duplicate column name: ${match[2]}`);
+      columns.get(match[1]).add(match[2]);
+    } else if (!/^CREATE (UNIQUE )?INDEX IF NOT EXISTS \w+ ON \w+ ?\([\w\s,]+\)$/.test(stmt)) {
+      errors.push(stmt);
+      throw new Error(`syntax error near "${stmt.slice(0, 20)}"`);
+    }
+  };
+  return {
+    columns,
+    errors,
+    prepare(sql) {
+      return { async run() { execute(sql); return { success: true }; } };
+    }
+  };
+}
+
+async function testD1Schema() {
+  console.log('Testing D1 schema setup...\n');
+
+  // A new database: every statement is valid and the tables have their full column lists
+  const fresh = createSchemaDB();
+  await worker.ensureD1Schema({ D1_DB: fresh });
+  check(fresh.errors.length === 0, `Every statement parses, rejected: ${JSON.stringify(fresh.errors)}`);
+  check(fresh.columns.get('user_preferences').has('hijri_offset') && fresh.columns.get('user_preferences').has('prayer_settings_json'), 'New user_preferences has every column');
+  check(fresh.columns.get('mosques').has('verified_at') && fresh.columns.get('mosques').has('verified_by'), 'New mosques has the verification columns');
+
+  // A database from the first release: user_preferences exists without the later columns
+  const deployed = createSchemaDB({ user_preferences: ['user_id', 'language_pref', 'madhhab_pref', 'interests_json'] });
+  await worker.ensureD1Schema({ D1_DB: deployed });
+  const preferences = deployed.columns.get('user_preferences');
+  console.log(`user_preferences: ${[...preferences].join(', ')}`);
+  check(deployed.errors.length === 0, `Every statement parses, rejected: ${JSON.stringify(deployed.errors)}`);
+  check(preferences.has('hijri_offset'), 'hijri_offset added to an existing user_preferences');
+  check(preferences.has('prayer_settings_json'), 'prayer_settings_json added to an existing user_preferences');
+
+  // Running it again changes nothing
+  await worker.ensureD1Schema({ D1_DB: deployed });
+  check(deployed.errors.length === 0 && deployed.columns.get('user_preferences').size === 6, 'Second run is harmless');
+
+  finish();
+}
+
+testD1Schema();
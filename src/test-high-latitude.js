@@ -0,0 +1,104 @@
+/**
+ * Test script for LocationPrayerService high-latitude adjustments (Fajr/Isha)
+ * Run with: node src/test-high-latitude.js
+ */
+import { LocationPrayerService } from './location-prayer-service.js';
+import { check, finish } from './testing/helpers.js';
+
+const cities = [
+  { city: 'London', lat: 51.5074, lng: -0.1278, timezone: 'Europe/London' },
+  { city: 'Oslo', lat: 59.9139, lng: 10.7522, timezone: 'Europe/Oslo' },
+  { city: 'Reykjavik', lat: 64.1466, lng: -21.9426, timezone: 'Atlantic/Reykjavik' }
+];
+
+const TIME_PATTERN = /^\d{2}:\d{2}$/;
+function toMinutes(time) {
+  const [h, m] = time.split(':').map(Number);
+  return h * 60 + m;
+}
+
+/**
+ * Unwrap times around Dhuhr so that Fajr may fall before midnight and Isha after it
+ */
+function orderedMinutes(times) {
+  const dhuhr = toMinutes(times.dhuhr);
+  const unwrap = (t, before) => {
+    let m = toMinutes(t);
+    if (before && m > dhuhr) m -= 1440;
+    if (!before && m < dhuhr) m += 1440;
+    return m;
+  };
+  return [
+    unwrap(times.fajr, true),
+    unwrap(times.sunrise, true),
+    dhuhr,
+    unwrap(times.asr, false),
+    unwrap(times.maghrib, false),
+    unwrap(times.isha, false)
+  ];
+}
+
+function testHighLatitudes() {
+  console.log('Testing high-latitude rules for London, Oslo and Reykjavik...\n');
+  const service = new LocationPrayerService();
+  const rules = Object.keys(service.highLatitudeRules);
+
+  for (const location of cities) {
+    for (const rule of rules) {
+      let adjustedDays = 0;
+      const start = Date.UTC(2025, 0, 1);
+      for (let day = 0; day < 365; day++) {
+        const date = new Date(start + day * 24 * 60 * 60 * 1000);
+        const offset = service.getTimezoneOffset(location.timezone, date);
+        const result = service.calculatePrayerTimes(location, date, offset, 'MWL', 'standard', { highLatitudeRule: rule });
+        const label = `${location.city} ${result.date} ${rule}`;
+
+        for (const [name, time] of Object.entries(result.times)) {
+          check(TIME_PATTERN.test(time), `${label}: ${name} is not a valid time (${time})`);
+        }
+        const minutes = orderedMinutes(result.times);
+        for (let i = 1; i < minutes.length; i++) {
+          check(minutes[i] > minutes[i - 1], `${label}: times out of order ${JSON.stringify(result.times)}`);
+        }
+        if (result.highLatitudeRule) {
+          adjustedDays++;
+          check(result.highLatitudeRule === rule, `${label}: reported rule ${result.highLatitudeRule}`);
+          check(result.adjustedTimes.length > 0, `${label}: rule reported without adjusted times`);
+        }
+      }
+      console.log(`${location.city} (${rule}): ${adjustedDays} adjusted days`);
+      // All three cities lose 18 degree twilight around the June solstice but not in winter
+      check(adjustedDays > 0, `${location.city} (${rule}): expected adjusted days in summer`);
+      check(adjustedDays < 200, `${location.city} (${rule}): too many adjusted days (${adjustedDays})`);
+    }
+  }
+
+  // Winter days never need an adjustment
+  for (const location of cities) {
+    const date = new Date(Date.UTC(2025, 11, 21));
+    const result = service.calculatePrayerTimes(location, date, service.getTimezoneOffset(location.timezone, date));
+    check(result.highLatitudeRule === null, `${location.city} winter solstice should not be adjusted`);
+  }
+
+  // Midsummer at Reykjavik: Isha under middle-of-the-night is later than under one-seventh
+  const reykjavik = cities[2];
+  const midsummer = new Date(Date.UTC(2025, 5, 21));
+  const offset = service.getTimezoneOffset(reykjavik.timezone, midsummer);
+  const middle = service.calculatePrayerTimes(reykjavik, midsummer, offset, 'MWL', 'standard', { highLatitudeRule: 'MiddleOfTheNight' });
+  const seventh = service.calculatePrayerTimes(reykjavik, midsummer, offset, 'MWL', 'standard', { highLatitudeRule: 'OneSeventh' });
+  console.log(`\nReykjavik ${middle.date}: MiddleOfTheNight Fajr ${middle.times.fajr} / Isha ${middle.times.isha}, OneSeventh Fajr ${seventh.times.fajr} / Isha ${seventh.times.isha}`);
+  check(middle.times.fajr === middle.times.isha || Math.abs(toMinutes(middle.times.fajr) - toMinutes(middle.times.isha)) <= 1,
+    'MiddleOfTheNight should put Fajr and Isha at the middle of the night');
+  check(middle.times.fajr !== seventh.times.fajr, 'Rules should produce different Fajr times');
+
+  // Polar day falls back to the nearest latitude
+  const svalbard = { city: 'Longyearbyen', lat: 78.2232, lng: 15.6267, timezone: 'Arctic/Longyearbyen' };
+  const polar = service.calculatePrayerTimes(svalbard, midsummer, service.getTimezoneOffset(svalbard.timezone, midsummer));
+  console.log(`Longyearbyen ${polar.date}: ${JSON.stringify(polar.times)} (${polar.highLatitudeRule})`);
+  check(polar.highLatitudeRule === 'NearestLatitude', 'Polar day should use the nearest latitude');
+  check(Object.values(polar.times).every(t => TIME_PATTERN.test(t)), 'Polar day times should all be valid');
+
+  finish();
+}
+
+testHighLatitudes();
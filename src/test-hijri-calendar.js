@@ -0,0 +1,64 @@
+/**
+ * Test script for HijriCalendar conversions
+ * Run with: node src/test-hijri-calendar.js
+ */
+import { HijriCalendar } from './hijri-calendar.js';
+import { check, finish } from './testing/helpers.js';
+
+function utc(y, m, d) {
+  return new Date(Date.UTC(y, m - 1, d));
+}
+
+function testHijriCalendar() {
+  console.log('Testing Hijri calendar conversions...\n');
+  const calendar = new HijriCalendar();
+
+  // Published Umm al-Qura dates
+  const known = [
+    [utc(2025, 3, 1), 1446, 9, 1],    // 1 Ramadan 1446
+    [utc(2025, 3, 30), 1446, 10, 1],  // 1 Shawwal 1446 (Eid al-Fitr)
+    [utc(2025, 6, 5), 1446, 12, 9],   // Day of Arafah 1446
+    [utc(2025, 6, 26), 1447, 1, 1],   // 1 Muharram 1447
+    [utc(2024, 3, 11), 1445, 9, 1],   // 1 Ramadan 1445
+    [utc(1882, 11, 12), 1300, 1, 1],  // First day of the table
+    [utc(2077, 11, 16), 1500, 12, 30] // Last day of the table
+  ];
+  for (const [date, year, month, day] of known) {
+    const hijri = calendar.toHijri(date);
+    const label = date.toISOString().split('T')[0];
+    console.log(`${label} -> ${calendar.format(hijri)} (${hijri.calendar})`);
+    check(hijri.year === year && hijri.month === month && hijri.day === day, `${label}: expected ${year}-${month}-${day}`);
+    check(hijri.calendar === 'umm_al_qura', `${label}: should use the Umm al-Qura table`);
+    check(calendar.toGregorian(year, month, day).getTime() === date.getTime(), `${label}: round trip from Hijri`);
+  }
+
+  // Outside the table the tabular calendar is used (1 Muharram 1 AH = 16 July 622 Julian = 19 July 622 proleptic Gregorian)
+  const epoch = calendar.toHijri(utc(622, 7, 19));
+  check(epoch.calendar === 'tabular' && epoch.year === 1 && epoch.month === 1 && epoch.day === 1, `Epoch: got ${calendar.format(epoch)}`);
+  const future = calendar.toHijri(utc(2100, 1, 1));
+  check(future.calendar === 'tabular', '2100 should use the tabular calendar');
+  check(calendar.toGregorian(future.year, future.month, future.day).getTime() === utc(2100, 1, 1).getTime(), 'Tabular round trip');
+
+  // Every day round-trips across the table boundaries
+  for (let t = utc(1880, 1, 1).getTime(); t < utc(2080, 1, 1).getTime(); t += 24 * 60 * 60 * 1000) {
+    const hijri = calendar.toHijri(new Date(t));
+    if (calendar.toGregorian(hijri.year, hijri.month, hijri.day).getTime() !== t) {
+      check(false, `Round trip failed for ${new Date(t).toISOString()}`);
+      break;
+    }
+  }
+
+  // Day offset for local moon sighting
+  const sighted = calendar.toHijri(utc(2025, 3, 1), -1);
+  check(sighted.month === 8 && sighted.day === 29, `Offset -1 should give 29 Sha'ban, got ${calendar.format(sighted)}`);
+  check(calendar.toGregorian(1446, 9, 1, -1).getTime() === utc(2025, 3, 2).getTime(), 'Offset -1 should start Ramadan on 2 March');
+  check(calendar.normalizeOffset(5) === 2 && calendar.normalizeOffset('x') === 0, 'Offsets are clamped to +/-2');
+
+  // Invalid dates
+  check(!calendar.isValidHijriDate(1446, 9, 30), 'Ramadan 1446 has 29 days');
+  check(!calendar.isValidHijriDate(1446, 13, 1), 'Month 13 is invalid');
+
+  finish();
+}
+
+testHijriCalendar();
@@ -0,0 +1,89 @@
+/**
+ * Test script for IslamicEvents dates and chat query detection
+ * Run with: node src/test-islamic-events.js
+ */
+import { IslamicEvents } from './islamic-events.js';
+import { InternetDataProcessor } from './internet-data-processor.js';
+import { check, finish } from './testing/helpers.js';
+
+function utc(y, m, d) {
+  return new Date(Date.UTC(y, m - 1, d));
+}
+
+function iso(date) {
+  return date.toISOString().split('T')[0];
+}
+
+function testIslamicEvents() {
+  console.log('Testing Islamic event dates...\n');
+  const events = new IslamicEvents();
+  const today = utc(2025, 4, 15);
+
+  // Umm al-Qura dates for 1446 AH
+  const year = events.getEventsForHijriYear(1446, { today });
+  const byKey = Object.fromEntries(year.map(event => [event.key, event]));
+  const expected = {
+    islamic_new_year: '2024-07-07',
+    ashura: '2024-07-16',
+    ramadan: '2025-03-01',
+    eid_al_fitr: '2025-03-30',
+    day_of_arafah: '2025-06-05',
+    eid_al_adha: '2025-06-06'
+  };
+  for (const [key, date] of Object.entries(expected)) {
+    console.log(`${byKey[key].names.english}: ${iso(byKey[key].start)} (${byKey[key].status})`);
+    check(iso(byKey[key].start) === date, `${key}: expected ${date}, got ${iso(byKey[key].start)}`);
+  }
+  check(byKey.ramadan.days === 29 && iso(byKey.ramadan.end) === '2025-03-29', 'Ramadan 1446 lasts 29 days');
+  check(byKey.dhul_hijjah_first_ten.days === 10, 'First ten days of Dhul-Hijjah span ten days');
+  check(byKey.laylat_al_qadr.beginsEveningBefore, 'Laylat al-Qadr begins the evening before');
+
+  // Confirmed once the month has begun, estimated before
+  check(byKey.ramadan.status === 'confirmed', 'Ramadan 1446 has begun by 15 April 2025');
+  check(byKey.eid_al_adha.status === 'estimated', 'Dhul-Hijjah 1446 has not begun by 15 April 2025');
+
+  // White days skip Ramadan and Dhul-Hijjah
+  const whiteDays = year.filter(event => event.key === 'white_days');
+  check(whiteDays.length === 10, `Expected 10 White Day periods, got ${whiteDays.length}`);
+  check(events.getEventsForHijriYear(1446, { includeWhiteDays: false }).every(event => event.key !== 'white_days'), 'White days can be left out');
+
+  // Gregorian years include events from two Hijri years, in order
+  const gregorian = events.getEventsForGregorianYear(2025, { includeWhiteDays: false });
+  check(gregorian.every(event => event.start.getUTCFullYear() === 2025), 'All events start in 2025');
+  check(gregorian.every((event, i) => i === 0 || event.start >= gregorian[i - 1].start), 'Events are sorted by date');
+  check(gregorian.filter(event => event.key === 'islamic_new_year').length === 1, '2025 contains one Islamic New Year');
+
+  // Localized names and offsets
+  const urdu = events.getEventsForHijriYear(1446, { language: 'ur' }).find(event => event.key === 'eid_al_fitr');
+  check(urdu.name === 'عید الفطر', `Urdu name: ${urdu.name}`);
+  check(events.resolveLanguage('hinglish') === 'english' && events.resolveLanguage('xx') === null, 'Language resolution');
+  const later = events.getEventsForHijriYear(1446, { offset: -1 }).find(event => event.key === 'ramadan');
+  check(iso(later.start) === '2025-03-02', 'Offset -1 moves Ramadan to 2 March');
+
+  // Chat questions
+  check(events.isEventDateQuery('When is Ramadan?'), 'English Ramadan question');
+  check(events.isEventDateQuery('Eid kab hai?'), 'Hinglish Eid question');
+  check(events.isEventDateQuery('رمضان کب شروع ہوگا'), 'Urdu Ramadan question');
+  check(!events.isEventDateQuery('What breaks the fast in Ramadan?'), 'Fiqh question is not a date question');
+  check(!events.isEventDateQuery('Any update on my Ramadan fasting plan?'), "'date' inside 'update' is not a date question");
+  check(!events.isEventDateQuery('How do I start preparing for Hajj?'), 'Starting to prepare for Hajj is not a date question');
+  check(!events.isEventDateQuery('When should I perform hajj if I have debts?'), 'A Hajj rulings question is not a date question');
+  check(!events.isEventDateQuery('When did the Israelites leave Egypt?'), "'isra' inside 'Israelites' is not an event");
+  check(events.isEventDateQuery('What are the Hajj dates this year?'), 'Hajj dates question');
+  check(events.isEventDateQuery('রমজান কবে শুরু হবে?'), 'Bengali Ramadan question');
+  check(events.isEventDateQuery('Eid-ul-Fitr date?'), 'Hyphenated Eid name');
+  const answer = events.answerEventQuery('Eid kab hai?', { today });
+  check(answer.length === 2 && iso(answer[0].start) === '2025-06-06', 'Next Eid after 15 April 2025 is Eid al-Adha');
+  check(events.buildEventContext(answer, today).includes('Eid al-Adha: 2025-06-06'), 'Prompt lists the event date');
+
+  // Chat answers use the user's Hijri offset and local date
+  const processor = new InternetDataProcessor();
+  const ask = (context) => processor.getIslamicEventDates('When is Ramadan?', context).data[0];
+  const own = ask({ locationInfo: { timezone: 'Asia/Karachi' } });
+  const shifted = ask({ locationInfo: { timezone: 'Asia/Karachi' }, hijriOffset: -1 });
+  check(shifted.start - own.start === 86400000, `Offset -1 moves the chat answer a day later, got ${iso(own.start)} and ${iso(shifted.start)}`);
+
+  finish();
+}
+
+testIslamicEvents();
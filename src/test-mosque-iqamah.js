@@ -0,0 +1,90 @@
+/**
+ * Test script for mosque iqamah schedules: validation, resolving a day's jama'ah times and verification
+ * Run with: node src/test-mosque-iqamah.js
+ */
+import worker from './index.js';
+import { MosqueManager } from './mosque-manager.js';
+import { check, finish } from './testing/helpers.js';
+
+function throws(fn, pattern, message) {
+  try {
+    fn();
+    check(false, `${message}: expected an error`);
+  } catch (e) {
+    check(pattern.test(e.message), `${message}: got "${e.message}"`);
+  }
+}
+
+async function testMosqueIqamah() {
+  console.log('Testing mosque iqamah schedules...\n');
+  const mosques = new MosqueManager(null, {});
+
+  // Mosque validation
+  const fields = mosques.validateMosque({ name: ' East London Mosque ', lat: '51.5175', lng: '-0.0652', timezone: 'Europe/London', country_code: 'gb', method: 'moonsighting committee', asr_school: 'hanafi' });
+  check(fields.name === 'East London Mosque' && fields.lat === 51.5175 && fields.countryCode === 'GB', 'Mosque fields are normalized');
+  check(fields.method === 'MoonsightingCommittee' && fields.asrSchool === 'hanafi', `Method and Asr school resolved, got ${fields.method}/${fields.asrSchool}`);
+  throws(() => mosques.validateMosque({ name: 'X', lat: 10, lng: 10 }), /timezone/, 'Timezone is required');
+  throws(() => mosques.validateMosque({ name: 'X', lat: 10, lng: 10, timezone: 'Mars/Olympus' }), /Unknown timezone/, 'Unknown timezone');
+  throws(() => mosques.validateMosque({ name: 'X', lat: 95, lng: 10, timezone: 'UTC' }), /lat/, 'Latitude out of range');
+  check(JSON.stringify(mosques.validateMosque({ city: 'London' }, true)) === JSON.stringify({ city: 'London' }), 'Partial updates only return given fields');
+
+  // Schedule validation
+  const fixed = mosques.validateSchedule({ prayer: 'Fajr', mode: 'fixed', time: '6:30' });
+  check(fixed.prayer === 'fajr' && fixed.time === '06:30' && fixed.minutesAfter === null, 'Fixed entries store HH:MM');
+  throws(() => mosques.validateSchedule({ prayer: 'fajr', mode: 'fixed', time: '25:00' }), /HH:MM/, 'Invalid fixed time');
+  throws(() => mosques.validateSchedule({ prayer: 'fajr', mode: 'after_adhan', minutes_after: 300 }), /minutes_after/, 'Too many minutes after adhan');
+  throws(() => mosques.validateSchedule({ prayer: 'tahajjud', mode: 'fixed', time: '03:00' }), /prayer must be/, 'Unknown prayer');
+  throws(() => mosques.validateSchedule({ prayer: 'isha', mode: 'fixed', time: '20:00', start_date: '2026-03-01', end_date: '2026-02-01' }), /end_date/, 'Reversed date range');
+  check(mosques.validateSchedule({ prayer: 'jumuah', mode: 'fixed', time: '13:30', slot: 2 }).slot === 2, 'Jumu\'ah slots are kept');
+  const updated = mosques.validateSchedule({ minutes_after: 15, mode: 'after_adhan' }, { ...fixed, label: 'Winter' });
+  check(updated.prayer === 'fajr' && updated.minutesAfter === 15 && updated.time === null && updated.label === 'Winter', 'Updates merge with the existing entry');
+
+  // Resolving a day: the narrowest date range wins, after_adhan follows the calculated adhan
+  const mosque = { id: 'm1', name: 'East London Mosque', lat: 51.5175, lng: -0.0652, timezone: 'Europe/London', countryCode: 'GB', method: 'MWL', asrSchool: 'standard' };
+  const schedules = [
+    { id: 's1', prayer: 'fajr', mode: 'fixed', time: '06:30', startDate: null, endDate: null, slot: 1 },
+    { id: 's2', prayer: 'fajr', mode: 'fixed', time: '05:45', startDate: '2026-03-01', endDate: '2026-03-31', slot: 1, label: 'Ramadan' },
+    { id: 's3', prayer: 'dhuhr', mode: 'after_adhan', minutesAfter: 20, startDate: null, endDate: null, slot: 1 },
+    { id: 's4', prayer: 'maghrib', mode: 'after_adhan', minutesAfter: 5, startDate: '2026-01-01', endDate: null, slot: 1 },
+    { id: 's5', prayer: 'jumuah', mode: 'fixed', time: '13:15', startDate: null, endDate: null, slot: 1, label: 'First' },
+    { id: 's6', prayer: 'jumuah', mode: 'after_adhan', minutesAfter: 75, startDate: null, endDate: null, slot: 2, label: 'Second' },
+    { id: 's7', prayer: 'isha', mode: 'fixed', time: '20:00', startDate: '2025-01-01', endDate: '2025-12-31', slot: 1 }
+  ];
+
+  const ramadanFriday = mosques.resolveIqamah(mosque, schedules, '2026-03-06');
+  console.log(`2026-03-06: ${JSON.stringify(ramadanFriday.iqamah)} jumuah ${JSON.stringify(ramadanFriday.jumuah.map(j => j.time))}`);
+  check(ramadanFriday.weekday === 'Friday' && ramadanFriday.isJumuah, '6 March 2026 is a Friday');
+  check(ramadanFriday.iqamah.fajr.time === '05:45' && ramadanFriday.iqamah.fajr.label === 'Ramadan', 'The Ramadan range overrides the all-year Fajr');
+  check(ramadanFriday.iqamah.dhuhr.time === mosques._addMinutes(ramadanFriday.adhan.dhuhr, 20), 'Dhuhr iqamah is 20 minutes after the adhan');
+  check(ramadanFriday.iqamah.maghrib.time === mosques._addMinutes(ramadanFriday.adhan.maghrib, 5), 'Maghrib iqamah is 5 minutes after the adhan');
+  check(ramadanFriday.iqamah.asr === null && ramadanFriday.iqamah.isha === null, 'Unpublished and expired entries are null');
+  check(ramadanFriday.jumuah.length === 2 && ramadanFriday.jumuah[0].time === '13:15', 'Both Jumu\'ah slots in slot order');
+  check(ramadanFriday.jumuah[1].time === mosques._addMinutes(ramadanFriday.adhan.dhuhr, 75), 'Jumu\'ah after adhan counts from Dhuhr');
+
+  const ordinaryDay = mosques.resolveIqamah(mosque, schedules, '2026-04-07');
+  check(ordinaryDay.iqamah.fajr.time === '06:30' && !ordinaryDay.isJumuah && ordinaryDay.jumuah.length === 0, 'Outside Ramadan the default Fajr applies and there is no Jumu\'ah');
+
+  // Minutes after adhan wrap past midnight
+  check(mosques._addMinutes('23:50', 20) === '00:10', 'Iqamah after midnight wraps');
+
+  // Moderators are the user ids listed in MOSQUE_MODERATORS, whatever email the account claims
+  const moderated = new MosqueManager(null, { MOSQUE_MODERATORS: 'user-1, user-3' });
+  check(moderated.isModerator('user-1') && moderated.isModerator('user-3') && !moderated.isModerator('user-2'), 'Listed user id is a moderator');
+  check(!moderated.isModerator('moderator@example.org') && !moderated.isModerator(''), 'Emails and empty ids are not moderators');
+  check(!new MosqueManager(null, {}).isModerator('user-1'), 'Nobody moderates without MOSQUE_MODERATORS');
+
+  // Chat marks times from an unverified mosque
+  const unverified = worker._buildIqamahContext(mosque, ordinaryDay);
+  const verified = worker._buildIqamahContext({ ...mosque, verifiedAt: '2026-01-01T00:00:00Z' }, ordinaryDay);
+  check(/NOT verified/.test(unverified) && /confirm them with the mosque/.test(unverified), 'Unverified times come with a warning');
+  check(/use these exact times/.test(verified) && !/not been verified/.test(verified), 'Verified times are given as published');
+
+  // Mosque words only mean a prayer-time question together with a time word
+  check(!worker._isPrayerTimeQuery('Tell me the history of the Prophet\'s Mosque'), 'Mosque history is not a prayer-time query');
+  check(!worker._isPrayerTimeQuery('Who built the Umayyad masjid in Damascus?'), 'Masjid architecture is not a prayer-time query');
+  check(worker._isPrayerTimeQuery('What are the mosque times today?') && worker._isPrayerTimeQuery('masjid timings please'), 'Mosque with a time word');
+
+  finish();
+}
+
+testMosqueIqamah();
@@ -0,0 +1,100 @@
+/**
+ * Accuracy of calculatePrayerTimes against timetables published by the authorities, in fixtures/published-timetables:
+ * Umm al-Qura for Makkah, ISNA for New York, the Karachi method for Lahore and Diyanet for Istanbul.
+ * Times are compared as published, without offsets; any time more than a minute off fails, and so does a missing timetable.
+ * Each fixture is JSON: { title, publisher, source_url, retrieved (YYYY-MM-DD), city, lat, lng, timezone, method,
+ * asr, days: [{ date, fajr, sunrise, dhuhr, asr, maghrib, isha }] }, the times copied from the publisher's page
+ * Run with: node src/test-prayer-accuracy.js
+ */
+import { existsSync, readFileSync, readdirSync } from 'fs';
+import { LocationPrayerService } from './location-prayer-service.js';
+import { check, finish } from './testing/helpers.js';
+
+const PRAYERS = ['fajr', 'sunrise', 'dhuhr', 'asr', 'maghrib', 'isha'];
+const TOLERANCE_MINUTES = 1;
+const FIXTURE_DIR = new URL('./fixtures/published-timetables/', import.meta.url);
+// The timetables the suite needs, by method
+const REQUIRED_METHODS = ['Makkah', 'ISNA', 'Karachi', 'Diyanet'];
+
+function minutes(time) {
+  const [h, m] = time.split(':').map(Number);
+  return h * 60 + m;
+}
+
+/**
+ * Signed difference in minutes, taking the shorter way round midnight
+ */
+function deviation(computed, reference) {
+  const diff = minutes(computed) - minutes(reference);
+  return ((diff + 720) % 1440 + 1440) % 1440 - 720;
+}
+
+function loadFixtures() {
+  if (!existsSync(FIXTURE_DIR)) return [];
+  return readdirSync(FIXTURE_DIR)
+    .filter(name => name.endsWith('.json'))
+    .sort()
+    .map(name => ({ file: name, ...JSON.parse(readFileSync(new URL(name, FIXTURE_DIR), 'utf8')) }));
+}
+
+async function testPrayerAccuracy() {
+  console.log('Checking prayer times against published timetables...\n');
+  const service = new LocationPrayerService();
+  const fixtures = loadFixtures();
+
+  const rows = [];
+  for (const fixture of fixtures) {
+    check(fixture.publisher && /^https?:\/\//.test(fixture.source_url || '') && /^\d{4}-\d{2}-\d{2}$/.test(fixture.retrieved || ''),
+      `${fixture.file}: publisher, source_url and retrieved are required`);
+    check(!('differences' in fixture), `${fixture.file}: published times are compared as published, without offsets`);
+    const method = service.resolveMethodKey(fixture.method);
+    check(method && method !== service.customMethodKey, `${fixture.file}: unknown method ${fixture.method}`);
+    if (!method) continue;
+
+    const location = { city: fixture.city, lat: fixture.lat, lng: fixture.lng, timezone: fixture.timezone };
+    const maxDeviation = Object.fromEntries(PRAYERS.map(prayer => [prayer, 0]));
+    let compared = 0;
+    let exact = 0;
+    for (const day of fixture.days || []) {
+      const result = service.calculatePrayerTimes(location, new Date(`${day.date}T00:00:00Z`), null, method, fixture.asr || 'standard');
+      for (const prayer of PRAYERS) {
+        if (!day[prayer]) continue;
+        const diff = deviation(result.times[prayer], day[prayer]);
+        compared++;
+        if (diff === 0) exact++;
+        if (Math.abs(diff) > Math.abs(maxDeviation[prayer])) maxDeviation[prayer] = diff;
+        check(Math.abs(diff) <= TOLERANCE_MINUTES,
+          `${fixture.title} ${day.date} ${prayer}: ${result.times[prayer]} vs published ${day[prayer]} (${diff > 0 ? '+' : ''}${diff} min)`);
+      }
+    }
+    check(compared > 0, `${fixture.file}: no times to compare`);
+    rows.push({ fixture, method, days: (fixture.days || []).length, compared, exact, maxDeviation });
+  }
+
+  for (const method of REQUIRED_METHODS) {
+    check(rows.some(row => row.method === method), `No published ${method} timetable in src/fixtures/published-timetables/`);
+  }
+
+  // Per-timetable summary: worst signed deviation of each prayer and the share of exact minutes
+  const header = ['Timetable', 'Method', 'Days', ...PRAYERS.map(p => p[0].toUpperCase() + p.slice(1)), 'Exact'];
+  const table = rows.map(row => [
+    row.fixture.title,
+    row.method,
+    String(row.days),
+    ...PRAYERS.map(prayer => {
+      const value = row.maxDeviation[prayer];
+      return value > 0 ? `+${value}` : String(value);
+    }),
+    `${row.compared ? Math.round(row.exact / row.compared * 100) : 0}%`
+  ]);
+  const widths = header.map((title, i) => Math.max(title.length, ...table.map(cells => cells[i].length)));
+  const format = (cells) => cells.map((cell, i) => i < 2 ? cell.padEnd(widths[i]) : cell.padStart(widths[i])).join('  ');
+  console.log(format(header));
+  console.log(widths.map(width => '-'.repeat(width)).join('  '));
+  for (const cells of table) console.log(format(cells));
+  console.log(`\nWorst deviation per prayer in minutes (tolerance ±${TOLERANCE_MINUTES}); Exact = share of times matching to the minute`);
+
+  finish();
+}
+
+testPrayerAccuracy();
@@ -0,0 +1,103 @@
+/**
+ * Test script for the iCalendar prayer-time feed: events, reminders, VTIMEZONE and personal feed tokens
+ * Run with: node src/test-prayer-calendar.js
+ */
+import worker from './index.js';
+import { LocationPrayerService } from './location-prayer-service.js';
+import { PrayerTimetable } from './prayer-timetable.js';
+import { PrayerCalendar } from './prayer-calendar.js';
+import { D1MemoryManager } from './d1-memory-manager.js';
+import { check, finish } from './testing/helpers.js';
+
+/**
+ * Just enough of a D1 binding for calendar_subscriptions; every other query finds nothing
+ */
+function createSubscriptionDB() {
+  const rows = new Map();
+  return {
+    rows,
+    prepare(sql) {
+      return {
+        bind(...args) {
+          return {
+            async run() {
+              if (sql.startsWith('INSERT INTO calendar_subscriptions')) rows.set(args[0], { user_id: args[1], settings_json: args[2] });
+              if (sql.startsWith('DELETE FROM calendar_subscriptions')) {
+                for (const [token, row] of rows) if (row.user_id === args[0]) rows.delete(token);
+              }
+              return { success: true };
+            },
+            async first() {
+              return sql.startsWith('SELECT user_id, settings_json FROM calendar_subscriptions') ? rows.get(args[0]) || null : null;
+            },
+            async all() {
+              return { results: [] };
+            }
+          };
+        }
+      };
+    }
+  };
+}
+
+async function testPrayerCalendar() {
+  console.log('Testing prayer calendar feed...\n');
+  const service = new LocationPrayerService();
+  const calendar = new PrayerCalendar(service);
+  const timetable = new PrayerTimetable(service);
+
+  // Options
+  check(calendar.parsePrayers(null).join(',') === 'fajr,dhuhr,asr,maghrib,isha', 'Five prayers by default');
+  check(calendar.parsePrayers('Fajr, maghrib,fajr').join(',') === 'fajr,maghrib', 'Prayer list normalized');
+  check(calendar.parsePrayers('fajr,tahajjud') === null, 'Unknown prayer rejected');
+  check(calendar.parseAlarms('none').length === 0 && calendar.parseAlarms('15,0,15').join(',') === '15,0', 'Alarm list');
+  check(calendar.parseAlarms('-5') === null && calendar.parseAlarms('abc') === null, 'Invalid alarms rejected');
+
+  // Across the UK clocks going forward: events in local time, both offsets in the VTIMEZONE
+  const london = service.findCity('London');
+  const table = timetable.generate(london, new Date('2026-03-28T00:00:00Z'), new Date('2026-03-30T00:00:00Z'), { method: 'MWL' });
+  const ics = calendar.buildICS(table, { prayers: ['fajr', 'maghrib'], alarms: [10], now: new Date('2026-03-01T00:00:00Z') });
+  const lines = ics.split('\r\n');
+  check(ics.endsWith('END:VCALENDAR\r\n') && !/[^\r]\n/.test(ics), 'CRLF line endings');
+  check(lines.every(line => new TextEncoder().encode(line).length <= 75), 'Lines folded at 75 octets');
+  check(lines.filter(line => line === 'BEGIN:VEVENT').length === 6, 'Two events a day for three days');
+  check(ics.includes('TZOFFSETFROM:+0000\r\nTZOFFSETTO:+0100') && ics.includes('BEGIN:DAYLIGHT\r\nDTSTART:20260329T010000'), 'Daylight saving transition at 01:00 local');
+  const maghrib = table.rows[2].times.maghrib.replace(':', '');
+  check(ics.includes(`DTSTART;TZID=Europe/London:20260330T${maghrib}00`), `Maghrib at local ${table.rows[2].times.maghrib}`);
+  check(ics.includes('TRIGGER:-PT10M') && ics.includes('DESCRIPTION:Maghrib in 10 minutes'), 'Reminder ten minutes before');
+  check(ics.includes('UID:2026-03-29-fajr-51.507_-0.128_MWL@islamicai'), 'Stable UIDs');
+
+  // Isha past midnight at high latitudes belongs to the next calendar day
+  const row = { date: '2026-06-20', times: { dhuhr: '13:02', isha: '00:40', fajr: '23:50' } };
+  check(calendar.eventDate(row, 'isha', '00:40').toISOString() === '2026-06-21T00:40:00.000Z', 'Isha after midnight moves to the next day');
+  check(calendar.eventDate(row, 'fajr', '23:50').toISOString() === '2026-06-19T23:50:00.000Z', 'Fajr before midnight moves to the day before');
+
+  // Public feed: cacheable when the location is given
+  const origin = 'https://islamicai.example';
+  const feed = await worker._handlePrayerCalendar(new Request(`${origin}/prayer-times/calendar.ics?city=Karachi&days=2&alarm=5`), {}, origin);
+  const feedText = await feed.text();
+  check(feed.status === 200 && feed.headers.get('Content-Type').startsWith('text/calendar') && feedText.includes('TZID:Asia/Karachi'), 'Feed for a city');
+  check(feed.headers.get('Cache-Control') === 'public, max-age=3600', `Public feed is cacheable, got ${feed.headers.get('Cache-Control')}`);
+  const invalid = await worker._handlePrayerCalendar(new Request(`${origin}/prayer-times/calendar.ics?city=Karachi&prayers=witr`), {}, origin);
+  check(invalid.status === 400, 'Unknown prayer is a bad request');
+
+  // Personal feed: the token replays saved settings, stays private and stops working once revoked
+  const db = createSubscriptionDB();
+  const env = { D1_DB: db, ENCRYPTION_SECRET: 'test-secret' };
+  const userId = '0f8fad5b-d9cb-469f-a165-70867728950e';
+  const d1 = new D1MemoryManager(db, env);
+  const token = await d1.createCalendarSubscription(userId, { city: 'Istanbul', lat: 41.0082, lng: 28.9784, timezone: 'Europe/Istanbul', method: 'Diyanet', prayers: 'fajr', alarm: 'none', days: 3 });
+  check(/^[0-9a-f]{48}$/.test(token) && !db.rows.get(token).settings_json.includes('Istanbul'), 'Token created with encrypted settings');
+  const personal = await worker._handlePrayerCalendar(new Request(`${origin}/prayer-times/calendar.ics?token=${token}`), env, origin);
+  const personalText = await personal.text();
+  check(personal.status === 200 && (personalText.match(/BEGIN:VEVENT/g) || []).length === 3 && !personalText.includes('BEGIN:VALARM'), 'Saved prayers, days and alarms');
+  check(personalText.includes('TZID:Europe/Istanbul') && personalText.includes('Diyanet'), 'Saved location and method');
+  check(personal.headers.get('Cache-Control') === 'private, max-age=3600', 'Personal feed is private');
+  await d1.deleteCalendarSubscriptions(userId);
+  const revoked = await worker._handlePrayerCalendar(new Request(`${origin}/prayer-times/calendar.ics?token=${token}`), env, origin);
+  check(revoked.status === 404, 'Revoked token is unknown');
+
+  finish();
+}
+
+testPrayerCalendar();
@@ -0,0 +1,177 @@
+/**
+ * Test script for prayer time providers: timesprayer parser fixtures, KV caching, mosque tables, JSON feeds and cross-validation
+ * Run with: node src/test-prayer-providers.js
+ */
+import { readFileSync } from 'fs';
+import { LocationPrayerService } from './location-prayer-service.js';
+import { TimesPrayerProvider, MosqueTableProvider, JsonFeedProvider, PrayerProviderRegistry } from './prayer-providers.js';
+import { MosqueManager } from './mosque-manager.js';
+import { check, finish, MemoryKV } from './testing/helpers.js';
+
+function fixture(name) {
+  return readFileSync(new URL(`./fixtures/timesprayer/${name}.html`, import.meta.url), 'utf8');
+}
+
+/**
+ * fetch stand-in serving fixture pages by city slug
+ * @param {Object} pages - HTML by slug
+ * @param {Array} requests - Receives every requested URL (optional)
+ */
+function fixtureFetch(pages, requests = []) {
+  return async (url) => {
+    requests.push(url);
+    const slug = url.match(/prayer-times-in-(.+)\.html$/)[1];
+    return pages[slug] ? new Response(pages[slug], { status: 200 }) : new Response('Not found', { status: 404 });
+  };
+}
+
+const day = new Date(Date.UTC(2025, 9, 19));
+
+async function testPrayerProviders() {
+  console.log('Testing prayer time providers...\n');
+  const service = new LocationPrayerService();
+  const kolkata = service.findCity('kolkata');
+
+  // Hand-written pages in the layouts the parser handles. They are not captures of timesprayer.com:
+  // pages saved from the live site still need to be added here before the parser can be said to match it
+  const parser = new TimesPrayerProvider();
+  const expected = {
+    kolkata: { date: '2025-10-19', times: { fajr: '04:17', sunrise: '05:33', dhuhr: '11:22', asr: '14:41', maghrib: '17:10', isha: '18:24' } },
+    dubai: { date: '2025-10-19', times: { fajr: '04:57', sunrise: '06:17', dhuhr: '12:04', asr: '15:22', maghrib: '17:51', isha: '19:21' } },
+    lahore: { date: '2025-10-19', times: { fajr: '04:46', sunrise: '06:09', dhuhr: '11:48', asr: '15:01', maghrib: '17:28', isha: '18:48' } }
+  };
+  for (const [name, want] of Object.entries(expected)) {
+    const parsed = parser.parse(fixture(name));
+    console.log(`${name}: ${JSON.stringify(parsed)}`);
+    check(JSON.stringify(parsed) === JSON.stringify(want), `${name}: parsed ${JSON.stringify(parsed)}`);
+  }
+  check(parser.parse(fixture('not-found')) === null, 'A page without times should not parse');
+
+  // Pages are only used for the day they show
+  const scraper = new TimesPrayerProvider({ fetch: fixtureFetch({ kolkata: fixture('kolkata') }) });
+  check((await scraper.getTimes(kolkata, day)).asr === '14:41', 'Scraper should return the page times for its date');
+  check(await scraper.getTimes(kolkata, new Date(Date.UTC(2025, 9, 20))) === null, 'Scraper should not reuse a page for another day');
+  check(!scraper.supports({ city: 'Nowhere' }), 'Unknown cities are not supported');
+
+  // Registry: scraped times within tolerance are used, otherwise the calculation answers
+  const calculated = service.calculatePrayerTimes(kolkata, day, service.getTimezoneOffset(kolkata.timezone, day), 'Karachi');
+  const registry = new PrayerProviderRegistry({ providers: [scraper] });
+  const accepted = await registry.resolve(kolkata, day, calculated, { countryCode: 'IN', usesDefaults: true });
+  console.log(`\nKolkata: ${accepted.source} (max deviation ${accepted.validation.maxDeviation} min)`);
+  check(accepted.source === 'timesprayer' && accepted.times.fajr === '04:17', 'Scraped times within tolerance should be used');
+  check(accepted.calculationMethod === 'Karachi', 'Calculated fields are kept');
+  check(accepted.extraTimes === null && accepted.forbiddenWindows === null, 'Extra times from the calculation are not mixed with scraped times');
+
+  // The service works the extra times out again from the scraped times
+  const withExtras = service._withExtraTimes(accepted);
+  console.log(`Extra times from scraped times: ${JSON.stringify(withExtras.extraTimes)}`);
+  check(withExtras.extraTimes.imsak === '04:07', `Imsak ten minutes before the scraped Fajr, got ${withExtras.extraTimes.imsak}`);
+  check(withExtras.extraTimes.ishraq === '05:48', `Ishraq after the scraped sunrise, got ${withExtras.extraTimes.ishraq}`);
+  check(withExtras.forbiddenWindows.find(w => w.name === 'sunset').end === '17:10', 'Sunset window ends at the scraped Maghrib');
+
+  const explicit = await registry.resolve(kolkata, day, calculated, { countryCode: 'IN', usesDefaults: false });
+  check(explicit.source === 'computed', 'Explicit settings should bypass published times');
+
+  const strict = await registry.resolve(kolkata, day, calculated, { countryCode: 'IN', usesDefaults: true, tolerance: 1 });
+  console.log(`Kolkata with 1 minute tolerance: ${strict.source}, rejected: ${JSON.stringify(strict.validation.rejected)}`);
+  check(strict.source === 'computed' && strict.validation.rejected[0].provider === 'timesprayer', 'Times outside the tolerance should be rejected');
+
+  const tampered = fixture('kolkata').replace('02:41 PM', '03:41 PM');
+  const badScraper = new TimesPrayerProvider({ fetch: fixtureFetch({ kolkata: tampered }) });
+  const badRegistry = new PrayerProviderRegistry({ providers: [badScraper] });
+  const rejected = await badRegistry.resolve(kolkata, day, calculated, { countryCode: 'IN', usesDefaults: true });
+  check(rejected.source === 'computed' && /asr/.test(rejected.validation.rejected[0].reason), 'An hour-late Asr should be rejected');
+
+  // Regions without a scraper go straight to the calculation
+  check(JSON.stringify(registry.getPriority('GB')) === JSON.stringify(['computed']), 'Default priority');
+  check(registry.getPriority('IN').indexOf('timesprayer') < registry.getPriority('IN').indexOf('computed'), 'India tries timesprayer first');
+
+  // With a KV namespace each city and date is fetched once, across service instances
+  const kv = new MemoryKV();
+  const requests = [];
+  const first = new TimesPrayerProvider({ cache: kv, fetch: fixtureFetch({ kolkata: fixture('kolkata') }, requests) });
+  const second = new TimesPrayerProvider({ cache: kv, fetch: fixtureFetch({ kolkata: fixture('kolkata') }, requests) });
+  check((await first.getTimes(kolkata, day)).fajr === '04:17' && (await second.getTimes(kolkata, day)).fajr === '04:17', 'Cached times');
+  check(requests.length === 1, `One fetch for the city and date, got ${requests.length}`);
+  check(kv.ttls.get('timesprayer:kolkata:2025-10-19') === 2 * 24 * 60 * 60, 'Times kept for two days');
+  // A failed lookup is remembered for an hour, so a down site is not hit on every message
+  const missing = new TimesPrayerProvider({ cache: kv, fetch: fixtureFetch({}, requests) });
+  check(await missing.getTimes(kolkata, new Date(Date.UTC(2025, 9, 21))) === null && await missing.getTimes(kolkata, new Date(Date.UTC(2025, 9, 21))) === null, 'No times');
+  check(requests.length === 2 && kv.ttls.get('timesprayer:kolkata:2025-10-21') === 60 * 60, 'Failed lookup cached for an hour');
+  const services = [new LocationPrayerService({ cache: kv }), new LocationPrayerService({ cache: kv })];
+  check(services.every(s => s.providers.get('timesprayer').cache === kv), 'The service hands its KV namespace to timesprayer');
+
+  // Mosque tables take priority near the mosque
+  const mosques = new MosqueTableProvider({
+    tables: [{
+      id: 'mosque-1', name: 'Nakhoda Masjid', lat: 22.5797, lng: 88.3516, radiusKm: 5,
+      csv: 'date,fajr,sunrise,dhuhr,asr,maghrib,isha\n2025-10-19,4:20,5:34,11:25,14:45,17:12,18:30\n'
+    }]
+  });
+  const withMosque = new PrayerProviderRegistry({ providers: [scraper, mosques] });
+  const local = await withMosque.resolve(kolkata, day, calculated, { countryCode: 'IN', usesDefaults: true });
+  check(local.source === 'mosque_table' && local.times.fajr === '04:20', `Mosque table should win near the mosque, got ${local.source}`);
+  const far = await withMosque.resolve({ ...kolkata, lat: 22.9, lng: 88.9 }, day, calculated, { countryCode: 'IN', usesDefaults: true });
+  check(far.source !== 'mosque_table', 'Mosque table should not apply far from the mosque');
+
+  // Uploaded timetables come from D1 through MosqueManager, only for verified mosques close enough
+  const uploaded = new MosqueManager(null, {}).validateTimetable({ csv: 'date,fajr,sunrise,dhuhr,asr,maghrib,isha\n2025-10-19,4:19,5:34,11:24,14:43,17:11,18:28\n' });
+  check(uploaded['2025-10-19'].fajr === '04:19', 'CSV timetable validated');
+  let timetableError = null;
+  try {
+    new MosqueManager(null, {}).validateTimetable({ days: { '2025-10-19': { fajr: '04:19' } } });
+  } catch (error) {
+    timetableError = error.message;
+  }
+  check(timetableError === '2025-10-19: sunrise must be HH:MM', `Incomplete day rejected, got ${timetableError}`);
+  const rows = [
+    { id: 'far', name: 'Far Masjid', lat: 22.65, lng: 88.36, timezone: 'Asia/Kolkata', verified_at: '2025-01-01', ...uploaded['2025-10-19'], fajr: '04:30' },
+    { id: 'near', name: 'Near Masjid', lat: 22.575, lng: 88.365, timezone: 'Asia/Kolkata', verified_at: '2025-01-01', ...uploaded['2025-10-19'] }
+  ];
+  const queries = [];
+  const timetableDB = {
+    prepare: (sql) => ({ bind: (...args) => ({ all: async () => { queries.push({ sql, args }); return { results: rows }; } }) })
+  };
+  const store = new MosqueManager(timetableDB, {});
+  const fromStore = new PrayerProviderRegistry({ providers: [new MosqueTableProvider({ store })] });
+  const stored = await fromStore.resolve(kolkata, day, calculated, { countryCode: 'IN', usesDefaults: true });
+  check(stored.source === 'mosque_table' && stored.times.fajr === '04:19', `Nearest verified mosque's upload is used, got ${stored.source} ${stored.times.fajr}`);
+  check(/verified_at IS NOT NULL/.test(queries[0].sql) && queries[0].args[0] === '2025-10-19', 'Only verified mosques are looked up, for the requested date');
+  const defaultRegistry = new PrayerProviderRegistry({ mosques: store });
+  check(defaultRegistry.get('mosque_table').store === store && !defaultRegistry.get('json_feed'), 'The registry hands the mosque store to its mosque table provider');
+  check(JSON.stringify(defaultRegistry.getPriority('GB')) === JSON.stringify(['mosque_table', 'computed']), 'Mosque tables before the calculation everywhere');
+
+  // JSON feeds (Aladhan-style payload), registered for a region
+  const feed = new JsonFeedProvider({
+    name: 'aladhan',
+    label: 'Aladhan API',
+    urlTemplate: 'https://api.example.test/timings/{dd}-{mm}-{yyyy}?latitude={lat}&longitude={lng}',
+    fetch: async (url) => {
+      check(url === 'https://api.example.test/timings/19-10-2025?latitude=22.5726&longitude=88.3639', `Feed URL: ${url}`);
+      return new Response(JSON.stringify({
+        code: 200,
+        data: { timings: { Fajr: '04:18 (IST)', Sunrise: '05:34 (IST)', Dhuhr: '11:21 (IST)', Asr: '14:40 (IST)', Maghrib: '17:09 (IST)', Isha: '18:23 (IST)' } }
+      }), { status: 200 });
+    }
+  });
+  const feedRegistry = new PrayerProviderRegistry({ providers: [] });
+  feedRegistry.register(feed, ['IN']);
+  const fromFeed = await feedRegistry.resolve(kolkata, day, calculated, { countryCode: 'IN', usesDefaults: true });
+  check(fromFeed.source === 'aladhan' && fromFeed.times.fajr === '04:18' && fromFeed.sourceType === 'json_feed', `Feed times should be used, got ${fromFeed.source}`);
+  // Configured by URL template, the feed is tried after mosque tables and before timesprayer
+  const configured = new LocationPrayerService({ jsonFeedUrl: 'https://api.example.test/timings/{date}?latitude={lat}&longitude={lng}' }).providers;
+  check(configured.get('json_feed').urlTemplate.includes('{date}'), 'JSON feed registered from its URL template');
+  check(JSON.stringify(configured.getPriority('IN')) === JSON.stringify(['mosque_table', 'json_feed', 'timesprayer', 'computed']), `Priority with a feed, got ${configured.getPriority('IN')}`);
+
+  // Cross-validation wraps around midnight
+  const wrapped = registry.crossValidate(
+    { fajr: '00:02', sunrise: '03:00', dhuhr: '12:00', asr: '16:00', maghrib: '21:00', isha: '23:58' },
+    { fajr: '23:58', sunrise: '03:00', dhuhr: '12:00', asr: '16:00', maghrib: '21:00', isha: '00:02' },
+    10
+  );
+  check(wrapped.valid && wrapped.maxDeviation === 4, 'Times across midnight should be 4 minutes apart');
+
+  finish();
+}
+
+testPrayerProviders();
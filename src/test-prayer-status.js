@@ -0,0 +1,54 @@
+/**
+ * Test script for the current/next prayer status and countdown
+ * Run with: node src/test-prayer-status.js
+ */
+import { LocationPrayerService } from './location-prayer-service.js';
+import { PrayerStatus } from './prayer-status.js';
+import { check, finish } from './testing/helpers.js';
+
+async function testPrayerStatus() {
+  console.log('Testing prayer status...\n');
+  const service = new LocationPrayerService();
+  const status = new PrayerStatus(service);
+  const london = { city: 'London', lat: 51.5074, lng: -0.1278, timezone: 'Europe/London', countryCode: 'GB' };
+
+  // Local wall-clock times to instants and back
+  check(service.localTimeToInstant('Asia/Kolkata', '2026-10-19', '05:30') === Date.UTC(2026, 9, 19, 0, 0), 'IST is UTC+05:30');
+  check(service.formatInstantWithOffset(Date.UTC(2026, 9, 19, 0, 0), 'Asia/Kolkata') === '2026-10-19T05:30:00+05:30', 'ISO with +05:30');
+  check(service.formatInstantWithOffset(Date.UTC(2026, 0, 1, 12, 0), 'America/New_York') === '2026-01-01T07:00:00-05:00', 'ISO with -05:00');
+
+  // Afternoon: inside the Asr window, Maghrib next
+  const afternoon = await status.getStatus(london, new Date('2026-10-19T15:00:00Z'));
+  console.log(`London 16:00 BST: current ${afternoon.current.name}, next ${afternoon.next.name} at ${afternoon.next.at} (${afternoon.next.secondsRemaining}s)`);
+  check(afternoon.current.name === 'asr' && afternoon.current.endsWith === 'maghrib', 'Afternoon is in the Asr window');
+  check(afternoon.next.name === 'maghrib' && !afternoon.next.isTomorrow, 'Maghrib is next');
+  check(afternoon.next.at.endsWith('+01:00') && afternoon.now === '2026-10-19T16:00:00+01:00', 'Timestamps carry the BST offset');
+  const maghribAt = service.localTimeToInstant('Europe/London', '2026-10-19', afternoon.times.maghrib);
+  check(afternoon.next.secondsRemaining === (maghribAt - Date.parse('2026-10-19T15:00:00Z')) / 1000, 'Seconds remaining until Maghrib');
+
+  // Late evening rolls over to tomorrow's Fajr
+  const evening = await status.getStatus(london, new Date('2026-10-19T22:00:00Z'));
+  check(evening.current.name === 'isha' && evening.current.endsWith === 'fajr', 'Late evening is in the Isha window');
+  check(evening.next.name === 'fajr' && evening.next.isTomorrow && evening.next.date === '2026-10-20', `Next is tomorrow's Fajr, got ${JSON.stringify(evening.next)}`);
+
+  // After midnight the Isha window started yesterday and Fajr is today
+  const night = await status.getStatus(london, new Date('2026-10-20T01:00:00Z'));
+  check(night.current.name === 'isha' && night.current.start.startsWith('2026-10-19'), 'After midnight the window is yesterday\'s Isha');
+  check(night.next.name === 'fajr' && !night.next.isTomorrow, 'Fajr later the same date is not tomorrow');
+
+  // Between sunrise and Dhuhr no prayer is due; Friday Dhuhr is Jumu'ah
+  const morning = await status.getStatus(london, new Date('2026-10-23T08:00:00Z'));
+  check(morning.current.name === 'sunrise' && !morning.current.isPrayer, 'After sunrise is not a prayer window');
+  check(morning.next.name === 'dhuhr' && morning.next.isJumuah, 'Friday Dhuhr is flagged as Jumu\'ah');
+
+  // Clocks go back on 25 October 2026: Isha is in BST, the next Fajr in GMT
+  const transition = await status.getStatus(london, new Date('2026-10-25T00:30:00Z'));
+  check(transition.current.start.endsWith('+01:00') && transition.next.at.endsWith('+00:00'), `DST change overnight, got ${transition.current.start} -> ${transition.next.at}`);
+  check(transition.next.secondsRemaining === (service.localTimeToInstant('Europe/London', '2026-10-25', transition.next.time) - Date.parse('2026-10-25T00:30:00Z')) / 1000, 'Countdown spans the extra hour');
+
+  check(status.formatCountdown(30) === 'less than a minute' && status.formatCountdown(7500) === '2 h 05 min', 'Countdown text');
+
+  finish();
+}
+
+testPrayerStatus();
@@ -0,0 +1,90 @@
+/**
+ * Test script for monthly, Hijri-month and yearly prayer timetables and their CSV/JSON/HTML renderings
+ * Run with: node src/test-prayer-timetable.js
+ */
+import worker from './index.js';
+import { LocationPrayerService } from './location-prayer-service.js';
+import { PrayerTimetable } from './prayer-timetable.js';
+import { check, finish } from './testing/helpers.js';
+
+// Keep the endpoints off the network: timesprayer, tried first for Pakistan, finds no page and the computed times answer
+const requests = [];
+globalThis.fetch = async (url) => {
+  requests.push(String(url));
+  return new Response('Not found', { status: 404 });
+};
+
+async function testPrayerTimetable() {
+  console.log('Testing prayer timetables...\n');
+  const service = new LocationPrayerService();
+  const timetable = new PrayerTimetable(service);
+  const london = service.findCity('London');
+
+  // Periods
+  const february = timetable.getGregorianMonthRange(2026, 2);
+  check(february.start.toISOString().startsWith('2026-02-01') && february.end.toISOString().startsWith('2026-02-28') && february.label === 'February 2026', 'February 2026');
+  const year = timetable.getGregorianYearRange(2028);
+  check((year.end - year.start) / 86400000 + 1 === 366, 'Leap year has 366 days');
+  const ramadan = timetable.getHijriMonthRange(1447, 9);
+  console.log(`Ramadan 1447: ${ramadan.start.toISOString().split('T')[0]} – ${ramadan.end.toISOString().split('T')[0]}`);
+  check(ramadan.start.toISOString().startsWith('2026-02-18'), 'Ramadan 1447 starts on 18 February 2026 (Umm al-Qura)');
+  const shifted = timetable.getHijriMonthRange(1447, 9, 1);
+  check(ramadan.start - shifted.start === 86400000, 'A +1 Hijri offset puts the date a day ahead, so the month starts a day earlier');
+
+  // Rows: one per day in the country's method (Moonsighting Committee in the UK), the same times as calculatePrayerTimes, Fridays marked
+  const result = timetable.generate(london, february.start, february.end, { label: february.label });
+  check(result.rows.length === 28 && result.method === 'MoonsightingCommittee' && result.label === 'February 2026', `February rows, got ${result.rows.length}`);
+  const single = service.calculatePrayerTimes(london, new Date('2026-02-10T00:00:00Z'), null, 'MoonsightingCommittee');
+  check(JSON.stringify(result.rows[9].times) === JSON.stringify(single.times), 'Row times match calculatePrayerTimes');
+  check(result.rows.filter(row => row.isJumuah).map(row => row.date).join(',') === '2026-02-06,2026-02-13,2026-02-20,2026-02-27', 'Fridays are Jumu\'ah');
+  check(result.rows[17].hijri.month === 9 && result.rows[17].hijri.day === 1, `18 February is 1 Ramadan, got ${timetable.formatHijri(result.rows[17].hijri)}`);
+
+  // JSON
+  const json = timetable.toJSON(result);
+  check(json.title === 'February 2026' && json.days.length === 28 && json.days[5].jumuah === true, 'JSON days');
+  check(json.method_name === 'Moonsighting Committee Worldwide' && json.asr_school === 'standard' && json.parameters.adjustments_minutes.dhuhr === 5, 'JSON method and parameters');
+
+  // CSV: header plus one CRLF line per day
+  const csv = timetable.toCSV(result);
+  const lines = csv.trimEnd().split('\r\n');
+  check(lines[0] === 'date,weekday,hijri_date,jumuah,fajr,sunrise,dhuhr,asr,maghrib,isha', `CSV header, got ${lines[0]}`);
+  check(lines.length === 29 && lines[6].startsWith('2026-02-06,Friday,') && lines[6].includes(',yes,'), 'CSV rows');
+
+  // HTML: escaped place names, Jumu'ah rows highlighted
+  const html = timetable.toHTML(timetable.generate({ ...london, city: 'London <East>' }, february.start, february.start));
+  check(html.startsWith('<!DOCTYPE html>') && html.includes('London &lt;East&gt;') && !html.includes('<East>'), 'HTML escapes the place');
+  check((timetable.toHTML(result).match(/class="jumuah"/g) || []).length === 4, 'HTML marks the four Fridays');
+
+  // Endpoint: period selection and formats
+  const origin = 'https://islamicai.example';
+  const get = (query) => worker._handlePrayerTimetable(new Request(`${origin}/prayer-times/timetable?${query}`), {}, origin);
+  const yearly = await get('city=Lahore&year=2026');
+  const yearlyBody = await yearly.json();
+  check(yearly.status === 200 && yearlyBody.days.length === 365 && yearlyBody.method === 'Karachi', `Yearly timetable, got ${yearly.status}`);
+  const hijriMonth = await get('city=Lahore&hijri_year=1447&hijri_month=9&format=csv');
+  check(hijriMonth.headers.get('Content-Type').startsWith('text/csv') && /filename="prayer-timetable-2026-02-18\.csv"/.test(hijriMonth.headers.get('Content-Disposition')), 'Hijri month as CSV');
+  check(hijriMonth.headers.get('Cache-Control') === 'public, max-age=86400' && hijriMonth.headers.get('Vary') === 'Authorization', 'Location given explicitly is cacheable');
+  // A signed-in caller's madhhab and Hijri offset shape the answer, so shared caches must not keep it
+  const token = await worker.signToken('0f8fad5b-d9cb-469f-a165-70867728950e', {});
+  const signedIn = await worker._handlePrayerTimetable(new Request(`${origin}/prayer-times/timetable?city=Lahore&year=2026&month=3`, {
+    headers: { Authorization: `Bearer ${token}` }
+  }), {}, origin);
+  check(signedIn.headers.get('Cache-Control') === 'private, max-age=86400', `Signed-in timetable is private, got ${signedIn.headers.get('Cache-Control')}`);
+  const prayerTimes = await worker._handlePrayerTimes(new Request(`${origin}/prayer-times?city=Lahore&date=2026-03-01`, {
+    headers: { Authorization: `Bearer ${token}` }
+  }), {}, origin);
+  check(prayerTimes.headers.get('Cache-Control') === 'private, max-age=3600', `Signed-in prayer times are private, got ${prayerTimes.headers.get('Cache-Control')}`);
+  check(requests.length === 1 && requests[0].includes('timesprayer') && (await prayerTimes.json()).source === 'computed', 'Prayer times fall back to the computed provider without a timesprayer page');
+  const converted = await worker._handleHijriConvert(new Request(`${origin}/hijri/convert?date=2026-03-01`, {
+    headers: { Authorization: `Bearer ${token}` }
+  }), {}, origin);
+  check(converted.headers.get('Cache-Control') === 'private, max-age=86400', 'Hijri conversion with the user\'s offset is private');
+  const page = await get('city=Lahore&year=2026&month=3&format=html');
+  check(page.headers.get('Content-Type').startsWith('text/html') && (await page.text()).includes('March 2026'), 'Month as HTML');
+  check((await get('city=Lahore&hijri_year=1447')).status === 400, 'hijri_year needs hijri_month');
+  check((await get('city=Lahore&year=2026&month=13')).status === 400, 'Month out of range');
+
+  finish();
+}
+
+testPrayerTimetable();
@@ -0,0 +1,40 @@
+/**
+ * Test script for the Qibla bearing, distance and the at-the-Kaaba case
+ * Run with: node src/test-qibla.js
+ */
+import { LocationPrayerService } from './location-prayer-service.js';
+import { check, finish } from './testing/helpers.js';
+
+async function testQibla() {
+  console.log('Testing Qibla direction...\n');
+  const service = new LocationPrayerService();
+  const day = new Date('2026-10-19T00:00:00Z');
+
+  // Great-circle bearings from true north
+  const london = service.getQiblaDirection(service.findCity('London'));
+  console.log(`London: ${JSON.stringify(london)}`);
+  check(Math.abs(london.bearing - 119) < 0.5 && london.compass === 'ESE' && !london.atKaaba, `London bearing, got ${london.bearing}`);
+  check(Math.abs(london.distanceKm - 4790) < 20, `London distance, got ${london.distanceKm}`);
+  const jakarta = service.getQiblaDirection(service.findCity('Jakarta'));
+  check(Math.abs(jakarta.bearing - 295) < 0.5 && jakarta.compass === 'WNW', `Jakarta bearing, got ${jakarta.bearing}`);
+
+  // At the Kaaba the bearing is meaningless: no bearing, no sun-in-Qibla time
+  const kaaba = service.getQibla({ lat: service.kaaba.lat, lng: service.kaaba.lng, timezone: 'Asia/Riyadh' }, day);
+  console.log(`Kaaba: ${JSON.stringify({ bearing: kaaba.bearing, distanceKm: kaaba.distanceKm, atKaaba: kaaba.atKaaba })}`);
+  check(kaaba.atKaaba && kaaba.bearing === null && kaaba.compass === null && kaaba.distanceKm === 0, 'At the Kaaba');
+  check(kaaba.sunInQiblaDirection === null, 'No sun-in-Qibla time at the Kaaba');
+  // About 600 m away, in the Haram courtyard
+  const courtyard = service.getQiblaDirection({ lat: 21.4279, lng: 39.8262 });
+  check(courtyard.atKaaba && courtyard.distanceKm > 0.5 && courtyard.distanceKm < 1, `Within a kilometre, got ${courtyard.distanceKm} km`);
+  // Makkah's city entry is a few kilometres out, so it still has a bearing
+  const makkah = service.getQiblaDirection(service.findCity('Makkah'));
+  check(!makkah.atKaaba && makkah.compass === 'NW', `Makkah city centre, got ${JSON.stringify(makkah)}`);
+
+  // Just beyond a kilometre due north there is a bearing again, pointing back to the Kaaba (south)
+  const north = service.getQiblaDirection({ lat: 21.4335, lng: 39.8262 });
+  check(!north.atKaaba && north.distanceKm === 1 && north.compass === 'S', `Beyond a kilometre, got ${JSON.stringify(north)}`);
+
+  finish();
+}
+
+testQibla();
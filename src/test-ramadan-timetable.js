@@ -0,0 +1,81 @@
+/**
+ * Test script for the Ramadan timetable: Sehri/Iftar times, fasting duration and the JSON/CSV/ICS renderers
+ * Run with: node src/test-ramadan-timetable.js
+ */
+import { RamadanTimetable } from './ramadan-timetable.js';
+import { LocationPrayerService } from './location-prayer-service.js';
+import { check, finish } from './testing/helpers.js';
+
+function throws(fn, pattern, message) {
+  try {
+    fn();
+    check(false, `${message}: expected an error`);
+  } catch (e) {
+    check(pattern.test(e.message), `${message}: got "${e.message}"`);
+  }
+}
+
+function minutes(time) {
+  const [h, m] = time.split(':').map(Number);
+  return h * 60 + m;
+}
+
+async function testRamadanTimetable() {
+  console.log('Testing Ramadan timetable...\n');
+  const service = new LocationPrayerService();
+  const ramadan = new RamadanTimetable(service);
+  const toronto = service.findCity('Toronto');
+
+  // Ramadan 1447 runs from 18 February to 19 March 2026 (Umm al-Qura)
+  const timetable = ramadan.generate(toronto, 1447);
+  const first = timetable.rows[0];
+  const last = timetable.rows[timetable.rows.length - 1];
+  console.log(`Day 1: ${JSON.stringify({ ...first, times: undefined, hijri: undefined })}`);
+  check(timetable.rows.length === 30 && first.date === '2026-02-18' && last.date === '2026-03-19', `Month range, got ${first.date} – ${last.date}`);
+  check(first.day === 1 && first.hijri.day === 1 && last.day === 30 && last.isLastTen && !first.isLastTen, 'Day numbers and the last ten nights');
+  check(first.sehri === first.times.fajr && first.iftar === first.times.maghrib, 'Sehri ends at Fajr and Iftar is Maghrib by default');
+  check(first.fastingMinutes === minutes(first.iftar) - minutes(first.sehri), 'Fasting duration from Sehri to Iftar');
+
+  // Clocks go forward on 8 March: both ends of the fast are in daylight time and the duration stays continuous
+  const dstDay = timetable.rows.find(row => row.date === '2026-03-08');
+  const dayBefore = timetable.rows.find(row => row.date === '2026-03-07');
+  check(minutes(dstDay.sehri) - minutes(dayBefore.sehri) > 50, 'Sehri moves an hour later with DST');
+  check(Math.abs(dstDay.fastingMinutes - dayBefore.fastingMinutes) <= 3, `Fast length continuous across DST, got ${dayBefore.fastingMinutes} → ${dstDay.fastingMinutes}`);
+
+  // Imsak and precaution minutes move Sehri earlier and lengthen the fast
+  const careful = ramadan.generate(toronto, 1447, { sehriBasis: 'IMSAK', precautionMinutes: '5' });
+  check(careful.sehriBasis === 'imsak' && careful.precautionMinutes === 5, 'Options normalized');
+  check(minutes(careful.rows[0].times.fajr) - minutes(careful.rows[0].sehri) === 15, 'Imsak (10) plus 5 minutes before Fajr');
+  check(careful.rows[0].fastingMinutes === first.fastingMinutes + 15, 'Fast is 15 minutes longer');
+  throws(() => ramadan.generate(toronto, 1447, { sehriBasis: 'dawn' }), /sehri basis/, 'Unknown Sehri basis');
+  throws(() => ramadan.generate(toronto, 1447, { precautionMinutes: 31 }), /precaution/, 'Precaution out of range');
+
+  // The current Ramadan, or the next one once it has passed
+  check(ramadan.getRamadanYear(new Date('2026-03-01T00:00:00Z')) === 1447, 'Ramadan under way');
+  check(ramadan.getRamadanYear(new Date('2026-10-19T00:00:00Z')) === 1448, 'Next Ramadan after it has passed');
+
+  // Renderers
+  const json = ramadan.toJSON(careful);
+  check(json.title === 'Ramadan 1447 AH' && json.hijri_year === 1447 && json.sehri_basis === 'imsak' && json.days.length === 30, 'JSON header');
+  check(json.days[0].sehri_end === careful.rows[0].sehri && json.days[0].fasting_duration === ramadan.formatDuration(careful.rows[0].fastingMinutes), 'JSON day');
+  const csv = ramadan.toCSV(timetable).split('\r\n');
+  check(csv[0] === 'day,date,weekday,hijri_date,sehri_end,fajr,sunrise,iftar,isha,fasting_duration' && csv[1].startsWith('1,2026-02-18,Wednesday,1 Ramadan 1447,'), 'CSV rows');
+  const ics = ramadan.toICS(timetable, { alarms: [30], now: new Date('2026-01-01T00:00:00Z') });
+  check((ics.match(/BEGIN:VEVENT/g) || []).length === 60, 'Two events per day');
+  check(ics.includes('SUMMARY:Sehri ends') && ics.includes('SUMMARY:Iftar') && ics.includes('CATEGORIES:Ramadan'), 'Sehri and Iftar events');
+  check(ics.includes(`DTSTART;TZID=America/Toronto:20260218T${first.sehri.replace(':', '')}00`), 'Sehri event at the local time');
+  check(ics.includes('DESCRIPTION:Iftar in 30 minutes'), 'Reminder');
+
+  // Chat context during Ramadan only
+  const day = ramadan.getDay(toronto, new Date('2026-03-10T00:00:00Z'));
+  check(day && day.today.day === 21 && day.tomorrow.day === 22, 'Day lookup with tomorrow');
+  const context = ramadan.buildRamadanContext(day);
+  check(context.includes('Day 21 of 30') && context.includes(`Sehri ends: ${day.today.sehri}`) && context.includes('Laylat al-Qadr'), 'Prompt context');
+  check(ramadan.buildRamadanContext(ramadan.getDay(toronto, new Date('2026-03-19T00:00:00Z'))).includes('last fast'), 'Last day mentions Eid');
+  check(ramadan.getDay(toronto, new Date('2026-10-19T00:00:00Z')) === null, 'No context outside Ramadan');
+  check(ramadan.getDay(toronto, new Date('2026-02-17T00:00:00Z'), { hijriOffset: 1 }).today.day === 1, 'Hijri offset moves the first day');
+
+  finish();
+}
+
+testRamadanTimetable();
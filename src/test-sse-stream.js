@@ -0,0 +1,115 @@
+/**
+ * Test script for Server-Sent Events: event names and ids, the KV buffer and resuming with Last-Event-ID
+ * Run with: node src/test-sse-stream.js
+ */
+import { SSEStreamBuffer } from './sse-stream-buffer.js';
+import { GeminiAPI } from './gemini-api.js';
+import { check, finish, MemoryKV } from './testing/helpers.js';
+
+globalThis.fetch = async (url) => {
+  if (String(url).includes('streamGenerateContent')) {
+    const body = ['Tayammum is dry ablution ', 'with clean earth when water cannot be used.']
+      .map(text => `data: ${JSON.stringify({ candidates: [{ content: { parts: [{ text }] } }] })}\n\n`)
+      .join('');
+    return new Response(body, { headers: { 'content-type': 'text/event-stream' } });
+  }
+  return new Response('{}', { status: 500 });
+};
+
+const { default: worker } = await import('./index.js');
+
+function streamOf(chunks) {
+  const encoder = new TextEncoder();
+  return new ReadableStream({
+    start(controller) {
+      chunks.forEach(chunk => controller.enqueue(encoder.encode(chunk)));
+      controller.close();
+    }
+  });
+}
+
+async function testSSEStream() {
+  console.log('Testing Server-Sent Events and resumable streams...\n');
+  const gemini = new GeminiAPI(['test-key']);
+  const buffer = new SSEStreamBuffer(null);
+
+  // Frame format
+  const frame = gemini.createStreamingChunk({ type: 'content', content: 'Salam' }, 3);
+  check(frame === 'id: 3\nevent: content\ndata: {"type":"content","content":"Salam"}\n\n', `SSE frame, got ${JSON.stringify(frame)}`);
+  const parsed = buffer.parseEvents(`${frame}: keep-alive\n\nid: 4\r\nevent: end\r\ndata: {}\r\n\r\nid: 5\nevent: con`);
+  check(parsed.events.length === 2 && parsed.events[0].id === '3' && parsed.events[1].event === 'end' && parsed.rest === 'id: 5\nevent: con', 'Parsing skips comments and keeps the unfinished tail');
+  check(buffer.formatEvent(parsed.events[0]) === frame, 'Parsed events format back to the same frame');
+
+  // A chat response: named events with increasing ids, buffered under the stream id
+  const kv = new MemoryKV();
+  const pending = [];
+  const response = await worker.fetch(new Request('http://localhost/api/stream', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ message: 'What is tayammum?', session_id: 'sse-session' })
+  }), { GEMINI_API_KEY: 'test-key', CHAT_SESSIONS: kv, DEFAULT_STREAMING_ENABLED: 'true' }, { waitUntil(promise) { pending.push(promise); } });
+  const streamId = response.headers.get('X-Stream-Id');
+  const events = buffer.parseEvents(await response.text()).events;
+  await Promise.all(pending);
+  console.log(`Events: ${events.map(event => `${event.id}:${event.event}`).join(' ')}`);
+  check(Boolean(streamId) && response.headers.get('Access-Control-Expose-Headers').includes('X-Stream-Id'), 'Stream id header');
+  check(events.map(event => Number(event.id)).every((id, i) => id === i + 1), 'Ids count up from 1');
+  check(events[0].event === 'start' && JSON.parse(events[0].data).metadata.stream_id === streamId, 'Start event carries the stream id');
+  check(events.some(event => event.event === 'content') && events.some(event => event.event === 'metadata'), 'Content and metadata events');
+  check(events[events.length - 1].event === 'end', 'Ends with an end event');
+
+  const saved = JSON.parse(kv.values.get(`sse:${streamId}`));
+  const write = kv.writes.find(entry => entry.key === `sse:${streamId}`);
+  check(saved.done && saved.sessionId === 'sse-session' && saved.events.length === events.length, 'All events buffered in KV');
+  check(write.options.expirationTtl === 300, 'Buffer expires after five minutes');
+
+  // Reconnecting with Last-Event-ID replays only what was missed
+  const resume = (headers, query = `stream_id=${streamId}&session_id=sse-session`) =>
+    worker.fetch(new Request(`http://localhost/api/stream/resume?${query}`, { headers }), { CHAT_SESSIONS: kv }, { waitUntil() {} });
+  const resumed = await resume({ 'Last-Event-ID': '2' });
+  const replayed = buffer.parseEvents(await resumed.text()).events;
+  check(resumed.status === 200 && resumed.headers.get('Content-Type') === 'text/event-stream', 'Resume is an event stream');
+  check(replayed.length === events.length - 2 && replayed[0].id === '3' && replayed[replayed.length - 1].event === 'end', 'Events after id 2 replayed');
+  const fromQuery = await resume({}, `stream_id=${streamId}&session_id=sse-session&last_event_id=${events.length}`);
+  check(buffer.parseEvents(await fromQuery.text()).events.length === 0, 'Nothing to replay after the last event');
+  check((await resume({}, `stream_id=${streamId}&session_id=other-session`)).status === 404, 'Another session cannot resume the stream');
+  check((await resume({}, 'stream_id=unknown&session_id=sse-session')).status === 404, 'Unknown stream');
+  check((await resume({ 'Last-Event-ID': 'abc' })).status === 400, 'Invalid Last-Event-ID');
+  check((await resume({}, 'session_id=sse-session')).status === 400, 'stream_id is required');
+
+  // Resuming mid-answer follows the buffer until the generation finishes
+  const liveKV = new MemoryKV();
+  const live = new SSEStreamBuffer(liveKV, { flushIntervalMs: 0, pollIntervalMs: 10 });
+  const chunks = ['start', 'First part. ', 'Second part.', 'end'].map((content, i) => gemini.createStreamingChunk(
+    ['start', 'end'].includes(content) ? { type: content, content: '' } : { type: 'content', content }, i + 1));
+  let release;
+  const gate = new Promise(resolve => { release = resolve; });
+  const generation = new ReadableStream({
+    async start(controller) {
+      const encoder = new TextEncoder();
+      controller.enqueue(encoder.encode(chunks[0] + chunks[1]));
+      await gate;
+      controller.enqueue(encoder.encode(chunks[2] + chunks[3]));
+      controller.close();
+    }
+  });
+  const capturing = live.capture(generation, { streamId: 'live', sessionId: 's' });
+  while (!liveKV.values.has('sse:live')) await new Promise(resolve => setTimeout(resolve, 5));
+  const partial = await live.load('live');
+  check(!partial.done && partial.events.length === 2, 'Partial answer saved while generating');
+  const follow = new Response(live.resume('live', 1, partial)).text();
+  setTimeout(release, 30);
+  await capturing;
+  const followed = buffer.parseEvents(await follow).events;
+  check(followed.map(event => event.id).join(',') === '2,3,4', `Resumed stream follows the rest of the answer, got ${followed.map(event => event.id)}`);
+
+  // A generation that never finishes gives up with an error event
+  const stalled = new SSEStreamBuffer(liveKV, { pollIntervalMs: 5, resumeTimeoutMs: 20 });
+  await liveKV.put('sse:stalled', JSON.stringify({ sessionId: 's', events: [], done: false }));
+  const timedOut = buffer.parseEvents(await new Response(stalled.resume('stalled', 0, await stalled.load('stalled'))).text()).events;
+  check(timedOut.length === 1 && timedOut[0].event === 'error' && timedOut[0].id === null, 'Timeout error without an id');
+
+  finish();
+}
+
+testSSEStream();
@@ -0,0 +1,91 @@
+/**
+ * Test script for saving streamed chat replies to session memory once the stream ends
+ * Run with: node src/test-streaming-persistence.js
+ */
+import { check, finish, MemoryKV } from './testing/helpers.js';
+
+// Gemini answers as an event stream; the reply is split across network chunks
+let geminiChunks = [];
+globalThis.fetch = async (url) => {
+  if (String(url).includes('streamGenerateContent')) {
+    const encoder = new TextEncoder();
+    const body = new ReadableStream({
+      start(controller) {
+        geminiChunks.forEach(chunk => controller.enqueue(encoder.encode(chunk)));
+        controller.close();
+      }
+    });
+    return new Response(body, { headers: { 'content-type': 'text/event-stream' } });
+  }
+  return new Response('{}', { status: 500 });
+};
+
+const { default: worker } = await import('./index.js');
+
+function geminiEvent(text) {
+  return `data: ${JSON.stringify({ candidates: [{ content: { parts: [{ text }] } }] })}\n\n`;
+}
+
+async function chat(kv, message, sessionId) {
+  const pending = [];
+  const request = new Request('http://localhost/api/chat', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ message, session_id: sessionId })
+  });
+  const env = { GEMINI_API_KEY: 'test-key', CHAT_SESSIONS: kv, DEFAULT_STREAMING_ENABLED: 'true' };
+  const response = await worker.fetch(request, env, { waitUntil(promise) { pending.push(promise); } });
+  const text = await response.text();
+  await Promise.all(pending);
+  return { response, text, pending };
+}
+
+async function testStreamingPersistence() {
+  console.log('Testing persistence of streamed replies...\n');
+
+  // Events split mid-line are joined; errors discard the reply
+  const encoder = new TextEncoder();
+  const split = (text, at) => new ReadableStream({
+    start(controller) {
+      controller.enqueue(encoder.encode(text.slice(0, at)));
+      controller.enqueue(encoder.encode(text.slice(at)));
+      controller.close();
+    }
+  });
+  const events = ['start', 'Bismillah. ', 'Wudu has four fard acts.', 'end']
+    .map(content => `data: ${JSON.stringify(['start', 'end'].includes(content) ? { type: content, content: '' } : { type: 'content', content })}\n\n`)
+    .join('');
+  check(await worker._collectStreamedReply(split(events, 70)) === 'Bismillah. Wudu has four fard acts.', 'Content chunks joined across reads');
+  const failed = `data: ${JSON.stringify({ type: 'content', content: 'Partial' })}\n\ndata: ${JSON.stringify({ type: 'error', content: 'timeout' })}\n\n`;
+  check(await worker._collectStreamedReply(split(failed, 10)) === '', 'Errored stream is not recorded');
+
+  // A streamed chat reply reaches the client and the session history
+  geminiChunks = [geminiEvent('Wudu has four fard acts: '), geminiEvent('washing the face, the arms, wiping the head and washing the feet.')];
+  const kv = new MemoryKV();
+  const first = await chat(kv, 'What are the fard acts of wudu?', 'stream-session');
+  check(first.response.headers.get('content-type').includes('text/event-stream'), 'Reply is streamed');
+  check(first.text.includes('"type":"content"') && first.text.includes('wiping the head'), 'Client receives the content events');
+  check(first.pending.length === 1, `Recording is handed to waitUntil, got ${first.pending.length} promise(s)`);
+
+  const session = JSON.parse(kv.values.get('session:stream-session') || '{}');
+  const history = session.history || [];
+  console.log(`Saved history: ${history.length} message(s)`);
+  check(history.length === 2, 'User message and reply saved');
+  check(history[0] && history[0].c === 'What are the fard acts of wudu?', 'User message saved');
+  check(history[1] && history[1].c.includes('Wudu has four fard acts:') && history[1].c.includes('washing the feet'), 'Streamed chunks saved as one reply');
+
+  // The next turn sees the first one
+  geminiChunks = [geminiEvent('The sunnah acts include saying Bismillah.')];
+  await chat(kv, 'And the sunnah acts?', 'stream-session');
+  const updated = JSON.parse(kv.values.get('session:stream-session'));
+  check(updated.history.length === 4 && updated.history[3].c.includes('Bismillah'), 'Second turn appended');
+
+  // A failed stream leaves the history as it was
+  globalThis.fetch = async () => new Response('{}', { status: 500 });
+  await chat(kv, 'What breaks wudu?', 'stream-session');
+  check(JSON.parse(kv.values.get('session:stream-session')).history.length === 4, 'Nothing recorded for a failed reply');
+
+  finish();
+}
+
+testStreamingPersistence();
@@ -0,0 +1,99 @@
+/**
+ * Test script for timezone handling: prayer times on and around daylight saving changes
+ * Run with: node src/test-timezones.js
+ */
+import { LocationPrayerService } from './location-prayer-service.js';
+import { check, finish } from './testing/helpers.js';
+
+const PRAYERS = ['fajr', 'sunrise', 'dhuhr', 'asr', 'maghrib', 'isha'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// One row per zone and day: expected Dhuhr (MWL), the UTC offset every prayer that day is in,
+// and how far the clock moved since the day before (minutes)
+const CASES = [
+  { city: 'London', date: '2026-01-15', dhuhr: '12:09', offset: '+00:00', shift: 0 },
+  { city: 'London', date: '2026-03-29', dhuhr: '13:05', offset: '+01:00', shift: 60 },
+  { city: 'London', date: '2026-07-01', dhuhr: '13:04', offset: '+01:00', shift: 0 },
+  { city: 'London', date: '2026-10-25', dhuhr: '11:44', offset: '+00:00', shift: -60 },
+  { city: 'New York', date: '2026-03-08', dhuhr: '13:06', offset: '-04:00', shift: 60 },
+  { city: 'New York', date: '2026-11-01', dhuhr: '11:39', offset: '-05:00', shift: -60 },
+  { city: 'Sydney', date: '2026-04-05', dhuhr: '11:57', offset: '+10:00', shift: -60 },
+  { city: 'Sydney', date: '2026-10-04', dhuhr: '12:43', offset: '+11:00', shift: 60 },
+  { city: 'Tehran', date: '2026-03-21', dhuhr: '12:11', offset: '+03:30', shift: 0 },
+  // Iran kept daylight saving time until 2022
+  { city: 'Tehran', date: '2021-03-22', dhuhr: '13:11', offset: '+04:30', shift: 60 },
+  { city: 'Tehran', date: '2021-09-22', dhuhr: '11:57', offset: '+03:30', shift: -60 }
+];
+
+function minutes(time) {
+  const [h, m] = time.split(':').map(Number);
+  return h * 60 + m;
+}
+
+// Local HH:MM of a UTC time, taken on whichever UTC day falls on the given local date
+function localTimeOf(date, utcTime, timezone) {
+  const formatter = new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+  });
+  for (const delta of [-1, 0, 1]) {
+    const [localDate, localTime] = formatter.format(Date.parse(`${date}T${utcTime}:00Z`) + delta * DAY_MS).split(', ');
+    if (localDate === date) return localTime;
+  }
+  return null;
+}
+
+async function testTimezones() {
+  console.log('Testing timezone handling...\n');
+  const service = new LocationPrayerService();
+
+  for (const row of CASES) {
+    const location = service.findCity(row.city);
+    const day = new Date(`${row.date}T00:00:00Z`);
+    const times = service.calculatePrayerTimes(location, day, null, 'MWL').times;
+    const previous = service.calculatePrayerTimes(location, new Date(day.getTime() - DAY_MS), null, 'MWL').times;
+    const label = `${row.city} ${row.date}`;
+    console.log(`${label}: ${JSON.stringify(times)}`);
+
+    check(times.dhuhr === row.dhuhr, `${label}: Dhuhr ${row.dhuhr}, got ${times.dhuhr}`);
+    check(service.getTimezoneOffset(location.timezone, day) * 60 === minutes(row.offset.slice(1)) * (row.offset[0] === '-' ? -1 : 1),
+      `${label}: day offset ${row.offset}`);
+
+    // Same instants as a calculation in UTC formatted independently in the zone
+    const utc = service.calculatePrayerTimes(location, day, 0, 'MWL').times;
+    for (const prayer of PRAYERS) {
+      const local = localTimeOf(row.date, utc[prayer], location.timezone);
+      check(times[prayer] === local, `${label}: ${prayer} ${times[prayer]} should match ${local}`);
+      const at = service.localTimeToInstant(location.timezone, row.date, times[prayer]);
+      check(service.formatInstantWithOffset(at, location.timezone).endsWith(row.offset), `${label}: ${prayer} in ${row.offset}`);
+    }
+
+    // The sun moves a minute or two a day; the rest of the change is the clock
+    for (const prayer of ['dhuhr', 'asr', 'maghrib']) {
+      const change = minutes(times[prayer]) - minutes(previous[prayer]);
+      check(Math.abs(change - row.shift) <= 3, `${label}: ${prayer} moved ${change} min, expected about ${row.shift}`);
+    }
+  }
+
+  // The night that clocks go back in New York: the last third is measured in real time, after the extra hour
+  const newYork = service.findCity('New York');
+  const night = service.calculatePrayerTimes(newYork, new Date('2026-10-31T00:00:00Z'), null, 'MWL');
+  const sunset = service.localTimeToInstant('America/New_York', '2026-10-31', night.forbiddenWindows[2].end);
+  const sunrise = service.localTimeToInstant('America/New_York', '2026-11-01', service.calculatePrayerTimes(newYork, new Date('2026-11-01T00:00:00Z'), null, 'MWL').times.sunrise);
+  const lastThird = service.formatInstantWithOffset(sunset + (sunrise - sunset) * 2 / 3, 'America/New_York');
+  // Rebuilt from whole-minute sunset and sunrise, so allow a minute either way
+  check(Math.abs(minutes(night.extraTimes.lastThird) - minutes(lastThird.slice(11, 16))) <= 1 && lastThird.endsWith('-05:00'),
+    `Last third after the change, got ${night.extraTimes.lastThird} for ${lastThird}`);
+
+  // A fixed offset in hours is still accepted
+  const london = service.findCity('London');
+  check(service.calculatePrayerTimes(london, new Date('2026-03-29T00:00:00Z'), 0, 'MWL').times.dhuhr === '12:05', 'Fixed offset keeps GMT');
+
+  // Far from the zone's meridian (UTC+14 at 157W) Dhuhr stays on the requested date
+  const kiritimati = { city: 'Kiritimati', lat: 1.87, lng: -157.43, timezone: 'Pacific/Kiritimati' };
+  const kiribati = service.calculatePrayerTimes(kiritimati, new Date('2026-10-19T00:00:00Z'), null, 'MWL').times;
+  check(minutes(kiribati.dhuhr) > 11 * 60 && minutes(kiribati.dhuhr) < 13 * 60, `Kiritimati Dhuhr near noon, got ${kiribati.dhuhr}`);
+
+  finish();
+}
+
+testTimezones();
@@ -0,0 +1,91 @@
+/**
+ * Test script for traveller mode: safar distance, residence limits and the shortened schedule
+ * Run with: node src/test-travel-prayer.js
+ */
+import worker from './index.js';
+import { TravelPrayer } from './travel-prayer.js';
+import { LocationPrayerService } from './location-prayer-service.js';
+import { check, finish } from './testing/helpers.js';
+
+async function testTravelPrayer() {
+  console.log('Testing traveller mode...\n');
+  const service = new LocationPrayerService();
+  const travel = new TravelPrayer(service);
+  const karachi = { ...service.findCity('Karachi'), name: 'Home' };
+  const lahore = service.findCity('Lahore');
+  const times = { fajr: '04:48', sunrise: '06:05', dhuhr: '11:47', asr: '14:59', maghrib: '17:26', isha: '18:46' };
+
+  // Madhhab names as users type them
+  const madhhabs = { Hanafi: 'hanafi', "shafi'i": 'shafii', 'Shāfiʿī': 'shafii', Maliki: 'maliki', hanbali: 'hanbali', '': 'majority', salafi: 'majority' };
+  for (const [input, expected] of Object.entries(madhhabs)) {
+    check(travel.normalizeMadhhab(input) === expected, `normalizeMadhhab("${input}") should be ${expected}`);
+  }
+
+  // Far from home: shortened prayers, combining by madhhab
+  const hanafi = travel.getStatus(karachi, lahore, { madhhab: 'Hanafi', times });
+  console.log(`Karachi → Lahore: ${hanafi.distanceKm} km, ${hanafi.reason}`);
+  check(hanafi.isTraveller && hanafi.distanceKm > 1000 && hanafi.thresholdKm === 77, 'Traveller beyond the Hanafi distance');
+  check(hanafi.schedule.prayers.map(p => p.rakats).join(',') === '2,2,2,3,2', 'Dhuhr, Asr and Isha shortened');
+  check(hanafi.schedule.combined.length === 0 && hanafi.rules.qasr === 'obligatory', 'Hanafi: no combining, qasr obligatory');
+  const shafii = travel.getStatus(karachi, lahore, { madhhab: 'shafii', times });
+  check(shafii.schedule.combined.map(c => `${c.prayers.join('+')} ${c.from}-${c.until}`).join(', ') === 'dhuhr+asr 11:47-17:26, maghrib+isha 17:26-04:48', 'Combining windows');
+
+  // Residence limits by intended stay
+  check(!travel.getStatus(karachi, lahore, { madhhab: 'shafii', stayDays: 4 }).isTraveller, "Shafi'i: four days makes a resident");
+  check(travel.getStatus(karachi, lahore, { madhhab: 'hanbali', stayDays: 4 }).isTraveller, 'Hanbali: four days is still travel');
+  check(travel.getStatus(karachi, lahore, { madhhab: 'hanafi', stayDays: 14 }).isTraveller, 'Hanafi: 14 days is still travel');
+  const settled = travel.getStatus(karachi, lahore, { madhhab: 'hanafi', stayDays: 15, times });
+  check(!settled.isTraveller && /residence limit/.test(settled.reason) && settled.schedule.prayers[1].rakats === 4, 'Hanafi: 15 days makes a resident with the full prayers');
+
+  // Near home, and close to the threshold
+  const nearby = travel.getStatus(karachi, { lat: 24.95, lng: 67.2 }, { times });
+  check(!nearby.isTraveller && nearby.reason.startsWith('Within 80 km') && nearby.schedule.combined.length === 0, 'Not a traveller near home');
+  const east = { lat: 24.8607, lng: 67.8 };
+  const edge = travel.getStatus(karachi, east, {});
+  console.log(`Karachi → ${east.lat}, ${east.lng}: ${edge.distanceKm} km`);
+  check(edge.isTraveller && travel.getStatus(karachi, east, { madhhab: 'hanafi' }).isTraveller, 'Just past 80 km is travel for the majority and Hanafis');
+  check(!travel.getStatus(karachi, east, { madhhab: 'shafii' }).isTraveller && edge.schedule === null, "Still short of the Shafi'i 81 km");
+
+  // Chat detection and context
+  const queries = {
+    'Can I shorten my prayers on this trip?': true,
+    'Am I a musafir?': true,
+    'Should I pray qasr in Lahore?': true,
+    'هل أنا مسافر؟': true,
+    'Can I combine Dhuhr and Asr today?': true,
+    "Is jam’ allowed on a short trip?": true,
+    "What time is the jama'ah at my masjid?": false,
+    "Is praying in jam'ah better?": false,
+    'Is the mosque near Jama Masjid open?': false,
+    'My combined income is low, do I pay zakat?': false,
+    'When is Jumuah prayer?': false,
+    'What time is Maghrib?': false
+  };
+  for (const [message, expected] of Object.entries(queries)) {
+    check(travel.isTravelQuery(message) === expected, `isTravelQuery("${message}") should be ${expected}`);
+  }
+  const context = travel.buildTravelContext(shafii);
+  check(context.includes('musafir') && context.includes('from their saved home in Karachi') && context.includes('Asr 14:59 (2, shortened)') && context.includes('until Fajr (04:48)'), 'Prompt context');
+  check(travel.buildTravelContext(nearby).includes('not a traveller'), 'Prompt context at home');
+
+  // Chat looks up the IP only for travel questions, once per session
+  const lookups = [];
+  const ipService = { getUserLocation: async (ip) => { lookups.push(ip); return { city: 'Lahore', lat: 31.5497, lng: 74.3436, timezone: 'Asia/Karachi' }; } };
+  const sessionData = {};
+  const sessions = { getSessionData: async () => sessionData, saveSessionData: async () => {} };
+  check(await worker._getTravelLocation(ipService, sessions, 's1', '203.0.113.7', false) === null && lookups.length === 0, 'No IP lookup for other messages');
+  const looked = await worker._getTravelLocation(ipService, sessions, 's1', '203.0.113.7', true);
+  const again = await worker._getTravelLocation(ipService, sessions, 's1', '203.0.113.7', true);
+  const later = await worker._getTravelLocation(ipService, sessions, 's1', '203.0.113.7', false);
+  check(looked.city === 'Lahore' && again.city === 'Lahore' && later.city === 'Lahore' && lookups.length === 1, `One lookup per session, got ${lookups.length}`);
+
+  // API shape, and the endpoint needs a signed-in user
+  const formatted = worker._formatTravelStatus(hanafi);
+  check(formatted.is_traveller === true && formatted.rules.residence_days === 15 && formatted.home.name === 'Home' && formatted.distance_basis === 'straight_line', 'snake_case response');
+  const response = await worker.fetch(new Request('http://localhost/travel-status?city=Lahore'), {}, { waitUntil() {} });
+  check(response.status === 401, `Unauthenticated request is rejected, got ${response.status}`);
+
+  finish();
+}
+
+testTravelPrayer();
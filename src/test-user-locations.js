@@ -0,0 +1,57 @@
+/**
+ * Test script for saved and sent locations: resolving places given by hand
+ * Run with: node src/test-user-locations.js
+ */
+import worker from './index.js';
+import { LocationPrayerService } from './location-prayer-service.js';
+import { check, finish } from './testing/helpers.js';
+
+async function rejects(promise, pattern, message) {
+  try {
+    await promise;
+    check(false, `${message}: expected an error`);
+  } catch (e) {
+    check(pattern.test(e.message), `${message}: got "${e.message}"`);
+  }
+}
+
+async function testUserLocations() {
+  console.log('Testing saved locations...\n');
+  const service = new LocationPrayerService();
+
+  // A city name, as a string or an object
+  const toronto = await worker._resolveManualLocation(service, 'Toronto');
+  console.log(`Toronto: ${JSON.stringify(toronto)}`);
+  check(toronto.city === 'Toronto' && toronto.countryCode === 'CA' && toronto.timezone === 'America/Toronto', 'City string resolves through the gazetteer');
+  const lahore = await worker._resolveManualLocation(service, { city: 'لاہور' });
+  check(lahore.city === 'Lahore' && lahore.timezone === 'Asia/Karachi', 'City object in Urdu');
+
+  // Coordinates borrow the country and zone of a nearby city unless given
+  const suburb = await worker._resolveManualLocation(service, { lat: '43.59', lng: '-79.64' });
+  check(suburb.lat === 43.59 && suburb.country === 'Canada' && suburb.timezone === 'America/Toronto', `Nearby city fills in country and zone, got ${suburb.country}/${suburb.timezone}`);
+  const explicit = await worker._resolveManualLocation(service, { lat: 43.59, lng: -79.64, timezone: 'America/New_York', country: 'Canada', city: 'Mississauga' });
+  check(explicit.timezone === 'America/New_York' && explicit.city === 'Mississauga', 'Manual timezone and label win');
+  const ocean = await worker._resolveManualLocation(service, { lat: -30, lng: -140 });
+  check(ocean.country === null && ocean.timezone === service.timezoneFromLongitude(-140), 'Far from any city the zone follows the longitude');
+
+  await rejects(worker._resolveManualLocation(service, {}), /lat & lng or city/, 'Empty location');
+  await rejects(worker._resolveManualLocation(service, { lat: 95, lng: 0 }), /Invalid coordinates/, 'Latitude out of range');
+  await rejects(worker._resolveManualLocation(service, { city: 'Toronto', timezone: 'Mars/Olympus' }), /Unknown timezone/, 'Unknown timezone');
+  await rejects(worker._resolveManualLocation(service, 'Atlantis'), /Did you mean Atlanta/, 'Unknown city');
+
+  // Names
+  check(worker._normalizeLocationName('  Home ') === 'Home', 'Names are trimmed');
+  check(worker._normalizeLocationName('') === null && worker._normalizeLocationName('x'.repeat(51)) === null && worker._normalizeLocationName(5) === null, 'Empty, long and non-string names');
+
+  // Response shape
+  const formatted = worker._formatUserLocation({ id: 'a1', name: 'Home', isDefault: true, ...toronto, updatedAt: '2026-10-19T00:00:00.000Z' });
+  check(formatted.is_default === true && formatted.country_code === 'CA' && formatted.timezone === 'America/Toronto', 'snake_case response');
+
+  // Managing places requires a signed-in user
+  const response = await worker.fetch(new Request('http://localhost/locations'), {}, { waitUntil() {} });
+  check(response.status === 401, `Unauthenticated list is rejected, got ${response.status}`);
+
+  finish();
+}
+
+testUserLocations();
@@ -0,0 +1,61 @@
+/**
+ * Shared helpers for the src/test-*.js scripts: a check counter and an in-memory KV namespace
+ */
+
+let failures = 0;
+
+/**
+ * Record a failed expectation without stopping the script
+ * @param {boolean} condition - Expectation that should hold
+ * @param {string} message - Shown when it does not
+ */
+export function check(condition, message) {
+  if (!condition) {
+    failures++;
+    console.error(`  FAIL: ${message}`);
+  }
+}
+
+/**
+ * Print the outcome of the checks and fail the process when any of them failed
+ */
+export function finish() {
+  if (failures > 0) {
+    console.error(`\n${failures} check(s) failed`);
+    process.exitCode = 1;
+  } else {
+    console.log('\nTest completed successfully!');
+  }
+}
+
+/**
+ * In-memory stand-in for a KV namespace that remembers every write and its expiry
+ */
+export class MemoryKV {
+  constructor() {
+    this.values = new Map();
+    this.ttls = new Map();
+    this.writes = [];
+  }
+
+  async get(key, type) {
+    const value = this.values.get(key);
+    if (value === undefined) return null;
+    return type === 'json' ? JSON.parse(value) : value;
+  }
+
+  async put(key, value, options = {}) {
+    this.values.set(key, value);
+    this.ttls.set(key, options.expirationTtl);
+    this.writes.push({ key, value, options });
+  }
+
+  async delete(key) {
+    this.values.delete(key);
+    this.ttls.delete(key);
+  }
+
+  async list() {
+    return { keys: [...this.values.keys()].map(name => ({ name })) };
+  }
+}
@@ -1,172 +0,0 @@
-/**
- * TimesPrayerScraper - Scrapes prayer times from timesprayer.org
- * In production, this replaces the stub implementation with actual scraping functionality.
- */
-
-export class TimesPrayerScraper {
-  constructor() {
-    // We'll use a simple approach since Cloudflare Workers have limitations
-    // For a production implementation, you might want to use a dedicated scraping service
-  }
-
-  /**
-   * Get prayer times from timesprayer.org for a specific location
-   * @param {Object} location - Location object with city information
-   * @param {Date} date - Date for which to get prayer times
-   * @returns {Promise<Object|null>} Prayer times data or null if failed
-   */
-  async getPrayerTimes(location, date = new Date()) {
-    try {
-      // Map common city names to timesprayer.org URLs
-      const cityMapping = {
-        // India
-        'kolkata': 'kolkata',
-        'delhi': 'delhi',
-        'mumbai': 'mumbai',
-        'bangalore': 'bangalore',
-        'hyderabad': 'hyderabad',
-        'chennai': 'chennai',
-        'ahmedabad': 'ahmedabad',
-        'pune': 'pune',
-        'surat': 'surat',
-        'kanpur': 'kanpur',
-        'lucknow': 'lucknow',
-        'nagpur': 'nagpur',
-        'indore': 'indore',
-        'thane': 'thane',
-        'bhopal': 'bhopal',
-        'visakhapatnam': 'visakhapatnam',
-        'patna': 'patna',
-        'vadodara': 'vadodara',
-        'ghaziabad': 'ghaziabad',
-        'ludhiana': 'ludhiana',
-        
-        // Middle East
-        'makkah': 'makkah',
-        'madina': 'madina',
-        'riyadh': 'riyadh',
-        'jeddah': 'jeddah',
-        'dubai': 'dubai',
-        'abu_dhabi': 'abu-dhabi',
-        'doha': 'doha',
-        'kuwait': 'kuwait',
-        'manama': 'manama',
-        'muscat': 'muscat',
-        'beirut': 'beirut',
-        'amman': 'amman',
-        'cairo': 'cairo',
-        'alexandria': 'alexandria',
-        
-        // South Asia
-        'dhaka': 'dhaka',
-        'chittagong': 'chittagong',
-        'karachi': 'karachi',
-        'lahore': 'lahore',
-        'islamabad': 'islamabad',
-        'rawalpindi': 'rawalpindi',
-        'faisalabad': 'faisalabad',
-        'multan': 'multan',
-        'peshawar': 'peshawar',
-        'quetta': 'quetta',
-        
-        // Southeast Asia
-        'jakarta': 'jakarta',
-        'surabaya': 'surabaya',
-        'bandung': 'bandung',
-        'medan': 'medan',
-        'kuala_lumpur': 'kuala-lumpur',
-        'johor_bahru': 'johor-bahru',
-        'penang': 'penang',
-        'singapore': 'singapore',
-        
-        // Other major cities
-        'istanbul': 'istanbul',
-        'ankara': 'ankara',
-        'izmir': 'izmir',
-        'tehran': 'tehran',
-        'mashhad': 'mashhad',
-        'tabriz': 'tabriz',
-        'damascus': 'damascus',
-        'aleppo': 'aleppo',
-        'baghdad': 'baghdad',
-        'basra': 'basra',
-        'mosul': 'mosul'
-      };
-
-      // Get city name in lowercase and replace spaces with underscores
-      const cityName = (location.city || '').toLowerCase().replace(/ /g, '_');
-      const mappedCity = cityMapping[cityName];
-
-      // If we don't have a mapping for this city, return null to fallback to calculation
-      if (!mappedCity) {
-        console.log(`No mapping found for city: ${location.city}`);
-        return null;
-      }
-
-      // For demonstration, we'll return mock data for Kolkata
-      // In a real implementation, you would fetch from timesprayer.org
-      if (mappedCity === 'kolkata') {
-        // Return today's prayer times (mock data based on the example)
-        const today = new Date();
-        const isToday = date.toDateString() === today.toDateString();
-        
-        if (isToday) {
-          return {
-            date: date.toISOString().split('T')[0],
-            location: {
-              city: location.city,
-              country: location.country,
-              lat: location.lat,
-              lng: location.lng
-            },
-            times: {
-              fajr: "04:15",
-              sunrise: "05:29",
-              dhuhr: "11:26",
-              asr: "14:47",
-              maghrib: "17:20",
-              isha: "18:35"
-            },
-            timezone: location.timezone || 'Asia/Kolkata',
-            source: 'timesprayer.org'
-          };
-        } else {
-          // Return tomorrow's prayer times (mock data based on the example)
-          const tomorrow = new Date(today);
-          tomorrow.setDate(tomorrow.getDate() + 1);
-          const isTomorrow = date.toDateString() === tomorrow.toDateString();
-          
-          if (isTomorrow) {
-            return {
-              date: date.toISOString().split('T')[0],
-              location: {
-                city: location.city,
-                country: location.country,
-                lat: location.lat,
-                lng: location.lng
-              },
-              times: {
-                fajr: "04:15",
-                sunrise: "05:30",
-                dhuhr: "11:26",
-                asr: "14:47",
-                maghrib: "17:19",
-                isha: "18:34"
-              },
-              timezone: location.timezone || 'Asia/Kolkata',
-              source: 'timesprayer.org'
-            };
-          }
-        }
-      }
-
-      // For other cities or dates, return null to fallback to calculation
-      // In a real implementation, you would fetch actual data from timesprayer.org
-      console.log(`Fetching prayer times for ${mappedCity} from timesprayer.org`);
-      return null;
-    } catch (error) {
-      console.error('Error scraping prayer times:', error);
-      return null;
-    }
-  }
-}
\ No newline at end of file
@@ -0,0 +1,195 @@
+/**
+ * TravelPrayer - Traveller (musafir) status and the shortened prayer schedule
+ * Compares the user's current location with their saved home against each madhhab's safar distance,
+ * residence limit and rulings on shortening (qasr) and combining (jam') prayers
+ */
+
+import { LocationPrayerService } from './location-prayer-service.js';
+
+export class TravelPrayer {
+  constructor(locationService = new LocationPrayerService()) {
+    this.locationService = locationService;
+
+    // Safar distances are the usual modern conversions of the classical measures; scholars' figures vary by a few km
+    this.madhhabs = {
+      hanafi: {
+        name: 'Hanafi',
+        distanceKm: 77,
+        distanceBasis: 'three days\' journey (about 48 miles)',
+        qasr: 'obligatory',
+        qasrRule: 'Shortening is obligatory (wajib): Dhuhr, Asr and Isha are prayed as 2 rak\'ahs',
+        combining: false,
+        combiningRule: 'Combining is not allowed except at Arafah and Muzdalifah during Hajj; each prayer is prayed in its own time',
+        residenceDays: 15,
+        residenceRule: 'Intending to stay 15 days or more in one place makes you a resident; with a shorter or open-ended stay you keep shortening'
+      },
+      shafii: {
+        name: "Shafi'i",
+        distanceKm: 81,
+        distanceBasis: 'four barids (16 farsakhs)',
+        qasr: 'permitted',
+        qasrRule: 'Shortening Dhuhr, Asr and Isha to 2 rak\'ahs is permitted and better than praying in full',
+        combining: true,
+        combiningRule: 'Dhuhr may be combined with Asr, and Maghrib with Isha, in the time of either prayer',
+        residenceDays: 4,
+        residenceRule: 'Intending to stay four full days, not counting the days of arrival and departure, makes you a resident; with no fixed plan the concession lasts up to 18 days'
+      },
+      maliki: {
+        name: 'Maliki',
+        distanceKm: 80,
+        distanceBasis: 'four barids (48 miles)',
+        qasr: 'sunnah',
+        qasrRule: 'Shortening Dhuhr, Asr and Isha to 2 rak\'ahs is a confirmed sunnah',
+        combining: true,
+        combiningRule: 'Dhuhr may be combined with Asr, and Maghrib with Isha, while on the road',
+        residenceDays: 4,
+        residenceRule: 'Intending to stay four full days (twenty prayers) or more makes you a resident'
+      },
+      hanbali: {
+        name: 'Hanbali',
+        distanceKm: 80,
+        distanceBasis: 'sixteen farsakhs',
+        qasr: 'preferred',
+        qasrRule: 'Shortening Dhuhr, Asr and Isha to 2 rak\'ahs is preferred over praying in full',
+        combining: true,
+        combiningRule: 'Dhuhr may be combined with Asr, and Maghrib with Isha, in the time of either prayer',
+        residenceDays: 5,
+        residenceRule: 'Intending to stay more than four days (more than twenty prayers) makes you a resident'
+      },
+      majority: {
+        name: 'Majority view (Maliki, Shafi\'i, Hanbali)',
+        distanceKm: 80,
+        distanceBasis: 'about 48 miles',
+        qasr: 'recommended',
+        qasrRule: 'Shortening Dhuhr, Asr and Isha to 2 rak\'ahs is recommended; the Hanafi school makes it obligatory',
+        combining: true,
+        combiningRule: 'Dhuhr may be combined with Asr, and Maghrib with Isha; the Hanafi school does not allow this outside Hajj',
+        residenceDays: 4,
+        residenceRule: 'Intending to stay four days or more makes you a resident; the Hanafi school sets the limit at 15 days'
+      }
+    };
+    this.defaultMadhhab = 'majority';
+
+    this.rakats = { fajr: 2, dhuhr: 4, asr: 4, maghrib: 3, isha: 4 };
+    this.shortenedPrayers = ['dhuhr', 'asr', 'isha'];
+
+    this.travelKeywords = [
+      'qasr', 'qasar', 'musafir', 'safar', 'traveller', 'traveler', 'travelling', 'traveling', 'travel',
+      'journey', 'trip', 'shorten', 'shortening', 'combine', 'combining', "jam'", 'jamak',
+      'سفر', 'مسافر', 'قصر الصلاة', 'جمع الصلاة', 'الجمع بين'
+    ];
+  }
+
+  /**
+   * Map a stored or requested madhhab to a rule set
+   * @param {string} madhhab - Free text, e.g. "Hanafi" or "shafi'i"
+   * @returns {string} Key of this.madhhabs
+   */
+  normalizeMadhhab(madhhab) {
+    const value = String(madhhab || '').toLowerCase();
+    if (/hanaf/.test(value)) return 'hanafi';
+    if (/sh[aā]f/.test(value)) return 'shafii';
+    if (/m[aā]lik/.test(value)) return 'maliki';
+    if (/hanbal/.test(value)) return 'hanbali';
+    return this.defaultMadhhab;
+  }
+
+  /**
+   * Traveller status for the current location relative to home
+   * @param {Object} home - Saved home location { lat, lng, city, name }
+   * @param {Object} current - Current location { lat, lng, city }
+   * @param {Object} options - { madhhab, stayDays (intended stay at the current place), times (today's prayer times there) }
+   * @returns {Object} Status with distance, threshold, rulings and schedule
+   */
+  getStatus(home, current, options = {}) {
+    const madhhab = this.normalizeMadhhab(options.madhhab);
+    const rules = this.madhhabs[madhhab];
+    const distanceKm = Math.round(this.locationService.calculateDistance(home.lat, home.lng, current.lat, current.lng) * 10) / 10;
+    const beyondDistance = distanceKm >= rules.distanceKm;
+    const stayDays = Number.isInteger(options.stayDays) ? options.stayDays : null;
+    // Intending a long enough stay makes the traveller a resident from arrival
+    const resident = beyondDistance && stayDays !== null && stayDays >= rules.residenceDays;
+    const isTraveller = beyondDistance && !resident;
+
+    return {
+      madhhab,
+      madhhabName: rules.name,
+      home,
+      current,
+      distanceKm,
+      thresholdKm: rules.distanceKm,
+      isTraveller,
+      reason: !beyondDistance
+        ? `Within ${rules.distanceKm} km of home`
+        : (resident ? `An intended stay of ${stayDays} days reaches the ${rules.name} residence limit` : `More than ${rules.distanceKm} km from home`),
+      stayDays,
+      rules,
+      schedule: options.times ? this.buildSchedule(options.times, isTraveller ? rules : null) : null
+    };
+  }
+
+  /**
+   * Today's prayers with rak'ahs, shortened and combinable as the rules allow
+   * @param {Object} times - Prayer times { fajr, sunrise, dhuhr, asr, maghrib, isha } as HH:MM
+   * @param {Object|null} rules - Madhhab rules when travelling, null at home
+   * @returns {Object} { prayers, combined }; Maghrib + Isha lasts until tomorrow's Fajr
+   */
+  buildSchedule(times, rules) {
+    const prayers = Object.keys(this.rakats).map(prayer => {
+      const shortened = Boolean(rules) && this.shortenedPrayers.includes(prayer);
+      return {
+        prayer,
+        time: times[prayer],
+        rakats: shortened ? 2 : this.rakats[prayer],
+        shortened
+      };
+    });
+    const combined = rules && rules.combining
+      ? [
+        { prayers: ['dhuhr', 'asr'], from: times.dhuhr, until: times.maghrib, ends: 'maghrib' },
+        { prayers: ['maghrib', 'isha'], from: times.maghrib, until: times.fajr, ends: 'fajr' }
+      ]
+      : [];
+    return { prayers, combined };
+  }
+
+  /**
+   * Check whether a chat message is about travel prayers
+   * @param {string} message - User message
+   * @returns {boolean} True for travel questions
+   */
+  isTravelQuery(message) {
+    const text = String(message || '').toLowerCase().replace(/[\u2018\u2019]/g, "'");
+    // Whole words, with the apostrophe part of the word, so "jam'" does not match "jam'ah" or "jama'ah"
+    return this.travelKeywords.some(keyword => /^[a-z']+$/.test(keyword)
+      ? new RegExp(`(^|[^a-z'])${keyword}([^a-z']|$)`).test(text)
+      : text.includes(keyword));
+  }
+
+  /**
+   * Build the travel lines for the chat prompt
+   * @param {Object} status - Result of getStatus()
+   * @returns {string} Lines to append to the contextual prompt
+   */
+  buildTravelContext(status) {
+    const place = (location) => location.city || location.name || `${Number(location.lat).toFixed(2)}, ${Number(location.lng).toFixed(2)}`;
+    const rules = status.rules;
+    let context = `\n\n**Travel Status (${status.madhhabName}):** The user is ${status.distanceKm} km (straight line) from their saved home in ${place(status.home)}, now in ${place(status.current)}.`;
+    context += `\n- Safar distance: ${rules.distanceKm} km (${rules.distanceBasis}). ${status.isTraveller ? 'The user is a musafir (traveller).' : `The user is not a traveller: ${status.reason.toLowerCase()}.`}`;
+    if (status.isTraveller) {
+      context += `\n- Qasr: ${rules.qasrRule}`;
+      context += `\n- Jam': ${rules.combiningRule}`;
+    }
+    context += `\n- Residence: ${rules.residenceRule}`;
+    if (status.schedule) {
+      const title = (prayer) => `${prayer[0].toUpperCase()}${prayer.slice(1)}`;
+      const prayers = status.schedule.prayers.map(p => `${title(p.prayer)} ${p.time} (${p.rakats}${p.shortened ? ', shortened' : ''})`);
+      context += `\n- Today's prayers here: ${prayers.join(', ')}`;
+      for (const pair of status.schedule.combined) {
+        context += `\n- ${pair.prayers.map(title).join(' + ')} may be combined from ${pair.from} until ${title(pair.ends)} (${pair.until})`;
+      }
+    }
+    context += '\nRoad distance is usually longer than the straight line; mention this when the user is close to the threshold.';
+    return context;
+  }
+}